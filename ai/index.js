@@ -0,0 +1,152 @@
+// Provider-agnostic entry point for every AI call.
+//
+// AI_PROVIDER picks the primary provider (gemini, openai or mock) and
+// AI_FALLBACK_PROVIDERS lists the ones to try, in order, when it fails
+// (comma separated; defaults to the other real provider). Each provider is
+// retried with exponential backoff on rate limits, server errors and network
+// failures. Every call is recorded in the AiUsage collection.
+
+const mongoose = require("mongoose");
+const { getRepository } = require("../utils/wordRepository");
+const gemini = require("./providers/gemini");
+const openai = require("./providers/openai");
+const mock = require("./providers/mock");
+
+const PROVIDERS = { gemini, openai, mock };
+
+const DEFAULT_FALLBACKS = {
+	gemini: ["openai"],
+	openai: ["gemini"],
+	mock: [],
+};
+
+const MAX_ATTEMPTS = parseInt(process.env.AI_MAX_ATTEMPTS) || 3;
+const RETRY_BASE_MS = parseInt(process.env.AI_RETRY_BASE_MS) || 1000;
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const parseList = (value) =>
+	value
+		.split(",")
+		.map((name) => name.trim().toLowerCase())
+		.filter(Boolean);
+
+/**
+ * Returns the providers to try, primary first.
+ * @returns {object[]}
+ */
+const getProviderChain = () => {
+	const primary = (process.env.AI_PROVIDER || "gemini").toLowerCase();
+
+	if (!PROVIDERS[primary]) {
+		throw new Error(
+			`Unknown AI_PROVIDER "${primary}". Supported providers: ${Object.keys(
+				PROVIDERS
+			).join(", ")}`
+		);
+	}
+
+	const fallbacks =
+		process.env.AI_FALLBACK_PROVIDERS !== undefined
+			? parseList(process.env.AI_FALLBACK_PROVIDERS)
+			: DEFAULT_FALLBACKS[primary];
+
+	const names = [...new Set([primary, ...fallbacks])].filter(
+		(name) => PROVIDERS[name]
+	);
+	return names.map((name) => PROVIDERS[name]);
+};
+
+// Rate limits, server errors and network errors (no status) are worth retrying
+const isRetryable = (error) => {
+	const status = error.status || error.statusCode || error.response?.status;
+	if (!status) return true;
+	return status === 408 || status === 429 || status >= 500;
+};
+
+const recordUsage = async (entry) => {
+	const repository = getRepository();
+	// Usage is best effort, and is skipped while the database is not connected
+	if (repository.name === "mongo" && mongoose.connection.readyState !== 1) {
+		return;
+	}
+	try {
+		await repository.aiUsage.insertOne(entry);
+	} catch (error) {
+		console.error("Error recording AI usage:", error);
+	}
+};
+
+/**
+ * Sends a prompt to the configured provider, retrying and falling back to
+ * the next provider when needed.
+ * @param {string} prompt The text prompt to send to the AI.
+ * @param {object} [options]
+ * @param {string} [options.purpose] What the call is for, stored with its usage.
+ * @param {string[]} [options.words] Words an enrichment prompt asks for (used by the mock provider).
+ * @returns {Promise<{text: string, provider: string, model: string, usage: object}>}
+ */
+const generateText = async (prompt, { purpose, words } = {}) => {
+	const failures = [];
+
+	for (const provider of getProviderChain()) {
+		if (!provider.isConfigured()) {
+			failures.push(`${provider.name}: not configured`);
+			continue;
+		}
+
+		for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+			const startedAt = Date.now();
+
+			try {
+				const result = await provider.generate(prompt, { words });
+
+				await recordUsage({
+					provider: provider.name,
+					model: result.model,
+					purpose,
+					attempt,
+					success: true,
+					input_tokens: result.usage.inputTokens,
+					output_tokens: result.usage.outputTokens,
+					total_tokens: result.usage.totalTokens,
+					duration_ms: Date.now() - startedAt,
+				});
+
+				return { ...result, provider: provider.name };
+			} catch (error) {
+				console.error(
+					`AI provider ${provider.name} failed (attempt ${attempt}):`,
+					error.message
+				);
+
+				await recordUsage({
+					provider: provider.name,
+					purpose,
+					attempt,
+					success: false,
+					error: error.message,
+					duration_ms: Date.now() - startedAt,
+				});
+
+				if (attempt === MAX_ATTEMPTS || !isRetryable(error)) {
+					failures.push(`${provider.name}: ${error.message}`);
+					break;
+				}
+
+				// Exponential backoff with a little jitter
+				await delay(
+					RETRY_BASE_MS * 2 ** (attempt - 1) + Math.random() * RETRY_BASE_MS
+				);
+			}
+		}
+	}
+
+	throw new Error(`All AI providers failed. ${failures.join("; ")}`);
+};
+
+module.exports = {
+	PROVIDERS,
+	getProviderChain,
+	generateText,
+};
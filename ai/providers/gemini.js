@@ -0,0 +1,47 @@
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+
+let ai;
+
+const isConfigured = () => Boolean(process.env.GEMINI_API_KEY);
+
+// The client is created on first use, so importing this module never fails
+// when GEMINI_API_KEY is missing
+const getClient = () => {
+	if (!isConfigured()) {
+		throw new Error("GEMINI_API_KEY is not defined in your .env file");
+	}
+
+	if (!ai) {
+		ai = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+	}
+	return ai;
+};
+
+/**
+ * Sends a prompt to the Gemini model.
+ * @param {string} prompt The text prompt to send to the AI.
+ * @returns {Promise<{text: string, model: string, usage: object}>}
+ */
+const generate = async (prompt) => {
+	const modelName = process.env.GEMINI_MODEL || "gemini-2.5-pro";
+	const model = getClient().getGenerativeModel({ model: modelName });
+
+	const result = await model.generateContent(prompt);
+	const usage = result.response.usageMetadata || {};
+
+	return {
+		text: result.response.text(),
+		model: modelName,
+		usage: {
+			inputTokens: usage.promptTokenCount || 0,
+			outputTokens: usage.candidatesTokenCount || 0,
+			totalTokens: usage.totalTokenCount || 0,
+		},
+	};
+};
+
+module.exports = {
+	name: "gemini",
+	isConfigured,
+	generate,
+};
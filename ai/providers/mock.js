@@ -0,0 +1,80 @@
+const fs = require("fs");
+
+// Offline provider for development and tests. It never calls a network
+// service and always answers the same prompt with the same text.
+//
+// For enrichment prompts it returns one Word entry per requested word. Entries
+// are read from the JSON file in AI_MOCK_FIXTURES ({ "<word>": { ...entry } })
+// when present, and generated otherwise. Set AI_MOCK_ERROR to make every call
+// fail with that message, e.g. to exercise retries and fallback.
+
+let fixtures;
+
+const loadFixtures = () => {
+	if (fixtures === undefined) {
+		const file = process.env.AI_MOCK_FIXTURES;
+		fixtures = file ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+	}
+	return fixtures;
+};
+
+const generatedEntry = (word) => ({
+	word,
+	pronunciation: `/${word}/ | ${word.split("").join("·")}`,
+	meaning: [
+		{
+			meaning: `mock meaning of ${word}`,
+			example: `This sentence uses the word ${word}.`,
+		},
+	],
+	origin: "Mock: generated offline without an AI provider.",
+	relate_with: `the idea of ${word}`,
+	mnemonic: `${word.toUpperCase()} sounds like ${word}.`,
+	breakdown: `The mnemonic repeats "${word}" so it can be recognised in tests.`,
+	synonyms: [],
+	antonyms: [],
+});
+
+const isConfigured = () => true;
+
+/**
+ * @param {string} prompt
+ * @param {object} [context]
+ * @param {string[]} [context.words] Words an enrichment prompt asks for.
+ * @returns {Promise<{text: string, model: string, usage: object}>}
+ */
+const generate = async (prompt, context = {}) => {
+	if (process.env.AI_MOCK_ERROR) {
+		throw new Error(process.env.AI_MOCK_ERROR);
+	}
+
+	const text = Array.isArray(context.words)
+		? JSON.stringify(
+				context.words.map(
+					(word) => loadFixtures()[word.toLowerCase()] || generatedEntry(word)
+				),
+				null,
+				2
+		  )
+		: `Mock response to a prompt of ${prompt.length} characters.`;
+
+	// Rough token estimate, about four characters per token
+	const inputTokens = Math.ceil(prompt.length / 4);
+	const outputTokens = Math.ceil(text.length / 4);
+
+	return {
+		text,
+		model: "mock",
+		usage: {
+			inputTokens,
+			outputTokens,
+			totalTokens: inputTokens + outputTokens,
+		},
+	};
+};
+
+module.exports = {
+	name: "mock",
+	isConfigured,
+	generate,
+};
@@ -0,0 +1,52 @@
+const OpenAI = require("openai");
+
+let openai;
+
+const isConfigured = () => Boolean(process.env.OPENAI_API_KEY);
+
+// The client is created on first use, so importing this module never fails
+// when OPENAI_API_KEY is missing
+const getClient = () => {
+	if (!isConfigured()) {
+		throw new Error("OPENAI_API_KEY is not defined in your .env file");
+	}
+
+	if (!openai) {
+		openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+	}
+	return openai;
+};
+
+/**
+ * Sends a prompt to the OpenAI Chat Completions API.
+ * @param {string} prompt The text prompt to send to the AI.
+ * @returns {Promise<{text: string, model: string, usage: object}>}
+ */
+const generate = async (prompt) => {
+	const model = process.env.OPENAI_MODEL || "gpt-4o";
+
+	const response = await getClient().chat.completions.create({
+		model,
+		messages: [
+			{ role: "system", content: "You are a helpful assistant." },
+			{ role: "user", content: prompt },
+		],
+	});
+	const usage = response.usage || {};
+
+	return {
+		text: response.choices[0]?.message?.content?.trim() || "",
+		model: response.model || model,
+		usage: {
+			inputTokens: usage.prompt_tokens || 0,
+			outputTokens: usage.completion_tokens || 0,
+			totalTokens: usage.total_tokens || 0,
+		},
+	};
+};
+
+module.exports = {
+	name: "openai",
+	isConfigured,
+	generate,
+};
@@ -0,0 +1,106 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const cors = require("cors");
+const authRoutes = require("./routes/auth");
+const reviewRoutes = require("./routes/review");
+const transferRoutes = require("./routes/transfer");
+const wordRoutes = require("./routes/words");
+const enrichmentRoutes = require("./routes/enrichment");
+const aiRoutes = require("./routes/ai");
+const quizRoutes = require("./routes/quizzes");
+const deckRoutes = require("./routes/decks");
+const tagRoutes = require("./routes/tags");
+const studyRoutes = require("./routes/study");
+const analyticsRoutes = require("./routes/analytics");
+const versionRoutes = require("./routes/versions");
+const syncRoutes = require("./routes/sync");
+const phoneticRoutes = require("./routes/phonetics");
+const mnemonicRoutes = require("./routes/mnemonics");
+const coreRoutes = require("./routes/core");
+const { requireDatabase } = require("./middleware/database");
+const { databaseState, isDatabaseReady } = require("./utils/database");
+const {
+	createRepository,
+	getRepository,
+	setRepository,
+} = require("./utils/wordRepository");
+
+/**
+ * Builds the Express app with every route under /api/v1, without connecting
+ * to a database or listening (see index.js).
+ *
+ * Every collection the routes use goes through the repository (see
+ * utils/wordRepository.js), so with the memory repository the whole API runs
+ * without a database, as the tests in test/ do. Only the rate limit store
+ * (utils/rateLimitStore.js) is chosen on its own and keeps its counters in
+ * memory unless RATE_LIMIT_STORE is "mongo".
+ *
+ * With the mongo repository every route except the ping and /health waits for
+ * the database and answers 503 when it is not reachable (see
+ * middleware/database.js).
+ * @param {object} [options]
+ * @param {"mongo"|"memory"|object} [options.repository] The repository, by
+ * name or as an object. WORD_REPOSITORY decides when it is not given.
+ * @returns {import("express").Express}
+ */
+const createApp = ({ repository } = {}) => {
+	if (repository) {
+		setRepository(
+			typeof repository === "string" ? createRepository(repository) : repository
+		);
+	}
+
+	// Without a database the routes that need one fail at once instead of
+	// waiting for a connection
+	if (getRepository().name === "memory") {
+		mongoose.set("bufferCommands", false);
+	}
+
+	const app = express();
+	// Number of proxies in front of the server (e.g. 1 on Vercel), so rate limits
+	// see the client IP from X-Forwarded-For instead of the proxy's
+	if (process.env.TRUST_PROXY) {
+		app.set("trust proxy", parseInt(process.env.TRUST_PROXY) || false);
+	}
+	app.use(express.json({ limit: "5mb" })); // for parsing JSON, imports can be large
+	app.use(cors({ origin: "*", credentials: true }));
+
+	app.get("/api/v1", (req, res) => {
+		res.send("Vocabulary API is running ✅");
+	});
+
+	// 🩺 Health check, 503 while the database is not connected
+	app.get("/api/v1/health", (req, res) => {
+		const memory = getRepository().name === "memory";
+		const ready = memory || isDatabaseReady();
+		res.status(ready ? 200 : 503).json({
+			success: ready,
+			message: ready ? "Healthy" : "The database is unavailable",
+			data: { database: memory ? "memory" : databaseState() },
+		});
+	});
+
+	app.use("/api/v1", requireDatabase);
+
+	app.use("/api/v1", authRoutes);
+	app.use("/api/v1", reviewRoutes);
+	// Mounted before wordRoutes so /words/export is not taken for a word id
+	app.use("/api/v1", transferRoutes);
+	app.use("/api/v1", wordRoutes);
+	app.use("/api/v1", enrichmentRoutes);
+	app.use("/api/v1", aiRoutes);
+	app.use("/api/v1", quizRoutes);
+	app.use("/api/v1", deckRoutes);
+	app.use("/api/v1", tagRoutes);
+	app.use("/api/v1", studyRoutes);
+	app.use("/api/v1", analyticsRoutes);
+	app.use("/api/v1", versionRoutes);
+	app.use("/api/v1", syncRoutes);
+	app.use("/api/v1", phoneticRoutes);
+	app.use("/api/v1", mnemonicRoutes);
+	app.use("/api/v1", coreRoutes);
+
+	return app;
+};
+
+module.exports = { createApp };
@@ -0,0 +1,103 @@
+const { verifyToken } = require("../utils/tokens");
+
+// Error contract for clients:
+//   401 TOKEN_MISSING  - no bearer token was sent to a protected route
+//   401 TOKEN_EXPIRED  - the access token expired, call /api/v1/auth/refresh
+//   401 TOKEN_INVALID  - bad signature, malformed or wrong token type, log in again
+//   401 TOKEN_REVOKED  - the token was logged out, log in again
+//   403 INSUFFICIENT_SCOPE - the token is valid but may not perform this action
+
+const getBearerToken = (req) => {
+	const header = req.headers.authorization || "";
+	const [scheme, token] = header.split(" ");
+	return scheme === "Bearer" && token ? token : null;
+};
+
+const unauthorized = (res, code, message) => {
+	res.set("WWW-Authenticate", `Bearer error="${code.toLowerCase()}"`);
+	return res.status(401).json({ success: false, code, message });
+};
+
+const authenticate = async (req, res, next, { required, scope }) => {
+	const token = getBearerToken(req);
+
+	if (!token) {
+		if (!required) return next();
+		return unauthorized(
+			res,
+			"TOKEN_MISSING",
+			"Authorization token is required"
+		);
+	}
+
+	let payload;
+	try {
+		payload = await verifyToken(token, "access");
+	} catch (error) {
+		if (!error.code) {
+			console.error("Error verifying token:", error);
+			return res.status(500).json({
+				success: false,
+				message: "Failed to verify token",
+			});
+		}
+		return unauthorized(res, error.code, error.message);
+	}
+
+	if (scope && !(payload.scope || []).includes(scope)) {
+		return res.status(403).json({
+			success: false,
+			code: "INSUFFICIENT_SCOPE",
+			message: `This action requires the "${scope}" scope`,
+		});
+	}
+
+	req.auth = payload;
+	next();
+};
+
+/**
+ * Rejects the request unless it carries a valid access token with the scope.
+ * @param {string} [scope] Required scope, "write" by default. Changes to the
+ * shared words require "edit" (see utils/tokens.js).
+ */
+const requireAuth =
+	(scope = "write") =>
+	(req, res, next) =>
+		authenticate(req, res, next, { required: true, scope });
+
+/**
+ * Guards read-only routes. They stay public unless PUBLIC_READ_ROUTES is
+ * "false"; a token that is sent anyway must still be valid.
+ */
+const readAccess = (req, res, next) =>
+	authenticate(req, res, next, {
+		required: process.env.PUBLIC_READ_ROUTES === "false",
+		scope: "read",
+	});
+
+/**
+ * Lets a scheduler (e.g. Vercel Cron) call a route with CRON_SECRET instead
+ * of a user token. Users need a token with the scope.
+ * @param {string} [scope] Required scope, "write" by default.
+ */
+const schedulerAccess =
+	(scope = "write") =>
+	(req, res, next) => {
+		const secret = process.env.CRON_SECRET;
+		if (secret && req.headers.authorization === `Bearer ${secret}`) {
+			return next();
+		}
+		return requireAuth(scope)(req, res, next);
+	};
+
+// Id of the logged in user, or null for anonymous readers of public routes
+const getUserId = (req) => (req.auth ? req.auth.sub : null);
+
+module.exports = {
+	requireAuth,
+	readAccess,
+	schedulerAccess,
+	getBearerToken,
+	getUserId,
+};
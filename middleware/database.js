@@ -0,0 +1,32 @@
+const { getRepository } = require("../utils/wordRepository");
+const { DB_CONNECT_TIMEOUT_MS, waitForDatabase } = require("../utils/database");
+const { runMigrations } = require("../utils/migrations");
+
+// Seconds a client should wait before retrying a 503
+const RETRY_AFTER_SECONDS = 5;
+
+/**
+ * Holds a request until the database is connected, connecting on the first
+ * request of a serverless instance, and until the migrations of the instance
+ * are done (see utils/migrations.js). When it is not connected within
+ * DB_CONNECT_TIMEOUT_MS the request is answered with a 503 instead of
+ * hanging until the platform times it out. The memory repository needs no
+ * database, its requests pass straight through.
+ */
+const requireDatabase = async (req, res, next) => {
+	if (getRepository().name === "memory") return next();
+
+	if (!(await waitForDatabase(DB_CONNECT_TIMEOUT_MS))) {
+		res.set("Retry-After", String(RETRY_AFTER_SECONDS));
+		return res.status(503).json({
+			success: false,
+			code: "DATABASE_UNAVAILABLE",
+			message: "The database is unavailable, try again shortly",
+		});
+	}
+
+	await runMigrations();
+	next();
+};
+
+module.exports = { requireDatabase };
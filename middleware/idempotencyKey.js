@@ -0,0 +1,23 @@
+// Reads the Idempotency-Key header of counter updates into req.idempotencyKey.
+// A client that retries a request with the same key gets the result of the
+// first one instead of counting twice. Keys are chosen by the client (e.g. a
+// UUID per operation) and are remembered per user.
+
+const MAX_KEY_LENGTH = 100;
+
+const idempotencyKey = (req, res, next) => {
+	const key = req.get("Idempotency-Key");
+
+	if (key !== undefined && (!key.trim() || key.length > MAX_KEY_LENGTH)) {
+		return res.status(400).json({
+			success: false,
+			code: "INVALID_IDEMPOTENCY_KEY",
+			message: `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters`,
+		});
+	}
+
+	req.idempotencyKey = key;
+	next();
+};
+
+module.exports = { idempotencyKey, MAX_KEY_LENGTH };
@@ -0,0 +1,92 @@
+const { getStore } = require("../utils/rateLimitStore");
+
+// Request quotas as "<requests>/<seconds>", "off" disables a quota:
+//   RATE_LIMIT_LOGIN       login attempts per IP (default 10/60)
+//   RATE_LIMIT_POST_WORDS  word creations per user (default 30/60)
+//   RATE_LIMIT_COUNTERS    open/revision/review updates per user (default 120/60)
+//
+// Responses carry the RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset
+// headers; a 429 also carries Retry-After and the code RATE_LIMITED.
+
+const DEFAULT_QUOTAS = {
+	login: "10/60",
+	postWords: "30/60",
+	counters: "120/60",
+};
+
+const QUOTA_ENV = {
+	login: "RATE_LIMIT_LOGIN",
+	postWords: "RATE_LIMIT_POST_WORDS",
+	counters: "RATE_LIMIT_COUNTERS",
+};
+
+/**
+ * Parses a "<requests>/<seconds>" quota.
+ * @returns {{limit: number, windowMs: number}|null} null when disabled.
+ */
+const parseQuota = (value) => {
+	if (value === "off") return null;
+	const match = /^(\d+)\/(\d+)$/.exec(String(value).trim());
+	if (!match || !Number(match[1]) || !Number(match[2])) {
+		throw new Error(`Invalid rate limit quota "${value}", expected e.g. 30/60`);
+	}
+	return { limit: Number(match[1]), windowMs: Number(match[2]) * 1000 };
+};
+
+const getQuota = (name) =>
+	parseQuota(process.env[QUOTA_ENV[name]] || DEFAULT_QUOTAS[name]);
+
+const secondsUntil = (date) =>
+	Math.max(Math.ceil((new Date(date).getTime() - Date.now()) / 1000), 0);
+
+// Logged in users are limited per account, anonymous requests per IP
+const clientKey = (req) => (req.auth ? `user:${req.auth.sub}` : `ip:${req.ip}`);
+
+/**
+ * Limits how often a client may call the routes sharing a quota.
+ * @param {"login"|"postWords"|"counters"} name
+ */
+const rateLimit = (name) => {
+	const quota = getQuota(name);
+
+	return async (req, res, next) => {
+		if (!quota) return next();
+
+		let hit;
+		try {
+			hit = await getStore().increment(
+				`${name}:${clientKey(req)}`,
+				quota.windowMs
+			);
+		} catch (error) {
+			// An unavailable store must not take the API down with it
+			console.error("Error checking rate limit:", error);
+			return next();
+		}
+
+		const reset = secondsUntil(hit.resetAt);
+		res.set("RateLimit-Limit", String(quota.limit));
+		res.set(
+			"RateLimit-Remaining",
+			String(Math.max(quota.limit - hit.count, 0))
+		);
+		res.set("RateLimit-Reset", String(reset));
+
+		if (hit.count > quota.limit) {
+			res.set("Retry-After", String(reset));
+			return res.status(429).json({
+				success: false,
+				code: "RATE_LIMITED",
+				message: `Too many requests, try again in ${reset} seconds`,
+			});
+		}
+
+		next();
+	};
+};
+
+module.exports = {
+	parseQuota,
+	secondsUntil,
+	rateLimit,
+};
@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+// One record per AI provider call, successful or not
+const AiUsageSchema = new mongoose.Schema(
+	{
+		provider: {
+			type: String,
+			required: true,
+		},
+		model: {
+			type: String,
+		},
+		// What the call was for, e.g. "enrichment"
+		purpose: {
+			type: String,
+		},
+		attempt: {
+			type: Number,
+		},
+		success: {
+			type: Boolean,
+			required: true,
+		},
+		error: {
+			type: String,
+		},
+		input_tokens: {
+			type: Number,
+			default: 0,
+		},
+		output_tokens: {
+			type: Number,
+			default: 0,
+		},
+		total_tokens: {
+			type: Number,
+			default: 0,
+		},
+		duration_ms: {
+			type: Number,
+		},
+	},
+	{ timestamps: true, collection: "AiUsage" }
+);
+
+AiUsageSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model("AiUsage", AiUsageSchema);
@@ -0,0 +1,72 @@
+const mongoose = require("mongoose");
+const Word = require("./Word");
+
+// A named list of words owned by one user. Membership is stored on the deck
+// (`words`) and never on the shared words, so a user's decks only change their
+// own documents; word queries filter by deck with { _id: { $in: deck.words } }.
+const DeckSchema = new mongoose.Schema(
+	{
+		owner: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			required: true,
+		},
+		name: {
+			type: String,
+			required: true,
+			trim: true,
+			maxlength: 60,
+		},
+		description: {
+			type: String,
+			trim: true,
+			maxlength: 500,
+		},
+		// Words in the deck. Words in the trash stay until they are purged, so a
+		// restored word is back in its decks.
+		words: [
+			{
+				type: mongoose.Schema.Types.ObjectId,
+				ref: "Word",
+			},
+		],
+	},
+	{ timestamps: true, collection: "Decks" }
+);
+
+DeckSchema.index(
+	{ owner: 1, name: 1 },
+	{ unique: true, collation: { locale: "en", strength: 2 } }
+);
+
+DeckSchema.index({ words: 1 });
+
+/**
+ * Moves the deck membership kept on the words (the former Word.decks) into
+ * the decks, and removes it and its index from the words.
+ * @returns {Promise<number>} The number of words that had decks.
+ */
+DeckSchema.statics.moveMembershipFromWords = async function () {
+	// Word.decks is no longer in the Word schema, so the collection is read
+	// directly
+	const words = Word.collection;
+	const members = await words
+		.find({ decks: { $exists: true } }, { projection: { decks: 1 } })
+		.toArray();
+
+	for (const { _id, decks } of members) {
+		if (decks && decks.length) {
+			await this.updateMany(
+				{ _id: { $in: decks } },
+				{ $addToSet: { words: _id } }
+			);
+		}
+		await words.updateOne({ _id }, { $unset: { decks: "" } });
+	}
+
+	const index = (await words.indexes()).find((i) => i.name === "decks_1");
+	if (index) await words.dropIndex(index.name);
+	return members.length;
+};
+
+module.exports = mongoose.model("Deck", DeckSchema);
@@ -0,0 +1,176 @@
+const mongoose = require("mongoose");
+
+const BatchSchema = new mongoose.Schema(
+	{
+		index: {
+			type: Number,
+			required: true,
+		},
+		words: [
+			{
+				type: mongoose.Schema.Types.ObjectId,
+				ref: "Word",
+			},
+		],
+		status: {
+			type: String,
+			enum: ["pending", "running", "succeeded", "failed", "cancelled"],
+			default: "pending",
+		},
+		attempts: {
+			type: Number,
+			default: 0,
+		},
+		error: {
+			type: String,
+		},
+		// AI provider that answered the batch
+		provider: {
+			type: String,
+		},
+		// Repairs that were needed to parse the AI response
+		repairs: [
+			{
+				type: String,
+			},
+		],
+		// Generated entries that failed validation
+		rejected: [
+			{
+				_id: false,
+				index: Number,
+				word: String,
+				reasons: [String],
+			},
+		],
+		started_at: {
+			type: Date,
+		},
+		finished_at: {
+			type: Date,
+		},
+	},
+	{ _id: false }
+);
+
+const ResultSchema = new mongoose.Schema(
+	{
+		word: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Word",
+		},
+		text: {
+			type: String,
+		},
+		batch: {
+			type: Number,
+		},
+		status: {
+			type: String,
+			enum: ["updated", "unchanged", "rejected", "failed"],
+		},
+		error: {
+			type: String,
+		},
+		// Generated fields that were not applied because the current value is better
+		kept_fields: [
+			{
+				_id: false,
+				field: String,
+				reason: String,
+			},
+		],
+	},
+	{ _id: false }
+);
+
+// A persisted AI enrichment run. The worker in utils/enrichmentWorker.js
+// processes one batch at a time, so a job survives restarts and serverless
+// invocations that end between batches.
+const EnrichmentJobSchema = new mongoose.Schema(
+	{
+		status: {
+			type: String,
+			enum: ["queued", "running", "completed", "failed", "cancelled"],
+			default: "queued",
+		},
+		// "missing": only words without mnemonic/breakdown, "all": every word
+		mode: {
+			type: String,
+			enum: ["missing", "all"],
+			default: "missing",
+		},
+		trigger: {
+			type: String,
+			enum: ["manual", "postWords", "import"],
+			default: "manual",
+		},
+		created_by: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+		},
+		batch_size: {
+			type: Number,
+		},
+		// The next batch is not picked up before this time (spaces out AI calls)
+		next_batch_at: {
+			type: Date,
+			default: Date.now,
+		},
+		batches: [BatchSchema],
+		results: [ResultSchema],
+		started_at: {
+			type: Date,
+		},
+		finished_at: {
+			type: Date,
+		},
+	},
+	{ timestamps: true, collection: "EnrichmentJobs" }
+);
+
+EnrichmentJobSchema.index({ status: 1, next_batch_at: 1 });
+
+// Progress summary shown by the status endpoints. Jobs are read as plain
+// documents (see utils/wordRepository.js), so these take the job.
+const getProgress = (job) => {
+	const count = (status) =>
+		job.batches.filter((batch) => batch.status === status).length;
+	const totalWords = job.batches.reduce(
+		(sum, batch) => sum + batch.words.length,
+		0
+	);
+	const countResults = (status) =>
+		job.results.filter((result) => result.status === status).length;
+
+	return {
+		totalBatches: job.batches.length,
+		pendingBatches: count("pending"),
+		runningBatches: count("running"),
+		succeededBatches: count("succeeded"),
+		failedBatches: count("failed"),
+		cancelledBatches: count("cancelled"),
+		totalWords,
+		updatedWords: countResults("updated"),
+		unchangedWords: countResults("unchanged"),
+		rejectedWords: countResults("rejected"),
+		failedWords: countResults("failed"),
+		percent: totalWords
+			? Math.round((job.results.length / totalWords) * 100)
+			: 100,
+	};
+};
+
+EnrichmentJobSchema.statics.toSummary = (job) => ({
+	id: job._id,
+	status: job.status,
+	mode: job.mode,
+	trigger: job.trigger,
+	batchSize: job.batch_size,
+	createdAt: job.createdAt,
+	startedAt: job.started_at,
+	finishedAt: job.finished_at,
+	progress: getProgress(job),
+});
+
+module.exports = mongoose.model("EnrichmentJob", EnrichmentJobSchema);
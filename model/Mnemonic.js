@@ -0,0 +1,81 @@
+const mongoose = require("mongoose");
+const { wordKey } = require("../utils/text");
+
+const SOURCES = [
+	"legacy", // the mnemonic a word had before it could have several
+	"ai",
+	"user",
+	"import",
+];
+
+// One of the competing mnemonics of a word, with its breakdown, where it came
+// from and what users think of it. The word's own mnemonic and breakdown show
+// the best of them (see utils/mnemonics.js).
+const MnemonicSchema = new mongoose.Schema(
+	{
+		word: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Word",
+			required: true,
+		},
+		mnemonic: {
+			type: String,
+			required: true,
+		},
+		// Lowercased, whitespace-normalized mnemonic, unique per word. Kept in
+		// sync with `mnemonic` on validation.
+		key: {
+			type: String,
+		},
+		breakdown: {
+			type: String,
+		},
+		source: {
+			type: String,
+			enum: SOURCES,
+			required: true,
+		},
+		// AI mnemonics: the provider that wrote it
+		provider: {
+			type: String,
+		},
+		author: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			default: null,
+		},
+		// Vote of each user by user id, 1 or -1
+		votes: {
+			type: Map,
+			of: Number,
+			default: {},
+		},
+		// Sum of the votes
+		score: {
+			type: Number,
+			default: 0,
+		},
+		// Reason of each user that reported the mnemonic, by user id
+		reports: {
+			type: Map,
+			of: String,
+			default: {},
+		},
+		report_count: {
+			type: Number,
+			default: 0,
+		},
+	},
+	{ timestamps: true, collection: "Mnemonics" }
+);
+
+MnemonicSchema.index({ word: 1, key: 1 }, { unique: true });
+
+MnemonicSchema.pre("validate", function (next) {
+	if (typeof this.mnemonic === "string") this.key = wordKey(this.mnemonic);
+	next();
+});
+
+MnemonicSchema.statics.SOURCES = SOURCES;
+
+module.exports = mongoose.model("Mnemonic", MnemonicSchema);
@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+
+// Study progress of one user on one word. Word content is shared between all
+// users, while counters and the review schedule are kept here per user.
+const ProgressSchema = new mongoose.Schema(
+	{
+		user: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			required: true,
+		},
+		word: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Word",
+			required: true,
+		},
+		no_of_times_opened: {
+			type: Number,
+			default: 5,
+		},
+		no_of_times_revised: {
+			type: Number,
+			default: 0,
+		},
+		// Spaced-repetition schedule (see utils/scheduler.js)
+		ease: {
+			type: Number,
+			default: 2.5,
+		},
+		interval: {
+			type: Number,
+			default: 0,
+		},
+		repetitions: {
+			type: Number,
+			default: 0,
+		},
+		lapses: {
+			type: Number,
+			default: 0,
+		},
+		due_date: {
+			type: Date,
+		},
+		last_reviewed_at: {
+			type: Date,
+		},
+		// Answers to quiz questions about this word
+		quiz_correct: {
+			type: Number,
+			default: 0,
+		},
+		quiz_incorrect: {
+			type: Number,
+			default: 0,
+		},
+	},
+	{ timestamps: true, collection: "Progress" }
+);
+
+ProgressSchema.index({ user: 1, word: 1 }, { unique: true });
+ProgressSchema.index({ user: 1, due_date: 1 });
+
+module.exports = mongoose.model("Progress", ProgressSchema);
@@ -0,0 +1,104 @@
+const mongoose = require("mongoose");
+
+// Unsubmitted quizzes are removed after this long
+const QUIZ_TTL_DAYS = 7;
+
+const QuestionSchema = new mongoose.Schema({
+	type: {
+		type: String,
+		enum: [
+			"word_to_meaning",
+			"meaning_to_word",
+			"synonym",
+			"antonym",
+			"example_fit",
+		],
+		required: true,
+	},
+	// The word the question is about
+	word: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: "Word",
+		required: true,
+	},
+	prompt: {
+		type: String,
+		required: true,
+	},
+	choices: [
+		{
+			type: String,
+		},
+	],
+	// The answer key, never sent to the client before the quiz is submitted
+	answer_index: {
+		type: Number,
+		required: true,
+	},
+	chosen_index: {
+		type: Number,
+	},
+	correct: {
+		type: Boolean,
+	},
+});
+
+const QuizSchema = new mongoose.Schema(
+	{
+		user: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			required: true,
+		},
+		status: {
+			type: String,
+			enum: ["open", "submitted"],
+			default: "open",
+		},
+		questions: [QuestionSchema],
+		score: {
+			type: Number,
+		},
+		submitted_at: {
+			type: Date,
+		},
+		expires_at: {
+			type: Date,
+			default: () => new Date(Date.now() + QUIZ_TTL_DAYS * 24 * 60 * 60 * 1000),
+		},
+	},
+	{ timestamps: true, collection: "Quizzes" }
+);
+
+QuizSchema.index({ user: 1, createdAt: -1 });
+QuizSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// Client view of a quiz, read as a plain document; the answer key is only
+// included once submitted
+QuizSchema.statics.toClient = (quiz) => {
+	const submitted = quiz.status === "submitted";
+
+	return {
+		id: quiz._id,
+		status: quiz.status,
+		createdAt: quiz.createdAt,
+		expiresAt: submitted ? null : quiz.expires_at,
+		submittedAt: quiz.submitted_at,
+		score: quiz.score,
+		total: quiz.questions.length,
+		questions: quiz.questions.map((question) => ({
+			id: question._id,
+			type: question.type,
+			prompt: question.prompt,
+			choices: question.choices,
+			...(submitted && {
+				wordId: question.word,
+				answerIndex: question.answer_index,
+				chosenIndex: question.chosen_index,
+				correct: question.correct,
+			}),
+		})),
+	};
+};
+
+module.exports = mongoose.model("Quiz", QuizSchema);
@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// Counters and locks of the "mongo" rate limit store (utils/rateLimitStore.js),
+// shared by every server instance. Entries are removed by Mongo once their
+// window is over.
+const RateLimitSchema = new mongoose.Schema(
+	{
+		key: {
+			type: String,
+			required: true,
+			unique: true,
+		},
+		count: {
+			type: Number,
+			default: 0,
+		},
+		value: {
+			type: mongoose.Schema.Types.Mixed,
+		},
+		reset_at: {
+			type: Date,
+			required: true,
+		},
+	},
+	{ collection: "RateLimits" }
+);
+
+RateLimitSchema.index({ reset_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RateLimit", RateLimitSchema);
@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+// Denylist of token ids (jti) that were revoked before they expired.
+// Entries are removed by Mongo once the token would have expired anyway.
+const RevokedTokenSchema = new mongoose.Schema(
+	{
+		jti: {
+			type: String,
+			required: true,
+			unique: true,
+		},
+		type: {
+			type: String,
+			enum: ["access", "refresh"],
+		},
+		expiresAt: {
+			type: Date,
+			required: true,
+		},
+	},
+	{ timestamps: true, collection: "RevokedTokens" }
+);
+
+RevokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RevokedToken", RevokedTokenSchema);
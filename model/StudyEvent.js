@@ -0,0 +1,117 @@
+const mongoose = require("mongoose");
+
+const EVENT_TYPES = ["open", "revision", "quiz_answer", "undo"];
+
+// One entry of the append-only study log. Every open, revision, quiz answer
+// and counter undo of a user is recorded here; the counters in Progress are a
+// running total of the `counters` deltas of these events.
+const StudyEventSchema = new mongoose.Schema(
+	{
+		user: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			required: true,
+		},
+		word: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Word",
+			required: true,
+		},
+		// Session that was active when the event happened, if any
+		session: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "StudySession",
+			default: null,
+		},
+		type: {
+			type: String,
+			enum: EVENT_TYPES,
+			required: true,
+		},
+		// Recall grade of revisions and quiz answers
+		grade: {
+			type: String,
+			enum: ["again", "hard", "good", "easy"],
+		},
+		// Quiz answers only
+		quiz: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Quiz",
+		},
+		correct: {
+			type: Boolean,
+		},
+		// Undo events: the type of event that was taken back
+		undoes: {
+			type: String,
+			enum: EVENT_TYPES,
+		},
+		// Undo events: the event that was taken back, if it is known (older
+		// undos only decreased the open count)
+		reverts: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "StudyEvent",
+		},
+		// Revisions and quiz answers: the review schedule before the event, so
+		// an undo can restore it
+		schedule_before: {
+			type: mongoose.Schema.Types.Mixed,
+		},
+		// Idempotency key the client sent with the event, a retry with the same
+		// key is not recorded again
+		key: {
+			type: String,
+		},
+		// How the event changed the progress counters, e.g. { no_of_times_opened: 1 }
+		counters: {
+			type: Map,
+			of: Number,
+			default: {},
+		},
+		at: {
+			type: Date,
+			default: Date.now,
+		},
+	},
+	{ collection: "StudyEvents" }
+);
+
+StudyEventSchema.index({ user: 1, word: 1, at: -1 });
+StudyEventSchema.index({ user: 1, at: -1 });
+StudyEventSchema.index({ session: 1, at: 1 });
+StudyEventSchema.index(
+	{ user: 1, key: 1 },
+	{ unique: true, partialFilterExpression: { key: { $type: "string" } } }
+);
+// An event can only be taken back once
+StudyEventSchema.index(
+	{ reverts: 1 },
+	{ unique: true, partialFilterExpression: { reverts: { $type: "objectId" } } }
+);
+
+// The log is append-only: events are never changed or removed, except when
+// the trash is purged (utils/trash.js), which removes the log of the purged
+// words with deleteMany(filter, { purge: true })
+const appendOnly = function (next) {
+	next(new Error("Study events are append-only"));
+};
+StudyEventSchema.pre(
+	[
+		"updateOne",
+		"updateMany",
+		"findOneAndUpdate",
+		"replaceOne",
+		"findOneAndReplace",
+		"deleteOne",
+		"findOneAndDelete",
+	],
+	appendOnly
+);
+StudyEventSchema.pre("deleteMany", function (next) {
+	if (this.getOptions().purge === true) return next();
+	appendOnly(next);
+});
+
+StudyEventSchema.statics.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = mongoose.model("StudyEvent", StudyEventSchema);
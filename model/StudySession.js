@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+// A stretch of study time of one user. Study events recorded while a session
+// is open are linked to it (see utils/studyLog.js).
+const StudySessionSchema = new mongoose.Schema(
+	{
+		user: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			required: true,
+		},
+		started_at: {
+			type: Date,
+			default: Date.now,
+		},
+		// null while the session is open
+		ended_at: {
+			type: Date,
+			default: null,
+		},
+		last_event_at: {
+			type: Date,
+			default: null,
+		},
+	},
+	{ timestamps: true, collection: "StudySessions" }
+);
+
+StudySessionSchema.index({ user: 1, started_at: -1 });
+StudySessionSchema.index({ user: 1, ended_at: 1 });
+
+module.exports = mongoose.model("StudySession", StudySessionSchema);
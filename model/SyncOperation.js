@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+// Operations sent by sync clients are remembered for this long, a retry of
+// an operation within that time is answered with its stored result instead
+// of being applied twice
+const SYNC_OPERATION_RETENTION_DAYS =
+	parseInt(process.env.SYNC_OPERATION_RETENTION_DAYS) || 30;
+
+// One client operation applied through POST /sync, keyed by the idempotency
+// key the client gave it
+const SyncOperationSchema = new mongoose.Schema(
+	{
+		user: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			required: true,
+		},
+		key: {
+			type: String,
+			required: true,
+		},
+		type: {
+			type: String,
+			required: true,
+		},
+		// "pending" while the operation is being applied
+		status: {
+			type: String,
+			enum: ["pending", "done"],
+			default: "pending",
+		},
+		// When the request applying it claimed the operation. A claim that is
+		// still pending after a lease (see utils/sync.js) was left behind by a
+		// request that died, and a retry takes it over.
+		claimed_at: {
+			type: Date,
+			default: Date.now,
+		},
+		result: {
+			type: mongoose.Schema.Types.Mixed,
+			default: null,
+		},
+	},
+	{ timestamps: true, collection: "SyncOperations" }
+);
+
+SyncOperationSchema.index({ user: 1, key: 1 }, { unique: true });
+SyncOperationSchema.index(
+	{ createdAt: 1 },
+	{ expireAfterSeconds: SYNC_OPERATION_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model("SyncOperation", SyncOperationSchema);
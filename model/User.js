@@ -0,0 +1,87 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+// Learners study the shared words; editors may also change them
+const ROLES = ["learner", "editor"];
+
+const UserSchema = new mongoose.Schema(
+	{
+		username: {
+			type: String,
+			required: true,
+			unique: true,
+			lowercase: true,
+			trim: true,
+			minlength: 3,
+			maxlength: 32,
+			match: /^[a-z0-9_.-]+$/,
+		},
+		password_hash: {
+			type: String,
+			required: true,
+		},
+		role: {
+			type: String,
+			enum: ROLES,
+			default: "learner",
+		},
+	},
+	{ timestamps: true, collection: "Users" }
+);
+
+// Passwords are stored as "<salt>:<scrypt hash>", both hex encoded. Accounts
+// are read as plain documents (see utils/wordRepository.js), so these helpers
+// take the user rather than being document methods.
+const hashPassword = (password) => {
+	const salt = crypto.randomBytes(16).toString("hex");
+	const hash = crypto.scryptSync(password, salt, 64).toString("hex");
+	return `${salt}:${hash}`;
+};
+UserSchema.statics.hashPassword = hashPassword;
+
+const matchesHash = (passwordHash, password) => {
+	const [salt, hash] = passwordHash.split(":");
+	const expected = Buffer.from(hash, "hex");
+	const actual = crypto.scryptSync(password, salt, expected.length);
+	return crypto.timingSafeEqual(actual, expected);
+};
+
+// Checked instead when there is no account, so a login for an unknown
+// username takes as long as one with a wrong password
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString("hex"));
+
+// `user` may be null: the password is then checked against a dummy hash and
+// never matches
+UserSchema.statics.verifyPassword = (user, password) => {
+	if (typeof password !== "string") return false;
+	if (!user || !user.password_hash) {
+		matchesHash(DUMMY_HASH, password);
+		return false;
+	}
+	return matchesHash(user.password_hash, password);
+};
+
+// The account as sent to clients, without the password hash
+UserSchema.statics.toClient = ({ password_hash, __v, ...user }) => user;
+
+// Accounts created before roles existed are all learners; the oldest one, the
+// owner of the server, becomes an editor unless there already is one
+UserSchema.statics.promoteOwner = async function () {
+	if (await this.exists({ role: "editor" })) return null;
+	const owner = await this.findOne().sort({ createdAt: 1, _id: 1 });
+	if (!owner) return null;
+	owner.role = "editor";
+	await owner.save();
+	return owner;
+};
+
+UserSchema.statics.ROLES = ROLES;
+
+UserSchema.set("toJSON", {
+	transform: (doc, ret) => {
+		delete ret.password_hash;
+		return ret;
+	},
+});
+
+module.exports = mongoose.model("User", UserSchema);
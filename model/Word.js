@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { wordKey } = require("../utils/text");
 
 const WordSchema = new mongoose.Schema(
 	{
@@ -6,6 +7,11 @@ const WordSchema = new mongoose.Schema(
 			type: String,
 			required: true,
 		},
+		// Lowercased, whitespace-normalized word, unique across all words
+		// (including the trash). Kept in sync with `word` on validation.
+		word_key: {
+			type: String,
+		},
 		pronunciation: {
 			type: String,
 		},
@@ -35,22 +41,116 @@ const WordSchema = new mongoose.Schema(
 		relate_with: {
 			type: String,
 		},
+		// The preferred or best rated of the word's mnemonics (see
+		// model/Mnemonic.js), kept in sync by utils/mnemonics.js
 		mnemonic: {
 			type: String,
 		},
 		breakdown: {
 			type: String,
 		},
-		no_of_times_opened: {
-			type: Number,
-			default: 5,
+		// Mnemonic picked to show whatever the votes, null to show the best rated
+		preferred_mnemonic: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Mnemonic",
+			default: null,
 		},
-		no_of_times_revised: {
-			type: Number,
-			default: 0,
+		// Free-form labels, stored lowercased
+		tags: [
+			{
+				type: String,
+			},
+		],
+		// Set when the word is moved to the trash, null while it is active
+		deleted_at: {
+			type: Date,
+			default: null,
 		},
 	},
 	{ timestamps: true, collection: "Words" }
 );
 
+// Words stored before word_key existed have none until backfillWordKeys runs,
+// the partial filter keeps them out of the unique index meanwhile
+WordSchema.index(
+	{ word_key: 1 },
+	{ unique: true, partialFilterExpression: { word_key: { $type: "string" } } }
+);
+WordSchema.index({ tags: 1 });
+
+// Trashed words are purged with their progress, study log, versions and
+// mnemonics once they have been in the trash for TRASH_RETENTION_DAYS (see
+// utils/trash.js)
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+WordSchema.index({ deleted_at: 1 });
+
+WordSchema.pre("validate", function (next) {
+	if (typeof this.word === "string") this.word_key = wordKey(this.word);
+	next();
+});
+
+// Updates that rename a word keep its key in sync as well
+WordSchema.pre("findOneAndUpdate", function (next) {
+	const update = this.getUpdate() || {};
+	const word = update.$set ? update.$set.word : update.word;
+	if (typeof word === "string") this.set({ word_key: wordKey(word) });
+	next();
+});
+
+/**
+ * Sets word_key on words stored before it existed. Words whose key is taken
+ * by another word are left without one and logged, so the duplicates can be
+ * merged by hand.
+ * @returns {Promise<{updated: number, conflicts: string[]}>}
+ */
+WordSchema.statics.backfillWordKeys = async function () {
+	const words = await this.find({ word_key: { $exists: false } })
+		.select("word")
+		.lean();
+	const conflicts = [];
+	let updated = 0;
+
+	for (const word of words) {
+		try {
+			await this.updateOne(
+				{ _id: word._id },
+				{ $set: { word_key: wordKey(word.word) } }
+			);
+			updated++;
+		} catch (error) {
+			if (error.code !== 11000) throw error;
+			conflicts.push(word.word);
+		}
+	}
+
+	if (conflicts.length) {
+		console.warn(
+			"Words sharing a normalized spelling with another word: " +
+				conflicts.join(", ")
+		);
+	}
+	return { updated, conflicts };
+};
+
+/**
+ * Drops the TTL index that used to purge the trash. Mongo removed the words
+ * alone, so their progress and history stayed behind, and a changed
+ * TRASH_RETENTION_DAYS never applied. The plain index takes its place.
+ * @returns {Promise<boolean>} Whether there was one to drop.
+ */
+WordSchema.statics.dropTrashTtlIndex = async function () {
+	const ttl = (await this.collection.indexes()).find(
+		(index) =>
+			index.key.deleted_at === 1 && index.expireAfterSeconds !== undefined
+	);
+	if (!ttl) return false;
+
+	await this.collection.dropIndex(ttl.name);
+	await this.createIndexes();
+	return true;
+};
+
+WordSchema.statics.TRASH_RETENTION_DAYS = TRASH_RETENTION_DAYS;
+
 module.exports = mongoose.model("Word", WordSchema);
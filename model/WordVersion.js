@@ -0,0 +1,70 @@
+const mongoose = require("mongoose");
+
+const SOURCES = [
+	"original", // content from before versioning, saved on its first change
+	"create",
+	"import",
+	"manual",
+	"merge",
+	"ai",
+	"revert",
+];
+
+// One version of a word's content: a full snapshot of the versioned fields
+// after a change, with who or what made it.
+const WordVersionSchema = new mongoose.Schema(
+	{
+		word: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Word",
+			required: true,
+		},
+		// 1, 2, 3... per word
+		version: {
+			type: Number,
+			required: true,
+		},
+		source: {
+			type: String,
+			enum: SOURCES,
+			required: true,
+		},
+		author: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			default: null,
+		},
+		// AI changes: provider and enrichment job that produced them
+		provider: {
+			type: String,
+		},
+		job: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "EnrichmentJob",
+		},
+		// Reverts: the version that was restored
+		reverted_to: {
+			type: Number,
+		},
+		changed_fields: [
+			{
+				type: String,
+			},
+		],
+		content: {
+			type: mongoose.Schema.Types.Mixed,
+			required: true,
+		},
+	},
+	{
+		timestamps: { createdAt: true, updatedAt: false },
+		collection: "WordVersions",
+	}
+);
+
+WordVersionSchema.index({ word: 1, version: -1 }, { unique: true });
+WordVersionSchema.index({ job: 1 }, { sparse: true });
+
+WordVersionSchema.statics.SOURCES = SOURCES;
+
+module.exports = mongoose.model("WordVersion", WordVersionSchema);
@@ -0,0 +1,79 @@
+const express = require("express");
+const { requireAuth } = require("../middleware/auth");
+const { getRepository } = require("../utils/wordRepository");
+const { getProviderChain } = require("../ai");
+
+const router = express.Router();
+
+// 🔌 GET: Configured AI providers, in the order they are tried
+router.get("/ai/providers", requireAuth("read"), (req, res) => {
+	try {
+		const providers = getProviderChain().map((provider, index) => ({
+			name: provider.name,
+			role: index === 0 ? "primary" : "fallback",
+			configured: provider.isConfigured(),
+		}));
+
+		res.status(200).json({
+			success: true,
+			message: "AI providers fetched successfully",
+			data: { providers },
+		});
+	} catch (error) {
+		console.error("Error fetching AI providers:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to fetch AI providers",
+			error: error.message,
+		});
+	}
+});
+
+// 🧾 GET: Token usage per provider and model over the last ?days (default 30)
+router.get("/ai/usage", requireAuth("read"), async (req, res) => {
+	try {
+		const days = Math.min(parseInt(req.query.days) || 30, 365);
+		const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+		const usage = await getRepository().aiUsage.aggregate([
+			{ $match: { createdAt: { $gte: since } } },
+			{
+				$group: {
+					_id: { provider: "$provider", model: "$model" },
+					calls: { $sum: 1 },
+					failedCalls: { $sum: { $cond: ["$success", 0, 1] } },
+					inputTokens: { $sum: "$input_tokens" },
+					outputTokens: { $sum: "$output_tokens" },
+					totalTokens: { $sum: "$total_tokens" },
+				},
+			},
+			{
+				$project: {
+					_id: 0,
+					provider: "$_id.provider",
+					model: "$_id.model",
+					calls: 1,
+					failedCalls: 1,
+					inputTokens: 1,
+					outputTokens: 1,
+					totalTokens: 1,
+				},
+			},
+			{ $sort: { provider: 1, model: 1 } },
+		]);
+
+		res.status(200).json({
+			success: true,
+			message: "AI usage fetched successfully",
+			data: { days, since, usage },
+		});
+	} catch (error) {
+		console.error("Error fetching AI usage:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to fetch AI usage",
+		});
+	}
+});
+
+module.exports = router;
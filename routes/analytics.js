@@ -0,0 +1,92 @@
+const express = require("express");
+const { requireAuth } = require("../middleware/auth");
+const {
+	isValidTimeZone,
+	wordsAdded,
+	revisionsPerDay,
+	streaks,
+	countDistribution,
+	hardestWords,
+	dailyGoal,
+} = require("../utils/analytics");
+
+const router = express.Router();
+
+const DEFAULT_DAILY_GOAL = parseInt(process.env.DAILY_GOAL) || 20;
+
+// Reads an integer query parameter, null when it is out of range
+const readInt = (value, fallback, min, max) => {
+	if (value === undefined) return fallback;
+	const number = parseInt(value);
+	return number >= min && number <= max ? number : null;
+};
+
+// 📊 GET: Dashboard numbers of the logged in user
+// ?tz=Europe/Berlin&days=30&weeks=12&goal=20&hardest=10
+router.get("/analytics", requireAuth("read"), async (req, res) => {
+	try {
+		const timeZone = req.query.tz || "UTC";
+		const days = readInt(req.query.days, 30, 1, 365);
+		const weeks = readInt(req.query.weeks, 12, 1, 104);
+		const goal = readInt(req.query.goal, DEFAULT_DAILY_GOAL, 1, 1000);
+		const hardest = readInt(req.query.hardest, 10, 1, 50);
+
+		if (!isValidTimeZone(timeZone)) {
+			return res.status(400).json({
+				success: false,
+				message: "Invalid time zone: " + timeZone,
+			});
+		}
+
+		if ([days, weeks, goal, hardest].includes(null)) {
+			return res.status(400).json({
+				success: false,
+				message:
+					"days must be 1-365, weeks 1-104, goal 1-1000 and hardest 1-50",
+			});
+		}
+
+		const userId = req.auth.sub;
+		const now = new Date();
+		const [
+			addedPerDay,
+			addedPerWeek,
+			revisions,
+			streak,
+			distribution,
+			hardestThisMonth,
+			today,
+		] = await Promise.all([
+			wordsAdded({ unit: "day", length: days, timeZone, now }),
+			wordsAdded({ unit: "week", length: weeks, timeZone, now }),
+			revisionsPerDay(userId, { days, timeZone, now }),
+			streaks(userId, { timeZone, now }),
+			countDistribution(userId),
+			hardestWords(userId, { limit: hardest, timeZone, now }),
+			dailyGoal(userId, { goal, timeZone, now }),
+		]);
+
+		res.status(200).json({
+			success: true,
+			message: "Analytics fetched successfully",
+			data: {
+				timeZone,
+				generatedAt: now,
+				wordsAdded: { perDay: addedPerDay, perWeek: addedPerWeek },
+				revisionsPerDay: revisions,
+				streak,
+				distribution,
+				hardestThisMonth,
+				dailyGoal: today,
+			},
+		});
+	} catch (error) {
+		console.error("Error fetching analytics:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to fetch analytics",
+		});
+	}
+});
+
+module.exports = router;
@@ -0,0 +1,303 @@
+const express = require("express");
+const User = require("../model/User");
+const {
+	scopesFor,
+	issueTokens,
+	verifyToken,
+	revokeToken,
+	claimToken,
+} = require("../utils/tokens");
+const { requireAuth, getBearerToken } = require("../middleware/auth");
+const { getRepository } = require("../utils/wordRepository");
+const { rateLimit, secondsUntil } = require("../middleware/rateLimit");
+const {
+	getLoginLock,
+	recordLoginFailure,
+	clearLoginFailures,
+} = require("../utils/loginLockout");
+
+const router = express.Router();
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const sessionClaims = (user) => ({
+	sub: user._id.toString(),
+	username: user.username,
+	scope: scopesFor(user.role),
+});
+
+// The editor registering an account for someone else, null when the request
+// carries no token. Throws a token error for a bad one.
+const getInviter = async (req) => {
+	const token = getBearerToken(req);
+	if (!token) return null;
+	const payload = await verifyToken(token, "access");
+	return (payload.scope || []).includes("edit") ? payload : null;
+};
+
+// 🆕 POST: Register a new user account { username, password, role? }
+// Registration is closed unless REGISTRATION_OPEN is "true". The first account
+// of a server can always be registered and becomes an editor; after that an
+// editor registers accounts with their token and may pick the role. Anyone
+// else gets a learner account, only while registration is open.
+router.post("/auth/register", async (req, res) => {
+	try {
+		let inviter;
+		try {
+			inviter = await getInviter(req);
+		} catch (error) {
+			if (!error.code) throw error;
+			return res
+				.status(401)
+				.json({ success: false, code: error.code, message: error.message });
+		}
+
+		const { users } = getRepository();
+		const firstAccount = !(await users.count({}));
+		if (!inviter && !firstAccount && process.env.REGISTRATION_OPEN !== "true") {
+			return res.status(403).json({
+				success: false,
+				code: "REGISTRATION_CLOSED",
+				message: "Registration is closed on this server",
+			});
+		}
+
+		const { username, password, role = "learner" } = req.body;
+
+		if (typeof username !== "string" || typeof password !== "string") {
+			return res.status(400).json({
+				success: false,
+				message: "Username and password are required",
+			});
+		}
+
+		if (password.length < MIN_PASSWORD_LENGTH) {
+			return res.status(400).json({
+				success: false,
+				message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+			});
+		}
+
+		if (!User.ROLES.includes(role)) {
+			return res.status(400).json({
+				success: false,
+				message: "Role must be one of " + User.ROLES.join(", "),
+			});
+		}
+
+		if (role !== "learner" && !inviter) {
+			return res.status(403).json({
+				success: false,
+				message: "Only an editor can pick the role of a new account",
+			});
+		}
+
+		let user = await users.insertOne({
+			username,
+			role: firstAccount ? "editor" : role,
+			password_hash: User.hashPassword(password),
+		});
+
+		// Of two first accounts registered at once, only the older one stays
+		// an editor
+		if (firstAccount) {
+			const owner = await users.findOne(
+				{},
+				{ sort: { createdAt: 1, _id: 1 }, select: "_id" }
+			);
+			if (!owner._id.equals(user._id)) {
+				user = await users.updateOne({ _id: user._id }, { $set: { role } });
+			}
+		}
+
+		res.status(201).json({
+			success: true,
+			message: "User registered successfully",
+			data: { user: User.toClient(user), ...issueTokens(sessionClaims(user)) },
+		});
+	} catch (error) {
+		if (error.code === 11000) {
+			return res.status(409).json({
+				success: false,
+				message: "Username is already taken",
+			});
+		}
+
+		if (error.name === "ValidationError") {
+			return res.status(400).json({
+				success: false,
+				message:
+					"Username must be 3-32 characters of letters, digits, '.', '_' or '-'",
+			});
+		}
+
+		console.error("Error registering user:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to register user",
+		});
+	}
+});
+
+const lockedOut = (res, { lockedUntil }) => {
+	const seconds = secondsUntil(lockedUntil);
+	res.set("Retry-After", String(seconds));
+	return res.status(429).json({
+		success: false,
+		code: "LOGIN_LOCKED",
+		message: `Too many failed logins, try again in ${seconds} seconds`,
+		lockedUntil,
+	});
+};
+
+const login = async (req, res) => {
+	try {
+		const { username, password } = req.body;
+		const name =
+			typeof username === "string" ? username.toLowerCase().trim() : null;
+
+		const lock = await getLoginLock(name, req.ip);
+		if (lock) return lockedOut(res, lock);
+
+		const user = name
+			? await getRepository().users.findOne({ username: name })
+			: null;
+
+		if (!User.verifyPassword(user, password)) {
+			console.warn(`Failed login for "${name}" from ${req.ip}`);
+			const newLock = await recordLoginFailure(name, req.ip);
+			if (newLock) return lockedOut(res, newLock);
+
+			return res
+				.status(401)
+				.json({ message: "Username or password is incorrect" });
+		}
+
+		await clearLoginFailures(name);
+
+		const tokens = issueTokens(sessionClaims(user));
+
+		res.status(200).json({
+			message: "Password is correct",
+			token: tokens.accessToken,
+			user: User.toClient(user),
+			...tokens,
+		});
+	} catch (error) {
+		console.error(error);
+		res.status(500).json({
+			message: "Error while verifying password",
+			error: error.message,
+		});
+	}
+};
+
+//to check the password and log in
+router.post("/verifyPassword", rateLimit("login"), login);
+router.post("/auth/login", rateLimit("login"), login);
+
+// 🔄 POST: Exchange a refresh token for a new token pair (the old one is revoked)
+router.post("/auth/refresh", async (req, res) => {
+	try {
+		const { refreshToken } = req.body;
+
+		if (!refreshToken) {
+			return res.status(400).json({
+				success: false,
+				message: "Refresh token is required",
+			});
+		}
+
+		// Revoking is the claim: of two refreshes racing with the same token,
+		// only the one that revokes it gets new tokens
+		let payload;
+		try {
+			payload = await verifyToken(refreshToken, "refresh");
+			await claimToken(payload);
+		} catch (error) {
+			if (!error.code) throw error;
+			return res
+				.status(401)
+				.json({ success: false, code: error.code, message: error.message });
+		}
+
+		// Scopes follow the current role of the account, not the old token
+		const user = await getRepository().users.findOne({ _id: payload.sub });
+		if (!user) {
+			return res.status(401).json({
+				success: false,
+				code: "USER_NOT_FOUND",
+				message: "The account of this token no longer exists",
+			});
+		}
+		const tokens = issueTokens(sessionClaims(user));
+
+		res.status(200).json({
+			success: true,
+			message: "Token refreshed successfully",
+			data: tokens,
+		});
+	} catch (error) {
+		console.error("Error refreshing token:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to refresh token",
+		});
+	}
+});
+
+// 🚪 POST: Revoke the current access token and, if given, its refresh token
+router.post("/auth/logout", requireAuth("read"), async (req, res) => {
+	try {
+		await revokeToken(req.auth);
+
+		const { refreshToken } = req.body || {};
+		if (refreshToken) {
+			try {
+				await revokeToken(await verifyToken(refreshToken, "refresh"));
+			} catch (error) {
+				// An expired or already revoked refresh token needs no revoking
+				if (!error.code) throw error;
+			}
+		}
+
+		res.status(200).json({
+			success: true,
+			message: "Logged out successfully",
+		});
+	} catch (error) {
+		console.error("Error logging out:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to log out",
+		});
+	}
+});
+
+// 👤 GET: The account behind the current token
+router.get("/auth/me", requireAuth("read"), async (req, res) => {
+	try {
+		const user = await getRepository().users.findOne({ _id: req.auth.sub });
+
+		if (!user) {
+			return res.status(404).json({
+				success: false,
+				message: "User not found",
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			message: "User fetched successfully",
+			data: { user: User.toClient(user) },
+		});
+	} catch (error) {
+		console.error("Error fetching user:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to fetch user",
+		});
+	}
+});
+
+module.exports = router;
@@ -0,0 +1,626 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const { requireAuth, readAccess, getUserId } = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
+const { idempotencyKey } = require("../middleware/idempotencyKey");
+const { enrichNewWords } = require("../utils/enrichmentWorker");
+const {
+	COUNTER_ERRORS,
+	recordEvent,
+	decreaseCounter,
+} = require("../utils/studyLog");
+const { buildScopeFilter } = require("../utils/wordScope");
+const {
+	classifyNewWords,
+	foldRepeats,
+	insertNewWords,
+	mergeIntoStored,
+} = require("../utils/wordIntake");
+const { CONFLICT_POLICIES } = require("../utils/wordMerge");
+const { getRepository } = require("../utils/wordRepository");
+const { wordKey } = require("../utils/text");
+
+// The first endpoints of the API, kept at their original paths for the
+// clients that use them
+
+const router = express.Router();
+
+const MAX_WORDS_PER_POST = 500;
+
+const findActiveWord = (id) =>
+	getRepository().words.findOne(
+		{ _id: id, deleted_at: null },
+		{ select: "word" }
+	);
+
+// 1️⃣ POST: Add multiple words with duplicate check
+// body: { words: [...], mode: "skip" | "merge", onConflict: "keep" | "overwrite" | "report" }
+// In merge mode words that already exist gain the posted meanings, synonyms,
+// antonyms, tags and empty fields instead of being skipped, and a word posted
+// more than once is added or merged with the content of every entry.
+router.post(
+	"/postWords",
+	requireAuth("edit"),
+	rateLimit("postWords"),
+	async (req, res) => {
+		try {
+			const {
+				words, // expect array of word objects
+				mode = "skip",
+				onConflict = "keep",
+			} = req.body || {};
+
+			if (!Array.isArray(words) || words.length === 0) {
+				return res
+					.status(400)
+					.json({ message: "Please provide an array of words." });
+			}
+
+			if (!["skip", "merge"].includes(mode)) {
+				return res
+					.status(400)
+					.json({ message: "Invalid mode. Supported modes: skip, merge" });
+			}
+
+			if (!CONFLICT_POLICIES.includes(onConflict)) {
+				return res.status(400).json({
+					message:
+						"Invalid onConflict. Supported policies: " +
+						CONFLICT_POLICIES.join(", "),
+				});
+			}
+
+			if (words.length > MAX_WORDS_PER_POST) {
+				return res.status(413).json({
+					message: `At most ${MAX_WORDS_PER_POST} words can be added at once.`,
+				});
+			}
+
+			// Every item is validated and normalized on its own, duplicates are
+			// checked case-insensitively against the payload and the database
+			const classified = await classifyNewWords(words);
+			const { results, folds } =
+				mode === "merge"
+					? foldRepeats(classified, onConflict)
+					: { results: classified, folds: new Map() };
+			const { inserted: savedWords, raced } = await insertNewWords(
+				results.filter((r) => r.status === "new").map((r) => r.value),
+				{ source: "create", author: req.auth.sub }
+			);
+			const merges =
+				mode === "merge"
+					? await mergeIntoStored(results, onConflict, req.auth.sub)
+					: new Map();
+
+			const report = results.map(({ word, status, reasons, value }, index) => {
+				if (status === "invalid") {
+					return { index, word, status: "rejected", reasons };
+				}
+				if (merges.has(index)) {
+					return { index, word, ...merges.get(index) };
+				}
+				if (
+					(status === "duplicate" && !folds.has(index)) ||
+					raced.has(wordKey(value.word))
+				) {
+					return {
+						index,
+						word,
+						status: "duplicate",
+						reasons: reasons.length ? reasons : ["already exists"],
+					};
+				}
+				if (status === "duplicate") return null;
+				return { index, word: value.word, status: "added", reasons };
+			});
+			// A repeat shares the fate of the entry it was folded into
+			for (const [index, fold] of folds) {
+				const { word, reasons } = results[index];
+				report[index] = ["added", "merged", "unchanged"].includes(
+					report[fold.into].status
+				)
+					? { index, word, ...fold }
+					: { index, word, status: "duplicate", reasons };
+			}
+			const summary = { total: report.length };
+			for (const status of [
+				"added",
+				"merged",
+				"unchanged",
+				"conflict",
+				"duplicate",
+				"rejected",
+			]) {
+				summary[status] = report.filter((r) => r.status === status).length;
+			}
+
+			if (savedWords.length === 0 && summary.merged === 0) {
+				return res.status(400).json({
+					message:
+						mode === "merge"
+							? "None of the provided words could be added or merged."
+							: "None of the provided words could be added.",
+					summary,
+					results: report,
+				});
+			}
+
+			// Queue AI enrichment of the new words that lack mnemonic/breakdown
+			const enrichmentJob = await enrichNewWords(
+				savedWords.map((w) => w._id),
+				"postWords",
+				req.auth.sub
+			);
+
+			res.status(savedWords.length ? 201 : 200).json({
+				message:
+					`${savedWords.length} words added successfully.` +
+					(mode === "merge" ? ` ${summary.merged} words merged.` : ""),
+				summary,
+				results: report,
+				addedWords: savedWords,
+				skippedWords: report
+					.filter((r) => r.status === "duplicate")
+					.map((r) => r.word),
+				enrichmentJob,
+			});
+		} catch (error) {
+			console.error(error);
+			res
+				.status(500)
+				.json({ message: "Failed to add words", error: error.message });
+		}
+	}
+);
+
+// 2️⃣ GET: Paginated words list (sorted by least opened first)
+router.get("/getWords", readAccess, async (req, res) => {
+	try {
+		const limit = parseInt(req.query.limit) || 10;
+		const page = parseInt(req.query.page) || 1;
+		const skip = (page - 1) * limit;
+
+		// Optional ?deck=<id> and ?tag=a,b filters
+		const scope = await buildScopeFilter(req.query, getUserId(req));
+		if (scope.error) {
+			return res
+				.status(scope.error.status)
+				.json({ message: scope.error.message });
+		}
+
+		// Words in the trash are hidden from every listing
+		const match = { deleted_at: null, ...scope.filter };
+		const repository = getRepository();
+		const totalCount = await repository.words.count(match);
+		const totalPages = Math.ceil(totalCount / limit);
+
+		// Counters of the logged in user
+		const words = await repository.findWithProgress(getUserId(req), {
+			match,
+			sort: {
+				createdAt: -1, // Descending - newest first
+				_id: -1, // Secondary sort for consistency
+			},
+			skip,
+			limit,
+		});
+
+		res.status(200).json({
+			totalCount,
+			totalPages,
+			currentPage: page,
+			words,
+		});
+	} catch (error) {
+		console.error(error);
+		res
+			.status(500)
+			.json({ message: "Failed to fetch words", error: error.message });
+	}
+});
+
+// 5️⃣ POST: Increase the count of no_of_times_opened (Simplified Atomic Version)
+// Send an Idempotency-Key header to make retries safe
+router.post(
+	"/increase_open_count",
+	requireAuth(),
+	rateLimit("counters"),
+	idempotencyKey,
+	async (req, res) => {
+		try {
+			const { id } = req.body;
+
+			// Validate input
+			if (!id) {
+				return res.status(400).json({
+					success: false,
+					message: "Word ID is required",
+				});
+			}
+
+			// Validate MongoDB ObjectId format
+			if (!mongoose.Types.ObjectId.isValid(id)) {
+				return res.status(400).json({
+					success: false,
+					message: "Invalid word ID format",
+				});
+			}
+
+			const word = await findActiveWord(id);
+
+			// Check if word was found
+			if (!word) {
+				return res.status(404).json({
+					success: false,
+					message: "Word not found",
+				});
+			}
+
+			// Counters are tracked per user in the study log, the word is shared
+			const { progress, replayed } = await recordEvent(req.auth.sub, id, {
+				type: "open",
+				key: req.idempotencyKey,
+			});
+
+			// Success response
+			res.status(200).json({
+				success: true,
+				message: "Open count increased successfully",
+				data: {
+					wordId: word._id,
+					word: word.word,
+					no_of_times_opened: progress.no_of_times_opened,
+					replayed: Boolean(replayed),
+				},
+			});
+		} catch (error) {
+			if (COUNTER_ERRORS.includes(error.code)) {
+				return res
+					.status(409)
+					.json({ success: false, code: error.code, message: error.message });
+			}
+
+			// Handle specific MongoDB errors
+			if (error.name === "CastError") {
+				return res.status(400).json({
+					success: false,
+					message: "Invalid word ID format",
+				});
+			}
+
+			// Generic server error
+			console.error("Error increasing open count:", error);
+			res.status(500).json({
+				success: false,
+				message: "Failed to increase open count",
+			});
+		}
+	}
+);
+
+// 5️⃣ POST: Decrease the count of no_of_times_opened (Simplified Atomic Version)
+// Takes back the latest open, never below zero
+router.post(
+	"/decrease_open_count",
+	requireAuth(),
+	rateLimit("counters"),
+	idempotencyKey,
+	async (req, res) => {
+		try {
+			const { id } = req.body;
+
+			// Validate input
+			if (!id) {
+				return res.status(400).json({
+					success: false,
+					message: "Word ID is required",
+				});
+			}
+
+			// Validate MongoDB ObjectId format
+			if (!mongoose.Types.ObjectId.isValid(id)) {
+				return res.status(400).json({
+					success: false,
+					message: "Invalid word ID format",
+				});
+			}
+
+			const word = await findActiveWord(id);
+
+			// Check if word was found
+			if (!word) {
+				return res.status(404).json({
+					success: false,
+					message: "Word not found",
+				});
+			}
+
+			// Logged as an undo of an open, the log itself is never rewritten
+			const { progress, replayed } = await decreaseCounter(
+				req.auth.sub,
+				id,
+				"open",
+				req.idempotencyKey
+			);
+
+			// Success response
+			res.status(200).json({
+				success: true,
+				message: "Open count decreased successfully",
+				data: {
+					wordId: word._id,
+					word: word.word,
+					no_of_times_opened: progress.no_of_times_opened,
+					replayed: Boolean(replayed),
+				},
+			});
+		} catch (error) {
+			if (COUNTER_ERRORS.includes(error.code)) {
+				return res
+					.status(409)
+					.json({ success: false, code: error.code, message: error.message });
+			}
+
+			// Handle specific MongoDB errors
+			if (error.name === "CastError") {
+				return res.status(400).json({
+					success: false,
+					message: "Invalid word ID format",
+				});
+			}
+
+			// Generic server error
+			console.error("Error decreasing open count:", error);
+			res.status(500).json({
+				success: false,
+				message: "Failed to decrease open count",
+			});
+		}
+	}
+);
+
+// 🔥 GET: Fetch words with different sorting options
+router.get("/getWordsByType", readAccess, async (req, res) => {
+	try {
+		const limit = parseInt(req.query.limit) || 20;
+		const page = parseInt(req.query.page) || 1;
+		const type = req.query.type || "normal"; // Default to normal
+		const skip = (page - 1) * limit;
+
+		// Validate pagination parameters
+		if (limit < 1 || limit > 100) {
+			return res.status(400).json({
+				success: false,
+				message: "Limit must be between 1 and 100",
+			});
+		}
+
+		if (page < 1) {
+			return res.status(400).json({
+				success: false,
+				message: "Page must be greater than 0",
+			});
+		}
+
+		// Optional ?deck=<id> and ?tag=a,b filters, every sort works within them
+		const scope = await buildScopeFilter(req.query, getUserId(req));
+		if (scope.error) {
+			return res.status(scope.error.status).json({
+				success: false,
+				message: scope.error.message,
+			});
+		}
+
+		// Words in the trash are hidden from every listing
+		const match = { deleted_at: null, ...scope.filter };
+		const repository = getRepository();
+		const totalCount = await repository.words.count(match);
+		const totalPages = Math.ceil(totalCount / limit);
+
+		let sortCriteria = {};
+		let description = "";
+
+		// Define sorting based on type
+		switch (type.toLowerCase()) {
+			case "least_revised":
+				// Among words revised as often, the schedule decides: due first,
+				// then the one seen longest ago (never reviewed before any)
+				sortCriteria = {
+					no_of_times_revised: 1, // Ascending - least revised first
+					due_date: 1, // Then earliest due
+					last_reviewed_at: 1, // Then least recently reviewed
+					_id: 1, // Secondary sort for consistency
+				};
+				description =
+					"Words sorted by least revised (ascending), then earliest due";
+				break;
+
+			case "most_difficult":
+				sortCriteria = {
+					no_of_times_opened: -1, // Descending - most opened first
+					_id: -1, // Secondary sort for consistency
+				};
+				description = "Words sorted by most difficult (most opened)";
+				break;
+
+			case "normal":
+				sortCriteria = {
+					due_date: 1, // Ascending - due for review first
+					no_of_times_revised: 1, // Then least revised
+					_id: 1, // Secondary sort for consistency
+				};
+				description = "Words sorted in review order (earliest due first)";
+				break;
+
+			case "most_revised":
+				sortCriteria = {
+					no_of_times_revised: -1, // Descending - most revised first
+					_id: -1, // Secondary sort for consistency
+				};
+				description = "Words sorted by most revised (descending)";
+				break;
+
+			case "least_opened":
+				sortCriteria = {
+					no_of_times_opened: 1, // Ascending - least opened first
+					_id: 1, // Secondary sort for consistency
+				};
+				description = "Words sorted by least opened (easiest words)";
+				break;
+
+			case "newest_first":
+				sortCriteria = {
+					createdAt: -1, // Descending - newest first
+					_id: -1, // Secondary sort for consistency
+				};
+				description = "Words sorted by newest first";
+				break;
+
+			case "oldest_first":
+				sortCriteria = {
+					createdAt: 1, // Ascending - oldest first
+					_id: 1, // Secondary sort for consistency
+				};
+				description = "Words sorted by oldest first";
+				break;
+
+			case "alphabetical":
+				sortCriteria = {
+					word: 1, // Ascending - A to Z
+					_id: 1, // Secondary sort for consistency
+				};
+				description = "Words sorted alphabetically (A to Z)";
+				break;
+
+			case "reverse_alphabetical":
+				sortCriteria = {
+					word: -1, // Descending - Z to A
+					_id: -1, // Secondary sort for consistency
+				};
+				description = "Words sorted reverse alphabetically (Z to A)";
+				break;
+
+			default:
+				return res.status(400).json({
+					success: false,
+					message:
+						"Invalid type. Supported types: least_revised, most_difficult, normal, most_revised, least_opened, newest_first, oldest_first, alphabetical, reverse_alphabetical",
+				});
+		}
+
+		// Fetch words with sorting
+		// Progress is merged in before sorting, so every sort runs on the
+		// counters and schedule of the logged in user
+		const words = await repository.findWithProgress(getUserId(req), {
+			match,
+			sort: sortCriteria,
+			skip,
+			limit,
+		});
+
+		res.status(200).json({
+			success: true,
+			message: "Words fetched successfully",
+			data: {
+				totalCount,
+				totalPages,
+				currentPage: page,
+				limit,
+				type,
+				description,
+				words,
+			},
+		});
+	} catch (error) {
+		console.error("Error fetching words by type:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to fetch words",
+			error: error.message,
+		});
+	}
+});
+
+// 📊 GET: Get available word sorting types (Helper endpoint)
+router.get("/getWordSortingTypes", (req, res) => {
+	try {
+		const sortingTypes = [
+			{
+				type: "least_revised",
+				description:
+					"Words sorted by least revised (ascending), then earliest due",
+				useCase: "Practice words you haven't revised much",
+			},
+			{
+				type: "most_difficult",
+				description: "Words sorted by most difficult (most opened)",
+				useCase: "Focus on challenging words you open frequently",
+			},
+			{
+				type: "normal",
+				description: "Words sorted in review order (earliest due first)",
+				useCase: "Default learning sequence, follows the review schedule",
+			},
+			{
+				type: "most_revised",
+				description: "Words sorted by most revised (descending)",
+				useCase: "Review words you've practiced the most",
+			},
+			{
+				type: "least_opened",
+				description: "Words sorted by least opened (easiest words)",
+				useCase: "Start with easier, less frequently accessed words",
+			},
+			{
+				type: "newest_first",
+				description: "Words sorted by newest first",
+				useCase: "Focus on recently added vocabulary",
+			},
+			{
+				type: "oldest_first",
+				description: "Words sorted by oldest first",
+				useCase: "Review foundational vocabulary",
+			},
+			{
+				type: "alphabetical",
+				description: "Words sorted alphabetically (A to Z)",
+				useCase: "Systematic alphabetical learning",
+			},
+			{
+				type: "reverse_alphabetical",
+				description: "Words sorted reverse alphabetically (Z to A)",
+				useCase: "Reverse alphabetical learning",
+			},
+		];
+
+		res.status(200).json({
+			success: true,
+			message: "Available word sorting types",
+			data: {
+				totalTypes: sortingTypes.length,
+				sortingTypes,
+			},
+		});
+	} catch (error) {
+		console.error("Error fetching sorting types:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to fetch sorting types",
+		});
+	}
+});
+
+// 4️⃣ (Optional) DELETE all words — useful for admin cleanup
+// router.delete("/words", async (req, res) => {
+// 	try {
+// 		await Word.deleteMany({});
+// 		res.json({ message: "All words deleted" });
+// 	} catch (error) {
+// 		console.error(error);
+// 		res
+// 			.status(500)
+// 			.json({ message: "Failed to delete words", error: error.message });
+// 	}
+// });
+
+module.exports = router;
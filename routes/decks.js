@@ -0,0 +1,386 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const { requireAuth } = require("../middleware/auth");
+const { getRepository } = require("../utils/wordRepository");
+
+const router = express.Router();
+
+// Words with an interval of at least this many days count as mastered
+const MASTERED_INTERVAL_DAYS = 21;
+
+const invalidId = (res) =>
+	res.status(400).json({
+		success: false,
+		message: "Invalid deck ID format",
+	});
+
+const notFound = (res) =>
+	res.status(404).json({
+		success: false,
+		message: "Deck not found",
+	});
+
+const findOwnDeck = (id, userId) =>
+	getRepository().decks.findOne({ _id: id, owner: userId });
+
+// Checks the name/description of a deck, every field is optional when partial
+const validateDeck = (body, { partial = false } = {}) => {
+	const errors = {};
+	const changes = {};
+
+	if (!body || typeof body !== "object" || Array.isArray(body)) {
+		return { changes, errors: { body: "must be an object" } };
+	}
+
+	if (body.name !== undefined || !partial) {
+		if (typeof body.name !== "string" || !body.name.trim()) {
+			errors.name = "is required";
+		} else if (body.name.trim().length > 60) {
+			errors.name = "must be at most 60 characters";
+		} else {
+			changes.name = body.name.trim();
+		}
+	}
+
+	if (body.description !== undefined) {
+		if (body.description !== null && typeof body.description !== "string") {
+			errors.description = "must be a string";
+		} else if ((body.description || "").length > 500) {
+			errors.description = "must be at most 500 characters";
+		} else {
+			changes.description = body.description || "";
+		}
+	}
+
+	return { changes, errors };
+};
+
+const invalidDeck = (res, errors) =>
+	res.status(400).json({
+		success: false,
+		message:
+			"Invalid deck: " +
+			Object.entries(errors)
+				.map(([field, error]) => `${field} ${error}`)
+				.join(", "),
+		errors,
+	});
+
+const duplicateName = (res) =>
+	res.status(409).json({
+		success: false,
+		message: "A deck with this name already exists",
+	});
+
+// Progress fields a deck summary is computed from
+const SUMMARY_FIELDS = {
+	due_date: 1,
+	no_of_times_revised: 1,
+	no_of_times_opened: 1,
+	interval: 1,
+	ease: 1,
+};
+
+/**
+ * Counts and study progress of the active words in each deck, for one user.
+ * @param {object[]} decks Decks with their `words`.
+ * @param {string} userId
+ * @returns {Promise<Map<string, object>>} Summary by deck id.
+ */
+const summarizeDecks = async (decks, userId) => {
+	const now = new Date();
+	const ids = new Map();
+	for (const deck of decks) {
+		for (const id of deck.words || []) ids.set(id.toString(), id);
+	}
+	const words = new Map(
+		(
+			await getRepository().findWithProgress(userId, {
+				match: { _id: { $in: [...ids.values()] }, deleted_at: null },
+				select: SUMMARY_FIELDS,
+			})
+		).map((word) => [word._id.toString(), word])
+	);
+
+	const summaries = new Map();
+	for (const deck of decks) {
+		const members = (deck.words || [])
+			.map((id) => words.get(id.toString()))
+			.filter(Boolean);
+		if (!members.length) continue;
+
+		const eases = members
+			.map((word) => word.ease)
+			.filter((ease) => typeof ease === "number");
+		const count = (test) => members.filter(test).length;
+		const sum = (field) =>
+			members.reduce((total, word) => total + (word[field] || 0), 0);
+
+		summaries.set(deck._id.toString(), {
+			total: members.length,
+			due: count((word) => word.due_date && word.due_date <= now),
+			neverReviewed: count((word) => word.no_of_times_revised === 0),
+			mastered: count((word) => word.interval >= MASTERED_INTERVAL_DAYS),
+			revisions: sum("no_of_times_revised"),
+			opens: sum("no_of_times_opened"),
+			averageEase: eases.length
+				? Math.round((eases.reduce((a, b) => a + b, 0) / eases.length) * 100) /
+				  100
+				: null,
+		});
+	}
+	return summaries;
+};
+
+const EMPTY_SUMMARY = {
+	total: 0,
+	due: 0,
+	neverReviewed: 0,
+	mastered: 0,
+	revisions: 0,
+	opens: 0,
+	averageEase: null,
+};
+
+// A deck as sent to clients, its words are listed with /getWords?deck=<id>
+const toClient = ({ words, ...deck }) => deck;
+
+const withSummary = (deck, summaries) => ({
+	...toClient(deck),
+	summary: summaries.get(deck._id.toString()) || EMPTY_SUMMARY,
+});
+
+// 🗂️ GET: Decks of the logged in user with their word counts and progress
+router.get("/decks", requireAuth("read"), async (req, res) => {
+	try {
+		const decks = await getRepository().decks.find(
+			{ owner: req.auth.sub },
+			{ sort: { name: 1 } }
+		);
+		const summaries = await summarizeDecks(decks, req.auth.sub);
+
+		res.status(200).json({
+			success: true,
+			message: "Decks fetched successfully",
+			data: { decks: decks.map((deck) => withSummary(deck, summaries)) },
+		});
+	} catch (error) {
+		console.error("Error fetching decks:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to fetch decks",
+		});
+	}
+});
+
+// 🆕 POST: Create a deck
+router.post("/decks", requireAuth(), async (req, res) => {
+	try {
+		const { changes, errors } = validateDeck(req.body);
+		if (Object.keys(errors).length) return invalidDeck(res, errors);
+
+		const deck = await getRepository().decks.insertOne({
+			...changes,
+			owner: req.auth.sub,
+		});
+
+		res.status(201).json({
+			success: true,
+			message: "Deck created successfully",
+			data: { deck: withSummary(deck, new Map()) },
+		});
+	} catch (error) {
+		if (error.code === 11000) return duplicateName(res);
+		console.error("Error creating deck:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to create deck",
+		});
+	}
+});
+
+// 🗂️ GET: One deck with its word counts and progress
+// (the words themselves are listed with /getWords?deck=<id>)
+router.get("/decks/:id", requireAuth("read"), async (req, res) => {
+	try {
+		const { id } = req.params;
+		if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res);
+
+		const deck = await findOwnDeck(id, req.auth.sub);
+		if (!deck) return notFound(res);
+
+		res.status(200).json({
+			success: true,
+			message: "Deck fetched successfully",
+			data: {
+				deck: withSummary(deck, await summarizeDecks([deck], req.auth.sub)),
+			},
+		});
+	} catch (error) {
+		console.error("Error fetching deck:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to fetch deck",
+		});
+	}
+});
+
+// 📊 GET: Progress summary of the words in a deck
+router.get("/decks/:id/summary", requireAuth("read"), async (req, res) => {
+	try {
+		const { id } = req.params;
+		if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res);
+
+		const deck = await findOwnDeck(id, req.auth.sub);
+		if (!deck) return notFound(res);
+
+		const summaries = await summarizeDecks([deck], req.auth.sub);
+
+		res.status(200).json({
+			success: true,
+			message: "Deck summary fetched successfully",
+			data: {
+				deckId: deck._id,
+				name: deck.name,
+				masteredIntervalDays: MASTERED_INTERVAL_DAYS,
+				...(summaries.get(deck._id.toString()) || EMPTY_SUMMARY),
+			},
+		});
+	} catch (error) {
+		console.error("Error fetching deck summary:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to fetch deck summary",
+		});
+	}
+});
+
+// ✏️ PATCH: Rename a deck or change its description
+router.patch("/decks/:id", requireAuth(), async (req, res) => {
+	try {
+		const { id } = req.params;
+		if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res);
+
+		const { changes, errors } = validateDeck(req.body, { partial: true });
+		if (Object.keys(errors).length) return invalidDeck(res, errors);
+
+		const deck = await getRepository().decks.updateOne(
+			{ _id: id, owner: req.auth.sub },
+			{ $set: changes }
+		);
+		if (!deck) return notFound(res);
+
+		res.status(200).json({
+			success: true,
+			message: "Deck updated successfully",
+			data: { deck: toClient(deck) },
+		});
+	} catch (error) {
+		if (error.code === 11000) return duplicateName(res);
+		console.error("Error updating deck:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to update deck",
+		});
+	}
+});
+
+// ❌ DELETE: Delete a deck, its words are kept
+router.delete("/decks/:id", requireAuth(), async (req, res) => {
+	try {
+		const { id } = req.params;
+		if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res);
+
+		const deck = await findOwnDeck(id, req.auth.sub);
+		if (!deck || !(await getRepository().decks.deleteMany({ _id: deck._id }))) {
+			return notFound(res);
+		}
+
+		res.status(200).json({
+			success: true,
+			message: "Deck deleted successfully",
+			data: { deckId: deck._id, wordsRemoved: deck.words.length },
+		});
+	} catch (error) {
+		console.error("Error deleting deck:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to delete deck",
+		});
+	}
+});
+
+// Adds or removes words ({ wordIds: [...] }) from a deck
+const changeMembership = (adding) => async (req, res) => {
+	try {
+		const { id } = req.params;
+		if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res);
+
+		const { wordIds } = req.body || {};
+		if (
+			!Array.isArray(wordIds) ||
+			!wordIds.length ||
+			!wordIds.every((wordId) => mongoose.Types.ObjectId.isValid(wordId))
+		) {
+			return res.status(400).json({
+				success: false,
+				message: "wordIds must be a non-empty array of word IDs",
+			});
+		}
+
+		const deck = await findOwnDeck(id, req.auth.sub);
+		if (!deck) return notFound(res);
+
+		const ids = [...new Set(wordIds.map(String))];
+		const { words, decks } = getRepository();
+		const found = await words.distinct("_id", {
+			_id: { $in: ids },
+			deleted_at: null,
+		});
+		const matched = found.length;
+		// Words that change: those not in the deck yet, or those leaving it
+		const members = new Set(deck.words.map(String));
+		const modified = found.filter(
+			(wordId) => members.has(wordId.toString()) !== adding
+		).length;
+
+		// Words in the trash can still be taken out of a deck
+		const leaving = ids.map((wordId) => new mongoose.Types.ObjectId(wordId));
+		const updated = await decks.updateOne(
+			{ _id: deck._id, owner: req.auth.sub },
+			adding
+				? { $addToSet: { words: { $each: found } } }
+				: { $pull: { words: { $in: leaving } } }
+		);
+		if (!updated) return notFound(res);
+
+		res.status(200).json({
+			success: true,
+			message: adding
+				? "Words added to the deck"
+				: "Words removed from the deck",
+			data: {
+				deckId: deck._id,
+				matched,
+				modified,
+				notFound: ids.length - matched,
+			},
+		});
+	} catch (error) {
+		console.error("Error changing deck words:", error);
+		res.status(500).json({
+			success: false,
+			message: adding
+				? "Failed to add words to the deck"
+				: "Failed to remove words from the deck",
+		});
+	}
+};
+
+// ➕ POST: Add words to a deck
+router.post("/decks/:id/words", requireAuth(), changeMembership(true));
+
+// ➖ DELETE: Remove words from a deck
+router.delete("/decks/:id/words", requireAuth(), changeMembership(false));
+
+module.exports = router;
@@ -0,0 +1,292 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const EnrichmentJob = require("../model/EnrichmentJob");
+const { requireAuth, schedulerAccess } = require("../middleware/auth");
+const { getRepository } = require("../utils/wordRepository");
+const {
+	createJob,
+	runWorker,
+	cancelJob,
+	retryFailedBatches,
+} = require("../utils/enrichmentWorker");
+
+const router = express.Router();
+
+const MAX_BATCH_SIZE = 50;
+
+const invalidId = (res) =>
+	res.status(400).json({
+		success: false,
+		message: "Invalid job ID format",
+	});
+
+const notFound = (res) =>
+	res.status(404).json({
+		success: false,
+		message: "Enrichment job not found",
+	});
+
+// 🤖 POST: Start an enrichment job
+router.post("/enrichment/jobs", requireAuth("edit"), async (req, res) => {
+	try {
+		const { mode = "missing", wordIds, batchSize: size } = req.body || {};
+		const batchSize = parseInt(size) || undefined;
+
+		if (!["missing", "all"].includes(mode)) {
+			return res.status(400).json({
+				success: false,
+				message: "Invalid mode. Supported modes: missing, all",
+			});
+		}
+
+		if (
+			wordIds !== undefined &&
+			(!Array.isArray(wordIds) ||
+				!wordIds.every((id) => mongoose.Types.ObjectId.isValid(id)))
+		) {
+			return res.status(400).json({
+				success: false,
+				message: "wordIds must be an array of word IDs",
+			});
+		}
+
+		if (
+			batchSize !== undefined &&
+			(batchSize < 1 || batchSize > MAX_BATCH_SIZE)
+		) {
+			return res.status(400).json({
+				success: false,
+				message: `Batch size must be between 1 and ${MAX_BATCH_SIZE}`,
+			});
+		}
+
+		const job = await createJob({
+			mode,
+			wordIds,
+			batchSize,
+			createdBy: req.auth.sub,
+		});
+
+		if (!job) {
+			return res.status(200).json({
+				success: true,
+				message:
+					mode === "missing"
+						? "All words already have mnemonic and breakdown."
+						: "No words to enrich.",
+				data: { job: null },
+			});
+		}
+
+		res.status(202).json({
+			success: true,
+			message: "Enrichment job queued",
+			data: { job: EnrichmentJob.toSummary(job) },
+		});
+	} catch (error) {
+		console.error("Error creating enrichment job:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to create enrichment job",
+		});
+	}
+});
+
+// 📋 GET: Recent enrichment jobs
+router.get("/enrichment/jobs", requireAuth("read"), async (req, res) => {
+	try {
+		const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+		const filter = {};
+		if (req.query.status) filter.status = req.query.status;
+
+		const jobs = await getRepository().enrichmentJobs.find(filter, {
+			sort: { createdAt: -1 },
+			limit,
+		});
+
+		res.status(200).json({
+			success: true,
+			message: "Enrichment jobs fetched successfully",
+			data: { jobs: jobs.map(EnrichmentJob.toSummary) },
+		});
+	} catch (error) {
+		console.error("Error fetching enrichment jobs:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to fetch enrichment jobs",
+		});
+	}
+});
+
+// 📊 GET: Status and progress of a job, batch by batch
+router.get("/enrichment/jobs/:id", requireAuth("read"), async (req, res) => {
+	try {
+		const { id } = req.params;
+		if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res);
+
+		const job = await getRepository().enrichmentJobs.findOne({ _id: id });
+		if (!job) return notFound(res);
+
+		res.status(200).json({
+			success: true,
+			message: "Enrichment job fetched successfully",
+			data: {
+				job: EnrichmentJob.toSummary(job),
+				nextBatchAt: job.next_batch_at,
+				batches: job.batches.map((batch) => ({
+					index: batch.index,
+					status: batch.status,
+					words: batch.words.length,
+					attempts: batch.attempts,
+					error: batch.error,
+					provider: batch.provider,
+					repairs: batch.repairs,
+					rejected: batch.rejected,
+					startedAt: batch.started_at,
+					finishedAt: batch.finished_at,
+				})),
+			},
+		});
+	} catch (error) {
+		console.error("Error fetching enrichment job:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to fetch enrichment job",
+		});
+	}
+});
+
+// 📝 GET: Per-word results of a job
+// (optionally ?status=updated|unchanged|rejected|failed)
+router.get(
+	"/enrichment/jobs/:id/results",
+	requireAuth("read"),
+	async (req, res) => {
+		try {
+			const { id } = req.params;
+			if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res);
+
+			const job = await getRepository().enrichmentJobs.findOne(
+				{ _id: id },
+				{ select: "results" }
+			);
+			if (!job) return notFound(res);
+
+			const results = req.query.status
+				? job.results.filter((r) => r.status === req.query.status)
+				: job.results;
+
+			res.status(200).json({
+				success: true,
+				message: "Enrichment results fetched successfully",
+				data: { count: results.length, results },
+			});
+		} catch (error) {
+			console.error("Error fetching enrichment results:", error);
+			res.status(500).json({
+				success: false,
+				message: "Failed to fetch enrichment results",
+			});
+		}
+	}
+);
+
+// ⛔ POST: Cancel a queued or running job
+router.post(
+	"/enrichment/jobs/:id/cancel",
+	requireAuth("edit"),
+	async (req, res) => {
+		try {
+			const { id } = req.params;
+			if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res);
+
+			const job = await cancelJob(id);
+
+			if (!job) {
+				if (!(await getRepository().enrichmentJobs.count({ _id: id }))) {
+					return notFound(res);
+				}
+				return res.status(409).json({
+					success: false,
+					message: "Only queued or running jobs can be cancelled",
+				});
+			}
+
+			res.status(200).json({
+				success: true,
+				message: "Enrichment job cancelled",
+				data: { job: EnrichmentJob.toSummary(job) },
+			});
+		} catch (error) {
+			console.error("Error cancelling enrichment job:", error);
+			res.status(500).json({
+				success: false,
+				message: "Failed to cancel enrichment job",
+			});
+		}
+	}
+);
+
+// 🔁 POST: Run the failed batches of a finished job again
+router.post(
+	"/enrichment/jobs/:id/retry",
+	requireAuth("edit"),
+	async (req, res) => {
+		try {
+			const { id } = req.params;
+			if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res);
+
+			const job = await retryFailedBatches(id);
+
+			if (!job) {
+				if (!(await getRepository().enrichmentJobs.count({ _id: id }))) {
+					return notFound(res);
+				}
+				return res.status(409).json({
+					success: false,
+					message: "Only finished jobs with failed batches can be retried",
+				});
+			}
+
+			res.status(202).json({
+				success: true,
+				message: "Failed batches queued again",
+				data: { job: EnrichmentJob.toSummary(job) },
+			});
+		} catch (error) {
+			console.error("Error retrying enrichment job:", error);
+			res.status(500).json({
+				success: false,
+				message: "Failed to retry enrichment job",
+			});
+		}
+	}
+);
+
+// ⚙️ GET/POST: Process the next ready batch. Meant for a scheduler on
+// serverless deployments, where no background worker keeps running.
+const work = async (req, res) => {
+	try {
+		const processed = await runWorker({ maxBatches: 1 });
+
+		res.status(200).json({
+			success: true,
+			message: processed ? "Processed 1 batch" : "No batch is ready",
+			data: { processed },
+		});
+	} catch (error) {
+		console.error("Error running enrichment worker:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to run enrichment worker",
+		});
+	}
+};
+
+// A scheduler runs the worker with CRON_SECRET instead of a user token
+const workerAccess = schedulerAccess("edit");
+
+router.get("/enrichment/work", workerAccess, work);
+router.post("/enrichment/work", workerAccess, work);
+
+module.exports = router;
@@ -0,0 +1,341 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const { requireAuth, readAccess, getUserId } = require("../middleware/auth");
+const { getRepository } = require("../utils/wordRepository");
+const { normalizeWhitespace } = require("../utils/text");
+const {
+	MNEMONIC_REPORT_LIMIT,
+	VOTES,
+	isHidden,
+	listMnemonics,
+	addMnemonic,
+	syncWordMnemonic,
+	voteMnemonic,
+	reportMnemonic,
+	preferMnemonic,
+	presentMnemonic,
+} = require("../utils/mnemonics");
+
+const router = express.Router();
+
+const MAX_MNEMONIC_LENGTH = 1000;
+const MAX_BREAKDOWN_LENGTH = 2000;
+const MAX_REASON_LENGTH = 500;
+
+const invalidId = (res, what = "word") =>
+	res.status(400).json({
+		success: false,
+		message: `Invalid ${what} ID format`,
+	});
+
+const notFound = (res, what = "Word") =>
+	res.status(404).json({
+		success: false,
+		message: `${what} not found`,
+	});
+
+const findActiveWord = (id) =>
+	getRepository().words.findOne({ _id: id, deleted_at: null });
+
+// Loads the word and one of its mnemonics, or answers with the error and
+// returns null
+const findWordMnemonic = async (req, res) => {
+	const { id, mnemonicId } = req.params;
+	if (!mongoose.Types.ObjectId.isValid(id)) {
+		invalidId(res);
+		return null;
+	}
+	if (!mongoose.Types.ObjectId.isValid(mnemonicId)) {
+		invalidId(res, "mnemonic");
+		return null;
+	}
+
+	const word = await findActiveWord(id);
+	if (!word) {
+		notFound(res);
+		return null;
+	}
+
+	const mnemonic = await getRepository().mnemonics.findOne({
+		_id: mnemonicId,
+		word: word._id,
+	});
+	if (!mnemonic) {
+		notFound(res, "Mnemonic");
+		return null;
+	}
+
+	return { word, mnemonic };
+};
+
+// Checks an optional string field, returning the error message if any
+const checkText = (value, max, { required = false } = {}) => {
+	if (value === undefined || value === null) {
+		return required ? "is required" : null;
+	}
+	if (typeof value !== "string") return "must be a string";
+	if (required && !value.trim()) return "must not be empty";
+	if (value.length > max) return `must be at most ${max} characters`;
+	return null;
+};
+
+// The mnemonics of a word as shown to the user
+const presentAll = async (word, userId, { all = false } = {}) =>
+	(await listMnemonics(word))
+		.filter((mnemonic) => all || !isHidden(mnemonic))
+		.map((mnemonic) => presentMnemonic(mnemonic, { userId, word }));
+
+// 🧠 GET: Mnemonics of a word, preferred first, then best rated
+// ?all=true also returns the ones hidden after too many reports
+router.get("/words/:id/mnemonics", readAccess, async (req, res) => {
+	try {
+		const { id } = req.params;
+		if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res);
+
+		const word = await findActiveWord(id);
+		if (!word) return notFound(res);
+
+		const mnemonics = await presentAll(word, getUserId(req), {
+			all: req.query.all === "true",
+		});
+
+		res.status(200).json({
+			success: true,
+			message: "Mnemonics fetched successfully",
+			data: {
+				wordId: word._id,
+				word: word.word,
+				preferred: word.preferred_mnemonic || null,
+				reportLimit: MNEMONIC_REPORT_LIMIT,
+				count: mnemonics.length,
+				mnemonics,
+			},
+		});
+	} catch (error) {
+		console.error("Error fetching mnemonics:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to fetch mnemonics",
+		});
+	}
+});
+
+// ➕ POST: Add a mnemonic written by the user { mnemonic, breakdown? }
+router.post("/words/:id/mnemonics", requireAuth(), async (req, res) => {
+	try {
+		const { id } = req.params;
+		if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res);
+
+		const { mnemonic, breakdown } = req.body || {};
+		const errors = {};
+		const mnemonicError = checkText(mnemonic, MAX_MNEMONIC_LENGTH, {
+			required: true,
+		});
+		if (mnemonicError) errors.mnemonic = mnemonicError;
+		const breakdownError = checkText(breakdown, MAX_BREAKDOWN_LENGTH);
+		if (breakdownError) errors.breakdown = breakdownError;
+
+		if (Object.keys(errors).length) {
+			return res.status(400).json({
+				success: false,
+				message: "Invalid mnemonic fields",
+				errors,
+			});
+		}
+
+		const word = await findActiveWord(id);
+		if (!word) return notFound(res);
+
+		const values = {
+			mnemonic: normalizeWhitespace(mnemonic),
+			source: "user",
+			author: req.auth.sub,
+		};
+		if (typeof breakdown === "string" && breakdown.trim()) {
+			values.breakdown = breakdown.trim();
+		}
+
+		const added = await addMnemonic(word, values);
+		if (!added.created) {
+			return res.status(409).json({
+				success: false,
+				code: "DUPLICATE_MNEMONIC",
+				message: "The word already has this mnemonic",
+				data: { mnemonicId: added.mnemonic._id },
+			});
+		}
+
+		res.status(201).json({
+			success: true,
+			message: "Mnemonic added successfully",
+			data: {
+				mnemonic: presentMnemonic(added.mnemonic, {
+					userId: req.auth.sub,
+					word: added.word || word,
+				}),
+			},
+		});
+	} catch (error) {
+		console.error("Error adding mnemonic:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to add mnemonic",
+		});
+	}
+});
+
+// 👍 PUT: Vote on a mnemonic { value: 1 | -1 | 0 }, 0 takes the vote back
+router.put(
+	"/words/:id/mnemonics/:mnemonicId/vote",
+	requireAuth(),
+	async (req, res) => {
+		try {
+			const value = req.body ? req.body.value : undefined;
+			if (!VOTES.includes(value)) {
+				return res.status(400).json({
+					success: false,
+					message: "Vote value must be 1, -1 or 0",
+				});
+			}
+
+			const found = await findWordMnemonic(req, res);
+			if (!found) return;
+
+			const mnemonic = await voteMnemonic(found.mnemonic, req.auth.sub, value);
+			if (!mnemonic) return notFound(res, "Mnemonic");
+			const word = (await syncWordMnemonic(found.word._id)) || found.word;
+
+			res.status(200).json({
+				success: true,
+				message: value ? "Vote recorded" : "Vote removed",
+				data: {
+					mnemonic: presentMnemonic(mnemonic, {
+						userId: req.auth.sub,
+						word,
+					}),
+				},
+			});
+		} catch (error) {
+			console.error("Error voting on mnemonic:", error);
+			res.status(500).json({
+				success: false,
+				message: "Failed to vote on mnemonic",
+			});
+		}
+	}
+);
+
+// 🚩 POST: Report a nonsensical or inappropriate mnemonic { reason? }
+// A mnemonic reported by MNEMONIC_REPORT_LIMIT users is hidden.
+router.post(
+	"/words/:id/mnemonics/:mnemonicId/report",
+	requireAuth(),
+	async (req, res) => {
+		try {
+			const reason = req.body ? req.body.reason : undefined;
+			const reasonError = checkText(reason, MAX_REASON_LENGTH);
+			if (reasonError) {
+				return res.status(400).json({
+					success: false,
+					message: `Reason ${reasonError}`,
+				});
+			}
+
+			const found = await findWordMnemonic(req, res);
+			if (!found) return;
+
+			const { mnemonic, reported } = await reportMnemonic(
+				found.mnemonic,
+				req.auth.sub,
+				typeof reason === "string" ? reason.trim() : ""
+			);
+			const word = (await syncWordMnemonic(found.word._id)) || found.word;
+
+			res.status(200).json({
+				success: true,
+				message: reported
+					? "Mnemonic reported"
+					: "You have already reported this mnemonic",
+				data: {
+					mnemonic: presentMnemonic(mnemonic, {
+						userId: req.auth.sub,
+						word,
+					}),
+				},
+			});
+		} catch (error) {
+			console.error("Error reporting mnemonic:", error);
+			res.status(500).json({
+				success: false,
+				message: "Failed to report mnemonic",
+			});
+		}
+	}
+);
+
+// 📌 POST: Show this mnemonic on the word, whatever the votes
+router.post(
+	"/words/:id/mnemonics/:mnemonicId/prefer",
+	requireAuth("edit"),
+	async (req, res) => {
+		try {
+			const found = await findWordMnemonic(req, res);
+			if (!found) return;
+
+			const word = await preferMnemonic(found.word, found.mnemonic._id);
+			if (!word) return notFound(res);
+
+			res.status(200).json({
+				success: true,
+				message: "Preferred mnemonic set",
+				data: {
+					preferred: word.preferred_mnemonic,
+					shown: word.mnemonic || null,
+					mnemonics: await presentAll(word, req.auth.sub),
+				},
+			});
+		} catch (error) {
+			console.error("Error setting preferred mnemonic:", error);
+			res.status(500).json({
+				success: false,
+				message: "Failed to set preferred mnemonic",
+			});
+		}
+	}
+);
+
+// 📍 DELETE: Go back to showing the best rated mnemonic
+router.delete(
+	"/words/:id/mnemonics/preferred",
+	requireAuth("edit"),
+	async (req, res) => {
+		try {
+			const { id } = req.params;
+			if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res);
+
+			const found = await findActiveWord(id);
+			if (!found) return notFound(res);
+
+			const word = await preferMnemonic(found, null);
+			if (!word) return notFound(res);
+
+			res.status(200).json({
+				success: true,
+				message: "Preferred mnemonic cleared",
+				data: {
+					preferred: null,
+					shown: word.mnemonic || null,
+					mnemonics: await presentAll(word, req.auth.sub),
+				},
+			});
+		} catch (error) {
+			console.error("Error clearing preferred mnemonic:", error);
+			res.status(500).json({
+				success: false,
+				message: "Failed to clear preferred mnemonic",
+			});
+		}
+	}
+);
+
+module.exports = router;
@@ -0,0 +1,240 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const { readAccess } = require("../middleware/auth");
+const { getRepository } = require("../utils/wordRepository");
+const {
+	analyzeWord,
+	compareSounds,
+	sharedSyllables,
+	rhymes,
+} = require("../utils/phonetics");
+
+const router = express.Router();
+
+const MAX_SOUND_DISTANCE = 2;
+
+const invalidId = (res) =>
+	res.status(400).json({
+		success: false,
+		message: "Invalid word ID format",
+	});
+
+const notFound = (res) =>
+	res.status(404).json({
+		success: false,
+		message: "Word not found",
+	});
+
+const parseLimit = (value) => {
+	const limit = value === undefined ? 20 : Number(value);
+	return Number.isInteger(limit) && limit >= 1 && limit <= 100 ? limit : null;
+};
+
+const invalidLimit = (res) =>
+	res.status(400).json({
+		success: false,
+		message: "Limit must be between 1 and 100",
+	});
+
+// Every active word analyzed, and the one with the given id
+const loadAnalyzedWords = async (id) => {
+	const words = (
+		await getRepository().words.find(
+			{ deleted_at: null },
+			{ select: "word pronunciation" }
+		)
+	).map((word) => ({ word, phonetics: analyzeWord(word) }));
+	return {
+		target: words.find(({ word }) => word._id.toString() === id),
+		others: words.filter(({ word }) => word._id.toString() !== id),
+	};
+};
+
+const soundWord = ({ _id, word, pronunciation }) => ({
+	_id,
+	word,
+	pronunciation: pronunciation || null,
+});
+
+const byWord = (a, b) => a.word.localeCompare(b.word);
+
+// 🗣️ GET: How a word sounds: its parsed pronunciation, Double Metaphone keys,
+// rhyme key and syllables
+router.get("/words/:id/phonetics", readAccess, async (req, res) => {
+	try {
+		const { id } = req.params;
+		if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res);
+
+		const word = await getRepository().words.findOne(
+			{ _id: id, deleted_at: null },
+			{ select: "word pronunciation" }
+		);
+		if (!word) return notFound(res);
+
+		const { pronunciation, metaphone, rhyme, syllables } = analyzeWord(word);
+
+		res.status(200).json({
+			success: true,
+			message: "Phonetics fetched successfully",
+			data: {
+				...soundWord(word),
+				parsed: pronunciation,
+				metaphone: { primary: metaphone[0], secondary: metaphone[1] },
+				rhyme,
+				syllables,
+			},
+		});
+	} catch (error) {
+		console.error("Error fetching phonetics:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to fetch phonetics",
+		});
+	}
+});
+
+// 👂 GET: Words that sound like a word, e.g. elicit and illicit, closest first
+// ?distance=1 (phonemes that may differ, 0-2)&limit=20
+// Words that both have IPA are compared by phonemes, others by Double Metaphone.
+router.get("/words/:id/sounds-like", readAccess, async (req, res) => {
+	try {
+		const { id } = req.params;
+		if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res);
+
+		const limit = parseLimit(req.query.limit);
+		if (limit === null) return invalidLimit(res);
+
+		const distance =
+			req.query.distance === undefined ? 1 : Number(req.query.distance);
+		if (
+			!Number.isInteger(distance) ||
+			distance < 0 ||
+			distance > MAX_SOUND_DISTANCE
+		) {
+			return res.status(400).json({
+				success: false,
+				message: `Distance must be between 0 and ${MAX_SOUND_DISTANCE}`,
+			});
+		}
+
+		const { target, others } = await loadAnalyzedWords(id);
+		if (!target) return notFound(res);
+
+		const matches = others
+			.map(({ word, phonetics }) => ({
+				word,
+				match: compareSounds(target.phonetics, phonetics, distance),
+			}))
+			.filter(({ match }) => match)
+			.sort(
+				(a, b) => a.match.distance - b.match.distance || byWord(a.word, b.word)
+			);
+
+		res.status(200).json({
+			success: true,
+			message: "Sound-alike words fetched successfully",
+			data: {
+				wordId: target.word._id,
+				word: target.word.word,
+				distance,
+				count: matches.length,
+				words: matches.slice(0, limit).map(({ word, match }) => ({
+					...soundWord(word),
+					...match,
+				})),
+			},
+		});
+	} catch (error) {
+		console.error("Error fetching sound-alike words:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to fetch sound-alike words",
+		});
+	}
+});
+
+// 🎵 GET: Words that rhyme with a word ?limit=20
+// Rhymes come from the IPA, else the respelling, else the spelling; the basis
+// used is returned with the rhyme key.
+router.get("/words/:id/rhymes", readAccess, async (req, res) => {
+	try {
+		const { id } = req.params;
+		if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res);
+
+		const limit = parseLimit(req.query.limit);
+		if (limit === null) return invalidLimit(res);
+
+		const { target, others } = await loadAnalyzedWords(id);
+		if (!target) return notFound(res);
+
+		const matches = others
+			.filter(({ phonetics }) => rhymes(target.phonetics, phonetics))
+			.map(({ word }) => word)
+			.sort(byWord);
+
+		res.status(200).json({
+			success: true,
+			message: "Rhymes fetched successfully",
+			data: {
+				wordId: target.word._id,
+				word: target.word.word,
+				rhyme: target.phonetics.rhyme,
+				count: matches.length,
+				words: matches.slice(0, limit).map(soundWord),
+			},
+		});
+	} catch (error) {
+		console.error("Error fetching rhymes:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to fetch rhymes",
+		});
+	}
+});
+
+// 🧩 GET: Words sharing a syllable with a word, most shared first ?limit=20
+router.get("/words/:id/shared-syllables", readAccess, async (req, res) => {
+	try {
+		const { id } = req.params;
+		if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res);
+
+		const limit = parseLimit(req.query.limit);
+		if (limit === null) return invalidLimit(res);
+
+		const { target, others } = await loadAnalyzedWords(id);
+		if (!target) return notFound(res);
+
+		const matches = others
+			.map(({ word, phonetics }) => ({
+				word,
+				shared: sharedSyllables(target.phonetics, phonetics),
+			}))
+			.filter(({ shared }) => shared.length)
+			.sort(
+				(a, b) => b.shared.length - a.shared.length || byWord(a.word, b.word)
+			);
+
+		res.status(200).json({
+			success: true,
+			message: "Words sharing syllables fetched successfully",
+			data: {
+				wordId: target.word._id,
+				word: target.word.word,
+				syllables: target.phonetics.syllables,
+				count: matches.length,
+				words: matches.slice(0, limit).map(({ word, shared }) => ({
+					...soundWord(word),
+					shared,
+				})),
+			},
+		});
+	} catch (error) {
+		console.error("Error fetching words sharing syllables:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to fetch words sharing syllables",
+		});
+	}
+});
+
+module.exports = router;
@@ -0,0 +1,341 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Quiz = require("../model/Quiz");
+const { requireAuth } = require("../middleware/auth");
+const { getRepository } = require("../utils/wordRepository");
+const { recordReview } = require("../utils/studyLog");
+const { QUESTION_TYPES, generateQuestions } = require("../utils/quiz");
+const { buildScopeFilter } = require("../utils/wordScope");
+
+const router = express.Router();
+
+const MAX_QUESTIONS = 50;
+// How many other words are sampled to draw distractors from
+const DISTRACTOR_POOL_SIZE = 200;
+
+const QUIZ_FIELDS = { word: 1, meaning: 1, synonyms: 1, antonyms: 1 };
+
+// Order in which each strategy picks the words to ask about
+const STRATEGIES = {
+	due: { due_date: 1, _id: 1 },
+	difficult: { no_of_times_opened: -1, quiz_incorrect: -1, _id: 1 },
+	random: null,
+};
+
+const invalidId = (res) =>
+	res.status(400).json({
+		success: false,
+		message: "Invalid quiz ID format",
+	});
+
+const notFound = (res) =>
+	res.status(404).json({
+		success: false,
+		message: "Quiz not found",
+	});
+
+// Picks candidate words for the quiz. More words than questions are loaded,
+// since some words cannot support every question type.
+const findTargets = (userId, strategy, count, scope) => {
+	const size = count * 2;
+	const match = { deleted_at: null, ...scope };
+	const repository = getRepository();
+
+	if (!STRATEGIES[strategy]) {
+		return repository.words.aggregate([
+			{ $match: match },
+			{ $sample: { size } },
+			{ $project: QUIZ_FIELDS },
+		]);
+	}
+
+	return repository.findWithProgress(userId, {
+		match,
+		sort: STRATEGIES[strategy],
+		limit: size,
+		select: QUIZ_FIELDS,
+	});
+};
+
+// 🎯 POST: Generate a multiple-choice quiz for the logged in user
+router.post("/quizzes", requireAuth(), async (req, res) => {
+	try {
+		const {
+			count: rawCount,
+			types = QUESTION_TYPES,
+			strategy = "due",
+			deck,
+			tag,
+		} = req.body || {};
+		const count = parseInt(rawCount) || 10;
+
+		if (count < 1 || count > MAX_QUESTIONS) {
+			return res.status(400).json({
+				success: false,
+				message: `Count must be between 1 and ${MAX_QUESTIONS}`,
+			});
+		}
+
+		if (
+			!Array.isArray(types) ||
+			types.length === 0 ||
+			!types.every((type) => QUESTION_TYPES.includes(type))
+		) {
+			return res.status(400).json({
+				success: false,
+				message: `Invalid types. Supported types: ${QUESTION_TYPES.join(", ")}`,
+			});
+		}
+
+		if (!(strategy in STRATEGIES)) {
+			return res.status(400).json({
+				success: false,
+				message:
+					"Invalid strategy. Supported strategies: " +
+					Object.keys(STRATEGIES).join(", "),
+			});
+		}
+
+		// Questions can be limited to a deck and/or tags, distractors are drawn
+		// from every word
+		const scope = await buildScopeFilter({ deck, tag }, req.auth.sub);
+		if (scope.error) {
+			return res.status(scope.error.status).json({
+				success: false,
+				message: scope.error.message,
+			});
+		}
+
+		const targets = await findTargets(
+			req.auth.sub,
+			strategy,
+			count,
+			scope.filter
+		);
+		const pool = await getRepository().words.aggregate([
+			{ $match: { deleted_at: null } },
+			{ $sample: { size: DISTRACTOR_POOL_SIZE } },
+			{ $project: QUIZ_FIELDS },
+		]);
+
+		const questions = generateQuestions(targets, pool, types).slice(0, count);
+
+		if (questions.length === 0) {
+			return res.status(422).json({
+				success: false,
+				message:
+					"Not enough word data to build this quiz. Add more words or allow more question types.",
+			});
+		}
+
+		const quiz = await getRepository().quizzes.insertOne({
+			user: req.auth.sub,
+			questions,
+		});
+
+		res.status(201).json({
+			success: true,
+			message: "Quiz created successfully",
+			data: { quiz: Quiz.toClient(quiz) },
+		});
+	} catch (error) {
+		console.error("Error creating quiz:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to create quiz",
+		});
+	}
+});
+
+// 📚 GET: Recent quizzes of the logged in user
+router.get("/quizzes", requireAuth("read"), async (req, res) => {
+	try {
+		const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+		const quizzes = await getRepository().quizzes.find(
+			{ user: req.auth.sub },
+			{ sort: { createdAt: -1 }, limit }
+		);
+
+		res.status(200).json({
+			success: true,
+			message: "Quizzes fetched successfully",
+			data: {
+				quizzes: quizzes.map((quiz) => {
+					const { questions, ...summary } = Quiz.toClient(quiz);
+					return summary;
+				}),
+			},
+		});
+	} catch (error) {
+		console.error("Error fetching quizzes:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to fetch quizzes",
+		});
+	}
+});
+
+// 📄 GET: A quiz (answers are included once it has been submitted)
+router.get("/quizzes/:id", requireAuth("read"), async (req, res) => {
+	try {
+		const { id } = req.params;
+		if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res);
+
+		const quiz = await getRepository().quizzes.findOne({
+			_id: id,
+			user: req.auth.sub,
+		});
+		if (!quiz) return notFound(res);
+
+		res.status(200).json({
+			success: true,
+			message: "Quiz fetched successfully",
+			data: { quiz: Quiz.toClient(quiz) },
+		});
+	} catch (error) {
+		console.error("Error fetching quiz:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to fetch quiz",
+		});
+	}
+});
+
+// Grades an open quiz and marks it submitted. Returns the submitted quiz, also
+// when a concurrent submission won, null when it is gone
+const gradeQuiz = async (quiz, answers) => {
+	const chosen = new Map(
+		answers
+			.filter((answer) => answer && Number.isInteger(answer.choice))
+			.map((answer) => [String(answer.questionId), answer.choice])
+	);
+
+	const questions = quiz.questions.map((question) => {
+		const choice = chosen.get(String(question._id));
+		const answered =
+			choice !== undefined && choice >= 0 && choice < question.choices.length;
+
+		return {
+			...question,
+			chosen_index: answered ? choice : undefined,
+			correct: answered ? choice === question.answer_index : undefined,
+		};
+	});
+
+	const correct = questions.filter((q) => q.correct === true).length;
+
+	// Only the first submission wins, so the answers are never graded twice
+	const { quizzes } = getRepository();
+	const submitted = await quizzes.updateOne(
+		{ _id: quiz._id, user: quiz.user, status: "open" },
+		{
+			$set: {
+				status: "submitted",
+				questions,
+				score: correct,
+				submitted_at: new Date(),
+				expires_at: null,
+			},
+		}
+	);
+
+	return submitted || quizzes.findOne({ _id: quiz._id, user: quiz.user });
+};
+
+// Records the answers of a submitted quiz in the study log. A right answer
+// counts as a good review, a wrong one as a lapse. Each answer is keyed by the
+// quiz and question, so recording them again changes nothing. Returns the
+// questions about words that no longer exist, which are skipped
+const recordAnswers = async (userId, quiz) => {
+	const answered = quiz.questions.filter((q) => q.correct !== undefined);
+	const existing = new Set(
+		(
+			await getRepository().words.distinct("_id", {
+				_id: { $in: answered.map((question) => question.word) },
+				deleted_at: null,
+			})
+		).map((wordId) => wordId.toString())
+	);
+
+	const skipped = [];
+	for (const question of answered) {
+		if (!existing.has(question.word.toString())) {
+			skipped.push({ questionId: question._id, wordId: question.word });
+			continue;
+		}
+
+		await recordReview(
+			userId,
+			question.word,
+			question.correct ? "good" : "again",
+			{
+				type: "quiz_answer",
+				quiz: quiz._id,
+				correct: question.correct,
+				key: `${quiz._id}:${question._id}`,
+			}
+		);
+	}
+	return skipped;
+};
+
+// ✅ POST: Submit answers, grade them and feed the results into progress
+// body: { answers: [{ questionId, choice }] } where choice is a choice index
+// Submitting again returns the first grading, the answers sent are ignored.
+router.post("/quizzes/:id/submit", requireAuth(), async (req, res) => {
+	try {
+		const { id } = req.params;
+		if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res);
+
+		const { answers } = req.body || {};
+
+		if (!Array.isArray(answers)) {
+			return res.status(400).json({
+				success: false,
+				message: "Answers must be an array of { questionId, choice }",
+			});
+		}
+
+		let quiz = await getRepository().quizzes.findOne({
+			_id: id,
+			user: req.auth.sub,
+		});
+		if (!quiz) return notFound(res);
+
+		if (quiz.status === "open") {
+			quiz = await gradeQuiz(quiz, answers);
+			if (!quiz) return notFound(res);
+		}
+
+		// Answers are recorded once each, so a retry after a failure halfway
+		// records the ones still missing. The answers of the first submission
+		// are kept.
+		const skipped = await recordAnswers(req.auth.sub, quiz);
+
+		const questions = quiz.questions;
+		const correct = questions.filter((q) => q.correct === true).length;
+		const incorrect = questions.filter((q) => q.correct === false).length;
+
+		res.status(200).json({
+			success: true,
+			message: "Quiz graded successfully",
+			data: {
+				correct,
+				incorrect,
+				unanswered: questions.length - correct - incorrect,
+				percent: Math.round((correct / questions.length) * 100),
+				skipped,
+				quiz: Quiz.toClient(quiz),
+			},
+		});
+	} catch (error) {
+		console.error("Error submitting quiz:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to submit quiz",
+		});
+	}
+});
+
+module.exports = router;
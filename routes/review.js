@@ -0,0 +1,319 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const scheduler = require("../utils/scheduler");
+const { requireAuth, readAccess, getUserId } = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
+const { idempotencyKey } = require("../middleware/idempotencyKey");
+const {
+	COUNTER_ERRORS,
+	recordReview,
+	decreaseCounter,
+} = require("../utils/studyLog");
+const { buildScopeFilter } = require("../utils/wordScope");
+const { getRepository } = require("../utils/wordRepository");
+
+const router = express.Router();
+
+const findActiveWord = (id) =>
+	getRepository().words.findOne(
+		{ _id: id, deleted_at: null },
+		{ select: "word" }
+	);
+
+// Applies a recall grade to the user's progress on a word and persists the
+// new schedule. Returns null when the word does not exist.
+const reviewWord = async (userId, id, grade, key) => {
+	const word = await findActiveWord(id);
+	if (!word) return null;
+
+	const { progress, replayed } = await recordReview(userId, id, grade, {
+		type: "revision",
+		key,
+	});
+
+	return { word, progress, replayed };
+};
+
+const counterConflict = (res, error) =>
+	res
+		.status(409)
+		.json({ success: false, code: error.code, message: error.message });
+
+const scheduleResponse = ({ word, progress, replayed }) => ({
+	wordId: word._id,
+	word: word.word,
+	no_of_times_revised: progress.no_of_times_revised,
+	no_of_times_opened: progress.no_of_times_opened,
+	ease: progress.ease,
+	interval: progress.interval,
+	repetitions: progress.repetitions,
+	lapses: progress.lapses,
+	due_date: progress.due_date,
+	last_reviewed_at: progress.last_reviewed_at,
+	replayed: Boolean(replayed),
+});
+
+// 🧠 POST: Review a word with a recall grade (again / hard / good / easy)
+// Send an Idempotency-Key header to make retries safe
+router.post(
+	"/review",
+	requireAuth(),
+	rateLimit("counters"),
+	idempotencyKey,
+	async (req, res) => {
+		try {
+			const { id, grade } = req.body;
+
+			if (!id) {
+				return res.status(400).json({
+					success: false,
+					message: "Word ID is required",
+				});
+			}
+
+			if (!mongoose.Types.ObjectId.isValid(id)) {
+				return res.status(400).json({
+					success: false,
+					message: "Invalid word ID format",
+				});
+			}
+
+			if (!scheduler.isValidGrade(grade)) {
+				return res.status(400).json({
+					success: false,
+					message:
+						"Invalid grade. Supported grades: " + scheduler.GRADES.join(", "),
+				});
+			}
+
+			const reviewed = await reviewWord(
+				req.auth.sub,
+				id,
+				grade,
+				req.idempotencyKey
+			);
+
+			if (!reviewed) {
+				return res.status(404).json({
+					success: false,
+					message: "Word not found",
+				});
+			}
+
+			res.status(200).json({
+				success: true,
+				message: "Review recorded successfully",
+				data: { grade, ...scheduleResponse(reviewed) },
+			});
+		} catch (error) {
+			if (COUNTER_ERRORS.includes(error.code)) {
+				return counterConflict(res, error);
+			}
+
+			if (error.name === "CastError") {
+				return res.status(400).json({
+					success: false,
+					message: "Invalid word ID format",
+				});
+			}
+
+			console.error("Error recording review:", error);
+			res.status(500).json({
+				success: false,
+				message: "Failed to record review",
+			});
+		}
+	}
+);
+
+// ⏰ GET: Words that are due for review, in the order they became due
+router.get("/due", readAccess, async (req, res) => {
+	try {
+		const limit = parseInt(req.query.limit) || 20;
+
+		if (limit < 1 || limit > 100) {
+			return res.status(400).json({
+				success: false,
+				message: "Limit must be between 1 and 100",
+			});
+		}
+
+		// Optional ?deck=<id> and ?tag=a,b filters
+		const scope = await buildScopeFilter(req.query, getUserId(req));
+		if (scope.error) {
+			return res.status(scope.error.status).json({
+				success: false,
+				message: scope.error.message,
+			});
+		}
+
+		const now = new Date();
+
+		// Words the user never reviewed are due from the moment they were added
+		const repository = getRepository();
+		const due = {
+			match: { deleted_at: null, ...scope.filter },
+			filter: { due_date: { $lte: now } },
+		};
+		const [words, dueCount] = await Promise.all([
+			repository.findWithProgress(getUserId(req), {
+				...due,
+				sort: { due_date: 1, _id: 1 },
+				limit,
+			}),
+			repository.countWithProgress(getUserId(req), due),
+		]);
+
+		res.status(200).json({
+			success: true,
+			message: "Due words fetched successfully",
+			data: {
+				now,
+				dueCount,
+				limit,
+				words,
+			},
+		});
+	} catch (error) {
+		console.error("Error fetching due words:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to fetch due words",
+			error: error.message,
+		});
+	}
+});
+
+// 📈 POST: Increase the count of no_of_times_revised
+// Kept for older clients: a plain revision is recorded as a "good" review.
+router.post(
+	"/increase_revision_count",
+	requireAuth(),
+	rateLimit("counters"),
+	idempotencyKey,
+	async (req, res) => {
+		try {
+			const { id } = req.body;
+
+			// Validate input
+			if (!id) {
+				return res.status(400).json({
+					success: false,
+					message: "Word ID is required",
+				});
+			}
+
+			// Validate MongoDB ObjectId format
+			if (!mongoose.Types.ObjectId.isValid(id)) {
+				return res.status(400).json({
+					success: false,
+					message: "Invalid word ID format",
+				});
+			}
+
+			const reviewed = await reviewWord(
+				req.auth.sub,
+				id,
+				"good",
+				req.idempotencyKey
+			);
+
+			// Check if word was found
+			if (!reviewed) {
+				return res.status(404).json({
+					success: false,
+					message: "Word not found",
+				});
+			}
+
+			// Success response
+			res.status(200).json({
+				success: true,
+				message: "Revision count increased successfully",
+				data: scheduleResponse(reviewed),
+			});
+		} catch (error) {
+			if (COUNTER_ERRORS.includes(error.code)) {
+				return counterConflict(res, error);
+			}
+
+			// Handle specific MongoDB errors
+			if (error.name === "CastError") {
+				return res.status(400).json({
+					success: false,
+					message: "Invalid word ID format",
+				});
+			}
+
+			// Generic server error
+			console.error("Error increasing revision count:", error);
+			res.status(500).json({
+				success: false,
+				message: "Failed to increase revision count",
+			});
+		}
+	}
+);
+
+// 📉 POST: Decrease the count of no_of_times_revised
+// Takes back the latest revision and restores the schedule from before it,
+// never below zero
+router.post(
+	"/decrease_revision_count",
+	requireAuth(),
+	rateLimit("counters"),
+	idempotencyKey,
+	async (req, res) => {
+		try {
+			const { id } = req.body;
+
+			if (!id) {
+				return res.status(400).json({
+					success: false,
+					message: "Word ID is required",
+				});
+			}
+
+			if (!mongoose.Types.ObjectId.isValid(id)) {
+				return res.status(400).json({
+					success: false,
+					message: "Invalid word ID format",
+				});
+			}
+
+			const word = await findActiveWord(id);
+
+			if (!word) {
+				return res.status(404).json({
+					success: false,
+					message: "Word not found",
+				});
+			}
+
+			const { progress, replayed } = await decreaseCounter(
+				req.auth.sub,
+				id,
+				"revision",
+				req.idempotencyKey
+			);
+
+			res.status(200).json({
+				success: true,
+				message: "Revision count decreased successfully",
+				data: scheduleResponse({ word, progress, replayed }),
+			});
+		} catch (error) {
+			if (COUNTER_ERRORS.includes(error.code)) {
+				return counterConflict(res, error);
+			}
+
+			console.error("Error decreasing revision count:", error);
+			res.status(500).json({
+				success: false,
+				message: "Failed to decrease revision count",
+			});
+		}
+	}
+);
+
+module.exports = router;
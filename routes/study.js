@@ -0,0 +1,523 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const scheduler = require("../utils/scheduler");
+const { requireAuth } = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
+const { idempotencyKey } = require("../middleware/idempotencyKey");
+const {
+	SESSION_IDLE_MINUTES,
+	COUNTER_ERRORS,
+	UNDOABLE_TYPES,
+	activeSession,
+	deriveCounters,
+	summarizeSessions,
+	recordCounterOperation,
+	undoEvents,
+} = require("../utils/studyLog");
+const { getRepository } = require("../utils/wordRepository");
+
+const router = express.Router();
+
+const invalidId = (res) =>
+	res.status(400).json({
+		success: false,
+		message: "Invalid session ID format",
+	});
+
+const notFound = (res) =>
+	res.status(404).json({
+		success: false,
+		message: "Session not found",
+	});
+
+const EVENT_FIELDS =
+	"word session type grade quiz correct undoes reverts counters at";
+
+const MAX_UNDO_COUNT = 50;
+const MAX_BATCH_ITEMS = 500;
+const MAX_BATCH_COUNT = 100;
+
+const sessionResponse = (session, summary) => ({
+	...session,
+	duration_ms:
+		(session.ended_at || new Date()).getTime() - session.started_at.getTime(),
+	summary,
+});
+
+const summaryOf = async (session) =>
+	(await summarizeSessions([session._id])).get(session._id.toString());
+
+const findActiveWord = (id) =>
+	getRepository().words.findOne(
+		{ _id: id, deleted_at: null },
+		{ select: "word" }
+	);
+
+// Reads ?page and ?limit, returns null when they are out of range
+const readPaging = (query, defaultLimit) => {
+	const limit = parseInt(query.limit) || defaultLimit;
+	const page = parseInt(query.page) || 1;
+	if (limit < 1 || limit > 100 || page < 1) return null;
+	return { limit, page, skip: (page - 1) * limit };
+};
+
+const invalidPaging = (res) =>
+	res.status(400).json({
+		success: false,
+		message: "Limit must be between 1 and 100 and page greater than 0",
+	});
+
+// ▶️ POST: Start a study session, any open session of the user is ended
+router.post("/sessions/start", requireAuth(), async (req, res) => {
+	try {
+		const now = new Date();
+		const { studySessions } = getRepository();
+		await studySessions.updateMany(
+			{ user: req.auth.sub, ended_at: null },
+			{ $set: { ended_at: now } }
+		);
+
+		const session = await studySessions.insertOne({
+			user: req.auth.sub,
+			started_at: now,
+		});
+
+		res.status(201).json({
+			success: true,
+			message: "Session started successfully",
+			data: {
+				session: sessionResponse(session, await summaryOf(session)),
+				idleMinutes: SESSION_IDLE_MINUTES,
+			},
+		});
+	} catch (error) {
+		console.error("Error starting session:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to start session",
+		});
+	}
+});
+
+// ⏱️ GET: The open session of the logged in user, null when there is none
+router.get("/sessions/current", requireAuth("read"), async (req, res) => {
+	try {
+		const session = await activeSession(req.auth.sub);
+
+		res.status(200).json({
+			success: true,
+			message: session ? "Session fetched successfully" : "No open session",
+			data: {
+				session: session
+					? sessionResponse(session, await summaryOf(session))
+					: null,
+			},
+		});
+	} catch (error) {
+		console.error("Error fetching current session:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to fetch current session",
+		});
+	}
+});
+
+// ⏹️ POST: End a study session
+router.post("/sessions/:id/end", requireAuth(), async (req, res) => {
+	try {
+		const { id } = req.params;
+		if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res);
+
+		const { studySessions } = getRepository();
+		const session = await studySessions.updateOne(
+			{ _id: id, user: req.auth.sub, ended_at: null },
+			{ $set: { ended_at: new Date() } }
+		);
+
+		if (!session) {
+			const exists = await studySessions.count({ _id: id, user: req.auth.sub });
+			if (!exists) return notFound(res);
+
+			return res.status(409).json({
+				success: false,
+				message: "Session has already ended",
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			message: "Session ended successfully",
+			data: {
+				session: sessionResponse(session, await summaryOf(session)),
+			},
+		});
+	} catch (error) {
+		console.error("Error ending session:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to end session",
+		});
+	}
+});
+
+// 📚 GET: Recent sessions of the logged in user with their event counts
+router.get("/sessions", requireAuth("read"), async (req, res) => {
+	try {
+		const paging = readPaging(req.query, 20);
+		if (!paging) return invalidPaging(res);
+
+		const { studySessions } = getRepository();
+		const filter = { user: req.auth.sub };
+		const [sessions, totalCount] = await Promise.all([
+			studySessions.find(filter, {
+				sort: { started_at: -1, _id: -1 },
+				skip: paging.skip,
+				limit: paging.limit,
+			}),
+			studySessions.count(filter),
+		]);
+		const summaries = await summarizeSessions(
+			sessions.map((session) => session._id)
+		);
+
+		res.status(200).json({
+			success: true,
+			message: "Sessions fetched successfully",
+			data: {
+				totalCount,
+				totalPages: Math.ceil(totalCount / paging.limit),
+				currentPage: paging.page,
+				limit: paging.limit,
+				sessions: sessions.map((session) =>
+					sessionResponse(session, summaries.get(session._id.toString()))
+				),
+			},
+		});
+	} catch (error) {
+		console.error("Error fetching sessions:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to fetch sessions",
+		});
+	}
+});
+
+// 🔍 GET: One session with its events in the order they happened
+router.get("/sessions/:id", requireAuth("read"), async (req, res) => {
+	try {
+		const { id } = req.params;
+		if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res);
+
+		const repository = getRepository();
+		const session = await repository.studySessions.findOne({
+			_id: id,
+			user: req.auth.sub,
+		});
+		if (!session) return notFound(res);
+
+		const events = await repository.studyEvents.find(
+			{ session: session._id },
+			{ sort: { at: 1, _id: 1 }, select: EVENT_FIELDS }
+		);
+		// Events show { _id, word } of their word, null once it was purged
+		const words = new Map(
+			(
+				await repository.words.find(
+					{ _id: { $in: events.map((event) => event.word) } },
+					{ select: "word" }
+				)
+			).map((word) => [word._id.toString(), word])
+		);
+
+		res.status(200).json({
+			success: true,
+			message: "Session fetched successfully",
+			data: {
+				session: sessionResponse(session, await summaryOf(session)),
+				events: events.map((event) => ({
+					...event,
+					word: words.get(event.word.toString()) || null,
+				})),
+			},
+		});
+	} catch (error) {
+		console.error("Error fetching session:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to fetch session",
+		});
+	}
+});
+
+// 🕰️ GET: Study history of the logged in user on one word, newest first,
+// with the counters as derived from the log
+router.get("/words/:id/history", requireAuth("read"), async (req, res) => {
+	try {
+		const { id } = req.params;
+		if (!mongoose.Types.ObjectId.isValid(id)) {
+			return res.status(400).json({
+				success: false,
+				message: "Invalid word ID format",
+			});
+		}
+
+		const paging = readPaging(req.query, 50);
+		if (!paging) return invalidPaging(res);
+
+		// History stays readable while the word is in the trash
+		const repository = getRepository();
+		const word = await repository.words.findOne(
+			{ _id: id },
+			{ select: "word deleted_at" }
+		);
+		if (!word) {
+			return res.status(404).json({
+				success: false,
+				message: "Word not found",
+			});
+		}
+
+		const filter = { user: req.auth.sub, word: word._id };
+		const [events, totalCount, counters] = await Promise.all([
+			repository.studyEvents.find(filter, {
+				sort: { at: -1, _id: -1 },
+				skip: paging.skip,
+				limit: paging.limit,
+				select: EVENT_FIELDS,
+			}),
+			repository.studyEvents.count(filter),
+			deriveCounters(req.auth.sub, word._id),
+		]);
+
+		res.status(200).json({
+			success: true,
+			message: "Word history fetched successfully",
+			data: {
+				wordId: word._id,
+				word: word.word,
+				counters,
+				totalCount,
+				totalPages: Math.ceil(totalCount / paging.limit),
+				currentPage: paging.page,
+				limit: paging.limit,
+				events,
+			},
+		});
+	} catch (error) {
+		console.error("Error fetching word history:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to fetch word history",
+		});
+	}
+});
+
+// ↩️ POST: Take back the last opens and revisions of a word
+// body: { count: 1 }; undoing a revision also restores the schedule from
+// before it. Send an Idempotency-Key header to make retries safe.
+router.post(
+	"/words/:id/undo",
+	requireAuth(),
+	rateLimit("counters"),
+	idempotencyKey,
+	async (req, res) => {
+		try {
+			const { id } = req.params;
+			if (!mongoose.Types.ObjectId.isValid(id)) {
+				return res.status(400).json({
+					success: false,
+					message: "Invalid word ID format",
+				});
+			}
+
+			const { count = 1 } = req.body || {};
+			if (!Number.isInteger(count) || count < 1 || count > MAX_UNDO_COUNT) {
+				return res.status(400).json({
+					success: false,
+					message: `count must be between 1 and ${MAX_UNDO_COUNT}`,
+				});
+			}
+
+			const word = await findActiveWord(id);
+			if (!word) {
+				return res.status(404).json({
+					success: false,
+					message: "Word not found",
+				});
+			}
+
+			const { undone, replayed } = await undoEvents(req.auth.sub, word._id, {
+				count,
+				key: req.idempotencyKey,
+			});
+
+			if (!undone.length) {
+				return res.status(409).json({
+					success: false,
+					code: "NOTHING_TO_UNDO",
+					message: `No ${UNDOABLE_TYPES.join(" or ")} left to undo`,
+				});
+			}
+
+			res.status(200).json({
+				success: true,
+				message: `${undone.length} operations undone`,
+				data: {
+					wordId: word._id,
+					word: word.word,
+					replayed: Boolean(replayed),
+					undone: undone.map(({ _id, undoes, reverts, counters, at }) => ({
+						_id,
+						undoes,
+						reverts,
+						counters,
+						at,
+					})),
+					counters: await deriveCounters(req.auth.sub, word._id),
+				},
+			});
+		} catch (error) {
+			if (COUNTER_ERRORS.includes(error.code)) {
+				return res
+					.status(409)
+					.json({ success: false, code: error.code, message: error.message });
+			}
+
+			console.error("Error undoing study events:", error);
+			res.status(500).json({
+				success: false,
+				message: "Failed to undo",
+			});
+		}
+	}
+);
+
+// Checks one item of a counter batch, returns an error message or null
+const batchItemError = (item) => {
+	if (!item || typeof item !== "object" || Array.isArray(item)) {
+		return "must be an object";
+	}
+	if (!mongoose.Types.ObjectId.isValid(item.wordId)) {
+		return "wordId is not a valid word ID";
+	}
+	if (!UNDOABLE_TYPES.includes(item.type)) {
+		return "type must be one of " + UNDOABLE_TYPES.join(", ");
+	}
+	const { count = 1, grade = "good" } = item;
+	if (!Number.isInteger(count) || count < 1 || count > MAX_BATCH_COUNT) {
+		return `count must be between 1 and ${MAX_BATCH_COUNT}`;
+	}
+	if (item.type === "revision" && !scheduler.isValidGrade(grade)) {
+		return "grade must be one of " + scheduler.GRADES.join(", ");
+	}
+	return null;
+};
+
+// 🧮 POST: Record the counts of a whole study session at once
+// body: { items: [{ wordId, type: "open" | "revision", count: 1, grade: "good" }] }
+// Items are recorded in order and reported one by one; with an
+// Idempotency-Key header a retry only records what is still missing.
+router.post(
+	"/counters/batch",
+	requireAuth(),
+	rateLimit("counters"),
+	idempotencyKey,
+	async (req, res) => {
+		try {
+			const { items } = req.body || {};
+
+			if (!Array.isArray(items) || !items.length) {
+				return res.status(400).json({
+					success: false,
+					message: "items must be a non-empty array",
+				});
+			}
+
+			if (items.length > MAX_BATCH_ITEMS) {
+				return res.status(413).json({
+					success: false,
+					message: `Too many items, at most ${MAX_BATCH_ITEMS} per request`,
+				});
+			}
+
+			const wordIds = items
+				.filter((item) => !batchItemError(item))
+				.map((item) => item.wordId);
+			const activeIds = new Set(
+				(
+					await getRepository().words.distinct("_id", {
+						_id: { $in: wordIds },
+						deleted_at: null,
+					})
+				).map((id) => id.toString())
+			);
+
+			const results = [];
+			for (const [index, item] of items.entries()) {
+				const error = batchItemError(item);
+				const base = { wordId: item && item.wordId, type: item && item.type };
+
+				if (error) {
+					results.push({ ...base, status: "rejected", reason: error });
+					continue;
+				}
+				if (!activeIds.has(String(item.wordId))) {
+					results.push({
+						...base,
+						status: "rejected",
+						reason: "Word not found",
+					});
+					continue;
+				}
+
+				try {
+					const { progress, recorded, replayed } = await recordCounterOperation(
+						req.auth.sub,
+						item.wordId,
+						{
+							type: item.type,
+							count: item.count,
+							grade: item.grade,
+							key: req.idempotencyKey && `${req.idempotencyKey}:${index}`,
+						}
+					);
+					results.push({
+						...base,
+						status: recorded ? "recorded" : "replayed",
+						recorded,
+						replayed,
+						no_of_times_opened: progress.no_of_times_opened,
+						no_of_times_revised: progress.no_of_times_revised,
+					});
+				} catch (error) {
+					if (!COUNTER_ERRORS.includes(error.code)) throw error;
+					results.push({
+						...base,
+						status: "rejected",
+						code: error.code,
+						reason: error.message,
+					});
+				}
+			}
+
+			const summary = { recorded: 0, replayed: 0, rejected: 0 };
+			for (const { status } of results) summary[status]++;
+
+			res.status(200).json({
+				success: true,
+				message:
+					`${summary.recorded} items recorded, ${summary.replayed} replayed, ` +
+					`${summary.rejected} rejected`,
+				data: { summary, results },
+			});
+		} catch (error) {
+			console.error("Error recording counter batch:", error);
+			res.status(500).json({
+				success: false,
+				message: "Failed to record counters",
+			});
+		}
+	}
+);
+
+module.exports = router;
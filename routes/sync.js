@@ -0,0 +1,140 @@
+const express = require("express");
+const { requireAuth } = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
+const { CONFLICT_POLICIES } = require("../utils/wordMerge");
+const {
+	decodeSyncToken,
+	pullChanges,
+	validateOperation,
+	applyOnce,
+} = require("../utils/sync");
+
+const router = express.Router();
+
+const MAX_SYNC_OPERATIONS = 500;
+
+// Reads the sync token of a request, { since: null } without one
+const parseToken = (token) => {
+	if (token === undefined || token === null || token === "") {
+		return { since: null };
+	}
+	const since = decodeSyncToken(String(token));
+	return since ? { since } : { error: true };
+};
+
+const invalidToken = (res) =>
+	res.status(400).json({
+		success: false,
+		code: "INVALID_SYNC_TOKEN",
+		message: "Invalid sync token, sync again without one",
+	});
+
+// 🔄 GET: Words and progress that changed since a sync token
+// ?token=<token of the last sync>, everything without one (see utils/sync.js)
+router.get("/sync", requireAuth("read"), async (req, res) => {
+	try {
+		const { since, error } = parseToken(req.query.token);
+		if (error) return invalidToken(res);
+
+		const changes = await pullChanges(req.auth.sub, since);
+
+		res.status(200).json({
+			success: true,
+			message: "Changes fetched successfully",
+			data: changes,
+		});
+	} catch (error) {
+		console.error("Error fetching sync changes:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to fetch changes",
+		});
+	}
+});
+
+// 📲 POST: Apply operations made offline, then fetch the changes since a token
+// body: { token?, operations: [...], onConflict: "keep" | "overwrite" | "report" }
+// Every operation gets a result in the same order; invalid operations are
+// rejected one by one without stopping the others
+router.post("/sync", requireAuth(), rateLimit("counters"), async (req, res) => {
+	try {
+		const { token, operations = [], onConflict = "keep" } = req.body || {};
+
+		const { since, error } = parseToken(token);
+		if (error) return invalidToken(res);
+
+		if (!Array.isArray(operations)) {
+			return res.status(400).json({
+				success: false,
+				message: "operations must be an array",
+			});
+		}
+
+		if (operations.length > MAX_SYNC_OPERATIONS) {
+			return res.status(413).json({
+				success: false,
+				message: `Too many operations, at most ${MAX_SYNC_OPERATIONS} per request`,
+			});
+		}
+
+		if (!CONFLICT_POLICIES.includes(onConflict)) {
+			return res.status(400).json({
+				success: false,
+				message:
+					"Invalid onConflict. Supported policies: " +
+					CONFLICT_POLICIES.join(", "),
+			});
+		}
+
+		// Applied in order, so later operations see the earlier ones
+		const results = [];
+		for (const input of operations) {
+			const { operation, error: reason } = validateOperation(input);
+			if (!operation) {
+				results.push({
+					id: input && input.id,
+					status: "rejected",
+					reason: `Invalid operation: ${reason}`,
+				});
+				continue;
+			}
+			// Opens and revisions only touch the user's progress, edits change
+			// the shared word
+			if (
+				operation.type === "edit" &&
+				!(req.auth.scope || []).includes("edit")
+			) {
+				results.push({
+					id: operation.id,
+					status: "rejected",
+					reason: 'Edits require the "edit" scope',
+				});
+				continue;
+			}
+			results.push(await applyOnce(req.auth.sub, operation, onConflict));
+		}
+
+		const summary = {};
+		for (const { status } of results) {
+			summary[status] = (summary[status] || 0) + 1;
+		}
+
+		res.status(200).json({
+			success: true,
+			message: `${results.length} operations processed`,
+			data: {
+				results,
+				summary,
+				...(await pullChanges(req.auth.sub, since)),
+			},
+		});
+	} catch (error) {
+		console.error("Error syncing:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to sync",
+		});
+	}
+});
+
+module.exports = router;
@@ -0,0 +1,112 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const { requireAuth, readAccess, getUserId } = require("../middleware/auth");
+const { buildScopeFilter } = require("../utils/wordScope");
+const { validateWordUpdate } = require("../utils/wordValidation");
+const { getRepository } = require("../utils/wordRepository");
+
+const router = express.Router();
+
+// 🏷️ GET: Every tag in use with the number of active words carrying it
+// ?deck=<id> limits the counts to one deck
+router.get("/tags", readAccess, async (req, res) => {
+	try {
+		const scope = await buildScopeFilter(
+			{ deck: req.query.deck },
+			getUserId(req)
+		);
+		if (scope.error) {
+			return res.status(scope.error.status).json({
+				success: false,
+				message: scope.error.message,
+			});
+		}
+
+		const words = await getRepository().words.find(
+			{ deleted_at: null, ...scope.filter },
+			{ select: "tags" }
+		);
+		const counts = new Map();
+		for (const tag of words.flatMap((word) => word.tags || [])) {
+			counts.set(tag, (counts.get(tag) || 0) + 1);
+		}
+		const tags = [...counts]
+			.map(([tag, count]) => ({ tag, count }))
+			.sort((a, b) => b.count - a.count || (a.tag < b.tag ? -1 : 1));
+
+		res.status(200).json({
+			success: true,
+			message: "Tags fetched successfully",
+			data: { tags },
+		});
+	} catch (error) {
+		console.error("Error fetching tags:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to fetch tags",
+		});
+	}
+});
+
+// Adds or removes tags ({ tags: [...] }) on one word, leaving the others as
+// they are (PATCH /words/:id replaces the whole list)
+const changeTags = (operator) => async (req, res) => {
+	const adding = operator === "$addToSet";
+
+	try {
+		const { id } = req.params;
+		if (!mongoose.Types.ObjectId.isValid(id)) {
+			return res.status(400).json({
+				success: false,
+				message: "Invalid word ID format",
+			});
+		}
+
+		const { tags } = req.body || {};
+		const { changes, errors } = Array.isArray(tags)
+			? validateWordUpdate({ tags })
+			: { changes: {}, errors: { tags: "must be an array of strings" } };
+
+		if (errors.tags || !changes.tags.length) {
+			return res.status(400).json({
+				success: false,
+				message: "Invalid tags: " + (errors.tags || "must not be empty"),
+			});
+		}
+
+		const update = adding
+			? { $addToSet: { tags: { $each: changes.tags } } }
+			: { $pull: { tags: { $in: changes.tags } } };
+		const word = await getRepository().words.updateOne(
+			{ _id: id, deleted_at: null },
+			update
+		);
+
+		if (!word) {
+			return res.status(404).json({
+				success: false,
+				message: "Word not found",
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			message: adding ? "Tags added successfully" : "Tags removed successfully",
+			data: { wordId: word._id, word: word.word, tags: word.tags },
+		});
+	} catch (error) {
+		console.error("Error changing word tags:", error);
+		res.status(500).json({
+			success: false,
+			message: adding ? "Failed to add tags" : "Failed to remove tags",
+		});
+	}
+};
+
+// ➕ POST: Tag a word
+router.post("/words/:id/tags", requireAuth("edit"), changeTags("$addToSet"));
+
+// ➖ DELETE: Remove tags from a word
+router.delete("/words/:id/tags", requireAuth("edit"), changeTags("$pull"));
+
+module.exports = router;
@@ -0,0 +1,213 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const { requireAuth, readAccess, getUserId } = require("../middleware/auth");
+const { enrichNewWords } = require("../utils/enrichmentWorker");
+const { searchWords } = require("../utils/search");
+const { FORMATS, exportWords, parseImport } = require("../utils/wordFormats");
+const { classifyNewWords, insertNewWords } = require("../utils/wordIntake");
+const { wordKey } = require("../utils/text");
+const { buildScopeFilter } = require("../utils/wordScope");
+const { getRepository } = require("../utils/wordRepository");
+
+const router = express.Router();
+
+const MAX_IMPORT_ROWS = 5000;
+
+const invalidFormat = (res) =>
+	res.status(400).json({
+		success: false,
+		message:
+			"Invalid format. Supported formats: " + Object.keys(FORMATS).join(", "),
+	});
+
+// Builds the Mongo filter of an export from its query parameters
+const exportFilter = (query) => {
+	const filter = { deleted_at: null };
+
+	if (query.ids) {
+		const ids = String(query.ids).split(",");
+		if (!ids.every((id) => mongoose.Types.ObjectId.isValid(id))) return null;
+		filter._id = { $in: ids };
+	}
+
+	if (query.createdFrom || query.createdTo) {
+		filter.createdAt = {};
+		if (query.createdFrom) filter.createdAt.$gte = new Date(query.createdFrom);
+		if (query.createdTo) filter.createdAt.$lte = new Date(query.createdTo);
+		if (Object.values(filter.createdAt).some((date) => isNaN(date)))
+			return null;
+	}
+
+	if (query.missing) {
+		if (!["mnemonic", "breakdown"].includes(query.missing)) return null;
+		filter[query.missing] = { $in: [null, ""] };
+	}
+
+	return filter;
+};
+
+// 📤 GET: Export words as JSON, CSV or Anki TSV
+// ?format=json|csv|anki, optionally filtered by ids, q (search),
+// createdFrom/createdTo, missing=mnemonic|breakdown, deck=<id> and tag=a,b
+router.get("/words/export", readAccess, async (req, res) => {
+	try {
+		const format = req.query.format || "json";
+		if (!FORMATS[format]) return invalidFormat(res);
+
+		const filter = exportFilter(req.query);
+		if (!filter) {
+			return res.status(400).json({
+				success: false,
+				message: "Invalid export filter",
+			});
+		}
+
+		const scope = await buildScopeFilter(req.query, getUserId(req));
+		if (scope.error) {
+			return res.status(scope.error.status).json({
+				success: false,
+				message: scope.error.message,
+			});
+		}
+
+		let words = await getRepository().words.find(
+			{ ...filter, ...scope.filter },
+			{ sort: { createdAt: 1, _id: 1 } }
+		);
+
+		if (typeof req.query.q === "string" && req.query.q.trim()) {
+			words = searchWords(words, req.query.q).map((result) => result.word);
+		}
+
+		const { contentType, extension } = FORMATS[format];
+		const date = new Date().toISOString().slice(0, 10);
+
+		res.set("Content-Type", `${contentType}; charset=utf-8`);
+		res.set(
+			"Content-Disposition",
+			`attachment; filename="words-${date}.${extension}"`
+		);
+		res.set("X-Total-Count", String(words.length));
+		res.status(200).send(exportWords(words, format));
+	} catch (error) {
+		console.error("Error exporting words:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to export words",
+		});
+	}
+});
+
+// 📥 POST: Import words from JSON, CSV or Anki TSV
+// Send { format, content, dryRun } as JSON, or the raw file as text with
+// ?format=...&dryRun=true. A dry run only reports which rows are new,
+// duplicates or invalid; otherwise the new rows are inserted.
+router.post(
+	"/words/import",
+	requireAuth("edit"),
+	express.text({
+		type: ["text/csv", "text/tab-separated-values", "text/plain"],
+		limit: "5mb",
+	}),
+	async (req, res) => {
+		try {
+			const isText = typeof req.body === "string";
+			const options = isText ? req.query : { ...req.query, ...req.body };
+			const format = options.format || "json";
+			const dryRun = options.dryRun === true || options.dryRun === "true";
+			const content = isText ? req.body : options.content;
+
+			if (!FORMATS[format]) return invalidFormat(res);
+
+			if (content === undefined || content === "") {
+				return res.status(400).json({
+					success: false,
+					message: "Import content is required",
+				});
+			}
+
+			let rows;
+			try {
+				rows = parseImport(content, format);
+			} catch (error) {
+				return res.status(400).json({
+					success: false,
+					message: `Could not read the ${format} import: ${error.message}`,
+				});
+			}
+
+			if (rows.length > MAX_IMPORT_ROWS) {
+				return res.status(413).json({
+					success: false,
+					message: `An import can contain at most ${MAX_IMPORT_ROWS} words`,
+				});
+			}
+
+			// Duplicates are checked against earlier rows and every stored word,
+			// including the ones in the trash
+			const report = (
+				await classifyNewWords(rows.map(({ input }) => input))
+			).map((result, i) => ({ row: rows[i].row, ...result }));
+
+			const newRows = report.filter((r) => r.status === "new");
+			const summary = {
+				total: report.length,
+				new: newRows.length,
+				duplicate: report.filter((r) => r.status === "duplicate").length,
+				invalid: report.filter((r) => r.status === "invalid").length,
+			};
+
+			let inserted = [];
+			let enrichmentJob = null;
+
+			if (!dryRun && newRows.length) {
+				const insert = await insertNewWords(
+					newRows.map((r) => r.value),
+					{ source: "import", author: req.auth.sub }
+				);
+				inserted = insert.inserted;
+
+				// Rows another request added while this import was running
+				for (const row of newRows) {
+					if (insert.raced.has(wordKey(row.value.word))) {
+						Object.assign(row, {
+							status: "duplicate",
+							reasons: ["already exists"],
+						});
+						summary.new--;
+						summary.duplicate++;
+					}
+				}
+
+				enrichmentJob = await enrichNewWords(
+					inserted.map((w) => w._id),
+					"import",
+					req.auth.sub
+				);
+			}
+
+			res.status(dryRun ? 200 : 201).json({
+				success: true,
+				message: dryRun
+					? `Dry run: ${summary.new} of ${summary.total} words would be added`
+					: `${inserted.length} words imported successfully`,
+				data: {
+					format,
+					dryRun,
+					summary,
+					rows: report.map(({ value, existing, ...row }) => row),
+					insertedIds: inserted.map((w) => w._id),
+					enrichmentJob,
+				},
+			});
+		} catch (error) {
+			console.error("Error importing words:", error);
+			res.status(500).json({
+				success: false,
+				message: "Failed to import words",
+			});
+		}
+	}
+);
+
+module.exports = router;
@@ -0,0 +1,235 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const WordVersion = require("../model/WordVersion");
+const { requireAuth, readAccess } = require("../middleware/auth");
+const { snapshot, diffContent, revertWord } = require("../utils/wordVersions");
+const { getRepository } = require("../utils/wordRepository");
+const { findSameWord, duplicateReason } = require("../utils/wordIntake");
+const { wordKey } = require("../utils/text");
+
+const router = express.Router();
+
+const invalidId = (res) =>
+	res.status(400).json({
+		success: false,
+		message: "Invalid word ID format",
+	});
+
+const notFound = (res, what = "Word") =>
+	res.status(404).json({
+		success: false,
+		message: `${what} not found`,
+	});
+
+const parseVersion = (value) => {
+	const version = Number(value);
+	return Number.isInteger(version) && version > 0 ? version : null;
+};
+
+// Versions are kept for words in the trash, but only active words are shown
+const findActiveWord = (id, select) =>
+	getRepository().words.findOne({ _id: id, deleted_at: null }, { select });
+
+const findVersion = (id, version) =>
+	getRepository().wordVersions.findOne({ word: id, version });
+
+// 📜 GET: Versions of a word, newest first, without their content
+// ?source=ai|manual|... keeps one kind of change
+router.get("/words/:id/versions", readAccess, async (req, res) => {
+	try {
+		const { id } = req.params;
+		if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res);
+
+		const { source } = req.query;
+		if (source !== undefined && !WordVersion.SOURCES.includes(source)) {
+			return res.status(400).json({
+				success: false,
+				message:
+					"Invalid source. Allowed values: " + WordVersion.SOURCES.join(", "),
+			});
+		}
+
+		const word = await findActiveWord(id, "word");
+		if (!word) return notFound(res);
+
+		const versions = await getRepository().wordVersions.find(
+			{ word: id, ...(source ? { source } : {}) },
+			{ select: "-content", sort: { version: -1 } }
+		);
+
+		res.status(200).json({
+			success: true,
+			message: "Versions fetched successfully",
+			data: { wordId: word._id, word: word.word, versions },
+		});
+	} catch (error) {
+		console.error("Error fetching word versions:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to fetch versions",
+		});
+	}
+});
+
+// 🔀 GET: Differences between two versions of a word
+// ?from=<version>&to=<version>, "current" (the default of to) is the content
+// the word has now; from defaults to the version before to
+router.get("/words/:id/versions/diff", readAccess, async (req, res) => {
+	try {
+		const { id } = req.params;
+		if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res);
+
+		const toCurrent = req.query.to === undefined || req.query.to === "current";
+		const to = toCurrent ? null : parseVersion(req.query.to);
+		const from =
+			req.query.from === undefined ? null : parseVersion(req.query.from);
+		if ((!toCurrent && !to) || (req.query.from !== undefined && !from)) {
+			return res.status(400).json({
+				success: false,
+				message: 'from and to must be version numbers (to may be "current")',
+			});
+		}
+
+		const word = await findActiveWord(id);
+		if (!word) return notFound(res);
+
+		const toContent = toCurrent
+			? snapshot(word)
+			: (await findVersion(id, to))?.content;
+		if (!toContent) return notFound(res, `Version ${to}`);
+
+		// Without from: the version before to, or the latest one for the
+		// current content
+		const fromVersion = from
+			? await findVersion(id, from)
+			: await getRepository().wordVersions.findOne(
+					{ word: id, ...(toCurrent ? {} : { version: { $lt: to } }) },
+					{ sort: { version: -1 } }
+			  );
+		if (!fromVersion) {
+			return notFound(res, from ? `Version ${from}` : "Earlier version");
+		}
+
+		res.status(200).json({
+			success: true,
+			message: "Diff created successfully",
+			data: {
+				wordId: word._id,
+				from: fromVersion.version,
+				to: toCurrent ? "current" : to,
+				changes: diffContent(fromVersion.content, toContent),
+			},
+		});
+	} catch (error) {
+		console.error("Error diffing word versions:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to diff versions",
+		});
+	}
+});
+
+// 🔖 GET: One version of a word with its content
+router.get("/words/:id/versions/:version", readAccess, async (req, res) => {
+	try {
+		const { id } = req.params;
+		if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res);
+
+		const number = parseVersion(req.params.version);
+		if (!number) {
+			return res.status(400).json({
+				success: false,
+				message: "Version must be a positive integer",
+			});
+		}
+
+		if (!(await findActiveWord(id, "_id"))) return notFound(res);
+
+		const version = await findVersion(id, number);
+		if (!version) return notFound(res, `Version ${number}`);
+
+		res.status(200).json({
+			success: true,
+			message: "Version fetched successfully",
+			data: version,
+		});
+	} catch (error) {
+		console.error("Error fetching word version:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to fetch version",
+		});
+	}
+});
+
+// ⏪ POST: Restore the content of a word from an earlier version
+// Body: { version }; the revert itself is stored as a new version
+router.post("/words/:id/revert", requireAuth("edit"), async (req, res) => {
+	try {
+		const { id } = req.params;
+		if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res);
+
+		const number = parseVersion((req.body || {}).version);
+		if (!number) {
+			return res.status(400).json({
+				success: false,
+				message: "version must be a positive integer",
+			});
+		}
+
+		const word = await findActiveWord(id);
+		if (!word) return notFound(res);
+
+		const version = await findVersion(id, number);
+		if (!version) return notFound(res, `Version ${number}`);
+
+		// The old spelling may have been taken by another word since
+		const { word: spelling } = version.content;
+		if (spelling && wordKey(spelling) !== wordKey(word.word)) {
+			const duplicate = await findSameWord(spelling, word._id);
+			if (duplicate) {
+				return res.status(409).json({
+					success: false,
+					message: `The word "${spelling}" ${duplicateReason(duplicate)}`,
+				});
+			}
+		}
+
+		let reverted;
+		try {
+			reverted = await revertWord(word, version, req.auth.sub);
+		} catch (error) {
+			// ... or in the meantime
+			if (error.code === 11000) {
+				return res.status(409).json({
+					success: false,
+					message: `The word "${version.content.word}" already exists`,
+				});
+			}
+			throw error;
+		}
+		// Moved to the trash in the meantime
+		if (!reverted) return notFound(res);
+
+		const created = reverted.version;
+		res.status(200).json({
+			success: true,
+			message: created
+				? `Word reverted to version ${number}`
+				: `Word already has the content of version ${number}`,
+			data: {
+				word: reverted.word,
+				version: created ? created.version : null,
+				changed_fields: created ? created.changed_fields : [],
+			},
+		});
+	} catch (error) {
+		console.error("Error reverting word:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to revert word",
+		});
+	}
+});
+
+module.exports = router;
@@ -0,0 +1,713 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Word = require("../model/Word");
+const {
+	requireAuth,
+	readAccess,
+	schedulerAccess,
+	getUserId,
+} = require("../middleware/auth");
+const { escapeRegex, spellingPattern, wordKey } = require("../utils/text");
+const {
+	SEARCH_FIELDS,
+	checkQuery,
+	candidateFilter,
+	searchWords,
+} = require("../utils/search");
+const { buildScopeFilter } = require("../utils/wordScope");
+const { recordChange } = require("../utils/wordVersions");
+const { keepEditedMnemonic } = require("../utils/mnemonics");
+const {
+	sameWordFilter,
+	findSameWord,
+	duplicateReason,
+} = require("../utils/wordIntake");
+const { getRepository } = require("../utils/wordRepository");
+const { purgeTrash } = require("../utils/trash");
+const {
+	buildWordGraph,
+	findRelated,
+	findClusters,
+} = require("../utils/wordGraph");
+const {
+	parseListQuery,
+	cursorCondition,
+	encodeCursor,
+} = require("../utils/wordQuery");
+const {
+	validateWordUpdate,
+	validationErrors,
+} = require("../utils/wordValidation");
+
+const router = express.Router();
+
+const invalidId = (res) =>
+	res.status(400).json({
+		success: false,
+		message: "Invalid word ID format",
+	});
+
+const notFound = (res) =>
+	res.status(404).json({
+		success: false,
+		message: "Word not found",
+	});
+
+// `existing` is the stored word with the same spelling, when it is known
+const duplicateWord = (res, word, existing) =>
+	res.status(409).json({
+		success: false,
+		message: `The word "${word}" ${duplicateReason(existing || {})}`,
+		...(existing ? { data: { existingId: existing._id } } : {}),
+	});
+
+// Loads one active word with the progress of the current user merged in
+const findWordWithProgress = async (id, userId) => {
+	const [word] = await getRepository().findWithProgress(userId, {
+		match: { _id: new mongoose.Types.ObjectId(id), deleted_at: null },
+	});
+	return word || null;
+};
+
+// 📋 GET: One list endpoint with combinable filters, sorts and projection
+// ?q=&origin=&openedMin=&openedMax=&revisedMin=&revisedMax=
+// &createdFrom=&createdTo=&updatedFrom=&updatedTo=&has=mnemonic&missing=breakdown
+// &deck=&tag=&sort=most_difficult,-createdAt&fields=word,meaning&limit=20
+// &cursor=<nextCursor of the previous page>&count=true
+router.get("/words", readAccess, async (req, res) => {
+	try {
+		const { value, errors } = parseListQuery(req.query);
+		if (errors.length) {
+			return res.status(400).json({
+				success: false,
+				message: errors.join("; "),
+			});
+		}
+
+		const scope = await buildScopeFilter(req.query, getUserId(req));
+		if (scope.error) {
+			return res.status(scope.error.status).json({
+				success: false,
+				message: scope.error.message,
+			});
+		}
+
+		const { match, progressMatch, sortKeys, sort, projection, limit } = value;
+		const wordMatch = { deleted_at: null, ...scope.filter, ...match };
+		const repository = getRepository();
+
+		// The cursor needs the sort fields of the last word, they are removed
+		// again below when they were not asked for
+		let fetchProjection = null;
+		if (projection) {
+			fetchProjection = { ...projection };
+			for (const { field } of sortKeys) fetchProjection[field] = 1;
+		}
+
+		const [words, totalCount] = await Promise.all([
+			repository.findWithProgress(getUserId(req), {
+				match: wordMatch,
+				filter: value.cursor
+					? { ...progressMatch, ...cursorCondition(value.cursor, sortKeys) }
+					: progressMatch,
+				sort,
+				limit: limit + 1,
+				select: fetchProjection,
+			}),
+			req.query.count === "true"
+				? repository.countWithProgress(getUserId(req), {
+						match: wordMatch,
+						filter: progressMatch,
+				  })
+				: undefined,
+		]);
+
+		const hasMore = words.length > limit;
+		const page = words.slice(0, limit);
+		const nextCursor = hasMore
+			? encodeCursor(page[page.length - 1], sortKeys)
+			: null;
+
+		if (projection) {
+			for (const word of page) {
+				for (const { field } of sortKeys) {
+					if (!projection[field]) delete word[field];
+				}
+			}
+		}
+
+		res.status(200).json({
+			success: true,
+			message: "Words fetched successfully",
+			data: {
+				sort: sortKeys.map(
+					({ field, direction }) => (direction < 0 ? "-" : "") + field
+				),
+				limit,
+				totalCount,
+				hasMore,
+				nextCursor,
+				words: page,
+			},
+		});
+	} catch (error) {
+		console.error("Error listing words:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to fetch words",
+		});
+	}
+});
+
+// 3️⃣ GET: Filtered words
+router.get("/words/filter", readAccess, async (req, res) => {
+	try {
+		const { word } = req.query;
+		const filter = { deleted_at: null };
+
+		if (typeof word === "string" && word) {
+			// case-insensitive search, the input is matched literally
+			filter.word = { $regex: escapeRegex(word), $options: "i" };
+		}
+
+		const words = await getRepository().findWithProgress(getUserId(req), {
+			match: filter,
+		});
+		res.json({
+			count: words.length,
+			words,
+		});
+	} catch (error) {
+		console.error(error);
+		res.status(500).json({
+			message: "Failed to fetch filtered words",
+			error: error.message,
+		});
+	}
+});
+
+// Loads the searchable fields of every active word, optionally within a scope
+const loadSearchableWords = (fields, scope = {}, candidates = {}) =>
+	getRepository().words.find(
+		{ deleted_at: null, ...scope, ...candidates },
+		{
+			select: [...new Set(fields.map((field) => field.split(".")[0]))].join(
+				" "
+			),
+		}
+	);
+
+// Linked words are reported as { _id, word }
+const GRAPH_FIELDS = ["word", "word_key", "synonyms", "antonyms"];
+const MAX_RELATED_DEPTH = 3;
+
+const graphWord = ({ _id, word }) => ({ _id, word });
+
+/**
+ * Loads a word and the words up to `depth` links away from it, instead of
+ * every word: each hop loads the words the last ones list as synonyms or
+ * antonyms, and the words that list one of them.
+ * @returns {Promise<object[]>} Empty when the word is not active.
+ */
+const loadLinkedWords = async (id, depth) => {
+	const { words } = getRepository();
+	const select = GRAPH_FIELDS.join(" ");
+	const start = await words.findOne({ _id: id, deleted_at: null }, { select });
+	if (!start) return [];
+
+	const loaded = [start];
+	let frontier = [start];
+	for (let hop = 1; hop <= depth && frontier.length; hop++) {
+		const listed = frontier.flatMap((word) =>
+			[...(word.synonyms || []), ...(word.antonyms || [])].map(wordKey)
+		);
+		const listing = frontier.map((word) =>
+			spellingPattern(word.word_key || wordKey(word.word))
+		);
+		frontier = await words.find(
+			{
+				_id: { $nin: loaded.map((word) => word._id) },
+				deleted_at: null,
+				$or: [
+					sameWordFilter([...new Set(listed)]),
+					{ synonyms: { $in: listing } },
+					{ antonyms: { $in: listing } },
+				],
+			},
+			{ select }
+		);
+		loaded.push(...frontier);
+	}
+	return loaded;
+};
+
+// Orders words with progress like the given list of ids
+const withProgressInOrder = async (ids, userId) => {
+	const words = await getRepository().findWithProgress(userId, {
+		match: { _id: { $in: ids } },
+	});
+	const byId = new Map(words.map((word) => [word._id.toString(), word]));
+	return ids.map((id) => byId.get(id.toString()));
+};
+
+// 🔎 GET: Relevance-ranked, typo-tolerant search over all text fields
+// ?q=<text>&fields=word,mnemonic&prefix=true&page=1&limit=20&deck=<id>&tag=a,b
+router.get("/words/search", readAccess, async (req, res) => {
+	try {
+		const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+		const limit = parseInt(req.query.limit) || 20;
+		const page = parseInt(req.query.page) || 1;
+		const prefix = req.query.prefix === "true";
+
+		if (!q) {
+			return res.status(400).json({
+				success: false,
+				message: "Search query (q) is required",
+			});
+		}
+
+		const invalidQuery = checkQuery(q);
+		if (invalidQuery) {
+			return res.status(400).json({ success: false, message: invalidQuery });
+		}
+
+		if (limit < 1 || limit > 100 || page < 1) {
+			return res.status(400).json({
+				success: false,
+				message: "Limit must be between 1 and 100 and page greater than 0",
+			});
+		}
+
+		const fields = req.query.fields
+			? String(req.query.fields)
+					.split(",")
+					.map((field) => field.trim())
+			: Object.keys(SEARCH_FIELDS);
+		const unknown = fields.filter((field) => !SEARCH_FIELDS[field]);
+
+		if (unknown.length) {
+			return res.status(400).json({
+				success: false,
+				message:
+					`Unknown search fields: ${unknown.join(", ")}. ` +
+					`Supported fields: ${Object.keys(SEARCH_FIELDS).join(", ")}`,
+			});
+		}
+
+		const scope = await buildScopeFilter(req.query, getUserId(req));
+		if (scope.error) {
+			return res.status(scope.error.status).json({
+				success: false,
+				message: scope.error.message,
+			});
+		}
+
+		const ranked = searchWords(
+			await loadSearchableWords(
+				["word", ...fields],
+				scope.filter,
+				candidateFilter(q, fields)
+			),
+			q,
+			{ prefix, fields }
+		);
+		const pageResults = ranked.slice((page - 1) * limit, page * limit);
+		const words = await withProgressInOrder(
+			pageResults.map((result) => result.word._id),
+			getUserId(req)
+		);
+
+		res.status(200).json({
+			success: true,
+			message: "Search completed successfully",
+			data: {
+				query: q,
+				totalCount: ranked.length,
+				totalPages: Math.ceil(ranked.length / limit),
+				currentPage: page,
+				limit,
+				results: pageResults.map((result, i) => ({
+					score: result.score,
+					highlights: result.highlights,
+					word: words[i],
+				})),
+			},
+		});
+	} catch (error) {
+		console.error("Error searching words:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to search words",
+		});
+	}
+});
+
+// ⌨️ GET: Autocomplete suggestions for a partially typed word
+router.get("/words/autocomplete", readAccess, async (req, res) => {
+	try {
+		const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+		const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+		if (!q) {
+			return res.status(400).json({
+				success: false,
+				message: "Search query (q) is required",
+			});
+		}
+
+		const invalidQuery = checkQuery(q);
+		if (invalidQuery) {
+			return res.status(400).json({ success: false, message: invalidQuery });
+		}
+
+		const suggestions = searchWords(
+			await loadSearchableWords(["word"], {}, candidateFilter(q, ["word"])),
+			q,
+			{ prefix: true, fields: ["word"] }
+		)
+			.slice(0, limit)
+			.map((result) => ({
+				wordId: result.word._id,
+				word: result.word.word,
+				highlight: result.highlights[0] ? result.highlights[0].snippet : null,
+			}));
+
+		res.status(200).json({
+			success: true,
+			message: "Suggestions fetched successfully",
+			data: { query: q, suggestions },
+		});
+	} catch (error) {
+		console.error("Error fetching suggestions:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to fetch suggestions",
+		});
+	}
+});
+
+// 🕸️ GET: Groups of words linked to each other as synonyms
+// ?minLinks=1 (synonyms a word needs inside its group)&minSize=2&deck=<id>&tag=a,b
+router.get("/words/clusters", readAccess, async (req, res) => {
+	try {
+		const minLinks = parseInt(req.query.minLinks) || 1;
+		const minSize = parseInt(req.query.minSize) || 2;
+
+		if (minLinks < 1 || minSize < 2) {
+			return res.status(400).json({
+				success: false,
+				message: "minLinks must be at least 1 and minSize at least 2",
+			});
+		}
+
+		const scope = await buildScopeFilter(req.query, getUserId(req));
+		if (scope.error) {
+			return res.status(scope.error.status).json({
+				success: false,
+				message: scope.error.message,
+			});
+		}
+
+		const graph = buildWordGraph(
+			await loadSearchableWords(GRAPH_FIELDS, scope.filter)
+		);
+		const clusters = findClusters(graph, { minLinks, minSize }).map(
+			(cluster) => ({ ...cluster, words: cluster.words.map(graphWord) })
+		);
+
+		res.status(200).json({
+			success: true,
+			message: "Clusters fetched successfully",
+			data: { count: clusters.length, minLinks, minSize, clusters },
+		});
+	} catch (error) {
+		console.error("Error fetching word clusters:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to fetch clusters",
+		});
+	}
+});
+
+// 🗑️ GET: Words in the trash, most recently deleted first
+router.get("/words/trash", readAccess, async (req, res) => {
+	try {
+		const words = await getRepository().words.find(
+			{ deleted_at: { $ne: null } },
+			{ sort: { deleted_at: -1, _id: -1 } }
+		);
+
+		const retentionMs = Word.TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+		res.status(200).json({
+			success: true,
+			message: "Trashed words fetched successfully",
+			data: {
+				count: words.length,
+				retentionDays: Word.TRASH_RETENTION_DAYS,
+				words: words.map((word) => ({
+					...word,
+					purge_at: new Date(word.deleted_at.getTime() + retentionMs),
+				})),
+			},
+		});
+	} catch (error) {
+		console.error("Error fetching trashed words:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to fetch trashed words",
+		});
+	}
+});
+
+// 🧹 GET/POST: Purge the words that have been in the trash for longer than
+// the retention, with their progress and history. Meant for a scheduler on
+// serverless deployments, where no background purge keeps running.
+const purge = async (req, res) => {
+	try {
+		const purged = await purgeTrash();
+
+		res.status(200).json({
+			success: true,
+			message: `Purged ${purged.words} words from the trash`,
+			data: { purged },
+		});
+	} catch (error) {
+		console.error("Error purging the trash:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to purge the trash",
+		});
+	}
+};
+
+router.get("/words/trash/purge", schedulerAccess("edit"), purge);
+router.post("/words/trash/purge", schedulerAccess("edit"), purge);
+
+// 🔍 GET: A single word
+router.get("/words/:id", readAccess, async (req, res) => {
+	try {
+		const { id } = req.params;
+
+		if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res);
+
+		const word = await findWordWithProgress(id, getUserId(req));
+		if (!word) return notFound(res);
+
+		res.status(200).json({
+			success: true,
+			message: "Word fetched successfully",
+			data: { word },
+		});
+	} catch (error) {
+		console.error("Error fetching word:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to fetch word",
+		});
+	}
+});
+
+// 🔗 GET: Words linked to a word through synonyms and antonyms
+// ?depth=1 follows links up to 3 hops away; the synonym of an antonym counts
+// as an antonym. Listed strings that match no word are returned as unlinked.
+router.get("/words/:id/related", readAccess, async (req, res) => {
+	try {
+		const { id } = req.params;
+		if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res);
+
+		const depth = parseInt(req.query.depth) || 1;
+		if (depth < 1 || depth > MAX_RELATED_DEPTH) {
+			return res.status(400).json({
+				success: false,
+				message: `Depth must be between 1 and ${MAX_RELATED_DEPTH}`,
+			});
+		}
+
+		const graph = buildWordGraph(await loadLinkedWords(id, depth));
+		const node = graph.get(id);
+		if (!node) return notFound(res);
+
+		const related = { synonyms: [], antonyms: [] };
+		for (const { word, relation, hops, via } of findRelated(graph, id, depth)) {
+			related[relation].push({ ...graphWord(word), hops, via });
+		}
+
+		res.status(200).json({
+			success: true,
+			message: "Related words fetched successfully",
+			data: {
+				wordId: node.word._id,
+				word: node.word.word,
+				depth,
+				...related,
+				unlinked: node.unlinked,
+			},
+		});
+	} catch (error) {
+		console.error("Error fetching related words:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to fetch related words",
+		});
+	}
+});
+
+// ✏️ PATCH: Update some fields of a word
+router.patch("/words/:id", requireAuth("edit"), async (req, res) => {
+	try {
+		const { id } = req.params;
+
+		if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res);
+
+		const { changes, errors } = validateWordUpdate(req.body);
+
+		if (Object.keys(errors).length) {
+			return res.status(400).json({
+				success: false,
+				message: "Invalid word fields",
+				errors,
+			});
+		}
+
+		if (!Object.keys(changes).length) {
+			return res.status(400).json({
+				success: false,
+				message: "No fields to update",
+			});
+		}
+
+		const { words } = getRepository();
+		const word = await words.findOne({ _id: id, deleted_at: null });
+		if (!word) return notFound(res);
+
+		// Renaming must not collide with another word (case-insensitive),
+		// including the ones in the trash
+		if (changes.word && wordKey(changes.word) !== wordKey(word.word)) {
+			const duplicate = await findSameWord(changes.word, word._id);
+			if (duplicate) return duplicateWord(res, changes.word, duplicate);
+		}
+
+		let updated;
+		try {
+			updated = await words.updateOne(
+				{ _id: word._id, deleted_at: null },
+				{ $set: changes }
+			);
+		} catch (error) {
+			// Another word got the same spelling in the meantime
+			if (error.code === 11000) return duplicateWord(res, changes.word);
+			throw error;
+		}
+		if (!updated) return notFound(res);
+
+		await recordChange(word._id, word, updated, {
+			source: "manual",
+			author: req.auth.sub,
+		});
+		// The edited mnemonic joins the word's mnemonics and is shown
+		await keepEditedMnemonic(word, updated, {
+			source: "user",
+			author: req.auth.sub,
+		});
+
+		res.status(200).json({
+			success: true,
+			message: "Word updated successfully",
+			data: {
+				updatedFields: Object.keys(changes),
+				word: await findWordWithProgress(id, req.auth.sub),
+			},
+		});
+	} catch (error) {
+		if (error.name === "ValidationError") {
+			return res.status(400).json({
+				success: false,
+				message: "Invalid word fields",
+				errors: validationErrors(error),
+			});
+		}
+
+		console.error("Error updating word:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to update word",
+		});
+	}
+});
+
+// 🗑️ DELETE: Move a word to the trash
+router.delete("/words/:id", requireAuth("edit"), async (req, res) => {
+	try {
+		const { id } = req.params;
+
+		if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res);
+
+		const word = await getRepository().words.updateOne(
+			{ _id: id, deleted_at: null },
+			{ $set: { deleted_at: new Date() } }
+		);
+		if (!word) return notFound(res);
+
+		res.status(200).json({
+			success: true,
+			message: `Word moved to trash, it will be purged after ${Word.TRASH_RETENTION_DAYS} days`,
+			data: {
+				wordId: word._id,
+				word: word.word,
+				deleted_at: word.deleted_at,
+			},
+		});
+	} catch (error) {
+		console.error("Error deleting word:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to delete word",
+		});
+	}
+});
+
+// ♻️ POST: Restore a word from the trash
+router.post("/words/:id/restore", requireAuth("edit"), async (req, res) => {
+	try {
+		const { id } = req.params;
+
+		if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res);
+
+		const { words } = getRepository();
+		// Only words stored without word_key can share a spelling, one of them
+		// may have been added again while the other was in the trash
+		const trashed = await words.findOne({ _id: id, deleted_at: { $ne: null } });
+		const duplicate =
+			trashed && (await findSameWord(trashed.word, trashed._id));
+		if (duplicate && !duplicate.deleted_at) {
+			return duplicateWord(res, trashed.word, duplicate);
+		}
+
+		const word = await words.updateOne(
+			{ _id: id, deleted_at: { $ne: null } },
+			{ $set: { deleted_at: null } }
+		);
+
+		if (!word) {
+			return res.status(404).json({
+				success: false,
+				message: "Word not found in trash",
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			message: "Word restored successfully",
+			data: { word: await findWordWithProgress(id, req.auth.sub) },
+		});
+	} catch (error) {
+		console.error("Error restoring word:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to restore word",
+		});
+	}
+});
+
+module.exports = router;
@@ -0,0 +1,107 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const {
+	revisionsPerDay,
+	streaks,
+	hardestWords,
+	dailyGoal,
+} = require("../utils/analytics");
+const {
+	createRepository,
+	getRepository,
+	setRepository,
+} = require("../utils/wordRepository");
+
+const id = () => new mongoose.Types.ObjectId();
+const now = new Date("2026-03-10T12:00:00Z");
+const timeZone = "UTC";
+
+describe("analytics", () => {
+	const user = id();
+	const lucid = id();
+	const terse = id();
+	// Revisions that an undo took back, one of them the only one of its day
+	const undone = [id(), id()];
+
+	let previous;
+	before(async () => {
+		previous = getRepository();
+		setRepository(createRepository("memory"));
+		const repository = getRepository();
+
+		await repository.words.insertMany([
+			{ _id: lucid, word: "lucid" },
+			{ _id: terse, word: "terse" },
+		]);
+
+		const revision = (day, details) => ({
+			user,
+			word: lucid,
+			type: "revision",
+			grade: "good",
+			at: new Date(`2026-03-${day}T09:00:00Z`),
+			...details,
+		});
+		await repository.studyEvents.insertMany([
+			revision("07"),
+			revision("08", { _id: undone[0], grade: "again" }),
+			revision("09"),
+			revision("10"),
+			revision("10", { _id: undone[1], grade: "again" }),
+			{ user, word: terse, type: "open", at: new Date("2026-03-09T10:00Z") },
+			...undone.map((reverts) => ({
+				user,
+				word: lucid,
+				type: "undo",
+				undoes: "revision",
+				reverts,
+				at: new Date("2026-03-10T10:00:00Z"),
+			})),
+			// An undo from before undos named the event they took back
+			{
+				user,
+				word: terse,
+				type: "undo",
+				undoes: "open",
+				at: new Date("2026-03-10T10:00:00Z"),
+			},
+			// The same undos by another user do not count for this one
+			revision("08", { user: id() }),
+		]);
+	});
+	after(() => setRepository(previous));
+
+	it("leaves undone revisions out of the revisions per day", async () => {
+		assert.deepEqual(
+			(await revisionsPerDay(user, { days: 4, timeZone, now })).map(
+				({ count }) => count
+			),
+			[1, 0, 1, 1]
+		);
+		const goal = await dailyGoal(user, { goal: 2, timeZone, now });
+		assert.equal(goal.done, 1);
+		assert.equal(goal.reached, false);
+	});
+
+	it("breaks the streak on a day whose revisions were all undone", async () => {
+		assert.deepEqual(await streaks(user, { timeZone, now }), {
+			current: 2,
+			longest: 2,
+			lastStudyDay: "2026-03-10",
+			studiedToday: true,
+		});
+	});
+
+	it("does not count undone recalls as trouble", async () => {
+		const hardest = await hardestWords(user, { limit: 10, timeZone, now });
+		assert.deepEqual(
+			hardest.map(({ word, difficulty, again }) => ({
+				word,
+				difficulty,
+				again,
+			})),
+			[{ word: "terse", difficulty: 1, again: 0 }]
+		);
+	});
+});
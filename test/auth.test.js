@@ -0,0 +1,107 @@
+const { describe, it, before, after, mock } = require("node:test");
+const crypto = require("crypto");
+const assert = require("node:assert/strict");
+const { startApp, createUser, registerUser } = require("./helpers");
+const { getRepository } = require("../utils/wordRepository");
+
+describe("tokens", () => {
+	let app;
+	before(async () => {
+		app = await startApp();
+	});
+	after(() => app.close());
+
+	it("asks for a token on write routes", async () => {
+		const { status, body } = await app.request("POST", "/postWords", {
+			body: { words: [{ word: "anonymous" }] },
+		});
+		assert.equal(status, 401);
+		assert.equal(body.code, "TOKEN_MISSING");
+	});
+
+	it("refreshes a refresh token only once, even concurrently", async () => {
+		const { refreshToken } = await registerUser();
+		const refresh = () =>
+			app.request("POST", "/auth/refresh", { body: { refreshToken } });
+
+		const responses = await Promise.all([refresh(), refresh(), refresh()]);
+		const statuses = responses.map((r) => r.status).sort();
+		assert.deepEqual(statuses, [200, 401, 401]);
+		for (const { status, body } of responses) {
+			if (status === 401) assert.equal(body.code, "TOKEN_REVOKED");
+			else assert.ok(body.data.accessToken);
+		}
+	});
+
+	it("gives the refreshed token the scopes of the current role", async () => {
+		const learner = await registerUser("learner");
+		const refresh = async ({ refreshToken }) =>
+			(await app.request("POST", "/auth/refresh", { body: { refreshToken } }))
+				.body.data;
+		const post = (accessToken) =>
+			app.request("POST", "/postWords", {
+				token: accessToken,
+				body: { words: [{ word: "escalate" }] },
+			});
+
+		const refreshed = await refresh(learner);
+		assert.equal((await post(refreshed.accessToken)).status, 403);
+
+		await getRepository().users.updateOne(
+			{ _id: learner.id },
+			{ $set: { role: "editor" } }
+		);
+		const promoted = await refresh(refreshed);
+		assert.equal((await post(promoted.accessToken)).status, 201);
+	});
+
+	it("refuses to refresh the token of a removed account", async () => {
+		const { refreshToken } = createUser();
+		const { status, body } = await app.request("POST", "/auth/refresh", {
+			body: { refreshToken },
+		});
+		assert.equal(status, 401);
+		assert.equal(body.code, "USER_NOT_FOUND");
+	});
+
+	it("hashes the password of an unknown username as well", async () => {
+		const user = await registerUser();
+		const login = (username) =>
+			app.request("POST", "/auth/login", {
+				body: { username, password: "wrong password" },
+			});
+		const hashed = mock.method(crypto, "scryptSync");
+		try {
+			const [known, unknown] = [
+				await login(`user${user.id.slice(-6)}`),
+				await login("nobody"),
+			];
+			assert.equal(known.status, 401);
+			assert.equal(unknown.status, 401);
+			assert.equal(hashed.mock.callCount(), 2);
+		} finally {
+			hashed.mock.restore();
+		}
+	});
+
+	it("revokes both tokens on logout", async () => {
+		const { accessToken, refreshToken } = createUser();
+		const logout = await app.request("POST", "/auth/logout", {
+			token: accessToken,
+			body: { refreshToken },
+		});
+		assert.equal(logout.status, 200);
+
+		const reused = await app.request("POST", "/postWords", {
+			token: accessToken,
+			body: { words: [{ word: "revoked" }] },
+		});
+		assert.equal(reused.status, 401);
+		assert.equal(reused.body.code, "TOKEN_REVOKED");
+
+		const refreshed = await app.request("POST", "/auth/refresh", {
+			body: { refreshToken },
+		});
+		assert.equal(refreshed.status, 401);
+	});
+});
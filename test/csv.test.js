@@ -0,0 +1,50 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseDelimited, stringifyDelimited } = require("../utils/csv");
+
+describe("csv", () => {
+	it("quotes only the fields that need it", () => {
+		assert.equal(
+			stringifyDelimited([
+				["plain", "a, b", 'say "hi"', "two\nlines", null, 3],
+			]),
+			'plain,"a, b","say ""hi""","two\nlines",,3\n'
+		);
+		assert.equal(
+			stringifyDelimited([["a, b", "c\td"]], "\t"),
+			'a, b\t"c\td"\n'
+		);
+	});
+
+	it("reads quoted fields with delimiters, quotes and line breaks", () => {
+		assert.deepEqual(
+			parseDelimited('word,example\nlucid,"clear, ""plain""\nand bright"\n'),
+			[
+				["word", "example"],
+				["lucid", 'clear, "plain"\nand bright'],
+			]
+		);
+	});
+
+	it("reads CRLF line endings and skips blank lines", () => {
+		assert.deepEqual(parseDelimited("a,b\r\n\r\n1,2\r\n,\r\n3,4"), [
+			["a", "b"],
+			["1", "2"],
+			["3", "4"],
+		]);
+	});
+
+	it("reads back what it writes", () => {
+		const rows = [
+			["word", "example"],
+			["lucid", 'a "clear", \r\nsimple\texplanation'],
+			["terse", ""],
+		];
+		for (const delimiter of [",", "\t"]) {
+			assert.deepEqual(
+				parseDelimited(stringifyDelimited(rows, delimiter), delimiter),
+				rows
+			);
+		}
+	});
+});
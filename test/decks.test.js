@@ -0,0 +1,90 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, createUser } = require("./helpers");
+const { getRepository } = require("../utils/wordRepository");
+const { purgeTrash } = require("../utils/trash");
+
+describe("decks", () => {
+	let app;
+	let editor;
+	let ids;
+	before(async () => {
+		app = await startApp();
+		editor = createUser();
+		await app.request("POST", "/postWords", {
+			token: editor.accessToken,
+			body: { words: [{ word: "arid" }, { word: "barren" }] },
+		});
+		ids = [];
+		for (const word of ["arid", "barren"]) {
+			ids.push((await getRepository().words.findOne({ word }))._id.toString());
+		}
+	});
+	after(() => app.close());
+
+	const createDeck = async (user, name) =>
+		(
+			await app.request("POST", "/decks", {
+				token: user.accessToken,
+				body: { name },
+			})
+		).body.data.deck._id;
+
+	const deckWords = async (user, deck) =>
+		(
+			await app.request("GET", `/words?deck=${deck}`, {
+				token: user.accessToken,
+			})
+		).body.data.words.map((word) => word.word);
+
+	it("keeps membership on the deck, not on the shared words", async () => {
+		const other = createUser("learner");
+		const mine = await createDeck(editor, "Dry");
+		const theirs = await createDeck(other, "Dry");
+
+		const before = await getRepository().words.findOne({ _id: ids[0] });
+		const added = await app.request("POST", `/decks/${mine}/words`, {
+			token: editor.accessToken,
+			body: { wordIds: ids },
+		});
+		assert.deepEqual(
+			[added.body.data.matched, added.body.data.modified],
+			[2, 2]
+		);
+		await app.request("POST", `/decks/${theirs}/words`, {
+			token: other.accessToken,
+			body: { wordIds: [ids[1]] },
+		});
+
+		const after = await getRepository().words.findOne({ _id: ids[0] });
+		assert.deepEqual(after, before);
+		assert.deepEqual((await deckWords(editor, mine)).sort(), [
+			"arid",
+			"barren",
+		]);
+		assert.deepEqual(await deckWords(other, theirs), ["barren"]);
+
+		const removed = await app.request("DELETE", `/decks/${mine}/words`, {
+			token: editor.accessToken,
+			body: { wordIds: [ids[1]] },
+		});
+		assert.equal(removed.body.data.modified, 1);
+		assert.deepEqual(await deckWords(editor, mine), ["arid"]);
+		assert.deepEqual(await deckWords(other, theirs), ["barren"]);
+	});
+
+	it("drops purged words from the decks", async () => {
+		const deck = await createDeck(editor, "Purged");
+		await app.request("POST", `/decks/${deck}/words`, {
+			token: editor.accessToken,
+			body: { wordIds: [ids[0]] },
+		});
+		await app.request("DELETE", `/words/${ids[0]}`, {
+			token: editor.accessToken,
+		});
+
+		await purgeTrash({ now: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000) });
+		const stored = await getRepository().decks.findOne({ _id: deck });
+		assert.deepEqual(stored.words, []);
+	});
+});
@@ -0,0 +1,73 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { doubleMetaphone } = require("../utils/doubleMetaphone");
+
+// Known answers of the original algorithm, without the cut to four characters
+const expectKeys = (cases) => {
+	for (const [word, keys] of Object.entries(cases)) {
+		assert.deepEqual(doubleMetaphone(word), keys, word);
+	}
+};
+
+describe("double metaphone", () => {
+	it("codes consonants and initial vowels", () => {
+		expectKeys({
+			Campbell: ["KMPL", "KMPL"],
+			Dumb: ["TM", "TM"],
+			Arnoff: ["ARNF", "ARNF"],
+			edge: ["AJ", "AJ"],
+			Thompson: ["TMPSN", "TMPSN"],
+			acceptingness: ["AKSPTNNS", "AKSPTNKNS"],
+		});
+	});
+
+	it("skips silent letters", () => {
+		expectKeys({
+			Knight: ["NT", "NT"],
+			Wright: ["RT", "RT"],
+			Gough: ["KF", "KF"],
+			laugh: ["LF", "LF"],
+			Hugh: ["H", "H"],
+			Science: ["SNS", "SNS"],
+			Caesar: ["SSR", "SSR"],
+			Ghislane: ["JLN", "JLN"],
+		});
+	});
+
+	it("gives a secondary key for alternative readings", () => {
+		expectKeys({
+			michael: ["MKL", "MXL"],
+			Smith: ["SM0", "XMT"],
+			Schmidt: ["XMT", "SMT"],
+			Thumbail: ["0MPL", "TMPL"],
+			Xavier: ["SF", "SFR"],
+			Rogier: ["RJ", "RJR"],
+			delicious: ["TLSS", "TLXS"],
+			Tichner: ["TXNR", "TKNR"],
+			psychology: ["SXLJ", "SKLK"],
+			Arnow: ["ARN", "ARNF"],
+			Womo: ["AM", "FM"],
+		});
+	});
+
+	it("reads Spanish, Slavic and Chinese spellings", () => {
+		expectKeys({
+			Jose: ["HS", "HS"],
+			bajador: ["PJTR", "PHTR"],
+			cabrillo: ["KPRL", "KPR"],
+			gallegos: ["KLKS", "KKS"],
+			crevalle: ["KRFL", "KRF"],
+			allegrettos: ["ALKRTS", "AKRTS"],
+			Filipowitz: ["FLPTS", "FLPFX"],
+			Jankelowicz: ["JNKLTS", "ANKLFX"],
+			Zhao: ["J", "J"],
+		});
+	});
+
+	it("ignores case and anything but letters", () => {
+		assert.deepEqual(doubleMetaphone("KNIGHT"), doubleMetaphone("knight"));
+		assert.deepEqual(doubleMetaphone(" Knight! "), ["NT", "NT"]);
+		assert.deepEqual(doubleMetaphone(""), ["", ""]);
+		assert.deepEqual(doubleMetaphone("123"), ["", ""]);
+	});
+});
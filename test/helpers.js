@@ -0,0 +1,83 @@
+// Runs the app on the memory repository for route tests: no database, an
+// empty store per app, and tokens issued directly instead of logging in.
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+const { once } = require("events");
+const mongoose = require("mongoose");
+const { createApp } = require("../app");
+const { issueTokens, scopesFor } = require("../utils/tokens");
+const { getRepository } = require("../utils/wordRepository");
+const User = require("../model/User");
+
+/**
+ * Starts the app with an empty memory repository on a free port.
+ * @returns {Promise<{request: Function, close: Function}>} request(method,
+ * path, { token, body, headers }) resolves to { status, body }.
+ */
+const startApp = async () => {
+	const server = createApp({ repository: "memory" }).listen(0);
+	await once(server, "listening");
+	const base = `http://127.0.0.1:${server.address().port}/api/v1`;
+
+	const request = async (method, path, { token, body, headers = {} } = {}) => {
+		const response = await fetch(base + path, {
+			method,
+			headers: {
+				"Content-Type": "application/json",
+				...(token ? { Authorization: `Bearer ${token}` } : {}),
+				...headers,
+			},
+			body: body === undefined ? undefined : JSON.stringify(body),
+		});
+		const text = await response.text();
+		let json;
+		try {
+			json = JSON.parse(text);
+		} catch (error) {
+			json = text;
+		}
+		return { status: response.status, body: json };
+	};
+
+	const close = () => {
+		server.closeAllConnections();
+		return new Promise((resolve) => server.close(resolve));
+	};
+
+	return { request, close };
+};
+
+/**
+ * A new user id with a token pair carrying the scopes of the role.
+ * @param {"learner"|"editor"} [role]
+ */
+const createUser = (role = "editor") => {
+	const id = new mongoose.Types.ObjectId().toString();
+	return {
+		id,
+		...issueTokens({
+			sub: id,
+			username: `user${id.slice(-6)}`,
+			scope: scopesFor(role),
+		}),
+	};
+};
+
+/**
+ * Like createUser, but the account is stored as well, for the routes that
+ * load it (e.g. refreshing a token). Call it after startApp.
+ * @param {"learner"|"editor"} [role]
+ */
+const registerUser = async (role = "editor") => {
+	const user = createUser(role);
+	await getRepository().users.insertOne({
+		_id: user.id,
+		username: `user${user.id.slice(-6)}`,
+		role,
+		password_hash: User.hashPassword("password"),
+	});
+	return user;
+};
+
+module.exports = { startApp, createUser, registerUser };
@@ -0,0 +1,70 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseJsonArray } = require("../utils/llmJson");
+
+describe("llm json", () => {
+	it("parses valid JSON without repairs", () => {
+		assert.deepEqual(parseJsonArray('[{"word": "lucid"}]'), {
+			items: [{ word: "lucid" }],
+			repairs: [],
+		});
+	});
+
+	it("unwraps fenced JSON and the prose around it", () => {
+		const { items, repairs } = parseJsonArray(
+			'Here you go:\n```json\n[{"word": "lucid"}]\n```\nEnjoy!'
+		);
+		assert.deepEqual(items, [{ word: "lucid" }]);
+		assert.ok(repairs.includes("removed code fences"));
+	});
+
+	it("removes trailing commas", () => {
+		const { items, repairs } = parseJsonArray(
+			'[{"word": "lucid", "synonyms": ["clear", "plain",],},]'
+		);
+		assert.deepEqual(items, [{ word: "lucid", synonyms: ["clear", "plain"] }]);
+		assert.deepEqual(repairs, ["removed trailing commas"]);
+	});
+
+	it("keeps commas and brackets inside strings", () => {
+		const { items } = parseJsonArray('[{"example": "Clear, [plain],"},]');
+		assert.deepEqual(items, [{ example: "Clear, [plain]," }]);
+	});
+
+	it("escapes line breaks and replaces smart quotes in strings", () => {
+		const { items, repairs } = parseJsonArray(
+			'[{“word”: “lucid”, "example": "line one\nline two"}]'
+		);
+		assert.deepEqual(items, [{ word: "lucid", example: "line one\nline two" }]);
+		assert.deepEqual(repairs.sort(), [
+			"escaped line breaks in strings",
+			"replaced smart quotes",
+		]);
+	});
+
+	it("keeps the complete elements of a truncated array", () => {
+		const { items, repairs } = parseJsonArray(
+			'[{"word": "lucid"}, {"word": "terse"}, {"word": "ver'
+		);
+		assert.deepEqual(items, [{ word: "lucid" }, { word: "terse" }]);
+		assert.deepEqual(repairs, ["closed a truncated array"]);
+
+		assert.deepEqual(parseJsonArray('[{"word": "luc').items, []);
+	});
+
+	it("wraps a single object in an array", () => {
+		const { items, repairs } = parseJsonArray('{"word": "lucid"}');
+		assert.deepEqual(items, [{ word: "lucid" }]);
+		assert.deepEqual(repairs, ["wrapped an object in an array"]);
+	});
+
+	it("gives up on responses that hold no JSON", () => {
+		assert.deepEqual(parseJsonArray("  "), {
+			items: null,
+			repairs: [],
+			error: "Empty response",
+		});
+		assert.equal(parseJsonArray("I cannot help with that.").items, null);
+		assert.equal(parseJsonArray('{"word": "luc').items, null);
+	});
+});
@@ -0,0 +1,87 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, createUser } = require("./helpers");
+const { getRepository } = require("../utils/wordRepository");
+const { MNEMONIC_REPORT_LIMIT } = require("../utils/mnemonics");
+
+describe("mnemonics", () => {
+	let app;
+	let editor;
+	before(async () => {
+		app = await startApp();
+		editor = createUser();
+	});
+	after(() => app.close());
+
+	const addWord = async (word, mnemonic) => {
+		await app.request("POST", "/postWords", {
+			token: editor.accessToken,
+			body: { words: [{ word, mnemonic }] },
+		});
+		return (await getRepository().words.findOne({ word }))._id.toString();
+	};
+
+	const addMnemonic = async (id, mnemonic) =>
+		(
+			await app.request("POST", `/words/${id}/mnemonics`, {
+				token: editor.accessToken,
+				body: { mnemonic },
+			})
+		).body.data.mnemonic._id;
+
+	const shown = async (id) =>
+		(await app.request("GET", `/words/${id}`)).body.data.word.mnemonic;
+
+	it("shows the best rated mnemonic, the older one on a tie", async () => {
+		const id = await addWord("candid", "CAN I Do it honestly");
+		const newer = await addMnemonic(id, "CANDID camera tells the truth");
+		assert.equal(await shown(id), "CAN I Do it honestly");
+
+		const voted = await app.request(
+			"PUT",
+			`/words/${id}/mnemonics/${newer}/vote`,
+			{ token: createUser("learner").accessToken, body: { value: 1 } }
+		);
+		assert.equal(voted.status, 200);
+		assert.equal(await shown(id), "CANDID camera tells the truth");
+	});
+
+	it("stops showing a preferred mnemonic once it is hidden", async () => {
+		const id = await addWord("lucid", "LUCy Is Direct");
+		const preferred = await addMnemonic(id, "LUCIfer's light");
+
+		const prefer = await app.request(
+			"POST",
+			`/words/${id}/mnemonics/${preferred}/prefer`,
+			{ token: editor.accessToken }
+		);
+		assert.equal(prefer.status, 200);
+		assert.equal(await shown(id), "LUCIfer's light");
+
+		for (let i = 0; i < MNEMONIC_REPORT_LIMIT; i++) {
+			await app.request("POST", `/words/${id}/mnemonics/${preferred}/report`, {
+				token: createUser("learner").accessToken,
+				body: { reason: "nonsense" },
+			});
+		}
+
+		assert.equal(await shown(id), "LUCy Is Direct");
+		const { body } = await app.request("GET", `/words/${id}/mnemonics`);
+		assert.deepEqual(
+			body.data.mnemonics.map((m) => m.mnemonic),
+			["LUCy Is Direct"]
+		);
+	});
+
+	it("lets only editors pick the preferred mnemonic", async () => {
+		const id = await addWord("terse", "TERribly Short Essay");
+		const other = await addMnemonic(id, "TERSE is TERse");
+
+		const { status } = await app.request(
+			"POST",
+			`/words/${id}/mnemonics/${other}/prefer`,
+			{ token: createUser("learner").accessToken }
+		);
+		assert.equal(status, 403);
+	});
+});
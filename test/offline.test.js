@@ -0,0 +1,176 @@
+process.env.AI_PROVIDER = "mock";
+process.env.AI_FALLBACK_PROVIDERS = "";
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, createUser } = require("./helpers");
+const { getRepository } = require("../utils/wordRepository");
+
+describe("memory mode", () => {
+	let app;
+	let editor;
+	let ids;
+	before(async () => {
+		app = await startApp();
+		editor = createUser();
+		const words = ["abate", "brisk", "candor", "dearth", "elated"];
+		await app.request("POST", "/postWords", {
+			token: editor.accessToken,
+			body: {
+				words: words.map((word) => ({
+					word,
+					meaning: [{ meaning: `the meaning of ${word}` }],
+				})),
+			},
+		});
+		ids = [];
+		for (const word of words) {
+			ids.push((await getRepository().words.findOne({ word }))._id.toString());
+		}
+	});
+	after(() => app.close());
+
+	it("registers the first account as editor and logs in", async () => {
+		const credentials = { username: "owner", password: "correct horse" };
+		const registered = await app.request("POST", "/auth/register", {
+			body: credentials,
+		});
+		assert.equal(registered.status, 201);
+		assert.equal(registered.body.data.user.role, "editor");
+		assert.equal(registered.body.data.user.password_hash, undefined);
+
+		const second = await app.request("POST", "/auth/register", {
+			body: { username: "second", password: "correct horse" },
+		});
+		assert.equal(second.status, 403);
+
+		const login = await app.request("POST", "/auth/login", {
+			body: credentials,
+		});
+		assert.equal(login.status, 200);
+		const me = await app.request("GET", "/auth/me", {
+			token: login.body.accessToken,
+		});
+		assert.equal(me.body.data.user.username, "owner");
+
+		const wrong = await app.request("POST", "/auth/login", {
+			body: { ...credentials, password: "wrong" },
+		});
+		assert.equal(wrong.status, 401);
+	});
+
+	it("keeps decks and scopes words to them", async () => {
+		const created = await app.request("POST", "/decks", {
+			token: editor.accessToken,
+			body: { name: "Verbs" },
+		});
+		assert.equal(created.status, 201);
+		const deck = created.body.data.deck._id;
+
+		const added = await app.request("POST", `/decks/${deck}/words`, {
+			token: editor.accessToken,
+			body: { wordIds: ids.slice(0, 2) },
+		});
+		assert.equal(added.status, 200);
+
+		const listed = await app.request("GET", `/words?deck=${deck}`, {
+			token: editor.accessToken,
+		});
+		assert.deepEqual(listed.body.data.words.map((word) => word.word).sort(), [
+			"abate",
+			"brisk",
+		]);
+
+		const summary = await app.request("GET", `/decks/${deck}/summary`, {
+			token: editor.accessToken,
+		});
+		assert.equal(summary.status, 200);
+
+		const other = await app.request("GET", `/decks/${deck}`, {
+			token: createUser().accessToken,
+		});
+		assert.equal(other.status, 404);
+	});
+
+	it("creates and grades a quiz", async () => {
+		const created = await app.request("POST", "/quizzes", {
+			token: editor.accessToken,
+			body: { count: 3, types: ["word_to_meaning"], strategy: "random" },
+		});
+		assert.equal(created.status, 201);
+		const { quiz } = created.body.data;
+
+		const submitted = await app.request("POST", `/quizzes/${quiz.id}/submit`, {
+			token: editor.accessToken,
+			body: {
+				answers: quiz.questions.map((q) => ({ questionId: q.id, choice: 0 })),
+			},
+		});
+		assert.equal(submitted.status, 200);
+		assert.equal(
+			submitted.body.data.correct + submitted.body.data.incorrect,
+			quiz.questions.length
+		);
+	});
+
+	it("syncs offline operations and reports them in analytics", async () => {
+		const user = createUser("learner");
+		const pushed = await app.request("POST", "/sync", {
+			token: user.accessToken,
+			body: {
+				operations: [
+					{ id: "op-1", type: "open", wordId: ids[2], count: 2 },
+					{ id: "op-2", type: "revision", wordId: ids[2] },
+				],
+			},
+		});
+		assert.equal(pushed.status, 200);
+		assert.deepEqual(pushed.body.data.summary, { applied: 2 });
+		assert.equal(pushed.body.data.progress.length, 1);
+
+		const pulled = await app.request(
+			"GET",
+			`/sync?token=${pushed.body.data.token}`,
+			{ token: user.accessToken }
+		);
+		assert.equal(pulled.status, 200);
+
+		const analytics = await app.request("GET", "/analytics", {
+			token: user.accessToken,
+		});
+		assert.equal(analytics.status, 200);
+	});
+
+	it("enriches words with the mock provider", async () => {
+		const queued = await app.request("POST", "/enrichment/jobs", {
+			token: editor.accessToken,
+			body: { wordIds: ids.slice(3) },
+		});
+		assert.equal(queued.status, 202);
+
+		// Adding the words queued a job of its own, the worker runs both
+		let processed;
+		do {
+			const work = await app.request("POST", "/enrichment/work", {
+				token: editor.accessToken,
+			});
+			assert.equal(work.status, 200);
+			processed = work.body.data.processed;
+		} while (processed);
+
+		const job = await app.request(
+			"GET",
+			`/enrichment/jobs/${queued.body.data.job.id}`,
+			{ token: editor.accessToken }
+		);
+		assert.equal(job.body.data.job.status, "completed");
+		const word = await getRepository().words.findOne({ _id: ids[3] });
+		assert.equal(word.mnemonic, "DEARTH sounds like dearth.");
+
+		const usage = await app.request("GET", "/ai/usage", {
+			token: editor.accessToken,
+		});
+		assert.equal(usage.status, 200);
+		assert.ok(usage.body.data.usage.length > 0);
+	});
+});
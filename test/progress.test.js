@@ -0,0 +1,100 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, createUser } = require("./helpers");
+const { getRepository } = require("../utils/wordRepository");
+
+describe("study progress", () => {
+	let app;
+	let editor;
+	before(async () => {
+		app = await startApp();
+		editor = createUser();
+	});
+	after(() => app.close());
+
+	const addWord = async (word) => {
+		await app.request("POST", "/postWords", {
+			token: editor.accessToken,
+			body: { words: [{ word }] },
+		});
+		return (await getRepository().words.findOne({ word }))._id.toString();
+	};
+
+	const openedBy = async (user, id) =>
+		(await app.request("GET", `/words/${id}`, { token: user.accessToken })).body
+			.data.word.no_of_times_opened;
+
+	it("keeps open counts per user", async () => {
+		const id = await addWord("diligent");
+		const user = createUser("learner");
+		const other = createUser("learner");
+
+		for (let i = 0; i < 2; i++) {
+			const { status } = await app.request("POST", "/increase_open_count", {
+				token: user.accessToken,
+				body: { id },
+			});
+			assert.equal(status, 200);
+		}
+		const decreased = await app.request("POST", "/decrease_open_count", {
+			token: user.accessToken,
+			body: { id },
+		});
+		assert.equal(decreased.body.data.no_of_times_opened, 6);
+
+		assert.equal(await openedBy(user, id), 6);
+		assert.equal(await openedBy(other, id), 5);
+	});
+
+	it("counts a retried open with the same Idempotency-Key once", async () => {
+		const id = await addWord("retry");
+		const user = createUser("learner");
+		const open = () =>
+			app.request("POST", "/increase_open_count", {
+				token: user.accessToken,
+				body: { id },
+				headers: { "Idempotency-Key": "open-1" },
+			});
+
+		assert.equal((await open()).body.data.replayed, false);
+		assert.equal((await open()).body.data.replayed, true);
+		assert.equal(await openedBy(user, id), 6);
+	});
+
+	it("refuses to count below zero", async () => {
+		const id = await addWord("floor");
+		const user = createUser("learner");
+		let response;
+		for (let i = 0; i < 6; i++) {
+			response = await app.request("POST", "/decrease_open_count", {
+				token: user.accessToken,
+				body: { id },
+			});
+		}
+		assert.equal(response.status, 409);
+		assert.equal(response.body.code, "COUNTER_LIMIT");
+		assert.equal(await openedBy(user, id), 0);
+	});
+
+	it("lists the least revised words first, then the earliest due", async () => {
+		const user = createUser("learner");
+		const reviewed = await addWord("reviewed");
+		await addWord("unreviewed");
+
+		const review = await app.request("POST", "/review", {
+			token: user.accessToken,
+			body: { id: reviewed, grade: "good" },
+		});
+		assert.equal(review.status, 200);
+		assert.equal(review.body.data.no_of_times_revised, 1);
+
+		const { body } = await app.request(
+			"GET",
+			"/getWordsByType?type=least_revised&limit=100",
+			{ token: user.accessToken }
+		);
+		const order = body.data.words.map((word) => word.word);
+		assert.ok(order.indexOf("unreviewed") < order.indexOf("reviewed"));
+		assert.equal(order[order.length - 1], "reviewed");
+	});
+});
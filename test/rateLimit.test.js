@@ -0,0 +1,243 @@
+// The login route is tested without its request quota, which the middleware
+// tests cover on their own
+process.env.RATE_LIMIT_LOGIN = "off";
+
+const {
+	describe,
+	it,
+	before,
+	after,
+	beforeEach,
+	afterEach,
+	mock,
+} = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, registerUser } = require("./helpers");
+const { rateLimit, parseQuota } = require("../middleware/rateLimit");
+const {
+	lockoutDuration,
+	getLoginLock,
+	recordLoginFailure,
+	clearLoginFailures,
+} = require("../utils/loginLockout");
+const { createMemoryStore, setStore } = require("../utils/rateLimitStore");
+
+const MINUTE_MS = 60 * 1000;
+const start = new Date("2026-01-01T00:00:00Z").getTime();
+
+// Runs the middleware on a request and records what it answered
+const callMiddleware = async (middleware, req) => {
+	const res = {
+		statusCode: 200,
+		headers: {},
+		body: null,
+		set(name, value) {
+			this.headers[name] = value;
+			return this;
+		},
+		status(code) {
+			this.statusCode = code;
+			return this;
+		},
+		json(body) {
+			this.body = body;
+			return this;
+		},
+	};
+	let passed = false;
+	await middleware(req, res, () => {
+		passed = true;
+	});
+	return { passed, ...res };
+};
+
+describe("rate limits and lockouts", () => {
+	beforeEach(() => {
+		setStore(createMemoryStore());
+		mock.timers.enable({ apis: ["Date"], now: start });
+	});
+	afterEach(() => mock.timers.reset());
+
+	describe("request quotas", () => {
+		const withQuota = (quota) => {
+			const previous = process.env.RATE_LIMIT_POST_WORDS;
+			process.env.RATE_LIMIT_POST_WORDS = quota;
+			const middleware = rateLimit("postWords");
+			process.env.RATE_LIMIT_POST_WORDS = previous;
+			return middleware;
+		};
+
+		it("parses quotas", () => {
+			assert.deepEqual(parseQuota("30/60"), { limit: 30, windowMs: 60000 });
+			assert.equal(parseQuota("off"), null);
+			for (const quota of ["30", "0/60", "30/0", "a/b"]) {
+				assert.throws(() => parseQuota(quota), /Invalid rate limit quota/);
+			}
+		});
+
+		it("answers 429 over the limit until the window is over", async () => {
+			const limit = withQuota("2/60");
+			const req = { ip: "10.0.0.1" };
+
+			const first = await callMiddleware(limit, req);
+			assert.equal(first.passed, true);
+			assert.equal(first.headers["RateLimit-Remaining"], "1");
+			assert.equal((await callMiddleware(limit, req)).passed, true);
+
+			mock.timers.tick(20 * 1000);
+			const limited = await callMiddleware(limit, req);
+			assert.equal(limited.passed, false);
+			assert.equal(limited.statusCode, 429);
+			assert.equal(limited.body.code, "RATE_LIMITED");
+			assert.equal(limited.headers["Retry-After"], "40");
+
+			// Other clients have quotas of their own
+			assert.equal(
+				(await callMiddleware(limit, { ip: "10.0.0.2" })).passed,
+				true
+			);
+			assert.equal(
+				(await callMiddleware(limit, { ip: "10.0.0.1", auth: { sub: "a" } }))
+					.passed,
+				true
+			);
+
+			mock.timers.tick(40 * 1000);
+			const renewed = await callMiddleware(limit, req);
+			assert.equal(renewed.passed, true);
+			assert.equal(renewed.headers["RateLimit-Remaining"], "1");
+		});
+
+		it("lets requests through when the quota is off or the store fails", async () => {
+			assert.equal((await callMiddleware(withQuota("off"), {})).passed, true);
+
+			setStore({
+				increment: async () => {
+					throw new Error("store unavailable");
+				},
+			});
+			const error = mock.method(console, "error", () => {});
+			assert.equal((await callMiddleware(withQuota("1/60"), {})).passed, true);
+			assert.equal(error.mock.callCount(), 1);
+			error.mock.restore();
+		});
+	});
+
+	describe("login lockout", () => {
+		const failTimes = async (count, username = "ada") => {
+			let lock = null;
+			for (let i = 0; i < count; i++) {
+				lock = await recordLoginFailure(username, "10.0.0.1");
+			}
+			return lock;
+		};
+
+		before(() => mock.method(console, "warn", () => {}));
+		after(() => mock.restoreAll());
+
+		it("doubles the lock with every failure over the limit", () => {
+			assert.deepEqual(
+				[4, 5, 6, 7, 12, 20].map((failures) => lockoutDuration(failures, 5)),
+				[
+					0,
+					MINUTE_MS,
+					2 * MINUTE_MS,
+					4 * MINUTE_MS,
+					60 * MINUTE_MS,
+					60 * MINUTE_MS,
+				]
+			);
+		});
+
+		it("locks the account after five failures", async () => {
+			assert.equal(await failTimes(4), null);
+			assert.equal(await getLoginLock("ada", "10.0.0.1"), null);
+
+			const lock = await failTimes(1);
+			assert.deepEqual(lock, {
+				kind: "account",
+				lockedUntil: new Date(start + MINUTE_MS),
+			});
+			assert.deepEqual(await getLoginLock("ada", "10.0.0.9"), lock);
+			assert.equal(await getLoginLock("grace", "10.0.0.9"), null);
+
+			assert.deepEqual(await failTimes(1), {
+				kind: "account",
+				lockedUntil: new Date(start + 2 * MINUTE_MS),
+			});
+		});
+
+		it("lifts the lock when it runs out", async () => {
+			await failTimes(5);
+			mock.timers.tick(MINUTE_MS - 1);
+			assert.notEqual(await getLoginLock("ada", "10.0.0.1"), null);
+			mock.timers.tick(1);
+			assert.equal(await getLoginLock("ada", "10.0.0.1"), null);
+		});
+
+		it("forgets the failures of an account that logged in", async () => {
+			await failTimes(5);
+			await clearLoginFailures("ada");
+			assert.equal(await getLoginLock("ada", "10.0.0.1"), null);
+			assert.equal(await failTimes(4), null);
+		});
+
+		it("forgets failures older than the window", async () => {
+			await failTimes(4);
+			mock.timers.tick(24 * 60 * MINUTE_MS);
+			assert.equal(await failTimes(4), null);
+			assert.notEqual(await failTimes(1), null);
+		});
+
+		it("locks an IP that fails on many accounts", async () => {
+			for (let i = 0; i < 19; i++) {
+				assert.equal(await failTimes(1, `user${i}`), null);
+			}
+			assert.deepEqual(await failTimes(1, "user19"), {
+				kind: "ip",
+				lockedUntil: new Date(start + MINUTE_MS),
+			});
+			assert.equal((await getLoginLock("grace", "10.0.0.1")).kind, "ip");
+			assert.equal(await getLoginLock("grace", "10.0.0.2"), null);
+		});
+	});
+});
+
+describe("logging in", () => {
+	let app;
+	let username;
+	before(async () => {
+		setStore(createMemoryStore());
+		mock.method(console, "warn", () => {});
+		app = await startApp();
+		const user = await registerUser();
+		username = `user${user.id.slice(-6)}`;
+	});
+	after(() => {
+		mock.restoreAll();
+		return app.close();
+	});
+
+	const login = (password) =>
+		app.request("POST", "/auth/login", { body: { username, password } });
+
+	it("locks the account after repeated failures until a later login", async () => {
+		for (let i = 0; i < 4; i++) {
+			assert.equal((await login("wrong")).status, 401);
+		}
+		assert.equal((await login("password")).status, 200);
+
+		// The successful login started the count over
+		for (let i = 0; i < 4; i++) {
+			assert.equal((await login("wrong")).status, 401);
+		}
+		const locked = await login("wrong");
+		assert.equal(locked.status, 429);
+		assert.equal(locked.body.code, "LOGIN_LOCKED");
+
+		// Not even the right password gets in while locked
+		const refused = await login("password");
+		assert.equal(refused.status, 429);
+		assert.equal(refused.body.code, "LOGIN_LOCKED");
+	});
+});
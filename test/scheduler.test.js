@@ -0,0 +1,70 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { DEFAULT_EASE, getSchedule, review } = require("../utils/scheduler");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date("2026-01-01T00:00:00Z");
+
+// Reviews a new card with each grade in turn
+const reviewAll = (grades) =>
+	grades.reduce((card, grade) => review(card, grade, now), {});
+
+describe("scheduler", () => {
+	it("fills in the defaults of words without a schedule", () => {
+		assert.deepEqual(getSchedule({}), {
+			ease: DEFAULT_EASE,
+			interval: 0,
+			repetitions: 0,
+			lapses: 0,
+			due_date: new Date(0),
+		});
+	});
+
+	it("grows the interval with each successful review", () => {
+		const intervals = [];
+		let card = {};
+		for (let i = 0; i < 4; i++) {
+			card = review(card, "good", now);
+			intervals.push(card.interval);
+		}
+		assert.deepEqual(intervals, [1, 6, 15, 38]);
+		assert.equal(card.repetitions, 4);
+		assert.equal(card.ease, DEFAULT_EASE);
+		assert.deepEqual(card.due_date, new Date(now.getTime() + 38 * DAY_MS));
+	});
+
+	it("spaces easy cards further apart than hard ones", () => {
+		assert.deepEqual(
+			["hard", "good", "easy"].map(
+				(grade) => reviewAll(["good", "good", grade]).interval
+			),
+			[7, 15, 21]
+		);
+		assert.equal(reviewAll(["easy"]).interval, 4);
+		assert.equal(reviewAll(["good", "hard"]).interval, 3);
+	});
+
+	it("never lets the ease fall below 1.3", () => {
+		const card = reviewAll(Array(10).fill("again"));
+		assert.equal(card.ease, 1.3);
+		assert.equal(review({ ease: 1.35 }, "hard", now).ease, 1.3);
+	});
+
+	it("starts a forgotten card over and brings it back shortly", () => {
+		const learned = reviewAll(["good", "good", "good"]);
+		const lapsed = review(learned, "again", now);
+
+		assert.equal(lapsed.interval, 0);
+		assert.equal(lapsed.repetitions, 0);
+		assert.equal(lapsed.lapses, 1);
+		assert.equal(lapsed.ease, 2.3);
+		assert.deepEqual(lapsed.due_date, new Date(now.getTime() + 10 * 60 * 1000));
+		assert.equal(review(lapsed, "good", now).interval, 1);
+	});
+
+	it("rejects unknown grades", () => {
+		for (const grade of ["", "perfect", undefined, 3]) {
+			assert.throws(() => review({}, grade, now), /Invalid grade/);
+		}
+	});
+});
@@ -0,0 +1,58 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, createUser } = require("./helpers");
+const { getRepository } = require("../utils/wordRepository");
+
+describe("sync", () => {
+	let app;
+	let wordId;
+	before(async () => {
+		app = await startApp();
+		const editor = createUser();
+		await app.request("POST", "/postWords", {
+			token: editor.accessToken,
+			body: { words: [{ word: "tenacious" }] },
+		});
+		wordId = (
+			await getRepository().words.findOne({ word: "tenacious" })
+		)._id.toString();
+	});
+	after(() => app.close());
+
+	// A claim left behind as if the request applying it had died
+	const leaveClaim = (user, key, claimedAt) =>
+		getRepository().syncOperations.insertOne({
+			user: user.id,
+			key,
+			type: "open",
+			claimed_at: claimedAt,
+		});
+
+	const push = (user, id) =>
+		app.request("POST", "/sync", {
+			token: user.accessToken,
+			body: { operations: [{ id, type: "open", wordId }] },
+		});
+
+	it("leaves an operation another request is applying alone", async () => {
+		const user = createUser("learner");
+		await leaveClaim(user, "op-1", new Date());
+
+		const { body } = await push(user, "op-1");
+		assert.equal(body.data.results[0].status, "pending");
+		assert.equal(body.data.progress.length, 0);
+	});
+
+	it("applies a retry of an operation whose claim went stale", async () => {
+		const user = createUser("learner");
+		await leaveClaim(user, "op-1", new Date(Date.now() - 60 * 60 * 1000));
+
+		const retried = await push(user, "op-1");
+		assert.equal(retried.body.data.results[0].status, "applied");
+		assert.equal(retried.body.data.progress[0].no_of_times_opened, 6);
+
+		const replayed = await push(user, "op-1");
+		assert.equal(replayed.body.data.results[0].replayed, true);
+		assert.equal(replayed.body.data.progress[0].no_of_times_opened, 6);
+	});
+});
@@ -0,0 +1,37 @@
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const StudyEvent = require("../model/StudyEvent");
+const { createRepository } = require("../utils/wordRepository");
+
+// Runs against the Mongoose model, so its query hooks fire; only the driver
+// call behind them is replaced, as there is no database in the tests
+describe("purging study events on mongo", () => {
+	let deleted;
+	before(() => {
+		deleted = mock.method(StudyEvent.collection, "deleteMany", async () => ({
+			deletedCount: 2,
+		}));
+	});
+	after(() => mock.restoreAll());
+
+	const filter = { word: { $in: [new mongoose.Types.ObjectId()] } };
+
+	it("refuses to delete events without purge", async () => {
+		await assert.rejects(
+			createRepository("mongo").studyEvents.deleteMany(filter),
+			/append-only/
+		);
+		await assert.rejects(StudyEvent.deleteOne(filter), /append-only/);
+		assert.equal(deleted.mock.callCount(), 0);
+	});
+
+	it("deletes the log of purged words", async () => {
+		const count = await createRepository("mongo").studyEvents.deleteMany(
+			filter,
+			{ purge: true }
+		);
+		assert.equal(count, 2);
+		assert.equal(deleted.mock.callCount(), 1);
+	});
+});
@@ -0,0 +1,137 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { exportWords, parseImport } = require("../utils/wordFormats");
+
+const words = [
+	{
+		_id: "65f000000000000000000001",
+		word: "lucid",
+		pronunciation: "LOO-sid",
+		meaning: [
+			{
+				_id: "m1",
+				meaning: "clear, easy to understand",
+				example: 'a "lucid"\nessay',
+			},
+			{ meaning: "bright; shining", example: "lucid stars" },
+		],
+		synonyms: ["clear", "plain"],
+		antonyms: ["murky"],
+		origin: "Latin lucidus",
+		relate_with: "light",
+		mnemonic: "LUCID: Light Up, Clear Idea",
+		breakdown: "luc (light) + id",
+		tags: ["gre", "word list"],
+		opened: 4,
+	},
+	{
+		word: "terse",
+		meaning: [{ meaning: "brief <and> to the point", example: "" }],
+		synonyms: [],
+		antonyms: [],
+		tags: [],
+	},
+];
+
+// The content of the words as an import reads it back
+const imported = [
+	{
+		word: "lucid",
+		pronunciation: "LOO-sid",
+		meaning: [
+			{ meaning: "clear, easy to understand", example: 'a "lucid"\nessay' },
+			{ meaning: "bright; shining", example: "lucid stars" },
+		],
+		synonyms: ["clear", "plain"],
+		antonyms: ["murky"],
+		origin: "Latin lucidus",
+		relate_with: "light",
+		mnemonic: "LUCID: Light Up, Clear Idea",
+		breakdown: "luc (light) + id",
+		tags: ["gre", "word list"],
+	},
+	{
+		word: "terse",
+		meaning: [{ meaning: "brief <and> to the point", example: undefined }],
+		synonyms: [],
+		antonyms: [],
+		tags: [],
+	},
+];
+
+// Anki notes have no place for relate_with and leave out empty lists
+const { relate_with, ...ankiLucid } = imported[0];
+const importedAnki = [
+	ankiLucid,
+	{ word: "terse", meaning: imported[1].meaning },
+];
+
+const roundTrip = (format, transform = (text) => text) =>
+	parseImport(transform(exportWords(words, format)), format).map(
+		({ input }) => input
+	);
+
+describe("word formats", () => {
+	it("exports one CSV row per word with numbered meaning columns", () => {
+		const [header, lucid, terse] = exportWords(words, "csv").split(
+			/\n(?!essay)/
+		);
+		assert.equal(
+			header,
+			"word,pronunciation,origin,relate_with,mnemonic,breakdown," +
+				"synonyms,antonyms,tags,meaning_1,example_1,meaning_2,example_2"
+		);
+		assert.equal(
+			lucid,
+			'lucid,LOO-sid,Latin lucidus,light,"LUCID: Light Up, Clear Idea",' +
+				"luc (light) + id,clear; plain,murky,gre; word list," +
+				'"clear, easy to understand","a ""lucid""\nessay",bright; shining,' +
+				"lucid stars"
+		);
+		assert.equal(terse, "terse,,,,,,,,,brief <and> to the point,,,");
+	});
+
+	it("reads back the content of exported words", () => {
+		assert.deepEqual(roundTrip("csv"), imported);
+		assert.deepEqual(roundTrip("anki"), importedAnki);
+		assert.deepEqual(roundTrip("json"), [
+			imported[0],
+			{
+				...imported[1],
+				meaning: [{ meaning: "brief <and> to the point", example: "" }],
+			},
+		]);
+	});
+
+	it("ignores a byte order mark", () => {
+		const bom = (text) => `\uFEFF${text}`;
+		assert.deepEqual(roundTrip("csv", bom), imported);
+		assert.deepEqual(roundTrip("anki", bom), importedAnki);
+		assert.equal(roundTrip("json", bom).length, 2);
+		assert.deepEqual(parseImport(bom('"word"\nlucid'), "csv"), [
+			{ row: 2, input: { word: "lucid" } },
+		]);
+	});
+
+	it("numbers the rows of an import", () => {
+		assert.deepEqual(
+			parseImport("word,meaning_1\nlucid,clear\nterse,brief\n", "csv").map(
+				({ row }) => row
+			),
+			[2, 3]
+		);
+		assert.deepEqual(
+			parseImport("#separator:tab\nlucid\tclear\nterse\tbrief", "anki"),
+			[
+				{ row: 2, input: { word: "lucid", meaning: [{ meaning: "clear" }] } },
+				{ row: 3, input: { word: "terse", meaning: [{ meaning: "brief" }] } },
+			]
+		);
+	});
+
+	it("rejects imports it cannot read", () => {
+		assert.throws(() => parseImport("meaning\nclear", "csv"), /"word" column/);
+		assert.throws(() => parseImport('{"word": "lucid"}', "json"), /array/);
+		assert.throws(() => parseImport([{ word: "lucid" }], "csv"), /as text/);
+	});
+});
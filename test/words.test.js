@@ -0,0 +1,313 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { startApp, createUser } = require("./helpers");
+const { getRepository, setRepository } = require("../utils/wordRepository");
+const { purgeTrash } = require("../utils/trash");
+const { revertWord } = require("../utils/wordVersions");
+const { matches } = require("../utils/memoryQuery");
+const { classifyNewWords, findSameWord } = require("../utils/wordIntake");
+
+describe("words", () => {
+	let app;
+	before(async () => {
+		app = await startApp();
+	});
+	after(() => app.close());
+
+	const postWords = (user, body) =>
+		app.request("POST", "/postWords", { token: user.accessToken, body });
+
+	const findWord = (word) => getRepository().words.findOne({ word });
+
+	it("adds new words and reports the duplicates", async () => {
+		const editor = createUser();
+		const { status, body } = await postWords(editor, {
+			words: [{ word: "lucid" }, { word: "Lucid" }, { word: "" }],
+		});
+
+		assert.equal(status, 201);
+		assert.deepEqual(
+			body.results.map((r) => r.status),
+			["added", "duplicate", "rejected"]
+		);
+
+		const again = await postWords(editor, { words: [{ word: "LUCID" }] });
+		assert.equal(again.status, 400);
+		assert.equal(again.body.results[0].status, "duplicate");
+	});
+
+	it("folds a word repeated within one payload in merge mode", async () => {
+		const editor = createUser();
+		await postWords(editor, { words: [{ word: "stored", origin: "Latin" }] });
+
+		const { status, body } = await postWords(editor, {
+			mode: "merge",
+			words: [
+				{ word: "fresh", synonyms: ["new"] },
+				{ word: "Fresh", synonyms: ["novel"], origin: "Old English" },
+				{ word: "stored", synonyms: ["kept"] },
+				{ word: "STORED", antonyms: ["lost"] },
+			],
+		});
+
+		assert.equal(status, 201);
+		assert.deepEqual(
+			body.results.map((r) => [r.status, r.into]),
+			[
+				["added", undefined],
+				["merged", 0],
+				["merged", undefined],
+				["merged", 2],
+			]
+		);
+
+		const fresh = await findWord("fresh");
+		assert.deepEqual(fresh.synonyms, ["new", "novel"]);
+		assert.equal(fresh.origin, "Old English");
+		const stored = await findWord("stored");
+		assert.deepEqual(stored.synonyms, ["kept"]);
+		assert.deepEqual(stored.antonyms, ["lost"]);
+		assert.equal(stored.origin, "Latin");
+	});
+
+	it("keeps a version per edit and restores words from the trash", async () => {
+		const editor = createUser();
+		await postWords(editor, { words: [{ word: "ephemeral" }] });
+		const { _id: id } = await findWord("ephemeral");
+
+		const patched = await app.request("PATCH", `/words/${id}`, {
+			token: editor.accessToken,
+			body: { origin: "Greek" },
+		});
+		assert.equal(patched.status, 200);
+		assert.equal(patched.body.data.word.origin, "Greek");
+
+		const versions = await app.request("GET", `/words/${id}/versions`);
+		assert.equal(versions.body.data.versions.length, 2);
+
+		const deleted = await app.request("DELETE", `/words/${id}`, {
+			token: editor.accessToken,
+		});
+		assert.equal(deleted.status, 200);
+		assert.equal((await app.request("GET", `/words/${id}`)).status, 404);
+
+		const trash = await app.request("GET", "/words/trash");
+		assert.ok(trash.body.data.words.some((word) => word._id === String(id)));
+
+		const restored = await app.request("POST", `/words/${id}/restore`, {
+			token: editor.accessToken,
+		});
+		assert.equal(restored.status, 200);
+		assert.equal((await app.request("GET", `/words/${id}`)).status, 200);
+	});
+
+	it("does not revert a word that was moved to the trash", async () => {
+		const editor = createUser();
+		await postWords(editor, { words: [{ word: "stale", origin: "Old" }] });
+		const word = await findWord("stale");
+		const version = await getRepository().wordVersions.findOne({
+			word: word._id,
+		});
+		await app.request("PATCH", `/words/${word._id}`, {
+			token: editor.accessToken,
+			body: { origin: "New" },
+		});
+		await app.request("DELETE", `/words/${word._id}`, {
+			token: editor.accessToken,
+		});
+
+		assert.equal(await revertWord(word, version, editor.id), null);
+		const trashed = await findWord("stale");
+		assert.equal(trashed.origin, "New");
+		assert.ok(trashed.deleted_at);
+
+		await app.request("POST", `/words/${word._id}/restore`, {
+			token: editor.accessToken,
+		});
+	});
+
+	it("lets learners study words but not change them", async () => {
+		const editor = createUser();
+		const learner = createUser("learner");
+		await postWords(editor, { words: [{ word: "shared" }] });
+		const { _id: id } = await findWord("shared");
+
+		const posted = await postWords(learner, { words: [{ word: "mine" }] });
+		assert.equal(posted.status, 403);
+		assert.equal(posted.body.code, "INSUFFICIENT_SCOPE");
+
+		const patched = await app.request("PATCH", `/words/${id}`, {
+			token: learner.accessToken,
+			body: { origin: "French" },
+		});
+		assert.equal(patched.status, 403);
+
+		const opened = await app.request("POST", "/increase_open_count", {
+			token: learner.accessToken,
+			body: { id },
+		});
+		assert.equal(opened.status, 200);
+	});
+
+	it("points to the trash when a word is added again", async () => {
+		const editor = createUser();
+		await postWords(editor, { words: [{ word: "bygone" }, { word: "gone" }] });
+		const { _id: id } = await findWord("bygone");
+		await app.request("DELETE", `/words/${id}`, { token: editor.accessToken });
+
+		const { body } = await postWords(editor, { words: [{ word: "Bygone" }] });
+		assert.deepEqual(body.results[0].reasons, [
+			"already exists in the trash, restore it instead",
+		]);
+
+		const { _id: other } = await findWord("gone");
+		const renamed = await app.request("PATCH", `/words/${other}`, {
+			token: editor.accessToken,
+			body: { word: "bygone" },
+		});
+		assert.equal(renamed.status, 409);
+		assert.equal(renamed.body.data.existingId, String(id));
+		assert.match(renamed.body.message, /in the trash/);
+
+		const restored = await app.request("POST", `/words/${id}/restore`, {
+			token: editor.accessToken,
+		});
+		assert.equal(restored.status, 200);
+	});
+
+	it("finds words despite typos and caps the query", async () => {
+		const editor = createUser();
+		await postWords(editor, {
+			words: [
+				{ word: "tenacious", synonyms: ["persistent"] },
+				{ word: "tender" },
+			],
+		});
+		const search = (q) =>
+			app.request("GET", `/words/search?q=${encodeURIComponent(q)}`);
+
+		const typo = await search("tenacoius");
+		assert.deepEqual(
+			typo.body.data.results.map((r) => r.word.word),
+			["tenacious"]
+		);
+		const bySynonym = await search("persistant");
+		assert.equal(bySynonym.body.data.results[0].word.word, "tenacious");
+
+		const suggestions = await app.request("GET", "/words/autocomplete?q=ten");
+		assert.deepEqual(
+			suggestions.body.data.suggestions.map((s) => s.word).sort(),
+			["tenacious", "tender"]
+		);
+
+		assert.equal((await search("a".repeat(101))).status, 400);
+		assert.equal((await search("a b c d e f g h i")).status, 400);
+	});
+
+	it("follows links of related words hop by hop", async () => {
+		const editor = createUser();
+		await postWords(editor, {
+			words: [
+				{ word: "hot", antonyms: ["Cold"] },
+				{ word: "cold", synonyms: ["chilly"] },
+				{ word: "chilly" },
+				{ word: "warm", synonyms: ["HOT"] },
+			],
+		});
+		const { _id: id } = await findWord("hot");
+
+		const { body } = await app.request("GET", `/words/${id}/related?depth=2`);
+		assert.deepEqual(
+			body.data.synonyms.map((r) => r.word),
+			["warm"]
+		);
+		assert.deepEqual(
+			body.data.antonyms.map((r) => [r.word, r.hops]),
+			[
+				["cold", 1],
+				["chilly", 2],
+			]
+		);
+	});
+
+	it("purges expired trash with the documents about each word", async () => {
+		const editor = createUser();
+		await postWords(editor, {
+			words: [{ word: "fleeting", mnemonic: "FLEE" }],
+		});
+		const { _id: id } = await findWord("fleeting");
+		await app.request("POST", "/increase_open_count", {
+			token: editor.accessToken,
+			body: { id },
+		});
+		await app.request("DELETE", `/words/${id}`, { token: editor.accessToken });
+
+		assert.equal((await purgeTrash()).words, 0);
+
+		const later = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+		const purged = await purgeTrash({ now: later });
+		assert.equal(purged.words, 1);
+
+		const repository = getRepository();
+		for (const name of [
+			"progress",
+			"studyEvents",
+			"wordVersions",
+			"mnemonics",
+		]) {
+			assert.equal(await repository[name].count({ word: id }), 0, name);
+		}
+		assert.equal(await repository.words.count({ _id: id }), 0);
+	});
+});
+
+// The memory repository keys every word it stores, so these words are served
+// as they come from a database filled before word_key existed
+describe("words stored without a word_key", () => {
+	const legacy = [
+		{ _id: new mongoose.Types.ObjectId(), word: "Verbose  Prose" },
+		{
+			_id: new mongoose.Types.ObjectId(),
+			word: "gone",
+			deleted_at: new Date(),
+		},
+	];
+	let previous;
+	before(() => {
+		previous = getRepository();
+		const find = async (filter) => legacy.filter((w) => matches(w, filter));
+		setRepository({
+			words: {
+				find,
+				findOne: async (filter) => (await find(filter))[0] || null,
+			},
+		});
+	});
+	after(() => setRepository(previous));
+
+	it("are duplicates of the same spelling in any case", async () => {
+		const results = await classifyNewWords([
+			{ word: "verbose prose" },
+			{ word: "GONE" },
+			{ word: "prose" },
+		]);
+		assert.deepEqual(
+			results.map((r) => [r.status, ...r.reasons]),
+			[
+				["duplicate", "already exists"],
+				["duplicate", "already exists in the trash, restore it instead"],
+				["new"],
+			]
+		);
+	});
+
+	it("block renaming another word to their spelling", async () => {
+		const found = await findSameWord(
+			"VERBOSE PROSE",
+			new mongoose.Types.ObjectId()
+		);
+		assert.equal(found.word, "Verbose  Prose");
+		assert.equal(await findSameWord("Verbose Prose", legacy[0]._id), null);
+	});
+});
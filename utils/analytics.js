@@ -0,0 +1,338 @@
+// Aggregations behind the learning dashboard.
+//
+// Days and weeks are keyed "YYYY-MM-DD" (weeks by their Monday) in the time
+// zone of the user, so a revision at 23:30 counts for the day the user saw.
+// Series are returned oldest first with a zero for every empty day or week.
+
+const mongoose = require("mongoose");
+const Word = require("../model/Word");
+const { withProgress } = require("./progress");
+const { getRepository } = require("./wordRepository");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Events that count as studying a word: revisions and quiz answers
+const RECALL_TYPES = ["revision", "quiz_answer"];
+
+// Lower bounds of the open/revision count buckets
+const COUNT_BUCKETS = [0, 1, 3, 6, 11, 21, 51];
+
+// How much each kind of trouble with a word adds to its difficulty
+const DIFFICULTY_WEIGHTS = { again: 3, hard: 1, open: 1 };
+
+const isValidTimeZone = (timeZone) => {
+	try {
+		new Intl.DateTimeFormat("en-US", { timeZone });
+		return true;
+	} catch (error) {
+		return false;
+	}
+};
+
+// "YYYY-MM-DD" of a date in a time zone
+const dayKey = (date, timeZone) =>
+	new Intl.DateTimeFormat("en-CA", {
+		timeZone,
+		year: "numeric",
+		month: "2-digit",
+		day: "2-digit",
+	}).format(date);
+
+// Moves a day key by a number of days; keys are calendar dates, so stepping
+// in UTC is not affected by daylight saving changes
+const addDays = (key, days) =>
+	new Date(Date.parse(key + "T00:00:00Z") + days * DAY_MS)
+		.toISOString()
+		.slice(0, 10);
+
+const mondayOf = (key) => {
+	const weekday = new Date(key + "T00:00:00Z").getUTCDay();
+	return addDays(key, -((weekday + 6) % 7));
+};
+
+// Fills a { key: count } map into a series of `length` steps ending at `last`
+const series = (counts, last, length, step) => {
+	const points = [];
+	for (let i = length - 1; i >= 0; i--) {
+		const key = addDays(last, -i * step);
+		points.push({ date: key, count: counts.get(key) || 0 });
+	}
+	return points;
+};
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id);
+
+// Ids of the events of a user that an undo took back; they count for no day,
+// streak or difficulty (the undo events themselves are of neither kind)
+const takenBack = async (user) =>
+	(
+		await getRepository().studyEvents.distinct("reverts", {
+			user,
+			type: "undo",
+		})
+	).filter(Boolean);
+
+const dayExpression = (field, timeZone) => ({
+	$dateToString: { format: "%Y-%m-%d", date: field, timezone: timeZone },
+});
+
+/**
+ * Number of active words added per day or week.
+ * @param {{unit: "day"|"week", length: number, timeZone: string, now?: Date}} options
+ */
+const wordsAdded = async ({ unit, length, timeZone, now = new Date() }) => {
+	const step = unit === "week" ? 7 : 1;
+	const today = dayKey(now, timeZone);
+	const last = unit === "week" ? mondayOf(today) : today;
+	// A day of margin on each side, the exact range is cut by the keys
+	const since = new Date(now.getTime() - (length * step + 1) * DAY_MS);
+
+	const rows = await getRepository().words.aggregate([
+		{ $match: { deleted_at: null, createdAt: { $gte: since } } },
+		{
+			$group: {
+				_id: dayExpression("$createdAt", timeZone),
+				count: { $sum: 1 },
+			},
+		},
+	]);
+
+	// Days are added up into the week of their Monday
+	const counts = new Map();
+	for (const row of rows) {
+		const key = unit === "week" ? mondayOf(row._id) : row._id;
+		counts.set(key, (counts.get(key) || 0) + row.count);
+	}
+	return series(counts, last, length, step);
+};
+
+/**
+ * Number of revisions and quiz answers of a user per day, leaving out the
+ * ones that were undone.
+ */
+const revisionsPerDay = async (
+	userId,
+	{ days, timeZone, now = new Date() }
+) => {
+	const since = new Date(now.getTime() - (days + 1) * DAY_MS);
+	const user = toObjectId(userId);
+
+	const rows = await getRepository().studyEvents.aggregate([
+		{
+			$match: {
+				user,
+				type: { $in: RECALL_TYPES },
+				at: { $gte: since },
+				_id: { $nin: await takenBack(user) },
+			},
+		},
+		{ $group: { _id: dayExpression("$at", timeZone), count: { $sum: 1 } } },
+	]);
+
+	return series(
+		new Map(rows.map((row) => [row._id, row.count])),
+		dayKey(now, timeZone),
+		days,
+		1
+	);
+};
+
+/**
+ * Current and longest run of consecutive days with at least one revision or
+ * quiz answer that was not undone. The current streak is still alive when the
+ * last study day was yesterday, since today is not over yet.
+ */
+const streaks = async (userId, { timeZone, now = new Date() }) => {
+	const user = toObjectId(userId);
+	const rows = await getRepository().studyEvents.aggregate([
+		{
+			$match: {
+				user,
+				type: { $in: RECALL_TYPES },
+				_id: { $nin: await takenBack(user) },
+			},
+		},
+		{ $group: { _id: dayExpression("$at", timeZone) } },
+		{ $sort: { _id: 1 } },
+	]);
+	const days = rows.map((row) => row._id);
+
+	let longest = 0;
+	let run = 0;
+	for (let i = 0; i < days.length; i++) {
+		run = i > 0 && addDays(days[i - 1], 1) === days[i] ? run + 1 : 1;
+		longest = Math.max(longest, run);
+	}
+
+	const today = dayKey(now, timeZone);
+	const lastDay = days[days.length - 1];
+	const current = lastDay === today || lastDay === addDays(today, -1) ? run : 0;
+
+	return {
+		current,
+		longest,
+		lastStudyDay: lastDay || null,
+		studiedToday: lastDay === today,
+	};
+};
+
+// Labels a bucket by its range, e.g. "3-5" or "51+"
+const bucketLabel = (lower) => {
+	const index = COUNT_BUCKETS.indexOf(lower);
+	if (index === -1) return String(lower);
+	if (index === COUNT_BUCKETS.length - 1) return `${lower}+`;
+	const upper = COUNT_BUCKETS[index + 1] - 1;
+	return upper === lower ? String(lower) : `${lower}-${upper}`;
+};
+
+// Counts the words of each bucket from { value, count } rows
+const fillBuckets = (rows) => {
+	const counts = new Map();
+	for (const { value, count } of rows) {
+		const lower = COUNT_BUCKETS.filter((bound) => bound <= value).pop();
+		if (lower !== undefined)
+			counts.set(lower, (counts.get(lower) || 0) + count);
+	}
+	return COUNT_BUCKETS.map((lower) => ({
+		range: bucketLabel(lower),
+		count: counts.get(lower) || 0,
+	}));
+};
+
+/**
+ * How many active words fall into each open count and revision count range
+ * for a user.
+ */
+const countDistribution = async (userId) => {
+	const rows = await getRepository().words.aggregate([
+		{ $match: { deleted_at: null } },
+		...withProgress(userId),
+		{
+			$group: {
+				_id: {
+					opened: "$no_of_times_opened",
+					revised: "$no_of_times_revised",
+				},
+				count: { $sum: 1 },
+			},
+		},
+	]);
+
+	return {
+		opened: fillBuckets(
+			rows.map(({ _id, count }) => ({ value: _id.opened, count }))
+		),
+		revised: fillBuckets(
+			rows.map(({ _id, count }) => ({ value: _id.revised, count }))
+		),
+	};
+};
+
+/**
+ * Words the user struggled with most in the current calendar month, by
+ * failed recalls, hard recalls and lookups.
+ */
+const hardestWords = async (userId, { limit, timeZone, now = new Date() }) => {
+	const month = dayKey(now, timeZone).slice(0, 7);
+	const since = new Date(now.getTime() - 32 * DAY_MS);
+	const countIf = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+	const user = toObjectId(userId);
+
+	return getRepository().studyEvents.aggregate([
+		{
+			$match: {
+				user,
+				at: { $gte: since },
+				_id: { $nin: await takenBack(user) },
+			},
+		},
+		{
+			$match: {
+				$expr: {
+					$eq: [
+						{
+							$dateToString: {
+								format: "%Y-%m",
+								date: "$at",
+								timezone: timeZone,
+							},
+						},
+						month,
+					],
+				},
+			},
+		},
+		{
+			$group: {
+				_id: "$word",
+				again: countIf({ $eq: ["$grade", "again"] }),
+				hard: countIf({ $eq: ["$grade", "hard"] }),
+				opens: countIf({ $eq: ["$type", "open"] }),
+				recalls: countIf({ $in: ["$type", RECALL_TYPES] }),
+			},
+		},
+		{
+			$addFields: {
+				difficulty: {
+					$add: [
+						{ $multiply: ["$again", DIFFICULTY_WEIGHTS.again] },
+						{ $multiply: ["$hard", DIFFICULTY_WEIGHTS.hard] },
+						{ $multiply: ["$opens", DIFFICULTY_WEIGHTS.open] },
+					],
+				},
+			},
+		},
+		{ $match: { difficulty: { $gt: 0 } } },
+		{ $sort: { difficulty: -1, again: -1, _id: 1 } },
+		{
+			$lookup: {
+				from: Word.collection.name,
+				localField: "_id",
+				foreignField: "_id",
+				pipeline: [{ $project: { word: 1, deleted_at: 1 } }],
+				as: "word",
+			},
+		},
+		{ $unwind: "$word" },
+		{ $match: { "word.deleted_at": null } },
+		{ $limit: limit },
+		{
+			$project: {
+				_id: 0,
+				wordId: "$_id",
+				word: "$word.word",
+				difficulty: 1,
+				again: 1,
+				hard: 1,
+				opens: 1,
+				recalls: 1,
+			},
+		},
+	]);
+};
+
+/**
+ * Revisions and quiz answers of the user today against a daily goal.
+ */
+const dailyGoal = async (userId, { goal, timeZone, now = new Date() }) => {
+	const [today] = await revisionsPerDay(userId, { days: 1, timeZone, now });
+
+	return {
+		goal,
+		done: today.count,
+		remaining: Math.max(goal - today.count, 0),
+		percent: Math.min(Math.round((today.count / goal) * 100), 100),
+		reached: today.count >= goal,
+	};
+};
+
+module.exports = {
+	COUNT_BUCKETS,
+	isValidTimeZone,
+	wordsAdded,
+	revisionsPerDay,
+	streaks,
+	countDistribution,
+	hardestWords,
+	dailyGoal,
+};
@@ -0,0 +1,74 @@
+// Minimal RFC 4180 style reader/writer for comma or tab separated text.
+
+/**
+ * Parses delimited text into rows of fields. Quoted fields may contain the
+ * delimiter, line breaks and doubled quotes.
+ * @param {string} text
+ * @param {string} [delimiter]
+ * @returns {string[][]}
+ */
+const parseDelimited = (text, delimiter = ",") => {
+	const rows = [];
+	let row = [];
+	let field = "";
+	let quoted = false;
+
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+
+		if (quoted) {
+			if (char === '"' && text[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				field += char;
+			}
+		} else if (char === '"' && field === "") {
+			quoted = true;
+		} else if (char === delimiter) {
+			row.push(field);
+			field = "";
+		} else if (char === "\n" || char === "\r") {
+			if (char === "\r" && text[i + 1] === "\n") i++;
+			row.push(field);
+			rows.push(row);
+			row = [];
+			field = "";
+		} else {
+			field += char;
+		}
+	}
+
+	if (field !== "" || row.length > 0) {
+		row.push(field);
+		rows.push(row);
+	}
+
+	// Drop blank lines
+	return rows.filter((r) => r.some((value) => value.trim() !== ""));
+};
+
+const quote = (value, delimiter) => {
+	const text = value === undefined || value === null ? "" : String(value);
+	return text.includes(delimiter) || /["\r\n]/.test(text)
+		? `"${text.replace(/"/g, '""')}"`
+		: text;
+};
+
+/**
+ * Serializes rows of fields, quoting fields where needed.
+ * @param {any[][]} rows
+ * @param {string} [delimiter]
+ * @returns {string}
+ */
+const stringifyDelimited = (rows, delimiter = ",") =>
+	rows
+		.map((row) => row.map((value) => quote(value, delimiter)).join(delimiter))
+		.join("\n") + "\n";
+
+module.exports = {
+	parseDelimited,
+	stringifyDelimited,
+};
@@ -0,0 +1,94 @@
+// The MongoDB connection, shared by the long-running server and the
+// serverless handlers (see index.js).
+//
+// connectDatabase() opens the connection once per process and returns the same
+// promise to every caller, so a warm serverless instance reuses its connection
+// instead of opening one per invocation. A failed attempt is forgotten, the
+// next caller tries again. Once connected, Mongoose reconnects by itself after
+// a drop.
+
+const mongoose = require("mongoose");
+
+// How long a request waits for the database before it is answered with a 503,
+// also the time the driver spends looking for a server before giving up
+const DB_CONNECT_TIMEOUT_MS =
+	parseInt(process.env.DB_CONNECT_TIMEOUT_MS) || 5000;
+
+// Names of mongoose.connection.readyState
+const DATABASE_STATES = {
+	0: "disconnected",
+	1: "connected",
+	2: "connecting",
+	3: "disconnecting",
+};
+
+let connecting = null;
+
+/**
+ * Connects to MONGO_URL, or returns the connection attempt in progress.
+ * @returns {Promise<mongoose.Connection>}
+ */
+const connectDatabase = () => {
+	if (!connecting) {
+		connecting = Promise.resolve()
+			.then(() => {
+				if (!process.env.MONGO_URL) {
+					throw new Error("MONGO_URL is not defined in environment variables.");
+				}
+				return mongoose.connect(process.env.MONGO_URL, {
+					serverSelectionTimeoutMS: DB_CONNECT_TIMEOUT_MS,
+				});
+			})
+			.then(() => mongoose.connection)
+			.catch((error) => {
+				connecting = null;
+				throw error;
+			});
+	}
+	return connecting;
+};
+
+const isDatabaseReady = () => mongoose.connection.readyState === 1;
+
+const databaseState = () =>
+	DATABASE_STATES[mongoose.connection.readyState] || "unknown";
+
+/**
+ * Waits until the database is connected, connecting first when no attempt
+ * was made yet.
+ * @param {number} [timeoutMs]
+ * @returns {Promise<boolean>} false when it is still not connected after
+ * timeoutMs or the connection attempt failed.
+ */
+const waitForDatabase = (timeoutMs = DB_CONNECT_TIMEOUT_MS) => {
+	if (isDatabaseReady()) return Promise.resolve(true);
+
+	return new Promise((resolve) => {
+		const done = (ready) => {
+			clearTimeout(timer);
+			mongoose.connection.off("connected", onConnected);
+			resolve(ready);
+		};
+		const onConnected = () => done(true);
+		const timer = setTimeout(() => done(isDatabaseReady()), timeoutMs);
+
+		mongoose.connection.on("connected", onConnected);
+		// A connection that dropped is resumed by Mongoose, the "connected"
+		// event tells when
+		connectDatabase().then(
+			() => isDatabaseReady() && done(true),
+			(error) => {
+				console.error("Error connecting to the database:", error.message);
+				done(false);
+			}
+		);
+	});
+};
+
+module.exports = {
+	DB_CONNECT_TIMEOUT_MS,
+	connectDatabase,
+	isDatabaseReady,
+	databaseState,
+	waitForDatabase,
+};
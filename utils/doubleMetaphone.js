@@ -0,0 +1,590 @@
+// Double Metaphone (Lawrence Philips, 2000): a phonetic key computed from the
+// spelling of a word, so words that sound alike share a key without needing a
+// pronunciation. Every word gets a primary key and a secondary one for an
+// alternative reading (e.g. the Germanic or Slavic one), equal when there is
+// none.
+//
+// Keys are upper case consonant codes: "0" stands for "th", "X" for "sh"/"ch",
+// "J" for the "j" sound and "A" for a vowel at the start of the word. Unlike
+// the original, keys are not cut to four characters.
+
+const VOWELS = "AEIOUY";
+
+const isVowel = (char) => Boolean(char) && VOWELS.includes(char);
+
+/**
+ * @param {string} text
+ * @returns {[string, string]} The primary and secondary key, empty for text
+ * without letters.
+ */
+const doubleMetaphone = (text) => {
+	const word = String(text)
+		.toUpperCase()
+		.replace(/[^A-ZÇÑ\s]/g, "")
+		.replace(/\s+/g, " ")
+		.trim();
+	const length = word.length;
+	const last = length - 1;
+	// Padding lets the rules look past the end of the word
+	const value = word + "     ";
+
+	let primary = "";
+	let secondary = "";
+	let current = 0;
+
+	const add = (main, alternate = main) => {
+		primary += main;
+		secondary += alternate;
+	};
+	const at = (position, ...options) =>
+		position >= 0 &&
+		options.some((option) => value.substr(position, option.length) === option);
+
+	const slavoGermanic = /W|K|CZ|WITZ/.test(word);
+	const germanic = at(0, "VAN ", "VON ", "SCH");
+
+	// Silent first letters
+	if (at(0, "GN", "KN", "PN", "WR", "PS")) current++;
+
+	// Initial X is pronounced Z, which maps to S (e.g. Xavier)
+	if (value[0] === "X") {
+		add("S");
+		current++;
+	}
+
+	while (current < length) {
+		const next = value[current + 1];
+
+		switch (value[current]) {
+			case "A":
+			case "E":
+			case "I":
+			case "O":
+			case "U":
+			case "Y":
+				// Only a vowel at the start is coded
+				if (current === 0) add("A");
+				current++;
+				break;
+
+			case "B":
+				add("P");
+				current += next === "B" ? 2 : 1;
+				break;
+
+			case "Ç":
+				add("S");
+				current++;
+				break;
+
+			case "C":
+				// Germanic "ach", e.g. bacher, macher
+				if (
+					current > 1 &&
+					!isVowel(value[current - 2]) &&
+					at(current - 1, "ACH") &&
+					value[current + 2] !== "I" &&
+					(value[current + 2] !== "E" || at(current - 2, "BACHER", "MACHER"))
+				) {
+					add("K");
+					current += 2;
+					break;
+				}
+				if (current === 0 && at(current, "CAESAR")) {
+					add("S");
+					current += 2;
+					break;
+				}
+				// Italian, e.g. chianti
+				if (at(current, "CHIA")) {
+					add("K");
+					current += 2;
+					break;
+				}
+				if (at(current, "CH")) {
+					// e.g. michael
+					if (current > 0 && at(current, "CHAE")) {
+						add("K", "X");
+					}
+					// Greek roots, e.g. chemistry, chorus
+					else if (
+						current === 0 &&
+						(at(current + 1, "HARAC", "HARIS") ||
+							at(current + 1, "HOR", "HYM", "HIA", "HEM")) &&
+						!at(0, "CHORE")
+					) {
+						add("K");
+					}
+					// Germanic, Greek or otherwise "ch" for the "kh" sound
+					else if (
+						germanic ||
+						at(current - 2, "ORCHES", "ARCHIT", "ORCHID") ||
+						at(current + 2, "T", "S") ||
+						((current === 0 || at(current - 1, "A", "O", "U", "E")) &&
+							at(current + 2, "L", "R", "N", "M", "B", "H", "F", "V", "W", " "))
+					) {
+						add("K");
+					} else if (current > 0) {
+						if (at(0, "MC")) add("K");
+						else add("X", "K");
+					} else {
+						add("X");
+					}
+					current += 2;
+					break;
+				}
+				// e.g. czerny
+				if (at(current, "CZ") && !at(current - 2, "WICZ")) {
+					add("S", "X");
+					current += 2;
+					break;
+				}
+				// e.g. focaccia
+				if (at(current + 1, "CIA")) {
+					add("X");
+					current += 3;
+					break;
+				}
+				// Double C, but not McClellan
+				if (at(current, "CC") && !(current === 1 && value[0] === "M")) {
+					// e.g. bellocchio, but not bacchus
+					if (at(current + 2, "I", "E", "H") && !at(current + 2, "HU")) {
+						// e.g. accident, accede, succeed
+						if (
+							(current === 1 && value[0] === "A") ||
+							at(current - 1, "UCCEE", "UCCES")
+						) {
+							add("KS");
+						} else {
+							add("X");
+						}
+						current += 3;
+						break;
+					}
+					add("K");
+					current += 2;
+					break;
+				}
+				if (at(current, "CK", "CG", "CQ")) {
+					add("K");
+					current += 2;
+					break;
+				}
+				if (at(current, "CI", "CE", "CY")) {
+					// Italian vs. English
+					if (at(current, "CIO", "CIE", "CIA")) add("S", "X");
+					else add("S");
+					current += 2;
+					break;
+				}
+				add("K");
+				// e.g. Mac Caffrey, Mac Gregor
+				if (at(current + 1, " C", " Q", " G")) current += 3;
+				else if (
+					at(current + 1, "C", "K", "Q") &&
+					!at(current + 1, "CE", "CI")
+				) {
+					current += 2;
+				} else current++;
+				break;
+
+			case "D":
+				if (at(current, "DG")) {
+					// e.g. edge
+					if (at(current + 2, "I", "E", "Y")) {
+						add("J");
+						current += 3;
+					}
+					// e.g. edgar
+					else {
+						add("TK");
+						current += 2;
+					}
+					break;
+				}
+				add("T");
+				current += at(current, "DT", "DD") ? 2 : 1;
+				break;
+
+			case "F":
+				add("F");
+				current += next === "F" ? 2 : 1;
+				break;
+
+			case "G":
+				if (next === "H") {
+					if (current > 0 && !isVowel(value[current - 1])) {
+						add("K");
+					}
+					// e.g. ghislane, ghiradelli
+					else if (current === 0) {
+						add(value[current + 2] === "I" ? "J" : "K");
+					}
+					// Silent, e.g. hugh, bough, broughton
+					else if (
+						(current > 1 && at(current - 2, "B", "H", "D")) ||
+						(current > 2 && at(current - 3, "B", "H", "D")) ||
+						(current > 3 && at(current - 4, "B", "H"))
+					) {
+						// nothing to add
+					}
+					// e.g. laugh, cough, rough, tough
+					else if (
+						current > 2 &&
+						value[current - 1] === "U" &&
+						at(current - 3, "C", "G", "L", "R", "T")
+					) {
+						add("F");
+					} else if (value[current - 1] !== "I") {
+						add("K");
+					}
+					current += 2;
+					break;
+				}
+				if (next === "N") {
+					if (current === 1 && isVowel(value[0]) && !slavoGermanic) {
+						add("KN", "N");
+					}
+					// e.g. cagney, but not signing
+					else if (
+						!at(current + 2, "EY") &&
+						value[current + 1] !== "Y" &&
+						!slavoGermanic
+					) {
+						add("N", "KN");
+					} else {
+						add("KN");
+					}
+					current += 2;
+					break;
+				}
+				// e.g. tagliaro
+				if (at(current + 1, "LI") && !slavoGermanic) {
+					add("KL", "L");
+					current += 2;
+					break;
+				}
+				// -ges-, -gep-, -gel-, -gie- at the start
+				if (
+					current === 0 &&
+					(next === "Y" ||
+						at(
+							current + 1,
+							"ES",
+							"EP",
+							"EB",
+							"EL",
+							"EY",
+							"IB",
+							"IL",
+							"IN",
+							"IE",
+							"EI",
+							"ER"
+						))
+				) {
+					add("K", "J");
+					current += 2;
+					break;
+				}
+				// -ger-, -gy-
+				if (
+					(at(current + 1, "ER") || next === "Y") &&
+					!at(0, "DANGER", "RANGER", "MANGER") &&
+					!at(current - 1, "E", "I") &&
+					!at(current - 1, "RGY", "OGY")
+				) {
+					add("K", "J");
+					current += 2;
+					break;
+				}
+				// Italian, e.g. biaggi
+				if (at(current + 1, "E", "I", "Y") || at(current - 1, "AGGI", "OGGI")) {
+					if (germanic || at(current + 1, "ET")) add("K");
+					// Always soft before a French ending
+					else if (at(current + 1, "IER ")) add("J");
+					else add("J", "K");
+					current += 2;
+					break;
+				}
+				add("K");
+				current += next === "G" ? 2 : 1;
+				break;
+
+			case "H":
+				// Only kept first or between vowels
+				if ((current === 0 || isVowel(value[current - 1])) && isVowel(next)) {
+					add("H");
+					current += 2;
+				} else {
+					current++;
+				}
+				break;
+
+			case "J":
+				// Spanish, e.g. jose, san jacinto
+				if (at(current, "JOSE") || at(0, "SAN ")) {
+					if ((current === 0 && value[current + 4] === " ") || at(0, "SAN ")) {
+						add("H");
+					} else {
+						add("J", "H");
+					}
+					current++;
+					break;
+				}
+				// e.g. Yankelovich/Jankelowicz
+				if (current === 0) add("J", "A");
+				// Spanish pronunciation of e.g. bajador
+				else if (
+					isVowel(value[current - 1]) &&
+					!slavoGermanic &&
+					(next === "A" || next === "O")
+				) {
+					add("J", "H");
+				} else if (current === last) add("J", "");
+				else if (
+					!at(current + 1, "L", "T", "K", "S", "N", "M", "B", "Z") &&
+					!at(current - 1, "S", "K", "L")
+				) {
+					add("J");
+				}
+				current += next === "J" ? 2 : 1;
+				break;
+
+			case "K":
+				add("K");
+				current += next === "K" ? 2 : 1;
+				break;
+
+			case "L":
+				if (next === "L") {
+					// Spanish, e.g. cabrillo, gallegos
+					if (
+						(current === length - 3 &&
+							at(current - 1, "ILLO", "ILLA", "ALLE")) ||
+						((at(last - 1, "AS", "OS") || at(last, "A", "O")) &&
+							at(current - 1, "ALLE"))
+					) {
+						add("L", "");
+					} else {
+						add("L");
+					}
+					current += 2;
+					break;
+				}
+				add("L");
+				current++;
+				break;
+
+			case "M":
+				add("M");
+				// e.g. dumb, thumb
+				if (
+					(at(current - 1, "UMB") &&
+						(current + 1 === last || at(current + 2, "ER"))) ||
+					next === "M"
+				) {
+					current += 2;
+				} else {
+					current++;
+				}
+				break;
+
+			case "N":
+				add("N");
+				current += next === "N" ? 2 : 1;
+				break;
+
+			case "Ñ":
+				add("N");
+				current++;
+				break;
+
+			case "P":
+				if (next === "H") {
+					add("F");
+					current += 2;
+					break;
+				}
+				// Also accounts for e.g. campbell, raspberry
+				add("P");
+				current += next === "P" || next === "B" ? 2 : 1;
+				break;
+
+			case "Q":
+				add("K");
+				current += next === "Q" ? 2 : 1;
+				break;
+
+			case "R":
+				// French, e.g. rogier, but not hochmeier
+				if (
+					current === last &&
+					!slavoGermanic &&
+					at(current - 2, "IE") &&
+					!at(current - 4, "ME", "MA")
+				) {
+					add("", "R");
+				} else {
+					add("R");
+				}
+				current += next === "R" ? 2 : 1;
+				break;
+
+			case "S":
+				// e.g. island, isle, carlisle
+				if (at(current - 1, "ISL", "YSL")) {
+					current++;
+					break;
+				}
+				if (current === 0 && at(current, "SUGAR")) {
+					add("X", "S");
+					current++;
+					break;
+				}
+				if (at(current, "SH")) {
+					// Germanic, e.g. holmsheim
+					if (at(current + 1, "HEIM", "HOEK", "HOLM", "HOLZ")) add("S");
+					else add("X");
+					current += 2;
+					break;
+				}
+				// Italian and Armenian, e.g. session, asian
+				if (at(current, "SIO", "SIA") || at(current, "SIAN")) {
+					if (slavoGermanic) add("S");
+					else add("S", "X");
+					current += 3;
+					break;
+				}
+				// German and anglicisations, e.g. smith and schmidt, snider and
+				// schneider; also -sz- in Slavic
+				if (
+					(current === 0 && at(current + 1, "M", "N", "L", "W")) ||
+					next === "Z"
+				) {
+					add("S", "X");
+					current += next === "Z" ? 2 : 1;
+					break;
+				}
+				if (at(current, "SC")) {
+					if (value[current + 2] === "H") {
+						// Dutch, e.g. school, schooner
+						if (at(current + 3, "OO", "ER", "EN", "UY", "ED", "EM")) {
+							// e.g. schermerhorn, schenker
+							if (at(current + 3, "ER", "EN")) add("X", "SK");
+							else add("SK");
+						} else if (
+							current === 0 &&
+							!isVowel(value[3]) &&
+							value[3] !== "W"
+						) {
+							add("X", "S");
+						} else {
+							add("X");
+						}
+						current += 3;
+						break;
+					}
+					if (at(current + 2, "I", "E", "Y")) add("S");
+					else add("SK");
+					current += 3;
+					break;
+				}
+				// French, e.g. resnais, artois
+				if (current === last && at(current - 2, "AI", "OI")) add("", "S");
+				else add("S");
+				current += next === "S" || next === "Z" ? 2 : 1;
+				break;
+
+			case "T":
+				if (at(current, "TION", "TIA", "TCH")) {
+					add("X");
+					current += 3;
+					break;
+				}
+				if (at(current, "TH", "TTH")) {
+					// e.g. thomas, thames, or Germanic
+					if (at(current + 2, "OM", "AM") || germanic) add("T");
+					else add("0", "T");
+					current += 2;
+					break;
+				}
+				add("T");
+				current += next === "T" || next === "D" ? 2 : 1;
+				break;
+
+			case "V":
+				add("F");
+				current += next === "V" ? 2 : 1;
+				break;
+
+			case "W":
+				if (at(current, "WR")) {
+					add("R");
+					current += 2;
+					break;
+				}
+				// Wasserman matches Vasserman, Uomo matches Womo
+				if (current === 0 && (isVowel(next) || at(current, "WH"))) {
+					if (isVowel(next)) add("A", "F");
+					else add("A");
+				}
+				// e.g. Arnow and Arnoff
+				if (
+					(current === last && isVowel(value[current - 1])) ||
+					at(current - 1, "EWSKI", "EWSKY", "OWSKI", "OWSKY") ||
+					at(0, "SCH")
+				) {
+					add("", "F");
+					current++;
+					break;
+				}
+				// Polish, e.g. filipowicz
+				if (at(current, "WICZ", "WITZ")) {
+					add("TS", "FX");
+					current += 4;
+					break;
+				}
+				current++;
+				break;
+
+			case "X":
+				// French, e.g. breaux
+				if (
+					!(
+						current === last &&
+						(at(current - 3, "IAU", "EAU") || at(current - 2, "AU", "OU"))
+					)
+				) {
+					add("KS");
+				}
+				current += next === "C" || next === "X" ? 2 : 1;
+				break;
+
+			case "Z":
+				// Chinese pinyin, e.g. zhao
+				if (next === "H") {
+					add("J");
+					current += 2;
+					break;
+				}
+				if (
+					at(current + 1, "ZO", "ZI", "ZA") ||
+					(slavoGermanic && current > 0 && value[current - 1] !== "T")
+				) {
+					add("S", "TS");
+				} else {
+					add("S");
+				}
+				current += next === "Z" ? 2 : 1;
+				break;
+
+			default:
+				current++;
+		}
+	}
+
+	return [primary, secondary];
+};
+
+module.exports = { doubleMetaphone };
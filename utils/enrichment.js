@@ -0,0 +1,249 @@
+// Prompt and response handling for AI word enrichment ("Lexi Method").
+
+const { generateText } = require("../ai");
+const { parseJsonArray } = require("./llmJson");
+const { validateWordShape } = require("./wordValidation");
+const { wordKey } = require("./text");
+const { mergeGenerated } = require("./wordMerge");
+const { recordChange } = require("./wordVersions");
+const { addMnemonic } = require("./mnemonics");
+const { getRepository } = require("./wordRepository");
+
+// Fields of a Word that the AI fills in
+const ENRICHED_FIELDS = [
+	"pronunciation",
+	"meaning",
+	"origin",
+	"relate_with",
+	"synonyms",
+	"antonyms",
+	"mnemonic",
+	"breakdown",
+];
+
+// Generated mnemonics join the word's other mnemonics (see utils/mnemonics.js)
+// instead of replacing its own
+const MNEMONIC_FIELDS = ["mnemonic", "breakdown"];
+const CONTENT_FIELDS = ENRICHED_FIELDS.filter(
+	(field) => !MNEMONIC_FIELDS.includes(field)
+);
+
+/**
+ * Builds the enrichment prompt for a list of words.
+ * @param {string[]} words The words to enrich.
+ * @returns {string}
+ */
+const buildEnrichmentPrompt = (
+	words
+) => `You are Lexi, a world-renowned memory artist and narrative linguist. You believe that words are not just definitions; they are stories, feelings, and images waiting to be unlocked. Your singular talent is forging unforgettable mnemonics that are miniature works of art—clever, surprising, and deeply resonant.
+
+Your core philosophy is **Word-First Recall**: the most powerful mnemonic is found *within the sounds of the word itself*. The goal is for someone to see the word, instantly recall its phonetic hook, and remember the meaning without imagining a complex external scene.
+
+Your task is to analyze the list of English words provided and, for each one, generate a single JSON object that strictly follows the "Lexi Method."
+
+JSON Object Structure:
+ {
+   "word": "<the word>",
+   "pronunciation": "<phonetic IPA pronunciation> | <simple phonetic pronunciation, e.g., fuh·neh·tuhk>",
+   "meaning": [
+     { "meaning": "<first meaning (max 10 words)>", "example": "<clear example sentence using the word>" },
+     { "meaning": "<second meaning if available>", "example": "<clear example sentence using the word>" }
+   ],
+   "origin": "<short, clear origin like 'Latin', 'Greek', with 1-sentence explanation>",
+   "relate_with": "<A simple, direct feeling or idea linked to the word's meaning.>",
+   "mnemonic": "<A high-impact mnemonic built by deconstructing the word's sounds into a defining phrase.>",
+   "breakdown": "<A simple, clear explanation of how the mnemonic's phonetic parts create the word's meaning.>",
+   "synonyms": ["<synonym1>", "<synonym2>", "<synonym3>"],
+   "antonyms": ["<antonym1>", "<antonym2>", "<antonym3>"]
+ }
+
+ ### CRITICAL INSTRUCTIONS: THE LEXI METHOD
+
+ You MUST build your mnemonic using the **Core Principles of Word-First Recall**. This means you will deconstruct the word into sound-alike fragments that form a new phrase defining the word.
+
+ * **Principle 1: Sound-Alike Decomposition.** Break the target word into phonetic chunks that sound like simpler, common English words.
+ * **Principle 2: The Defining Phrase.** Combine these sound-alike chunks into a very short, memorable phrase or "equation" that directly explains or demonstrates the word's meaning.
+ * **Principle 3: Direct Link, No Detours.** The mnemonic **must** come from the word's sound. Avoid creating external stories, metaphorical objects, or complex scenarios that are not directly suggested by the word's phonetics.
+
+ **Example of the Method in Action:**
+
+* **Word:** Insidious
+* **Weak Mnemonic:** "He's a villain who lives *in the city*." (This is an external story, not based on the word's sound).
+* **LEXI METHOD:** \`It hides **INSIDE** and is **HIDEOUS**.\`
+
+ **Breakdown Must Justify the Mnemonic:**
+ Your \`breakdown\` must clearly explain how the sound-alike parts in your mnemonic logically connect to the word's definition.
+* **Example Breakdown for Insidious:** "The mnemonic breaks the word into two core ideas: \`Inside\` points to its hidden, subtle, and sneaky nature. \`Hideous\` points to its truly ugly and harmful result. Together, they define something that is harmful in a subtle way."
+
+ **Language & Tone:**
+ Maintain a simple, direct, and encouraging tone. Your creativity should shine through the cleverness of the phonetic links, not through complex vocabulary.
+
+ **Final Output Format:**
+ Return **ONLY a single, valid JSON array**. Do **NOT** include any introductory text or explanations. Your entire response must start with \`[\` and end with \`]\`.
+
+Here is the list of words:
+${words.join(", ")}`;
+
+// Fields every generated entry must contain
+const REQUIRED_FIELDS = [
+	"word",
+	"pronunciation",
+	"meaning",
+	"mnemonic",
+	"breakdown",
+];
+
+// Fixes shapes models commonly get slightly wrong, before validation
+const coerceEntry = (entry) => {
+	if (!entry || typeof entry !== "object" || Array.isArray(entry)) return entry;
+
+	const coerced = { ...entry };
+
+	for (const field of ["synonyms", "antonyms"]) {
+		if (typeof coerced[field] === "string") {
+			coerced[field] = coerced[field]
+				.split(",")
+				.map((item) => item.trim())
+				.filter(Boolean);
+		}
+	}
+
+	if (typeof coerced.meaning === "string") {
+		coerced.meaning = [{ meaning: coerced.meaning }];
+	} else if (coerced.meaning && !Array.isArray(coerced.meaning)) {
+		coerced.meaning = [coerced.meaning];
+	}
+
+	return coerced;
+};
+
+/**
+ * Validates the entries of a parsed AI response against the Word shape.
+ * @param {any[]} items Parsed entries.
+ * @param {string[]} requested The words that were asked for.
+ * @returns {{accepted: Map<string, object>, rejected: {index: number, word?: string, reasons: string[]}[]}}
+ * Valid entries keyed by word_key, and a report of every rejected item.
+ */
+const validateEntries = (items, requested) => {
+	const wanted = new Set(requested.map(wordKey));
+	const accepted = new Map();
+	const rejected = [];
+
+	items.forEach((item, index) => {
+		const { value, errors } = validateWordShape(coerceEntry(item), {
+			required: REQUIRED_FIELDS,
+		});
+		const key = value.word ? wordKey(value.word) : undefined;
+
+		if (key && !wanted.has(key)) errors.push("word was not requested");
+		if (key && accepted.has(key)) errors.push("duplicate entry for this word");
+
+		if (errors.length) {
+			rejected.push({ index, word: value.word, reasons: errors });
+		} else {
+			accepted.set(key, value);
+		}
+	});
+
+	return { accepted, rejected };
+};
+
+/**
+ * Sends one batch of words to the AI and writes the enriched fields back.
+ * Throws when the AI call fails or its response is unusable, so the whole
+ * batch can be retried. Invalid entries are rejected one by one, and good
+ * existing content is never replaced by emptier generated content. The
+ * generated mnemonic is added to the word's mnemonics.
+ * @param {object[]} words The words of the batch.
+ * @param {{job?: string, author?: string}} [meta] The job and user behind the
+ * run, stored with the AI versions of the words.
+ * @returns {Promise<{results: object[], rejected: object[], repairs: string[], provider: string}>}
+ * One result per word, the rejected entries, and the JSON repairs that were
+ * needed to read the response.
+ */
+const enrichWords = async (words, { job, author } = {}) => {
+	const wordNames = words.map((w) => w.word);
+	const response = await generateText(buildEnrichmentPrompt(wordNames), {
+		purpose: "enrichment",
+		words: wordNames,
+	});
+
+	const { items, repairs, error } = parseJsonArray(response.text);
+
+	if (!items || items.length === 0) {
+		throw new Error(
+			`The AI response did not contain any words${error ? `: ${error}` : ""}`
+		);
+	}
+
+	const { accepted, rejected } = validateEntries(items, wordNames);
+
+	const results = [];
+	for (const word of words) {
+		const key = wordKey(word.word);
+		const base = { word: word._id, text: word.word };
+		const entry = accepted.get(key);
+
+		if (!entry) {
+			const rejection = rejected.find((r) => r.word && wordKey(r.word) === key);
+			results.push(
+				rejection
+					? { ...base, status: "rejected", error: rejection.reasons.join("; ") }
+					: { ...base, status: "failed", error: "Missing from the AI response" }
+			);
+			continue;
+		}
+
+		const { update, kept } = mergeGenerated(word, entry, CONTENT_FIELDS);
+		// Placeholders and empty values are dropped like for the other fields
+		const { update: generated } = mergeGenerated({}, entry, MNEMONIC_FIELDS);
+
+		if (Object.keys(update).length === 0 && !generated.mnemonic) {
+			results.push({ ...base, status: "unchanged", kept_fields: kept });
+			continue;
+		}
+
+		try {
+			if (Object.keys(update).length) {
+				await getRepository().words.updateOne(
+					{ _id: word._id },
+					{ $set: update }
+				);
+				// The previous content stays available as a version to revert to
+				await recordChange(
+					word._id,
+					word,
+					{ ...word, ...update },
+					{ source: "ai", provider: response.provider, job, author }
+				);
+			}
+			const added = generated.mnemonic
+				? await addMnemonic(word, {
+						...generated,
+						source: "ai",
+						provider: response.provider,
+				  })
+				: null;
+
+			results.push({
+				...base,
+				status:
+					Object.keys(update).length || (added && added.created)
+						? "updated"
+						: "unchanged",
+				kept_fields: kept,
+			});
+		} catch (err) {
+			results.push({ ...base, status: "failed", error: err.message });
+		}
+	}
+
+	return { results, rejected, repairs, provider: response.provider };
+};
+
+module.exports = {
+	ENRICHED_FIELDS,
+	buildEnrichmentPrompt,
+	validateEntries,
+	enrichWords,
+};
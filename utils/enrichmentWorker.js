@@ -0,0 +1,341 @@
+const { enrichWords } = require("./enrichment");
+const { getRepository } = require("./wordRepository");
+
+const BATCH_SIZE = parseInt(process.env.ENRICHMENT_BATCH_SIZE) || 30;
+// Pause between two batches of the same job, to stay within AI rate limits
+const BATCH_DELAY_MS =
+	parseInt(process.env.ENRICHMENT_BATCH_DELAY_MS) || 5 * 60 * 1000;
+// A batch still "running" after this long is assumed lost (crashed worker,
+// serverless timeout) and is picked up again
+const BATCH_LEASE_MS = 10 * 60 * 1000;
+const POLL_INTERVAL_MS =
+	parseInt(process.env.ENRICHMENT_POLL_INTERVAL_MS) || 30 * 1000;
+
+// Words without a mnemonic or a breakdown
+const MISSING_ENRICHMENT = {
+	$or: [{ mnemonic: { $in: [null, ""] } }, { breakdown: { $in: [null, ""] } }],
+};
+
+const chunk = (items, size) => {
+	const chunks = [];
+	for (let i = 0; i < items.length; i += size) {
+		chunks.push(items.slice(i, i + size));
+	}
+	return chunks;
+};
+
+/**
+ * Creates a queued enrichment job.
+ * @param {object} options
+ * @param {"missing"|"all"} [options.mode] Only words missing mnemonic/breakdown, or all.
+ * @param {string[]} [options.wordIds] Restrict the job to these words.
+ * @param {"manual"|"postWords"|"import"} [options.trigger]
+ * @param {string} [options.createdBy] Id of the user who started the job.
+ * @param {number} [options.batchSize]
+ * @returns {Promise<object|null>} The job, or null when no word needs enriching.
+ */
+const createJob = async ({
+	mode = "missing",
+	wordIds,
+	trigger = "manual",
+	createdBy,
+	batchSize = BATCH_SIZE,
+} = {}) => {
+	const filter = { deleted_at: null };
+	if (wordIds) filter._id = { $in: wordIds };
+	if (mode === "missing") Object.assign(filter, MISSING_ENRICHMENT);
+
+	const { words: wordStore, enrichmentJobs } = getRepository();
+	const words = await wordStore.find(filter, {
+		select: "_id",
+		sort: { createdAt: 1, _id: 1 },
+	});
+	if (words.length === 0) return null;
+
+	return enrichmentJobs.insertOne({
+		mode,
+		trigger,
+		created_by: createdBy,
+		batch_size: batchSize,
+		batches: chunk(
+			words.map((w) => w._id),
+			batchSize
+		).map((ids, index) => ({ index, words: ids })),
+	});
+};
+
+/**
+ * Queues enrichment of newly added words that lack mnemonic/breakdown, unless
+ * ENRICH_NEW_WORDS is "false". Never throws: adding words must not fail
+ * because of enrichment, the words can still be enriched later.
+ * @param {string[]} wordIds
+ * @param {"postWords"|"import"} trigger
+ * @param {string} createdBy
+ * @returns {Promise<string|null>} The id of the queued job, if any.
+ */
+const enrichNewWords = async (wordIds, trigger, createdBy) => {
+	if (process.env.ENRICH_NEW_WORDS === "false" || wordIds.length === 0) {
+		return null;
+	}
+
+	try {
+		const job = await createJob({ wordIds, trigger, createdBy });
+		return job ? job._id : null;
+	} catch (error) {
+		console.error("Error queueing enrichment for new words:", error);
+		return null;
+	}
+};
+
+// Atomically claims the next batch that is ready to run. Each job runs at
+// most one batch at a time, in batch order.
+const claimBatch = async () => {
+	const now = new Date();
+	const staleBefore = new Date(now.getTime() - BATCH_LEASE_MS);
+	const { enrichmentJobs } = getRepository();
+
+	const jobs = await enrichmentJobs.find(
+		{
+			status: { $in: ["queued", "running"] },
+			next_batch_at: { $lte: now },
+		},
+		{ sort: { createdAt: 1 }, limit: 10 }
+	);
+
+	for (const job of jobs) {
+		const running = job.batches.find((b) => b.status === "running");
+		if (running && running.started_at > staleBefore) continue;
+
+		const batch = running || job.batches.find((b) => b.status === "pending");
+		if (!batch) continue;
+
+		const i = job.batches.indexOf(batch);
+
+		// Only succeeds if no other worker claimed the batch in the meantime
+		const claimed = await enrichmentJobs.updateOne(
+			{
+				_id: job._id,
+				status: { $in: ["queued", "running"] },
+				[`batches.${i}.status`]: batch.status,
+				[`batches.${i}.attempts`]: batch.attempts,
+			},
+			{
+				$set: {
+					status: "running",
+					started_at: job.started_at || now,
+					[`batches.${i}.status`]: "running",
+					[`batches.${i}.started_at`]: now,
+				},
+				$inc: { [`batches.${i}.attempts`]: 1 },
+			}
+		);
+
+		if (claimed) return { job: claimed, index: i };
+	}
+
+	return null;
+};
+
+// Marks the job finished once none of its batches is left to run
+const finalizeJob = async (jobId) => {
+	const { enrichmentJobs } = getRepository();
+	const job = await enrichmentJobs.findOne({ _id: jobId });
+	if (!job || job.status !== "running") return job;
+
+	const open = job.batches.some(
+		(b) => b.status === "pending" || b.status === "running"
+	);
+	if (open) return job;
+
+	const allFailed = job.batches.every((b) => b.status === "failed");
+
+	return enrichmentJobs.updateOne(
+		{ _id: jobId, status: "running" },
+		{
+			$set: {
+				status: allFailed ? "failed" : "completed",
+				finished_at: new Date(),
+			},
+		}
+	);
+};
+
+// Runs one claimed batch and stores its per-word results
+const processBatch = async ({ job, index }) => {
+	const batch = job.batches[index];
+	const words = await getRepository().words.find({
+		_id: { $in: batch.words },
+		deleted_at: null,
+	});
+
+	const found = new Set(words.map((w) => w._id.toString()));
+	const results = batch.words
+		.filter((id) => !found.has(id.toString()))
+		.map((id) => ({
+			word: id,
+			batch: index,
+			status: "failed",
+			error: "Word no longer exists",
+		}));
+
+	let status = "succeeded";
+	let error;
+	let report = {};
+
+	try {
+		if (words.length) {
+			const enriched = await enrichWords(words, {
+				job: job._id,
+				author: job.created_by,
+			});
+			results.push(
+				...enriched.results.map((result) => ({ ...result, batch: index }))
+			);
+			report = {
+				[`batches.${index}.provider`]: enriched.provider,
+				[`batches.${index}.repairs`]: enriched.repairs,
+				[`batches.${index}.rejected`]: enriched.rejected,
+			};
+		}
+	} catch (err) {
+		console.error(`Enrichment batch ${index} of job ${job._id} failed:`, err);
+		status = "failed";
+		error = err.message;
+		results.push(
+			...words.map((w) => ({
+				word: w._id,
+				text: w.word,
+				batch: index,
+				status: "failed",
+				error: err.message,
+			}))
+		);
+	}
+
+	await getRepository().enrichmentJobs.updateOne(
+		{ _id: job._id },
+		{
+			$set: {
+				[`batches.${index}.status`]: status,
+				[`batches.${index}.error`]: error,
+				[`batches.${index}.finished_at`]: new Date(),
+				...report,
+				next_batch_at: new Date(Date.now() + BATCH_DELAY_MS),
+			},
+			$push: { results: { $each: results } },
+		}
+	);
+
+	return finalizeJob(job._id);
+};
+
+/**
+ * Processes ready batches until there are none left, maxBatches were run or
+ * the deadline passed.
+ * @param {object} [options]
+ * @param {number} [options.maxBatches]
+ * @param {number} [options.deadline] Timestamp (ms) after which no new batch starts.
+ * @returns {Promise<number>} The number of batches processed.
+ */
+const runWorker = async ({
+	maxBatches = Infinity,
+	deadline = Infinity,
+} = {}) => {
+	let processed = 0;
+
+	while (processed < maxBatches && Date.now() < deadline) {
+		const claimed = await claimBatch();
+		if (!claimed) break;
+
+		await processBatch(claimed);
+		processed++;
+	}
+
+	return processed;
+};
+
+/**
+ * Cancels a job. Pending batches are cancelled, a batch that is already
+ * running finishes and keeps its results.
+ * @returns {Promise<object|null>} The job, or null if it is not active.
+ */
+const cancelJob = (jobId) =>
+	getRepository().enrichmentJobs.updateOne(
+		{ _id: jobId, status: { $in: ["queued", "running"] } },
+		{
+			$set: {
+				status: "cancelled",
+				finished_at: new Date(),
+				"batches.$[batch].status": "cancelled",
+			},
+		},
+		{ arrayFilters: [{ "batch.status": "pending" }] }
+	);
+
+/**
+ * Queues the failed batches of a finished job again. Batches that succeeded
+ * are left alone, and the results of the failed ones are replaced on rerun.
+ * @returns {Promise<object|null>} The job, or null if it has no failed batch
+ * or is still active.
+ */
+const retryFailedBatches = async (jobId) => {
+	const { enrichmentJobs } = getRepository();
+	const job = await enrichmentJobs.findOne({
+		_id: jobId,
+		status: { $in: ["completed", "failed", "cancelled"] },
+		"batches.status": "failed",
+	});
+	if (!job) return null;
+
+	const failed = job.batches
+		.filter((b) => b.status === "failed")
+		.map((b) => b.index);
+
+	return enrichmentJobs.updateOne(
+		{ _id: jobId, status: job.status },
+		{
+			$set: {
+				status: "queued",
+				finished_at: null,
+				next_batch_at: new Date(),
+				"batches.$[batch].status": "pending",
+				"batches.$[batch].error": null,
+			},
+			$pull: { results: { batch: { $in: failed } } },
+		},
+		{ arrayFilters: [{ "batch.status": "failed" }] }
+	);
+};
+
+let pollTimer;
+let polling = false;
+
+/**
+ * Polls for ready batches in the background. Only used by the long-running
+ * server; serverless deployments call runWorker from the work endpoint.
+ */
+const startWorker = () => {
+	if (pollTimer) return;
+
+	pollTimer = setInterval(async () => {
+		if (polling) return;
+		polling = true;
+		try {
+			await runWorker();
+		} catch (error) {
+			console.error("Enrichment worker error:", error);
+		} finally {
+			polling = false;
+		}
+	}, POLL_INTERVAL_MS);
+	pollTimer.unref();
+};
+
+module.exports = {
+	createJob,
+	enrichNewWords,
+	runWorker,
+	cancelJob,
+	retryFailedBatches,
+	startWorker,
+};
@@ -0,0 +1,160 @@
+// Tolerant parsing of JSON produced by an LLM.
+//
+// Models often wrap their answer in code fences or prose, use smart quotes as
+// string delimiters, leave trailing commas, put raw line breaks inside strings
+// or get cut off in the middle of an array. parseJsonArray repairs those
+// defects in a single string-aware pass and reports which repairs it made.
+
+const OPENING_SMART_QUOTES = ["“", "”", "„"];
+const CLOSING_SMART_QUOTES = ["“", "”"];
+
+const addRepair = (repairs, repair) => {
+	if (!repairs.includes(repair)) repairs.push(repair);
+};
+
+// Strips ``` fences and any prose before the first [ or {
+const extractJson = (text, repairs) => {
+	let cleaned = text.trim();
+
+	const fenced = cleaned.match(/```(?:json)?\s*([\s\S]*?)(?:```|$)/i);
+	if (fenced) {
+		cleaned = fenced[1].trim();
+		addRepair(repairs, "removed code fences");
+	}
+
+	const start = cleaned.search(/[[{]/);
+	if (start > 0) {
+		cleaned = cleaned.slice(start);
+		addRepair(repairs, "removed text before the JSON");
+	}
+
+	return cleaned;
+};
+
+// Removes a trailing comma (and the whitespace after it) from the output
+const dropTrailingComma = (out, repairs) => {
+	const match = out.match(/,\s*$/);
+	if (!match) return out;
+	addRepair(repairs, "removed trailing commas");
+	return out.slice(0, match.index);
+};
+
+/**
+ * Rewrites LLM output into valid JSON where possible.
+ * @param {string} text
+ * @returns {{json: string, repairs: string[]}}
+ */
+const repairJson = (text) => {
+	const repairs = [];
+	const input = extractJson(text, repairs);
+
+	let out = "";
+	let inString = false;
+	let smartString = false;
+	const stack = [];
+	// Output length after the last complete element of the top-level array
+	let lastComplete = -1;
+	let i = 0;
+
+	for (; i < input.length; i++) {
+		const char = input[i];
+
+		if (inString) {
+			if (char === "\\") {
+				out += char + (input[i + 1] ?? "");
+				i++;
+			} else if (
+				char === '"' ||
+				(smartString && CLOSING_SMART_QUOTES.includes(char))
+			) {
+				out += '"';
+				inString = false;
+			} else if (char === "\n" || char === "\r") {
+				out += char === "\n" ? "\\n" : "";
+				addRepair(repairs, "escaped line breaks in strings");
+			} else {
+				out += char;
+			}
+			continue;
+		}
+
+		if (char === '"' || OPENING_SMART_QUOTES.includes(char)) {
+			smartString = char !== '"';
+			if (smartString) addRepair(repairs, "replaced smart quotes");
+			out += '"';
+			inString = true;
+		} else if (char === "[" || char === "{") {
+			stack.push(char);
+			out += char;
+		} else if (char === "]" || char === "}") {
+			out = dropTrailingComma(out, repairs);
+			stack.pop();
+			out += char;
+			if (stack.length === 1 && stack[0] === "[") lastComplete = out.length;
+			if (stack.length === 0) {
+				i++;
+				break;
+			}
+		} else {
+			out += char;
+		}
+	}
+
+	if (input.slice(i).trim()) {
+		addRepair(repairs, "removed text after the JSON");
+	}
+
+	// Cut off mid-way: keep the complete elements and close the array
+	if (stack.length > 0) {
+		if (stack[0] === "[" && lastComplete !== -1) {
+			out = out.slice(0, lastComplete) + "]";
+			addRepair(repairs, "closed a truncated array");
+		} else if (stack[0] === "[") {
+			out = "[]";
+			addRepair(repairs, "closed a truncated array");
+		}
+	}
+
+	return { json: out, repairs };
+};
+
+/**
+ * Parses an LLM response that should contain a JSON array. A single object is
+ * accepted and wrapped in an array.
+ * @param {string} text
+ * @returns {{items: any[]|null, repairs: string[], error?: string}} items is
+ * null when the response could not be parsed even after repairs.
+ */
+const parseJsonArray = (text) => {
+	if (typeof text !== "string" || text.trim() === "") {
+		return { items: null, repairs: [], error: "Empty response" };
+	}
+
+	try {
+		const parsed = JSON.parse(text);
+		if (Array.isArray(parsed)) return { items: parsed, repairs: [] };
+	} catch (error) {
+		// Fall through to the repairs below
+	}
+
+	const { json, repairs } = repairJson(text);
+
+	try {
+		const parsed = JSON.parse(json);
+		if (Array.isArray(parsed)) return { items: parsed, repairs };
+		if (parsed && typeof parsed === "object") {
+			return {
+				items: [parsed],
+				repairs: [...repairs, "wrapped an object in an array"],
+			};
+		}
+		return { items: null, repairs, error: "JSON is not an array" };
+	} catch (error) {
+		return { items: null, repairs, error: error.message };
+	}
+};
+
+module.exports = {
+	repairJson,
+	parseJsonArray,
+};
@@ -0,0 +1,112 @@
+// Lockout after repeated failed logins, per account and per IP.
+//
+// Failures are counted over LOGIN_FAILURE_WINDOW_MINUTES. Once an account
+// reaches LOGIN_MAX_FAILURES (an IP LOGIN_MAX_FAILURES_PER_IP) every further
+// failure locks it out for twice as long as the previous lock, starting at
+// LOGIN_LOCKOUT_BASE_SECONDS and capped at LOGIN_LOCKOUT_MAX_SECONDS. A
+// successful login clears the failures of the account, not those of the IP.
+
+const { getStore } = require("./rateLimitStore");
+
+const intSetting = (name, fallback) => parseInt(process.env[name]) || fallback;
+
+const FAILURE_WINDOW_MS =
+	intSetting("LOGIN_FAILURE_WINDOW_MINUTES", 24 * 60) * 60 * 1000;
+const MAX_FAILURES = {
+	account: intSetting("LOGIN_MAX_FAILURES", 5),
+	ip: intSetting("LOGIN_MAX_FAILURES_PER_IP", 20),
+};
+const LOCKOUT_BASE_MS = intSetting("LOGIN_LOCKOUT_BASE_SECONDS", 60) * 1000;
+const LOCKOUT_MAX_MS = intSetting("LOGIN_LOCKOUT_MAX_SECONDS", 60 * 60) * 1000;
+
+const subjects = (username, ip) => {
+	const list = [{ kind: "ip", id: ip }];
+	if (username) list.push({ kind: "account", id: username });
+	return list;
+};
+
+const failureKey = ({ kind, id }) => `login-failures:${kind}:${id}`;
+const lockKey = ({ kind, id }) => `login-lock:${kind}:${id}`;
+
+/**
+ * Length of the lock that follows a failure.
+ * @param {number} failures Failures in the window, including this one.
+ * @param {number} maxFailures
+ * @returns {number} Milliseconds, 0 while below the limit.
+ */
+const lockoutDuration = (failures, maxFailures) => {
+	if (failures < maxFailures) return 0;
+	return Math.min(
+		LOCKOUT_BASE_MS * 2 ** (failures - maxFailures),
+		LOCKOUT_MAX_MS
+	);
+};
+
+/**
+ * Returns the lock that blocks a login attempt, or null.
+ * @param {string|null} username Normalized username, if one was sent.
+ * @param {string} ip
+ * @returns {Promise<{kind: "account"|"ip", lockedUntil: Date}|null>}
+ */
+const getLoginLock = async (username, ip) => {
+	const store = getStore();
+
+	for (const subject of subjects(username, ip)) {
+		const lockedUntil = await store.get(lockKey(subject));
+		if (lockedUntil && new Date(lockedUntil) > new Date()) {
+			return { kind: subject.kind, lockedUntil: new Date(lockedUntil) };
+		}
+	}
+
+	return null;
+};
+
+/**
+ * Counts a failed login and locks the account and/or IP when they are over
+ * their limit.
+ * @returns {Promise<{kind: "account"|"ip", lockedUntil: Date}|null>} The new
+ * lock, if any.
+ */
+const recordLoginFailure = async (username, ip) => {
+	const store = getStore();
+	let lock = null;
+
+	for (const subject of subjects(username, ip)) {
+		const { count } = await store.increment(
+			failureKey(subject),
+			FAILURE_WINDOW_MS
+		);
+		const duration = lockoutDuration(count, MAX_FAILURES[subject.kind]);
+		if (!duration) continue;
+
+		const lockedUntil = new Date(Date.now() + duration);
+		await store.set(lockKey(subject), lockedUntil.toISOString(), duration);
+		console.warn(
+			`Login locked for ${subject.kind} ${subject.id} until ` +
+				`${lockedUntil.toISOString()} after ${count} failed attempts`
+		);
+
+		if (!lock || lockedUntil > lock.lockedUntil) {
+			lock = { kind: subject.kind, lockedUntil };
+		}
+	}
+
+	return lock;
+};
+
+/**
+ * Forgets the failed logins of an account after it logged in.
+ */
+const clearLoginFailures = async (username) => {
+	const store = getStore();
+	const subject = { kind: "account", id: username };
+	await store.delete(failureKey(subject));
+	await store.delete(lockKey(subject));
+};
+
+module.exports = {
+	lockoutDuration,
+	getLoginLock,
+	recordLoginFailure,
+	clearLoginFailures,
+};
@@ -0,0 +1,779 @@
+// A small in-memory implementation of the MongoDB query language, covering the
+// filters, updates, sorts and aggregations the routes use. It backs the
+// "memory" repository (see utils/wordRepository.js).
+//
+//   filters      equality (null also matches a missing field, an array matches
+//                when any element does), $eq $ne $gt $gte $lt $lte $in $nin
+//                $exists $size $all $regex/$options $type, $and $or $nor,
+//                $expr, and dotted paths including array indexes ("meaning.0")
+//   updates      $set $unset $inc $setOnInsert $addToSet $push (both with
+//                $each) and $pull, on paths with $[name] array filters
+//   sorts        { field: 1 | -1, ... } in MongoDB's order of types
+//   aggregation  $match $project $addFields $group $sort $skip $limit $sample
+//                $count $unwind $lookup (localField/foreignField and/or
+//                let/pipeline)
+//   expressions  "$field", "$$variable", $literal $eq $ne $gt $gte $lt $lte
+//                $and $or $not $in $cond $ifNull $add $subtract $multiply
+//                $arrayElemAt $size $dateToString; accumulators $sum $avg $min
+//                $max $first $last $push $addToSet
+//
+// Anything else throws, so a query the memory repository cannot answer fails
+// loudly instead of returning wrong results.
+
+const mongoose = require("mongoose");
+
+const isObjectId = (value) => value instanceof mongoose.Types.ObjectId;
+
+// Values that are compared as a whole rather than walked into
+const isAtomic = (value) => value instanceof Date || isObjectId(value);
+
+const isPlainObject = (value) =>
+	value !== null &&
+	typeof value === "object" &&
+	!Array.isArray(value) &&
+	!isAtomic(value) &&
+	!(value instanceof RegExp);
+
+const isOperatorObject = (value) =>
+	isPlainObject(value) &&
+	Object.keys(value).length > 0 &&
+	Object.keys(value).every((key) => key.startsWith("$"));
+
+/**
+ * Deep copy of a document. ObjectIds are immutable and shared.
+ */
+const clone = (value) => {
+	if (value instanceof Date) return new Date(value.getTime());
+	if (Array.isArray(value)) return value.map(clone);
+	if (isPlainObject(value)) {
+		const copy = {};
+		for (const [key, item] of Object.entries(value)) copy[key] = clone(item);
+		return copy;
+	}
+	return value;
+};
+
+// Rank of each type in MongoDB's sort order, values are only compared with
+// $gt and friends within the same rank
+const typeRank = (value) => {
+	if (value === null || value === undefined) return 1;
+	if (typeof value === "number") return 2;
+	if (typeof value === "string") return 3;
+	if (Array.isArray(value)) return 5;
+	if (isObjectId(value)) return 7;
+	if (typeof value === "boolean") return 8;
+	if (value instanceof Date) return 9;
+	return 4;
+};
+
+const typeName = (value) => {
+	if (value === null) return "null";
+	if (isObjectId(value)) return "objectId";
+	if (value instanceof Date) return "date";
+	if (Array.isArray(value)) return "array";
+	if (typeof value === "number") return "number";
+	if (typeof value === "string") return "string";
+	if (typeof value === "boolean") return "bool";
+	return "object";
+};
+
+// ObjectIds given as strings compare equal to the ObjectId itself, as
+// Mongoose casts them in queries
+const scalar = (value) => {
+	if (isObjectId(value)) return value.toHexString();
+	if (value instanceof Date) return value.getTime();
+	return value;
+};
+
+const compareValues = (a, b) => {
+	const rankA = typeRank(a);
+	const rankB = typeRank(b);
+	if (rankA !== rankB) return rankA - rankB;
+	if (rankA === 1) return 0;
+	if (rankA === 4 || rankA === 5) {
+		return JSON.stringify(a) < JSON.stringify(b)
+			? -1
+			: JSON.stringify(a) > JSON.stringify(b)
+			? 1
+			: 0;
+	}
+	const x = scalar(a);
+	const y = scalar(b);
+	return x < y ? -1 : x > y ? 1 : 0;
+};
+
+const equals = (value, expected) => {
+	if (expected instanceof RegExp) {
+		return typeof value === "string" && expected.test(value);
+	}
+	if (expected === null || expected === undefined) {
+		return value === null || value === undefined;
+	}
+	if (isObjectId(expected) || isObjectId(value)) {
+		return value != null && String(scalar(value)) === String(scalar(expected));
+	}
+	if (Array.isArray(expected) || isPlainObject(expected)) {
+		return JSON.stringify(value) === JSON.stringify(expected);
+	}
+	return scalar(value) === scalar(expected);
+};
+
+// Every value a path resolves to; arrays of subdocuments fan out
+const valuesAt = (value, parts) => {
+	if (!parts.length) return [value];
+	if (value === null || value === undefined || isAtomic(value)) {
+		return [undefined];
+	}
+
+	const [head, ...rest] = parts;
+	if (Array.isArray(value)) {
+		if (/^\d+$/.test(head)) return valuesAt(value[Number(head)], rest);
+		const values = value
+			.filter(isPlainObject)
+			.flatMap((item) => valuesAt(item, parts));
+		return values.length ? values : [undefined];
+	}
+	if (typeof value === "object") return valuesAt(value[head], rest);
+	return [undefined];
+};
+
+// True when the value, or an element of it if it is an array, passes
+const anyElement = (value, test) =>
+	test(value) || (Array.isArray(value) && value.some(test));
+
+const matchesOperator = (values, operator, argument, operators) => {
+	const some = (test) => values.some((value) => anyElement(value, test));
+
+	switch (operator) {
+		case "$eq":
+			return some((value) => equals(value, argument));
+		case "$ne":
+			return !some((value) => equals(value, argument));
+		case "$in":
+			return argument.some((item) => some((value) => equals(value, item)));
+		case "$nin":
+			return !argument.some((item) => some((value) => equals(value, item)));
+		case "$gt":
+		case "$gte":
+		case "$lt":
+		case "$lte":
+			return some((value) => {
+				if (typeRank(value) !== typeRank(argument)) return false;
+				const order = compareValues(value, argument);
+				if (operator === "$gt") return order > 0;
+				if (operator === "$gte") return order >= 0;
+				if (operator === "$lt") return order < 0;
+				return order <= 0;
+			});
+		case "$exists":
+			return values.some((value) => value !== undefined) === Boolean(argument);
+		case "$size":
+			return values.some(
+				(value) => Array.isArray(value) && value.length === argument
+			);
+		case "$all":
+			return values.some(
+				(value) =>
+					Array.isArray(value) &&
+					argument.every((item) => value.some((v) => equals(v, item)))
+			);
+		case "$regex": {
+			const regex =
+				argument instanceof RegExp
+					? argument
+					: new RegExp(argument, operators.$options || "");
+			return some((value) => typeof value === "string" && regex.test(value));
+		}
+		case "$options":
+			return true;
+		case "$type":
+			return some((value) => typeName(value) === argument);
+		default:
+			throw new Error(`Unsupported query operator ${operator}`);
+	}
+};
+
+/**
+ * Whether a document matches a MongoDB filter.
+ * @param {object} doc
+ * @param {object} filter
+ * @param {object} [vars] Variables $expr conditions can use, e.g. those a
+ * $lookup stage defines with `let`.
+ * @returns {boolean}
+ */
+const matches = (doc, filter = {}, vars = {}) =>
+	Object.entries(filter).every(([key, condition]) => {
+		const some = (parts) => parts.some((part) => matches(doc, part, vars));
+		if (key === "$and") {
+			return condition.every((part) => matches(doc, part, vars));
+		}
+		if (key === "$or") return some(condition);
+		if (key === "$nor") return !some(condition);
+		if (key === "$expr") return truthy(evaluate(condition, doc, vars));
+		if (key.startsWith("$")) {
+			throw new Error(`Unsupported query operator ${key}`);
+		}
+
+		const values = valuesAt(doc, key.split("."));
+		if (isOperatorObject(condition)) {
+			return Object.entries(condition).every(([operator, argument]) =>
+				matchesOperator(values, operator, argument, condition)
+			);
+		}
+		return matchesOperator(values, "$eq", condition, {});
+	});
+
+const getPath = (doc, path) =>
+	path
+		.split(".")
+		.reduce((value, part) => (value == null ? undefined : value[part]), doc);
+
+const setPath = (doc, path, value) => {
+	const parts = path.split(".");
+	const last = parts.pop();
+	let target = doc;
+	for (const part of parts) {
+		if (target[part] === null || typeof target[part] !== "object") {
+			target[part] = {};
+		}
+		target = target[part];
+	}
+	target[last] = value;
+};
+
+const unsetPath = (doc, path) => {
+	const parts = path.split(".");
+	const last = parts.pop();
+	const target = getPath(doc, parts.join("."));
+	if (parts.length === 0) delete doc[last];
+	else if (target && typeof target === "object") delete target[last];
+};
+
+const eachItem = (value) =>
+	isPlainObject(value) && Array.isArray(value.$each) ? value.$each : [value];
+
+// Whether an array element passes the array filter of its identifier, e.g.
+// { "batch.status": "pending" } for $[batch]
+const passesArrayFilter = (item, name, arrayFilters) => {
+	const filter = arrayFilters.find((candidate) =>
+		Object.keys(candidate).some(
+			(key) => key === name || key.startsWith(name + ".")
+		)
+	);
+	if (!filter) throw new Error(`No array filter for the identifier ${name}`);
+	return matches({ [name]: item }, filter);
+};
+
+// The paths an update path with $[name] placeholders stands for
+const expandPath = (doc, path, arrayFilters) => {
+	const parts = path.split(".");
+	const index = parts.findIndex((part) => /^\$\[\w+\]$/.test(part));
+	if (index === -1) return [path];
+
+	const head = parts.slice(0, index).join(".");
+	const rest = parts.slice(index + 1).join(".");
+	const name = parts[index].slice(2, -1);
+	const list = getPath(doc, head);
+	if (!Array.isArray(list)) return [];
+
+	return list.flatMap((item, i) =>
+		passesArrayFilter(item, name, arrayFilters)
+			? expandPath(
+					doc,
+					[head, i, rest].filter((part) => part !== "").join("."),
+					arrayFilters
+			  )
+			: []
+	);
+};
+
+// Whether $pull removes an item: a condition on documents is matched like a
+// filter on each of them
+const pulls = (item, condition) => {
+	if (isOperatorObject(condition)) {
+		return matches({ item }, { item: condition });
+	}
+	if (isPlainObject(condition) && isPlainObject(item)) {
+		return matches(item, condition);
+	}
+	return equals(item, condition);
+};
+
+/**
+ * Applies a MongoDB update document to a document, in place.
+ * @param {object} doc
+ * @param {object} update e.g. { $set: {...}, $inc: {...} }
+ * @param {{inserting?: boolean, arrayFilters?: object[]}} [options]
+ * $setOnInsert only applies while inserting; arrayFilters pick the elements
+ * $[name] paths update.
+ */
+const applyUpdate = (
+	doc,
+	update,
+	{ inserting = false, arrayFilters = [] } = {}
+) => {
+	for (const [operator, fields] of Object.entries(update)) {
+		const entries = Object.entries(fields).flatMap(([path, value]) =>
+			expandPath(doc, path, arrayFilters).map((expanded) => [expanded, value])
+		);
+		for (const [path, value] of entries) {
+			switch (operator) {
+				case "$set":
+					setPath(doc, path, clone(value));
+					break;
+				case "$setOnInsert":
+					if (inserting) setPath(doc, path, clone(value));
+					break;
+				case "$unset":
+					unsetPath(doc, path);
+					break;
+				case "$inc":
+					setPath(doc, path, (getPath(doc, path) || 0) + value);
+					break;
+				case "$addToSet":
+				case "$push": {
+					const list = [...(getPath(doc, path) || [])];
+					for (const item of eachItem(value)) {
+						if (
+							operator === "$addToSet" &&
+							list.some((existing) => equals(existing, item))
+						) {
+							continue;
+						}
+						list.push(clone(item));
+					}
+					setPath(doc, path, list);
+					break;
+				}
+				case "$pull": {
+					const list = getPath(doc, path) || [];
+					setPath(
+						doc,
+						path,
+						list.filter((item) => !pulls(item, value))
+					);
+					break;
+				}
+				default:
+					throw new Error(`Unsupported update operator ${operator}`);
+			}
+		}
+	}
+	return doc;
+};
+
+/**
+ * A comparator for Array#sort from a MongoDB sort document.
+ * @param {object} sort e.g. { createdAt: -1, _id: -1 }
+ */
+const compareBy = (sort) => (a, b) => {
+	for (const [field, direction] of Object.entries(sort)) {
+		const order = compareValues(getPath(a, field), getPath(b, field));
+		if (order) return order * direction;
+	}
+	return 0;
+};
+
+// Reads a projection given like Mongoose's select(): "word tags",
+// "-content" or { word: 1 }
+const parseProjection = (select) => {
+	if (!select) return null;
+	if (typeof select !== "string") return select;
+	const projection = {};
+	for (const field of select.split(/\s+/).filter(Boolean)) {
+		if (field.startsWith("-")) projection[field.slice(1)] = 0;
+		else projection[field] = 1;
+	}
+	return projection;
+};
+
+/**
+ * Applies a projection to a document, in place for exclusions.
+ * @param {object} doc
+ * @param {string|object} [select]
+ * @returns {object}
+ */
+const project = (doc, select) => {
+	const projection = parseProjection(select);
+	if (!projection) return doc;
+
+	const fields = Object.entries(projection);
+	// { _id: 1 } alone selects the id, { _id: 0 } alone drops it
+	const including = fields.some(([, value]) => value);
+
+	if (!including) {
+		for (const [field] of fields) unsetPath(doc, field);
+		return doc;
+	}
+
+	const result = {};
+	if (projection._id !== 0) result._id = doc._id;
+	for (const [field, value] of fields) {
+		if (!value || field === "_id") continue;
+		const found = getPath(doc, field);
+		if (found !== undefined) setPath(result, field, found);
+	}
+	return result;
+};
+
+// How aggregation expressions read as a condition
+const truthy = (value) =>
+	value !== null && value !== undefined && value !== false && value !== 0;
+
+const DATE_PARTS = {
+	"%Y": "year",
+	"%m": "month",
+	"%d": "day",
+	"%H": "hour",
+	"%M": "minute",
+	"%S": "second",
+};
+
+// $dateToString, with the %Y %m %d %H %M %S and %% specifiers
+const formatDate = (date, format, timeZone = "UTC") => {
+	const parts = {};
+	const formatter = new Intl.DateTimeFormat("en-US", {
+		timeZone,
+		hourCycle: "h23",
+		year: "numeric",
+		month: "2-digit",
+		day: "2-digit",
+		hour: "2-digit",
+		minute: "2-digit",
+		second: "2-digit",
+	});
+	for (const { type, value } of formatter.formatToParts(date)) {
+		parts[type] = value;
+	}
+	return format.replace(/%./g, (specifier) => {
+		if (specifier === "%%") return "%";
+		if (!DATE_PARTS[specifier]) {
+			throw new Error(`Unsupported date format specifier ${specifier}`);
+		}
+		return parts[DATE_PARTS[specifier]];
+	});
+};
+
+const sumOf = (values) => {
+	const numbers = values.map((value) => scalar(value));
+	const total = numbers.reduce((sum, value) => sum + value, 0);
+	return values.some((value) => value instanceof Date)
+		? new Date(total)
+		: total;
+};
+
+/**
+ * Evaluates an aggregation expression against a document.
+ * @param {*} expression e.g. "$field", { $cond: [...] } or a literal.
+ * @param {object} doc
+ * @param {object} [vars] Values of the "$$name" variables.
+ */
+const evaluate = (expression, doc, vars = {}) => {
+	if (typeof expression === "string" && expression.startsWith("$$")) {
+		const [name, ...path] = expression.slice(2).split(".");
+		return path.length ? getPath(vars[name], path.join(".")) : vars[name];
+	}
+	if (typeof expression === "string" && expression.startsWith("$")) {
+		return getPath(doc, expression.slice(1));
+	}
+	if (Array.isArray(expression)) {
+		return expression.map((item) => evaluate(item, doc, vars));
+	}
+	if (!isPlainObject(expression)) return expression;
+
+	const [operator] = Object.keys(expression);
+	if (!operator || !operator.startsWith("$")) {
+		const result = {};
+		for (const [field, value] of Object.entries(expression)) {
+			result[field] = evaluate(value, doc, vars);
+		}
+		return result;
+	}
+
+	const argument = expression[operator];
+	const value = (item) => evaluate(item, doc, vars);
+	const values = () =>
+		(Array.isArray(argument) ? argument : [argument]).map(value);
+	const compare = () => {
+		const [a, b] = values();
+		return compareValues(a, b);
+	};
+
+	switch (operator) {
+		case "$literal":
+			return argument;
+		case "$eq":
+			return compare() === 0;
+		case "$ne":
+			return compare() !== 0;
+		case "$gt":
+			return compare() > 0;
+		case "$gte":
+			return compare() >= 0;
+		case "$lt":
+			return compare() < 0;
+		case "$lte":
+			return compare() <= 0;
+		case "$and":
+			return argument.every((item) => truthy(value(item)));
+		case "$or":
+			return argument.some((item) => truthy(value(item)));
+		case "$not":
+			return !truthy(values()[0]);
+		case "$in": {
+			const [item, list] = values();
+			return list.some((element) => compareValues(item, element) === 0);
+		}
+		case "$cond": {
+			const [test, then, otherwise] = Array.isArray(argument)
+				? argument
+				: [argument.if, argument.then, argument.else];
+			return truthy(value(test)) ? value(then) : value(otherwise);
+		}
+		case "$ifNull": {
+			for (const item of argument) {
+				const result = value(item);
+				if (result !== null && result !== undefined) return result;
+			}
+			return null;
+		}
+		case "$add":
+			return sumOf(values());
+		case "$subtract": {
+			const [a, b] = values();
+			const difference = scalar(a) - scalar(b);
+			return a instanceof Date && !(b instanceof Date)
+				? new Date(difference)
+				: difference;
+		}
+		case "$multiply":
+			return values().reduce((product, item) => product * item, 1);
+		case "$arrayElemAt": {
+			const [list, index] = values();
+			if (!Array.isArray(list)) return null;
+			return list[index < 0 ? list.length + index : index];
+		}
+		case "$size":
+			return values()[0].length;
+		case "$dateToString": {
+			const date = value(argument.date);
+			if (date === null || date === undefined) return null;
+			return formatDate(date, argument.format, value(argument.timezone));
+		}
+		default:
+			throw new Error(`Unsupported aggregation operator ${operator}`);
+	}
+};
+
+const accumulate = (operator, expression, docs, vars) => {
+	const values = docs.map((doc) => evaluate(expression, doc, vars));
+	const present = values.filter((item) => item !== null && item !== undefined);
+	const numbers = present.filter((item) => typeof item === "number");
+
+	switch (operator) {
+		case "$sum":
+			return numbers.reduce((sum, item) => sum + item, 0);
+		case "$avg":
+			return numbers.length
+				? numbers.reduce((sum, item) => sum + item, 0) / numbers.length
+				: null;
+		case "$min":
+		case "$max": {
+			if (!present.length) return null;
+			const sorted = [...present].sort(compareValues);
+			return operator === "$min" ? sorted[0] : sorted[sorted.length - 1];
+		}
+		case "$first":
+			return values[0];
+		case "$last":
+			return values[values.length - 1];
+		case "$push":
+			return values;
+		case "$addToSet":
+			return values.filter(
+				(item, i) => values.findIndex((other) => equals(other, item)) === i
+			);
+		default:
+			throw new Error(`Unsupported accumulator ${operator}`);
+	}
+};
+
+const group = (docs, { _id: key, ...fields }, vars) => {
+	const groups = new Map();
+	for (const doc of docs) {
+		const id = evaluate(key, doc, vars);
+		const groupKey = JSON.stringify(id === undefined ? null : id);
+		if (!groups.has(groupKey)) groups.set(groupKey, { id, docs: [] });
+		groups.get(groupKey).docs.push(doc);
+	}
+
+	return [...groups.values()].map(({ id, docs: members }) => {
+		const result = { _id: id === undefined ? null : id };
+		for (const [field, accumulator] of Object.entries(fields)) {
+			const [operator] = Object.keys(accumulator);
+			result[field] = accumulate(
+				operator,
+				accumulator[operator],
+				members,
+				vars
+			);
+		}
+		return result;
+	});
+};
+
+// A $project stage: inclusions, exclusions and computed fields
+const projectStage = (doc, spec, vars) => {
+	const fields = Object.entries(spec);
+	const excluded = (value) => value === 0 || value === false;
+
+	if (fields.every(([, value]) => excluded(value))) {
+		const result = clone(doc);
+		for (const [field] of fields) unsetPath(result, field);
+		return result;
+	}
+
+	const result = {};
+	if (!("_id" in spec) && doc._id !== undefined) result._id = doc._id;
+	for (const [field, value] of fields) {
+		if (excluded(value)) continue;
+		const found =
+			value === 1 || value === true
+				? getPath(doc, field)
+				: evaluate(value, doc, vars);
+		if (found !== undefined) setPath(result, field, clone(found));
+	}
+	return result;
+};
+
+const unwind = (docs, spec) => {
+	const { path, preserveNullAndEmptyArrays = false } =
+		typeof spec === "string" ? { path: spec } : spec;
+	const field = path.slice(1);
+
+	return docs.flatMap((doc) => {
+		const value = getPath(doc, field);
+		if (!Array.isArray(value)) {
+			if (value !== null && value !== undefined) return [doc];
+			return preserveNullAndEmptyArrays ? [doc] : [];
+		}
+		if (!value.length) return preserveNullAndEmptyArrays ? [doc] : [];
+		return value.map((item) => {
+			const copy = clone(doc);
+			setPath(copy, field, clone(item));
+			return copy;
+		});
+	});
+};
+
+const lookup = (docs, spec, context) => {
+	const { from, localField, foreignField, pipeline, as } = spec;
+
+	return docs.map((doc) => {
+		let joined = context.collection(from);
+		if (localField) {
+			const local = getPath(doc, localField);
+			const keys = Array.isArray(local) ? local : [local];
+			joined = joined.filter((other) =>
+				keys.some((key) =>
+					anyElement(getPath(other, foreignField), (item) => equals(item, key))
+				)
+			);
+		}
+		if (pipeline) {
+			const vars = { ...context.vars };
+			for (const [name, expression] of Object.entries(spec.let || {})) {
+				vars[name] = evaluate(expression, doc, context.vars);
+			}
+			joined = aggregate(joined, pipeline, { ...context, vars });
+		}
+
+		const result = clone(doc);
+		setPath(result, as, joined);
+		return result;
+	});
+};
+
+/**
+ * Runs an aggregation pipeline over documents.
+ * @param {object[]} docs The documents of the collection, not changed.
+ * @param {object[]} pipeline
+ * @param {object} context
+ * @param {(name: string) => object[]} context.collection The documents of
+ * another collection by its name, for $lookup.
+ * @param {object} [context.vars]
+ * @returns {object[]}
+ */
+const aggregate = (docs, pipeline, context) => {
+	const vars = context.vars || {};
+	let results = docs;
+
+	for (const stage of pipeline) {
+		const [name] = Object.keys(stage);
+		const spec = stage[name];
+
+		switch (name) {
+			case "$match":
+				results = results.filter((doc) => matches(doc, spec, vars));
+				break;
+			case "$project":
+				results = results.map((doc) => projectStage(doc, spec, vars));
+				break;
+			case "$addFields":
+			case "$set":
+				results = results.map((doc) => {
+					const result = clone(doc);
+					for (const [field, expression] of Object.entries(spec)) {
+						setPath(result, field, evaluate(expression, doc, vars));
+					}
+					return result;
+				});
+				break;
+			case "$group":
+				results = group(results, spec, vars);
+				break;
+			case "$sort":
+				results = [...results].sort(compareBy(spec));
+				break;
+			case "$skip":
+				results = results.slice(spec);
+				break;
+			case "$limit":
+				results = results.slice(0, spec);
+				break;
+			case "$sample": {
+				const shuffled = [...results];
+				for (let i = shuffled.length - 1; i > 0; i--) {
+					const j = Math.floor(Math.random() * (i + 1));
+					[shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+				}
+				results = shuffled.slice(0, spec.size);
+				break;
+			}
+			case "$count":
+				results = results.length ? [{ [spec]: results.length }] : [];
+				break;
+			case "$unwind":
+				results = unwind(results, spec);
+				break;
+			case "$lookup":
+				results = lookup(results, spec, { ...context, vars });
+				break;
+			default:
+				throw new Error(`Unsupported aggregation stage ${name}`);
+		}
+	}
+
+	return results;
+};
+
+module.exports = {
+	clone,
+	compareValues,
+	equals,
+	matches,
+	applyUpdate,
+	compareBy,
+	project,
+	aggregate,
+};
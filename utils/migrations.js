@@ -0,0 +1,83 @@
+// Data migrations of the mongo repository, run once per process as soon as
+// the database is connected.
+//
+// The long-running server starts them after connecting (index.js); on a
+// serverless instance the first request waits for them (middleware/database.js)
+// so no request is handled before they are done. Each migration logs its own
+// failure and does not stop the others; a failed one runs again with the next
+// instance.
+
+const Word = require("../model/Word");
+const User = require("../model/User");
+const Deck = require("../model/Deck");
+const { getRepository } = require("./wordRepository");
+const { backfillLegacyCounters } = require("./progress");
+const { purgeOrphans } = require("./trash");
+
+const MIGRATIONS = [
+	// Words stored before the unique word_key index get their key
+	() =>
+		Word.backfillWordKeys().catch((error) =>
+			console.error("Error backfilling word keys:", error)
+		),
+
+	// Counters words kept before progress was per user go to the owner
+	() =>
+		backfillLegacyCounters()
+			.then(
+				({ pending }) =>
+					pending &&
+					console.warn(
+						`${pending} words keep their counters until an account exists`
+					)
+			)
+			.catch((error) =>
+				console.error("Error moving word counters to progress:", error)
+			),
+
+	// Accounts from before roles existed: the owner may still edit words
+	() =>
+		User.promoteOwner()
+			.then(
+				(owner) =>
+					owner &&
+					console.log(`Promoted the owner "${owner.username}" to editor`)
+			)
+			.catch((error) => console.error("Error promoting the owner:", error)),
+
+	// Deck membership used to be stored on the shared words
+	() =>
+		Deck.moveMembershipFromWords()
+			.then(
+				(moved) =>
+					moved && console.log(`Moved the deck membership of ${moved} words`)
+			)
+			.catch((error) => console.error("Error moving deck membership:", error)),
+
+	// The trash used to be purged by a TTL index, which left the progress and
+	// history of the words behind
+	() =>
+		Word.dropTrashTtlIndex()
+			.then((dropped) => dropped && purgeOrphans())
+			.catch((error) => console.error("Error purging the trash:", error)),
+];
+
+let running = null;
+
+/**
+ * Runs the migrations the first time it is called and resolves when they are
+ * done; later calls return the same promise. Never rejects. The memory
+ * repository has nothing to migrate.
+ * @returns {Promise<void>}
+ */
+const runMigrations = () => {
+	if (!running) {
+		running =
+			getRepository().name === "mongo"
+				? Promise.all(MIGRATIONS.map((migrate) => migrate())).then(() => {})
+				: Promise.resolve();
+	}
+	return running;
+};
+
+module.exports = { runMigrations };
@@ -0,0 +1,315 @@
+// Competing mnemonics of a word.
+//
+// A word holds any number of mnemonics, each with its breakdown and source
+// (see model/Mnemonic.js). Users vote them up or down and report nonsense; a
+// mnemonic reported by MNEMONIC_REPORT_LIMIT users is hidden. The word's own
+// mnemonic and breakdown show the preferred mnemonic when one was picked and
+// is not hidden, otherwise the best rated visible one, so every endpoint that
+// lists words surfaces it without reading the mnemonics. Ties go to the older
+// mnemonic: a new one has to be voted up to replace the one users already
+// know.
+//
+// AI enrichment adds its mnemonic to the others instead of overwriting the
+// word's. Edits of a word's mnemonic (PATCH, merges, reverts, sync) are added
+// as well and preferred, since the editor chose them. Votes moving the best
+// mnemonic change the word without a new version: no mnemonic is lost.
+
+const { getRepository } = require("./wordRepository");
+const { isEmptyValue } = require("./wordValidation");
+const { wordKey } = require("./text");
+
+const MNEMONIC_REPORT_LIMIT = parseInt(process.env.MNEMONIC_REPORT_LIMIT) || 3;
+
+const VOTES = [-1, 0, 1];
+
+const isHidden = (mnemonic) => mnemonic.report_count >= MNEMONIC_REPORT_LIMIT;
+
+const sameId = (a, b) => Boolean(a && b) && a.toString() === b.toString();
+
+// Preferred first, then best rated, then oldest
+const compareMnemonics = (preferredId) => (a, b) =>
+	sameId(b._id, preferredId) - sameId(a._id, preferredId) ||
+	b.score - a.score ||
+	a.createdAt - b.createdAt;
+
+/**
+ * The mnemonic a word shows: the preferred one, else the best rated one.
+ * Hidden mnemonics are never shown, not even a preferred one.
+ * @param {object[]} mnemonics
+ * @param {string|null} preferredId
+ * @returns {object|null}
+ */
+const pickBestMnemonic = (mnemonics, preferredId) => {
+	const preferred = mnemonics.find(
+		(m) => sameId(m._id, preferredId) && !isHidden(m)
+	);
+	if (preferred) return preferred;
+	const [best] = mnemonics
+		.filter((m) => !isHidden(m))
+		.sort(compareMnemonics(null));
+	return best || null;
+};
+
+/**
+ * The mnemonics of a word, preferred first, then best rated. A word that
+ * only has the mnemonic it had before it could have several gets it added
+ * as a "legacy" one first.
+ * @param {object} word A word with _id, mnemonic, breakdown and
+ * preferred_mnemonic.
+ * @returns {Promise<object[]>}
+ */
+const listMnemonics = async (word) => {
+	const { mnemonics } = getRepository();
+	let found = await mnemonics.find({ word: word._id });
+
+	if (!found.length && !isEmptyValue(word.mnemonic)) {
+		// A concurrent request may adopt it first, the unique key keeps one
+		await mnemonics.insertMany([
+			{
+				word: word._id,
+				mnemonic: word.mnemonic,
+				breakdown: word.breakdown,
+				source: "legacy",
+			},
+		]);
+		found = await mnemonics.find({ word: word._id });
+	}
+
+	return found.sort(compareMnemonics(word.preferred_mnemonic));
+};
+
+/**
+ * Writes the mnemonic that should show into the word, when it changed.
+ * @param {string} wordId
+ * @returns {Promise<object|null>} The word, null when it is not active.
+ */
+const syncWordMnemonic = async (wordId) => {
+	const { words } = getRepository();
+	const word = await words.findOne({ _id: wordId, deleted_at: null });
+	if (!word) return null;
+
+	const best = pickBestMnemonic(
+		await listMnemonics(word),
+		word.preferred_mnemonic
+	);
+	const mnemonic = best ? best.mnemonic : null;
+	const breakdown =
+		best && !isEmptyValue(best.breakdown) ? best.breakdown : null;
+	if (
+		(word.mnemonic || null) === mnemonic &&
+		(word.breakdown || null) === breakdown
+	) {
+		return word;
+	}
+
+	const set = {};
+	const unset = {};
+	for (const [field, value] of Object.entries({ mnemonic, breakdown })) {
+		if (value === null) unset[field] = 1;
+		else set[field] = value;
+	}
+	const update = { $set: set };
+	if (Object.keys(unset).length) update.$unset = unset;
+	return (
+		(await words.updateOne({ _id: word._id, deleted_at: null }, update)) || null
+	);
+};
+
+/**
+ * Adds a mnemonic to a word. A mnemonic the word already has (ignoring case
+ * and spacing) is not added twice; a breakdown it lacked is filled in.
+ * @param {object} word
+ * @param {{mnemonic: string, breakdown?: string, source: string, provider?: string, author?: string}} values
+ * @param {{prefer?: boolean}} [options] Make it the preferred mnemonic.
+ * @returns {Promise<{mnemonic: object, created: boolean, word: object|null}>}
+ * The mnemonic, whether it is new, and the word after syncing its mnemonic.
+ */
+const addMnemonic = async (word, values, { prefer = false } = {}) => {
+	const { mnemonics, words } = getRepository();
+	// A word whose own mnemonic is the one added (e.g. a new word) gets it
+	// with this source, not as a legacy one
+	if (wordKey(word.mnemonic || "") !== wordKey(values.mnemonic)) {
+		await listMnemonics(word);
+	}
+
+	const [mnemonic] = (
+		await mnemonics.insertMany([{ ...values, word: word._id }])
+	).inserted;
+	let existing = null;
+	if (!mnemonic) {
+		existing = await mnemonics.findOne({
+			word: word._id,
+			key: wordKey(values.mnemonic),
+		});
+		if (!isEmptyValue(values.breakdown) && isEmptyValue(existing.breakdown)) {
+			existing = await mnemonics.updateOne(
+				{ _id: existing._id },
+				{ $set: { breakdown: values.breakdown } }
+			);
+		}
+	}
+	const added = mnemonic || existing;
+
+	if (prefer) {
+		await words.updateOne(
+			{ _id: word._id, deleted_at: null },
+			{ $set: { preferred_mnemonic: added._id } }
+		);
+	}
+
+	return {
+		mnemonic: added,
+		created: Boolean(mnemonic),
+		word: await syncWordMnemonic(word._id),
+	};
+};
+
+/**
+ * Keeps an edit of a word's mnemonic or breakdown among its mnemonics. The
+ * edited mnemonic becomes the preferred one; clearing it goes back to the
+ * best rated one.
+ * @param {object} before The word before the edit.
+ * @param {object} after The word after the edit.
+ * @param {{source: "user"|"import", author?: string}} meta
+ * @returns {Promise<object|null>} The word after syncing its mnemonic, null
+ * when the edit did not touch the mnemonic.
+ */
+const keepEditedMnemonic = async (before, after, { source, author }) => {
+	if (
+		(before.mnemonic || null) === (after.mnemonic || null) &&
+		(before.breakdown || null) === (after.breakdown || null)
+	) {
+		return null;
+	}
+
+	if (isEmptyValue(after.mnemonic)) {
+		await getRepository().words.updateOne(
+			{ _id: after._id, deleted_at: null },
+			{ $set: { preferred_mnemonic: null } }
+		);
+		return syncWordMnemonic(after._id);
+	}
+
+	// The old mnemonic is kept, unless it is the same text with a new breakdown
+	const { mnemonics } = getRepository();
+	await listMnemonics(before);
+	const existing = await mnemonics.findOne({
+		word: after._id,
+		key: wordKey(after.mnemonic),
+	});
+	if (existing && (existing.breakdown || null) !== (after.breakdown || null)) {
+		const update = isEmptyValue(after.breakdown)
+			? { $unset: { breakdown: 1 } }
+			: { $set: { breakdown: after.breakdown } };
+		await mnemonics.updateOne({ _id: existing._id }, update);
+	}
+
+	const values = { mnemonic: after.mnemonic, source, author };
+	if (!isEmptyValue(after.breakdown)) values.breakdown = after.breakdown;
+	return (await addMnemonic(after, values, { prefer: true })).word;
+};
+
+/**
+ * Sets the vote of a user on a mnemonic, 0 to take it back.
+ * @param {object} mnemonic
+ * @param {string} userId
+ * @param {-1|0|1} value
+ * @returns {Promise<object|null>} The mnemonic, null when it is gone.
+ */
+const voteMnemonic = async (mnemonic, userId, value) => {
+	const { mnemonics } = getRepository();
+	const path = `votes.${userId}`;
+
+	// Only applied when the vote is still the one read, so the score stays the
+	// sum of the votes when the same user votes twice at once
+	for (let current = mnemonic; current; ) {
+		const previous = (current.votes && current.votes[userId]) || 0;
+		if (previous === value) return current;
+
+		const update = { $inc: { score: value - previous } };
+		if (value) update.$set = { [path]: value };
+		else update.$unset = { [path]: 1 };
+		const updated = await mnemonics.updateOne(
+			{
+				_id: current._id,
+				[path]: previous ? previous : { $exists: false },
+			},
+			update
+		);
+		if (updated) return updated;
+		current = await mnemonics.findOne({ _id: current._id });
+	}
+	return null;
+};
+
+/**
+ * Records that a user reported a mnemonic. A user reports a mnemonic once.
+ * @param {object} mnemonic
+ * @param {string} userId
+ * @param {string} reason
+ * @returns {Promise<{mnemonic: object, reported: boolean}>} reported is false
+ * when the user had already reported it.
+ */
+const reportMnemonic = async (mnemonic, userId, reason) => {
+	const { mnemonics } = getRepository();
+	const path = `reports.${userId}`;
+	const updated = await mnemonics.updateOne(
+		{ _id: mnemonic._id, [path]: { $exists: false } },
+		{ $set: { [path]: reason }, $inc: { report_count: 1 } }
+	);
+	return updated
+		? { mnemonic: updated, reported: true }
+		: { mnemonic, reported: false };
+};
+
+/**
+ * Picks the mnemonic a word shows, or null to show the best rated one.
+ * @param {object} word
+ * @param {string|null} mnemonicId
+ * @returns {Promise<object|null>} The word, null when it is not active.
+ */
+const preferMnemonic = async (word, mnemonicId) => {
+	await getRepository().words.updateOne(
+		{ _id: word._id, deleted_at: null },
+		{ $set: { preferred_mnemonic: mnemonicId } }
+	);
+	return syncWordMnemonic(word._id);
+};
+
+/**
+ * A mnemonic as shown to a user: votes and reports are summed up, the user's
+ * own vote and report are returned on their own.
+ * @param {object} mnemonic
+ * @param {{userId: string|null, word: object}} context The user and the word
+ * after syncing its mnemonic.
+ */
+const presentMnemonic = (mnemonic, { userId, word }) => {
+	const { votes = {}, reports = {}, key, ...fields } = mnemonic;
+	const values = Object.values(votes);
+	return {
+		...fields,
+		upvotes: values.filter((value) => value > 0).length,
+		downvotes: values.filter((value) => value < 0).length,
+		my_vote: (userId && votes[userId]) || 0,
+		reported_by_me: Boolean(userId && reports[userId] !== undefined),
+		hidden: isHidden(mnemonic),
+		preferred: sameId(mnemonic._id, word.preferred_mnemonic),
+		// The one the word shows
+		shown: !isEmptyValue(word.mnemonic) && wordKey(word.mnemonic) === key,
+	};
+};
+
+module.exports = {
+	MNEMONIC_REPORT_LIMIT,
+	VOTES,
+	isHidden,
+	pickBestMnemonic,
+	listMnemonics,
+	syncWordMnemonic,
+	addMnemonic,
+	keepEditedMnemonic,
+	voteMnemonic,
+	reportMnemonic,
+	preferMnemonic,
+	presentMnemonic,
+};
@@ -0,0 +1,299 @@
+// How words sound, read from their pronunciation field.
+//
+// Pronunciations are stored as "<IPA> | <simple respelling>", e.g.
+// "/ɪˈlɪsɪt/ | ih·LIS·it" (see utils/enrichment.js). The IPA part is split
+// into phonemes and syllables; words without IPA fall back to the respelling,
+// and words without any pronunciation to their spelling. Every word also gets
+// a Double Metaphone key, computed from its spelling alone.
+
+const { doubleMetaphone } = require("./doubleMetaphone");
+const { editDistance } = require("./search");
+
+// Symbols written as two characters that make a single sound
+const IPA_DIGRAPHS = [
+	"tʃ",
+	"dʒ",
+	"aɪ",
+	"aʊ",
+	"ɔɪ",
+	"eɪ",
+	"oʊ",
+	"əʊ",
+	"ɪə",
+	"eə",
+	"ʊə",
+];
+
+const IPA_VOWELS = "aeiouyæɑɒɐəɘɛɜɞɪɨʊʉʌɔøœɵɤɯ";
+
+// Spellings of one sound that transcriptions disagree on, e.g. r-coloured
+// vowels written with one symbol or two
+const IPA_EQUIVALENTS = [
+	[/ɚ/g, "ər"],
+	[/ɝ/g, "ɜr"],
+	[/[ɹɾʁ]/g, "r"],
+	[/ɡ/g, "g"],
+	[/ɫ/g, "l"],
+	[/ʧ/g, "tʃ"],
+	[/ʤ/g, "dʒ"],
+];
+
+const PRIMARY_STRESS = "ˈ";
+const SYLLABLE_BREAK = /[.ˈˌ\s]+/;
+
+// Symbols that carry no sound of their own: length, delimiters, ties
+const IPA_MARKS = /[\/\[\]()ːˑ‿͡'"]/g;
+
+// Respellings separate syllables with a middle dot or a hyphen and may
+// capitalize the stressed one, e.g. "fuh·NEH·tuhk"
+const RESPELLING_BREAK = /[·•‧\-.\s]+/;
+
+const isIpaVowel = (phoneme) => IPA_VOWELS.includes(phoneme[0]);
+
+const normalizeIpa = (ipa) =>
+	IPA_EQUIVALENTS.reduce(
+		(text, [pattern, replacement]) => text.replace(pattern, replacement),
+		ipa.normalize("NFC").toLowerCase().replace(IPA_MARKS, "")
+	);
+
+// Splits IPA without stress or syllable marks into phonemes, keeping
+// combining diacritics with the symbol they belong to
+const splitPhonemes = (ipa) => {
+	const phonemes = [];
+	const chars = [...ipa];
+	for (let i = 0; i < chars.length; i++) {
+		if (/\p{M}/u.test(chars[i]) && phonemes.length) {
+			phonemes[phonemes.length - 1] += chars[i];
+			continue;
+		}
+		const pair = chars[i] + (chars[i + 1] || "");
+		if (IPA_DIGRAPHS.includes(pair)) {
+			phonemes.push(pair);
+			i++;
+		} else {
+			phonemes.push(chars[i]);
+		}
+	}
+	return phonemes;
+};
+
+const looksLikeIpa = (text) =>
+	/^\s*[\/\[]/.test(text) || /[^\u0000-ɏ·•‧]/.test(text);
+
+/**
+ * Parses a pronunciation such as "/ɪˈlɪsɪt/ | ih·LIS·it".
+ * @param {string} pronunciation
+ * @returns {{ipa: string|null, respelling: string|null, phonemes: string[], syllables: string[][], respellingSyllables: string[], stress: number|null}|null}
+ * phonemes are the IPA sounds without stress or length marks, syllables the
+ * same phonemes grouped by syllable. stress is the index of the syllable with
+ * the primary stress, from the IPA or else a capitalized respelling syllable.
+ * null when there is no pronunciation.
+ */
+const parsePronunciation = (pronunciation) => {
+	if (typeof pronunciation !== "string" || !pronunciation.trim()) return null;
+
+	const parts = pronunciation
+		.split("|")
+		.map((part) => part.trim())
+		.filter(Boolean);
+	if (!parts.length) return null;
+
+	let ipa = null;
+	let respelling = null;
+	if (parts.length > 1) [ipa, respelling] = parts;
+	else if (looksLikeIpa(parts[0])) ipa = parts[0];
+	else respelling = parts[0];
+
+	const syllables = [];
+	let stress = null;
+	if (ipa) {
+		const marked = normalizeIpa(ipa).trim();
+		// Stress marks open the syllable they belong to
+		const pieces = marked.split(/(?=[ˈˌ])|[.\s]+/).filter(Boolean);
+		for (const piece of pieces) {
+			const phonemes = splitPhonemes(piece.replace(SYLLABLE_BREAK, ""));
+			if (!phonemes.length) continue;
+			if (piece.startsWith(PRIMARY_STRESS) && stress === null) {
+				stress = syllables.length;
+			}
+			syllables.push(phonemes);
+		}
+	}
+
+	const respellingSyllables = respelling
+		? respelling.split(RESPELLING_BREAK).filter(Boolean)
+		: [];
+	if (stress === null && respellingSyllables.length > 1) {
+		const capitalized = respellingSyllables.findIndex(
+			(syllable) =>
+				/\p{Lu}/u.test(syllable) && syllable === syllable.toUpperCase()
+		);
+		if (capitalized !== -1) stress = capitalized;
+	}
+
+	return {
+		ipa,
+		respelling,
+		phonemes: syllables.flat(),
+		syllables,
+		respellingSyllables: respellingSyllables.map((syllable) =>
+			syllable.toLowerCase()
+		),
+		stress,
+	};
+};
+
+const RESPELLING_VOWELS = /[aeiouy]/;
+
+// Rhymes are keyed by the sound from the vowel of the stressed syllable, or of
+// the last syllable without stress, to the end of the word
+const rhymeFromPhonemes = (syllables, stress) => {
+	const from = syllables.slice(stress === null ? -1 : stress).flat();
+	const vowel = from.findIndex(isIpaVowel);
+	return vowel === -1 ? null : from.slice(vowel).join("");
+};
+
+const rhymeFromLetters = (syllables, stress) => {
+	const tail = syllables.slice(stress === null ? -1 : stress).join("");
+	const vowel = tail.search(RESPELLING_VOWELS);
+	return vowel === -1 ? null : tail.slice(vowel);
+};
+
+// Last vowel group of the spelling and what follows it, a rough guess for
+// words without a pronunciation
+const rhymeFromSpelling = (word) => {
+	const match = String(word)
+		.toLowerCase()
+		.replace(/[^\p{L}]/gu, "")
+		// Closing silent e, e.g. "rhyme"
+		.replace(/([^aeiouy])e$/, "$1")
+		.match(/[aeiouy]+[^aeiouy]*$/);
+	return match ? match[0] : null;
+};
+
+/**
+ * Phonetic data of a word, computed from its pronunciation and spelling.
+ * @param {{word: string, pronunciation?: string}} word
+ * @returns {{pronunciation: object|null, metaphone: [string, string], rhyme: {basis: "ipa"|"respelling"|"spelling", key: string}|null, syllables: {basis: "ipa"|"respelling", keys: string[]}|null}}
+ * rhyme.key is the sound from the stressed vowel on; only keys of the same
+ * basis can be compared. syllables are the distinct syllables of the word,
+ * from the respelling when there is one, else from the IPA.
+ */
+const analyzeWord = (word) => {
+	const pronunciation = parsePronunciation(word.pronunciation);
+	const hasIpa = Boolean(pronunciation && pronunciation.phonemes.length);
+	const hasRespelling = Boolean(
+		pronunciation && pronunciation.respellingSyllables.length
+	);
+
+	let rhyme = null;
+	if (hasIpa) {
+		const key = rhymeFromPhonemes(
+			pronunciation.syllables,
+			pronunciation.stress
+		);
+		if (key) rhyme = { basis: "ipa", key };
+	} else if (hasRespelling) {
+		const key = rhymeFromLetters(
+			pronunciation.respellingSyllables,
+			pronunciation.stress
+		);
+		if (key) rhyme = { basis: "respelling", key };
+	}
+	if (!rhyme) {
+		const key = rhymeFromSpelling(word.word);
+		if (key) rhyme = { basis: "spelling", key };
+	}
+
+	// IPA often marks only the stress, so syllables come from the respelling
+	// when there is one
+	let syllables = null;
+	if (hasRespelling) {
+		syllables = {
+			basis: "respelling",
+			keys: [...new Set(pronunciation.respellingSyllables)],
+		};
+	} else if (hasIpa) {
+		syllables = {
+			basis: "ipa",
+			keys: [...new Set(pronunciation.syllables.map((s) => s.join("")))],
+		};
+	}
+
+	return {
+		pronunciation,
+		metaphone: doubleMetaphone(word.word),
+		rhyme,
+		syllables,
+	};
+};
+
+/**
+ * How alike two analyzed words sound. Words that both have IPA are compared
+ * phoneme by phoneme, others by their Double Metaphone keys.
+ * @param {object} a The output of analyzeWord.
+ * @param {object} b The output of analyzeWord.
+ * @param {number} [maxDistance] Phonemes that may differ.
+ * @returns {{basis: "ipa"|"metaphone", distance: number}|null} distance is the
+ * phoneme edit distance, or 0 when the primary keys match and 1 when only a
+ * secondary one does. null when they do not sound alike.
+ */
+const compareSounds = (a, b, maxDistance = 1) => {
+	const phonemesA = a.pronunciation ? a.pronunciation.phonemes : [];
+	const phonemesB = b.pronunciation ? b.pronunciation.phonemes : [];
+
+	if (phonemesA.length && phonemesB.length) {
+		const distance = editDistance(phonemesA, phonemesB, maxDistance);
+		// Short words differing in a sound do not sound alike (cat, cut)
+		const allowed = Math.min(
+			maxDistance,
+			Math.floor(Math.min(phonemesA.length, phonemesB.length) / 4)
+		);
+		return distance <= allowed ? { basis: "ipa", distance } : null;
+	}
+
+	const [primaryA, secondaryA] = a.metaphone;
+	const [primaryB, secondaryB] = b.metaphone;
+	if (!primaryA || !primaryB) return null;
+	if (primaryA === primaryB) return { basis: "metaphone", distance: 0 };
+	if (
+		[primaryA, secondaryA].some(
+			(key) => key && (key === primaryB || key === secondaryB)
+		)
+	) {
+		return { basis: "metaphone", distance: 1 };
+	}
+	return null;
+};
+
+/**
+ * The syllables two analyzed words share. Single-sound syllables, like a lone
+ * schwa, are too common to count.
+ * @returns {string[]}
+ */
+const sharedSyllables = (a, b) => {
+	if (!a.syllables || !b.syllables || a.syllables.basis !== b.syllables.basis) {
+		return [];
+	}
+	const minLength = a.syllables.basis === "ipa" ? 2 : 3;
+	const other = new Set(b.syllables.keys);
+	return a.syllables.keys.filter(
+		(key) => [...key].length >= minLength && other.has(key)
+	);
+};
+
+const rhymes = (a, b) =>
+	Boolean(
+		a.rhyme &&
+			b.rhyme &&
+			a.rhyme.basis === b.rhyme.basis &&
+			a.rhyme.key === b.rhyme.key
+	);
+
+module.exports = {
+	parsePronunciation,
+	analyzeWord,
+	compareSounds,
+	sharedSyllables,
+	rhymes,
+};
@@ -0,0 +1,140 @@
+const mongoose = require("mongoose");
+const Progress = require("../model/Progress");
+const User = require("../model/User");
+const Word = require("../model/Word");
+
+// Values a user sees for a word they have never studied
+const PROGRESS_DEFAULTS = {
+	no_of_times_opened: 5,
+	no_of_times_revised: 0,
+	ease: 2.5,
+	interval: 0,
+	repetitions: 0,
+	lapses: 0,
+	last_reviewed_at: null,
+	quiz_correct: 0,
+	quiz_incorrect: 0,
+};
+
+const toObjectId = (id) =>
+	id instanceof mongoose.Types.ObjectId ? id : new mongoose.Types.ObjectId(id);
+
+/**
+ * Aggregation stages that merge a user's progress into each Word document, so
+ * words can be sorted and filtered on the progress fields. Anonymous readers
+ * (no userId) get the defaults. Words that were never reviewed are due from
+ * the moment they were added.
+ * @param {string|null} userId
+ * @returns {object[]} Pipeline stages.
+ */
+const withProgress = (userId) => {
+	const stages = [];
+
+	if (userId) {
+		stages.push(
+			{
+				$lookup: {
+					from: Progress.collection.name,
+					let: { wordId: "$_id" },
+					pipeline: [
+						{
+							$match: {
+								$expr: {
+									$and: [
+										{ $eq: ["$word", "$$wordId"] },
+										{ $eq: ["$user", toObjectId(userId)] },
+									],
+								},
+							},
+						},
+					],
+					as: "progress",
+				},
+			},
+			{ $addFields: { progress: { $arrayElemAt: ["$progress", 0] } } }
+		);
+	}
+
+	const fields = {};
+	for (const [field, value] of Object.entries(PROGRESS_DEFAULTS)) {
+		fields[field] = userId ? { $ifNull: [`$progress.${field}`, value] } : value;
+	}
+	fields.due_date = userId
+		? { $ifNull: ["$progress.due_date", "$createdAt"] }
+		: "$createdAt";
+
+	stages.push({ $addFields: fields });
+	if (userId) stages.push({ $project: { progress: 0 } });
+
+	return stages;
+};
+
+/**
+ * The same merge as withProgress for one plain word, for storage that has no
+ * aggregation pipeline (see utils/wordRepository.js).
+ * @param {object} word
+ * @param {object} [progress] The user's progress on the word, if any.
+ * @returns {object}
+ */
+const mergeProgress = (word, progress) => {
+	const merged = { ...word };
+	for (const [field, value] of Object.entries(PROGRESS_DEFAULTS)) {
+		merged[field] =
+			progress && progress[field] != null ? progress[field] : value;
+	}
+	merged.due_date =
+		progress && progress.due_date != null ? progress.due_date : word.createdAt;
+	return merged;
+};
+
+// Counters words kept themselves before progress was per user
+const LEGACY_COUNTERS = ["no_of_times_opened", "no_of_times_revised"];
+
+/**
+ * Moves the counters stored on words before progress was kept per user into
+ * the progress of the owner, the oldest account, and removes them from the
+ * words. Progress the owner already has keeps the higher count. Without any
+ * account the words are left as they are, until the next start.
+ * The counters are no longer in the Word schema, so the collection is read
+ * and updated directly.
+ * @returns {Promise<{updated: number, pending: number}>} pending counts the
+ * words left for lack of an account.
+ */
+const backfillLegacyCounters = async () => {
+	const words = await Word.collection
+		.find(
+			{ $or: LEGACY_COUNTERS.map((field) => ({ [field]: { $exists: true } })) },
+			{ projection: Object.fromEntries(LEGACY_COUNTERS.map((f) => [f, 1])) }
+		)
+		.toArray();
+	if (!words.length) return { updated: 0, pending: 0 };
+
+	const owner = await User.findOne().sort({ createdAt: 1, _id: 1 }).lean();
+	if (!owner) return { updated: 0, pending: words.length };
+
+	for (const word of words) {
+		const counters = {};
+		for (const field of LEGACY_COUNTERS) {
+			if (typeof word[field] === "number") counters[field] = word[field];
+		}
+		if (Object.keys(counters).length) {
+			await Progress.updateOne(
+				{ user: owner._id, word: word._id },
+				{ $max: counters },
+				{ upsert: true }
+			);
+		}
+		await Word.collection.updateOne(
+			{ _id: word._id },
+			{ $unset: Object.fromEntries(LEGACY_COUNTERS.map((f) => [f, ""])) }
+		);
+	}
+	return { updated: words.length, pending: 0 };
+};
+
+module.exports = {
+	PROGRESS_DEFAULTS,
+	withProgress,
+	mergeProgress,
+	backfillLegacyCounters,
+};
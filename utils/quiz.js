@@ -0,0 +1,190 @@
+// Builds multiple-choice questions from stored words. Distractors are taken
+// from other words, and every question keeps its answer key server side.
+
+const { escapeRegex } = require("./text");
+
+const QUESTION_TYPES = [
+	"word_to_meaning",
+	"meaning_to_word",
+	"synonym",
+	"antonym",
+	"example_fit",
+];
+
+const DISTRACTOR_COUNT = 3;
+const BLANK = "_____";
+
+const shuffle = (items) => {
+	const copy = [...items];
+	for (let i = copy.length - 1; i > 0; i--) {
+		const j = Math.floor(Math.random() * (i + 1));
+		[copy[i], copy[j]] = [copy[j], copy[i]];
+	}
+	return copy;
+};
+
+const normalize = (value) => value.trim().toLowerCase();
+
+const firstMeaning = (word) => {
+	const meaning = (word.meaning || []).find((m) => m && m.meaning);
+	return meaning ? meaning.meaning : null;
+};
+
+// Picks distinct values that do not collide (case-insensitively) with exclude
+const pickDistractors = (candidates, exclude) => {
+	const taken = new Set(exclude.filter(Boolean).map(normalize));
+	const picked = [];
+
+	for (const candidate of shuffle(candidates)) {
+		if (typeof candidate !== "string" || !candidate.trim()) continue;
+		if (taken.has(normalize(candidate))) continue;
+
+		taken.add(normalize(candidate));
+		picked.push(candidate);
+		if (picked.length === DISTRACTOR_COUNT) break;
+	}
+
+	return picked;
+};
+
+// Words (and their synonyms) that could also be a right answer for the target
+const equivalents = (target) => [target.word, ...(target.synonyms || [])];
+
+const builders = {
+	word_to_meaning: (target, pool) => {
+		const answer = firstMeaning(target);
+		if (!answer) return null;
+
+		return {
+			prompt: `What does "${target.word}" mean?`,
+			answer,
+			distractors: pickDistractors(pool.map(firstMeaning), [answer]),
+		};
+	},
+
+	meaning_to_word: (target, pool) => {
+		const meaning = firstMeaning(target);
+		if (!meaning) return null;
+
+		return {
+			prompt: `Which word means "${meaning}"?`,
+			answer: target.word,
+			distractors: pickDistractors(
+				pool.map((word) => word.word),
+				equivalents(target)
+			),
+		};
+	},
+
+	synonym: (target, pool) => {
+		const synonyms = target.synonyms || [];
+		if (synonyms.length === 0) return null;
+
+		return {
+			prompt: `Which word is a synonym of "${target.word}"?`,
+			answer: shuffle(synonyms)[0],
+			distractors: pickDistractors(
+				[
+					...(target.antonyms || []),
+					...pool.flatMap((word) => [word.word, ...(word.synonyms || [])]),
+				],
+				equivalents(target)
+			),
+		};
+	},
+
+	antonym: (target, pool) => {
+		const antonyms = target.antonyms || [];
+		if (antonyms.length === 0) return null;
+
+		return {
+			prompt: `Which word is an antonym of "${target.word}"?`,
+			answer: shuffle(antonyms)[0],
+			distractors: pickDistractors(
+				[
+					...(target.synonyms || []),
+					...pool.flatMap((word) => [word.word, ...(word.antonyms || [])]),
+				],
+				[target.word, ...antonyms]
+			),
+		};
+	},
+
+	example_fit: (target, pool) => {
+		const source = `\\b${escapeRegex(target.word)}\\b`;
+		const example = shuffle(
+			(target.meaning || []).map((m) => m && m.example).filter(Boolean)
+		).find((text) => new RegExp(source, "i").test(text));
+		if (!example) return null;
+
+		const blanked = example.replace(new RegExp(source, "gi"), BLANK);
+
+		return {
+			prompt: `Which word fits the blank: "${blanked}"`,
+			answer: target.word,
+			distractors: pickDistractors(
+				pool.map((word) => word.word),
+				equivalents(target)
+			),
+		};
+	},
+};
+
+/**
+ * Builds one question of the given type, or null when the word lacks the data
+ * for it or there are not enough distractors.
+ * @param {string} type One of QUESTION_TYPES.
+ * @param {object} target The word the question is about.
+ * @param {object[]} pool Other words to draw distractors from.
+ */
+const buildQuestion = (type, target, pool) => {
+	const others = pool.filter((word) => String(word._id) !== String(target._id));
+	const built = builders[type](target, others);
+
+	if (!built || built.distractors.length < DISTRACTOR_COUNT) return null;
+
+	const choices = shuffle([built.answer, ...built.distractors]);
+
+	return {
+		type,
+		word: target._id,
+		prompt: built.prompt,
+		choices,
+		answer_index: choices.indexOf(built.answer),
+	};
+};
+
+/**
+ * Builds one question per target word, rotating through the requested types
+ * and falling back to another type when a word cannot support one.
+ * @param {object[]} targets Words to ask about.
+ * @param {object[]} pool Words to draw distractors from.
+ * @param {string[]} types Question types to use.
+ * @returns {object[]} Questions with their answer keys.
+ */
+const generateQuestions = (targets, pool, types = QUESTION_TYPES) => {
+	const questions = [];
+
+	targets.forEach((target, i) => {
+		const rotated = [
+			...types.slice(i % types.length),
+			...types.slice(0, i % types.length),
+		];
+
+		for (const type of rotated) {
+			const question = buildQuestion(type, target, pool);
+			if (question) {
+				questions.push(question);
+				break;
+			}
+		}
+	});
+
+	return questions;
+};
+
+module.exports = {
+	QUESTION_TYPES,
+	buildQuestion,
+	generateQuestions,
+};
@@ -0,0 +1,159 @@
+// Storage behind rate limits and login lockouts.
+//
+// RATE_LIMIT_STORE picks the store: "memory" (default) keeps the counters in
+// the process, which is enough for a single server; "mongo" keeps them in the
+// RateLimits collection so every serverless instance sees the same counts.
+// Any object with the same four methods can be plugged in with setStore().
+//
+// Store interface (every method returns a Promise):
+//   increment(key, windowMs) -> { count, resetAt }  counts a hit in a fixed
+//                                                    window starting at the first hit
+//   get(key)                 -> value or null       a value stored with set()
+//   set(key, value, ttlMs)
+//   delete(key)
+
+const RateLimit = require("../model/RateLimit");
+
+// How many operations the memory store does between sweeps of expired keys
+const SWEEP_EVERY = 1000;
+
+const createMemoryStore = () => {
+	const entries = new Map();
+	let operations = 0;
+
+	const live = (key, now) => {
+		const entry = entries.get(key);
+		if (entry && entry.resetAt <= now) {
+			entries.delete(key);
+			return undefined;
+		}
+		return entry;
+	};
+
+	const sweep = (now) => {
+		if (++operations % SWEEP_EVERY) return;
+		for (const [key, entry] of entries) {
+			if (entry.resetAt <= now) entries.delete(key);
+		}
+	};
+
+	return {
+		name: "memory",
+
+		async increment(key, windowMs) {
+			const now = Date.now();
+			sweep(now);
+			const entry = live(key, now) || { count: 0, resetAt: now + windowMs };
+			entry.count += 1;
+			entries.set(key, entry);
+			return { count: entry.count, resetAt: new Date(entry.resetAt) };
+		},
+
+		async get(key) {
+			const entry = live(key, Date.now());
+			return entry ? entry.value : null;
+		},
+
+		async set(key, value, ttlMs) {
+			const now = Date.now();
+			sweep(now);
+			entries.set(key, { count: 0, value, resetAt: now + ttlMs });
+		},
+
+		async delete(key) {
+			entries.delete(key);
+		},
+	};
+};
+
+const createMongoStore = () => ({
+	name: "mongo",
+
+	async increment(key, windowMs, retried = false) {
+		const now = new Date();
+		const open = { $gt: ["$reset_at", now] };
+
+		// One atomic update: a new window starts when the old one is over
+		const entry = await RateLimit.findOneAndUpdate(
+			{ key },
+			[
+				{
+					$set: {
+						count: { $cond: [open, { $add: ["$count", 1] }, 1] },
+						reset_at: {
+							$cond: [open, "$reset_at", new Date(now.getTime() + windowMs)],
+						},
+					},
+				},
+			],
+			{ upsert: true, new: true }
+		)
+			.lean()
+			.catch((error) => {
+				// Two first hits raced to insert the key, the loser counts again
+				if (error.code === 11000 && !retried) return null;
+				throw error;
+			});
+
+		if (!entry) return this.increment(key, windowMs, true);
+		return { count: entry.count, resetAt: entry.reset_at };
+	},
+
+	async get(key) {
+		const entry = await RateLimit.findOne({
+			key,
+			reset_at: { $gt: new Date() },
+		}).lean();
+		return entry ? entry.value : null;
+	},
+
+	async set(key, value, ttlMs) {
+		await RateLimit.updateOne(
+			{ key },
+			{ $set: { value, reset_at: new Date(Date.now() + ttlMs) } },
+			{ upsert: true }
+		);
+	},
+
+	async delete(key) {
+		await RateLimit.deleteOne({ key });
+	},
+});
+
+const STORES = {
+	memory: createMemoryStore,
+	mongo: createMongoStore,
+};
+
+let store = null;
+
+/**
+ * The store selected by RATE_LIMIT_STORE, created on first use.
+ */
+const getStore = () => {
+	if (!store) {
+		const name = process.env.RATE_LIMIT_STORE || "memory";
+		if (!STORES[name]) {
+			throw new Error(
+				`Unknown RATE_LIMIT_STORE "${name}". Supported stores: ` +
+					Object.keys(STORES).join(", ")
+			);
+		}
+		store = STORES[name]();
+	}
+	return store;
+};
+
+/**
+ * Replaces the store, e.g. with one backed by Redis.
+ */
+const setStore = (custom) => {
+	store = custom;
+};
+
+module.exports = {
+	createMemoryStore,
+	createMongoStore,
+	getStore,
+	setStore,
+};
@@ -0,0 +1,102 @@
+// SM-2 style spaced-repetition scheduler.
+//
+// Every card keeps an ease factor, the current interval (in days), the number
+// of consecutive successful reviews, the number of lapses and the date it is
+// next due. A review takes one of four recall grades and returns the new
+// schedule; the caller is responsible for persisting it.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MIN_EASE = 1.3;
+const DEFAULT_EASE = 2.5;
+
+// Minutes before a forgotten card comes back into the due queue
+const RELEARN_DELAY_MINUTES = 10;
+
+const GRADES = ["again", "hard", "good", "easy"];
+
+const EASE_DELTA = {
+	again: -0.2,
+	hard: -0.15,
+	good: 0,
+	easy: 0.15,
+};
+
+const isValidGrade = (grade) => GRADES.includes(grade);
+
+/**
+ * Reads the schedule fields of a word, filling in defaults for words that were
+ * created before the scheduler existed.
+ * @param {object} word A Word document or plain object.
+ * @returns {{ease: number, interval: number, repetitions: number, lapses: number, due_date: Date}}
+ */
+const getSchedule = (word = {}) => ({
+	ease: typeof word.ease === "number" ? word.ease : DEFAULT_EASE,
+	interval: typeof word.interval === "number" ? word.interval : 0,
+	repetitions: typeof word.repetitions === "number" ? word.repetitions : 0,
+	lapses: typeof word.lapses === "number" ? word.lapses : 0,
+	due_date: word.due_date ? new Date(word.due_date) : new Date(0),
+});
+
+/**
+ * Computes the next schedule of a card after a review.
+ * @param {object} word The current word (only the schedule fields are read).
+ * @param {"again"|"hard"|"good"|"easy"} grade The recall grade.
+ * @param {Date} [now] The review time.
+ * @returns {{ease: number, interval: number, repetitions: number, lapses: number, due_date: Date, last_reviewed_at: Date}}
+ */
+const review = (word, grade, now = new Date()) => {
+	if (!isValidGrade(grade)) {
+		throw new Error(
+			`Invalid grade "${grade}". Expected one of: ${GRADES.join(", ")}`
+		);
+	}
+
+	const current = getSchedule(word);
+	const ease = Math.max(MIN_EASE, round(current.ease + EASE_DELTA[grade]));
+
+	let { interval, repetitions, lapses } = current;
+
+	if (grade === "again") {
+		// Forgotten: start the card over and bring it back shortly
+		return {
+			ease,
+			interval: 0,
+			repetitions: 0,
+			lapses: lapses + 1,
+			due_date: new Date(now.getTime() + RELEARN_DELAY_MINUTES * 60 * 1000),
+			last_reviewed_at: now,
+		};
+	}
+
+	if (repetitions === 0) {
+		interval = grade === "easy" ? 4 : 1;
+	} else if (repetitions === 1) {
+		interval = grade === "hard" ? 3 : grade === "easy" ? 8 : 6;
+	} else if (grade === "hard") {
+		interval = Math.max(interval + 1, Math.round(interval * 1.2));
+	} else if (grade === "good") {
+		interval = Math.max(interval + 1, Math.round(interval * ease));
+	} else {
+		interval = Math.max(interval + 1, Math.round(interval * ease * 1.3));
+	}
+
+	return {
+		ease,
+		interval,
+		repetitions: repetitions + 1,
+		lapses,
+		due_date: new Date(now.getTime() + interval * DAY_MS),
+		last_reviewed_at: now,
+	};
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+module.exports = {
+	GRADES,
+	DEFAULT_EASE,
+	isValidGrade,
+	getSchedule,
+	review,
+};
@@ -0,0 +1,291 @@
+// In-memory relevance search over the text fields of words.
+//
+// Every query token must match some field of a word, exactly, as a prefix or
+// within a small edit distance. Matches are weighted by the field they hit and
+// by how close they are, so a hit on the word itself outranks a typo-tolerant
+// hit in an example sentence. Only the words candidateFilter lets through are
+// loaded from the database and ranked.
+
+const { escapeRegex } = require("./text");
+
+const SEARCH_FIELDS = {
+	word: 10,
+	synonyms: 5,
+	"meaning.meaning": 5,
+	antonyms: 3,
+	mnemonic: 3,
+	"meaning.example": 2,
+	origin: 1,
+};
+
+const MATCH_QUALITY = {
+	exact: 1,
+	prefix: 0.75,
+	fuzzy: 0.5,
+};
+
+const SNIPPET_RADIUS = 40;
+
+// Longest query and most tokens a search takes, the cost of ranking grows
+// with both
+const MAX_QUERY_LENGTH = 100;
+const MAX_QUERY_TOKENS = 8;
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+
+const tokenize = (text) =>
+	typeof text === "string" ? text.toLowerCase().match(TOKEN_PATTERN) || [] : [];
+
+// Allowed typos grow with the length of the query token
+const maxEdits = (token) => (token.length <= 3 ? 0 : token.length <= 6 ? 1 : 2);
+
+/**
+ * Why a query cannot be searched, null when it can.
+ * @param {string} query
+ * @returns {string|null}
+ */
+const checkQuery = (query) => {
+	if (query.length > MAX_QUERY_LENGTH) {
+		return `Search query (q) must be at most ${MAX_QUERY_LENGTH} characters`;
+	}
+	if (tokenize(query).length > MAX_QUERY_TOKENS) {
+		return `Search query (q) must have at most ${MAX_QUERY_TOKENS} words`;
+	}
+	return null;
+};
+
+// Splits a query token into one more piece than the typos it allows: a text
+// token within that many edits keeps at least one of the pieces unchanged
+const tokenPieces = (token) => {
+	const size = Math.ceil(token.length / (maxEdits(token) + 1));
+	const pieces = [];
+	for (let i = 0; i < token.length; i += size) {
+		pieces.push(token.slice(i, i + size));
+	}
+	return pieces;
+};
+
+/**
+ * Database filter for the words that may match a query: every query token
+ * must have one of its pieces in one of the fields. It lets through every
+ * word searchWords would return, and few others, so not every word has to be
+ * loaded and compared.
+ * @param {string} query
+ * @param {string[]} [fields] Fields to search, all by default. The word
+ * itself is matched on its word_key.
+ * @returns {object}
+ */
+const candidateFilter = (query, fields = Object.keys(SEARCH_FIELDS)) => {
+	const tokens = tokenize(query);
+	if (!tokens.length) return {};
+	return {
+		$and: tokens.map((token) => {
+			const pattern = new RegExp(
+				tokenPieces(token).map(escapeRegex).join("|"),
+				"i"
+			);
+			return {
+				$or: fields.map((field) => ({
+					[field === "word" ? "word_key" : field]: pattern,
+				})),
+			};
+		}),
+	};
+};
+
+/**
+ * Levenshtein distance, giving up (returning max + 1) once it exceeds max.
+ */
+const editDistance = (a, b, max = Infinity) => {
+	if (Math.abs(a.length - b.length) > max) return max + 1;
+
+	let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+	for (let i = 1; i <= a.length; i++) {
+		const current = [i];
+		let rowMin = i;
+
+		for (let j = 1; j <= b.length; j++) {
+			const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+			current[j] = Math.min(
+				previous[j] + 1,
+				current[j - 1] + 1,
+				previous[j - 1] + cost
+			);
+			rowMin = Math.min(rowMin, current[j]);
+		}
+
+		if (rowMin > max) return max + 1;
+		previous = current;
+	}
+
+	return previous[b.length];
+};
+
+// Texts of a field of a word ("meaning.example" reads every meaning)
+const fieldTexts = (word, field) => {
+	if (field.startsWith("meaning.")) {
+		const key = field.split(".")[1];
+		return (word.meaning || []).map((m) => m[key]).filter(Boolean);
+	}
+	const value = word[field];
+	if (Array.isArray(value)) return value.filter(Boolean);
+	return value ? [value] : [];
+};
+
+// Best way a query token matches a text token
+const matchToken = (queryToken, textToken, allowPrefix) => {
+	if (textToken === queryToken) return { quality: MATCH_QUALITY.exact };
+	if (allowPrefix && textToken.startsWith(queryToken)) {
+		return { quality: MATCH_QUALITY.prefix };
+	}
+
+	const max = maxEdits(queryToken);
+	if (max === 0) return null;
+
+	const distance = editDistance(queryToken, textToken, max);
+	if (distance > max) return null;
+	return { quality: MATCH_QUALITY.fuzzy / distance };
+};
+
+/**
+ * Scores one word against the query tokens.
+ * @param {object} word
+ * @param {string[]} queryTokens
+ * @param {object} options
+ * @param {boolean} options.prefix Let every token match as a prefix. The last
+ * token always may, so results appear while the user is still typing.
+ * @param {string[]} options.fields Fields to search.
+ * @returns {{score: number, matches: object}|null} null when a token matched nothing.
+ */
+const scoreWord = (word, queryTokens, { prefix, fields }) => {
+	let score = 0;
+	// field -> Set of matched text tokens, used for highlighting
+	const matches = {};
+
+	for (const [index, queryToken] of queryTokens.entries()) {
+		const allowPrefix = prefix || index === queryTokens.length - 1;
+		let best = 0;
+
+		for (const field of fields) {
+			for (const text of fieldTexts(word, field)) {
+				for (const textToken of tokenize(text)) {
+					const match = matchToken(queryToken, textToken, allowPrefix);
+					if (!match) continue;
+
+					const value = SEARCH_FIELDS[field] * match.quality;
+					best = Math.max(best, value);
+					(matches[field] = matches[field] || new Set()).add(textToken);
+				}
+			}
+		}
+
+		if (best === 0) return null;
+		score += best;
+	}
+
+	// Whole query equal to the word itself
+	if (
+		fields.includes("word") &&
+		tokenize(word.word).join(" ") === queryTokens.join(" ")
+	) {
+		score += SEARCH_FIELDS.word;
+	}
+
+	return { score: Math.round(score * 100) / 100, matches };
+};
+
+const escapeHtml = (text) =>
+	text.replace(
+		/[&<>"']/g,
+		(char) =>
+			({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[
+				char
+			])
+	);
+
+/**
+ * Builds an HTML-escaped snippet of the text around its first matched token,
+ * with every matched token wrapped in <mark>.
+ */
+const buildSnippet = (text, matchedTokens) => {
+	const ranges = [];
+	for (const match of text.matchAll(TOKEN_PATTERN)) {
+		if (matchedTokens.has(match[0].toLowerCase())) {
+			ranges.push([match.index, match.index + match[0].length]);
+		}
+	}
+	if (ranges.length === 0) return null;
+
+	const start = Math.max(0, ranges[0][0] - SNIPPET_RADIUS);
+	const end = Math.min(text.length, ranges[0][1] + SNIPPET_RADIUS * 2);
+
+	let snippet = start > 0 ? "…" : "";
+	let cursor = start;
+	for (const [from, to] of ranges) {
+		if (from < start || to > end) continue;
+		snippet += escapeHtml(text.slice(cursor, from));
+		snippet += `<mark>${escapeHtml(text.slice(from, to))}</mark>`;
+		cursor = to;
+	}
+	snippet += escapeHtml(text.slice(cursor, end));
+	if (end < text.length) snippet += "…";
+
+	return snippet;
+};
+
+const buildHighlights = (word, matches) =>
+	Object.entries(matches)
+		.sort(([a], [b]) => SEARCH_FIELDS[b] - SEARCH_FIELDS[a])
+		.flatMap(([field, tokens]) =>
+			fieldTexts(word, field)
+				.map((text) => buildSnippet(text, tokens))
+				.filter(Boolean)
+				.map((snippet) => ({ field, snippet }))
+		);
+
+/**
+ * Ranks words against a free-text query.
+ * @param {object[]} words Plain word objects.
+ * @param {string} query
+ * @param {object} [options]
+ * @param {boolean} [options.prefix] Match every token as a prefix (autocomplete).
+ * @param {string[]} [options.fields] Fields to search, all by default.
+ * @returns {{word: object, score: number, highlights: {field: string, snippet: string}[]}[]}
+ * Matching words, best first.
+ */
+const searchWords = (words, query, { prefix = false, fields } = {}) => {
+	const queryTokens = tokenize(query);
+	if (queryTokens.length === 0) return [];
+
+	const searchFields =
+		fields && fields.length ? fields : Object.keys(SEARCH_FIELDS);
+
+	const results = [];
+	for (const word of words) {
+		const scored = scoreWord(word, queryTokens, {
+			prefix,
+			fields: searchFields,
+		});
+		if (!scored) continue;
+
+		results.push({
+			word,
+			score: scored.score,
+			highlights: buildHighlights(word, scored.matches),
+		});
+	}
+
+	return results.sort(
+		(a, b) => b.score - a.score || a.word.word.localeCompare(b.word.word)
+	);
+};
+
+module.exports = {
+	SEARCH_FIELDS,
+	tokenize,
+	editDistance,
+	checkQuery,
+	candidateFilter,
+	searchWords,
+};
@@ -0,0 +1,472 @@
+const scheduler = require("./scheduler");
+const { PROGRESS_DEFAULTS } = require("./progress");
+const { getRepository } = require("./wordRepository");
+
+// A session that saw no event for this long is closed at its last event
+const SESSION_IDLE_MINUTES = parseInt(process.env.SESSION_IDLE_MINUTES) || 30;
+
+// Progress counters that are derived from the log
+const LOG_COUNTERS = [
+	"no_of_times_opened",
+	"no_of_times_revised",
+	"quiz_correct",
+	"quiz_incorrect",
+];
+
+// Counters never go below the floor or above the ceiling, an event that would
+// take one out of that range is refused
+const COUNTER_FLOOR = 0;
+const COUNTER_CEILING = parseInt(process.env.COUNTER_CEILING) || 100000;
+
+// Codes of the errors that refuse a counter update, answered with a 409
+const COUNTER_ERRORS = ["COUNTER_LIMIT", "IDEMPOTENCY_KEY_REUSED"];
+
+// Events that can be taken back with undoEvents
+const UNDOABLE_TYPES = ["open", "revision"];
+
+// Progress fields a review changes (see scheduler.review)
+const SCHEDULE_FIELDS = [
+	"ease",
+	"interval",
+	"repetitions",
+	"lapses",
+	"due_date",
+	"last_reviewed_at",
+];
+
+// How one event changes the progress counters
+const counterDeltas = ({ type, correct, undoes }) => {
+	switch (type) {
+		case "open":
+			return { no_of_times_opened: 1 };
+		case "revision":
+			return { no_of_times_revised: 1 };
+		case "quiz_answer":
+			// A wrong answer also counts as a lookup of the word, which makes it
+			// rank as more difficult
+			return correct
+				? { no_of_times_revised: 1, quiz_correct: 1 }
+				: { no_of_times_revised: 1, quiz_incorrect: 1, no_of_times_opened: 1 };
+		case "undo":
+			// Undo events that know the event they take back negate its deltas
+			// instead (see undoEvents)
+			if (undoes === "open") return { no_of_times_opened: -1 };
+			if (undoes === "revision") return { no_of_times_revised: -1 };
+			return {};
+		default:
+			return {};
+	}
+};
+
+// Takes plain objects and the counters Map of stored events
+const negate = (counters) => {
+	const negated = {};
+	const entries =
+		counters instanceof Map ? counters.entries() : Object.entries(counters);
+	for (const [counter, delta] of entries) negated[counter] = -delta;
+	return negated;
+};
+
+const studyLogError = (code, message) => {
+	const error = new Error(message);
+	error.code = code;
+	return error;
+};
+
+// Conditions under which the deltas keep every counter within its limits
+const counterLimits = (counters) => {
+	const conditions = {};
+	for (const [counter, delta] of Object.entries(counters)) {
+		if (delta < 0) conditions[counter] = { $gte: COUNTER_FLOOR - delta };
+		if (delta > 0) conditions[counter] = { $lte: COUNTER_CEILING - delta };
+	}
+	return conditions;
+};
+
+// An event recorded earlier under the same idempotency key, with the current
+// progress
+const findReplay = async (userId, wordId, details) => {
+	const repository = getRepository();
+	const event = await repository.studyEvents.findOne({
+		user: userId,
+		key: details.key,
+	});
+	if (!event) return null;
+
+	if (
+		event.word.toString() !== wordId.toString() ||
+		event.type !== details.type
+	) {
+		throw studyLogError(
+			"IDEMPOTENCY_KEY_REUSED",
+			`Idempotency key "${details.key}" was already used for another operation`
+		);
+	}
+
+	return {
+		event,
+		progress: await repository.ensureProgress(userId, wordId),
+		replayed: true,
+	};
+};
+
+/**
+ * Returns the open session of a user that an event at `now` belongs to.
+ * A session left idle for SESSION_IDLE_MINUTES is closed at its last event
+ * instead, and null is returned.
+ */
+const activeSession = async (userId, now = new Date()) => {
+	const { studySessions } = getRepository();
+	const session = await studySessions.findOne(
+		{ user: userId, ended_at: null },
+		{ sort: { started_at: -1 } }
+	);
+	if (!session) return null;
+
+	const lastActivity = session.last_event_at || session.started_at;
+	if (now - lastActivity > SESSION_IDLE_MINUTES * 60 * 1000) {
+		await studySessions.updateOne(
+			{ _id: session._id },
+			{ $set: { ended_at: lastActivity } }
+		);
+		return null;
+	}
+
+	return session;
+};
+
+/**
+ * Appends an event to the study log and applies its counter deltas to the
+ * user's progress on the word.
+ *
+ * An event that would take a counter below COUNTER_FLOOR or above
+ * COUNTER_CEILING throws an error with the code COUNTER_LIMIT. An event with
+ * an idempotency key (`key`) that was already recorded is not recorded again:
+ * the earlier event is returned with `replayed: true`, or an error with the
+ * code IDEMPOTENCY_KEY_REUSED is thrown when the key belongs to another kind
+ * of event.
+ * @param {string} userId
+ * @param {string} wordId
+ * @param {{type: string, key?: string, grade?: string, quiz?: string, correct?: boolean, undoes?: string, reverts?: string, schedule_before?: object, at?: Date}} details
+ * `at` backdates an event that happened offline; such events belong to no
+ * session.
+ * @param {object} [schedule] New review schedule to store with the counters.
+ * @param {object} [counters] Counter deltas, derived from the details by
+ * default.
+ * @returns {Promise<{event: object, progress: object, replayed?: boolean}>}
+ */
+const recordEvent = async (
+	userId,
+	wordId,
+	details,
+	schedule,
+	counters = counterDeltas(details)
+) => {
+	if (details.key) {
+		const replay = await findReplay(userId, wordId, details);
+		if (replay) return replay;
+	}
+
+	const repository = getRepository();
+	const update = { $inc: counters };
+	if (schedule) update.$set = schedule;
+	const progress = await repository.updateProgress(
+		userId,
+		wordId,
+		update,
+		counterLimits(counters)
+	);
+	if (!progress) {
+		throw studyLogError(
+			"COUNTER_LIMIT",
+			`Counters must stay between ${COUNTER_FLOOR} and ${COUNTER_CEILING}`
+		);
+	}
+
+	const now = new Date();
+	const offline = details.at && details.at < now;
+	const session = offline ? null : await activeSession(userId, now);
+
+	let event;
+	try {
+		event = await repository.studyEvents.insertOne({
+			...details,
+			user: userId,
+			word: wordId,
+			session: session ? session._id : null,
+			counters,
+			at: offline ? details.at : now,
+		});
+	} catch (error) {
+		// The counters only count logged events
+		const rollback = { $inc: negate(counters) };
+		if (schedule && details.schedule_before) {
+			rollback.$set = details.schedule_before;
+		}
+		await repository.updateProgress(userId, wordId, rollback);
+
+		// A retry with the same key got in first
+		if (error.code === 11000 && details.key) {
+			const replay = await findReplay(userId, wordId, details);
+			if (replay) return replay;
+		}
+		throw error;
+	}
+
+	if (session) {
+		await repository.studySessions.updateOne(
+			{ _id: session._id },
+			{ $set: { last_event_at: now } }
+		);
+	}
+
+	return { event, progress };
+};
+
+/**
+ * Records a graded recall of a word (a revision or a quiz answer) and
+ * reschedules it.
+ * @param {string} userId
+ * @param {string} wordId
+ * @param {"again"|"hard"|"good"|"easy"} grade
+ * @param {object} [details] Event details, a "revision" by default.
+ */
+const recordReview = async (
+	userId,
+	wordId,
+	grade,
+	details = { type: "revision" }
+) => {
+	const current = await getRepository().ensureProgress(userId, wordId);
+	const before = {};
+	for (const field of SCHEDULE_FIELDS) {
+		before[field] = current[field] === undefined ? null : current[field];
+	}
+
+	return recordEvent(
+		userId,
+		wordId,
+		{ ...details, grade, schedule_before: before },
+		scheduler.review(current, grade)
+	);
+};
+
+/**
+ * Records `count` opens or revisions of a word, e.g. from a batch.
+ * With an idempotency key the events are keyed `<key>:0`, `<key>:1`...
+ * so a retry only records the events that are still missing.
+ * @param {string} userId
+ * @param {string} wordId
+ * @param {{type: "open"|"revision", count?: number, grade?: string, key?: string, at?: Date}} operation
+ * Revisions are reviews with the grade, "good" by default. `at` is when they
+ * happened, for events recorded offline.
+ * @returns {Promise<{progress: object, recorded: number, replayed: number}>}
+ */
+const recordCounterOperation = async (
+	userId,
+	wordId,
+	{ type, count = 1, grade = "good", key, at }
+) => {
+	const outcome = { progress: null, recorded: 0, replayed: 0 };
+
+	for (let i = 0; i < count; i++) {
+		const details = { type, at, ...(key ? { key: `${key}:${i}` } : {}) };
+		const { progress, replayed } =
+			type === "revision"
+				? await recordReview(userId, wordId, grade, details)
+				: await recordEvent(userId, wordId, details);
+		outcome.progress = progress;
+		outcome[replayed ? "replayed" : "recorded"]++;
+	}
+
+	return outcome;
+};
+
+/**
+ * Takes back the last `count` opens and revisions of a user on a word that
+ * were not taken back yet, most recently recorded first. Every undo is an
+ * event of its own that negates the counters of the event it takes back and
+ * restores the review schedule from before it.
+ * @param {string} userId
+ * @param {string} wordId
+ * @param {{count?: number, types?: string[], key?: string}} [options]
+ * `types` limits the undo to some of the UNDOABLE_TYPES, `key` is an
+ * idempotency key: a retry returns the undos of the first request.
+ * @returns {Promise<{undone: object[], progress: object|null, replayed?: boolean}>}
+ * The undo events, and the progress after them (null when nothing was undone).
+ */
+const undoEvents = async (
+	userId,
+	wordId,
+	{ count = 1, types = UNDOABLE_TYPES, key } = {}
+) => {
+	const repository = getRepository();
+
+	if (key) {
+		const earlier = await repository.studyEvents.find(
+			{
+				user: userId,
+				key: { $in: Array.from({ length: count }, (_, i) => `${key}:${i}`) },
+			},
+			{ sort: { _id: 1 } }
+		);
+		if (earlier.length) {
+			return {
+				undone: earlier,
+				progress: await repository.ensureProgress(userId, wordId),
+				replayed: true,
+			};
+		}
+	}
+
+	const reverted = await repository.studyEvents.distinct("reverts", {
+		user: userId,
+		word: wordId,
+		type: "undo",
+	});
+	const targets = await repository.studyEvents.find(
+		{
+			user: userId,
+			word: wordId,
+			type: { $in: types },
+			_id: { $nin: reverted.filter(Boolean) },
+		},
+		{ sort: { _id: -1 }, limit: count }
+	);
+
+	const undone = [];
+	let progress = null;
+	for (const target of targets) {
+		try {
+			const recorded = await recordEvent(
+				userId,
+				wordId,
+				{
+					type: "undo",
+					undoes: target.type,
+					reverts: target._id,
+					...(key ? { key: `${key}:${undone.length}` } : {}),
+				},
+				target.schedule_before,
+				negate(target.counters)
+			);
+			undone.push(recorded.event);
+			progress = recorded.progress;
+		} catch (error) {
+			// A concurrent undo took this event back already
+			if (error.code !== 11000) throw error;
+		}
+	}
+
+	return { undone, progress };
+};
+
+/**
+ * Decreases the open or revision count of a word by taking back its latest
+ * open or revision. When there is none left to take back (counts from before
+ * the study log) the count is decreased by a plain undo event.
+ * @param {string} userId
+ * @param {string} wordId
+ * @param {"open"|"revision"} type
+ * @param {string} [key] Idempotency key.
+ * @returns {Promise<{event: object, progress: object, replayed?: boolean}>}
+ */
+const decreaseCounter = async (userId, wordId, type, key) => {
+	const { undone, progress, replayed } = await undoEvents(userId, wordId, {
+		types: [type],
+		key,
+	});
+	if (undone.length) return { event: undone[0], progress, replayed };
+
+	return recordEvent(userId, wordId, {
+		type: "undo",
+		undoes: type,
+		...(key ? { key: `${key}:0` } : {}),
+	});
+};
+
+/**
+ * Computes the counters of a user on a word from the log alone.
+ * @returns {Promise<object>} The LOG_COUNTERS with their derived values.
+ */
+const deriveCounters = async (userId, wordId) => {
+	const events = await getRepository().studyEvents.find(
+		{ user: userId, word: wordId },
+		{ select: "counters" }
+	);
+
+	const counters = {};
+	for (const counter of LOG_COUNTERS) {
+		counters[counter] = events.reduce(
+			(total, event) => total + ((event.counters || {})[counter] || 0),
+			PROGRESS_DEFAULTS[counter]
+		);
+	}
+	return counters;
+};
+
+const EMPTY_SESSION_SUMMARY = {
+	events: 0,
+	opens: 0,
+	revisions: 0,
+	quizAnswers: 0,
+	undos: 0,
+	words: 0,
+};
+
+// The count of a session summary each type of event adds to
+const SESSION_EVENT_COUNTS = {
+	open: "opens",
+	revision: "revisions",
+	quiz_answer: "quizAnswers",
+	undo: "undos",
+};
+
+/**
+ * Number of events of each type and of distinct words in each session.
+ * @param {string[]} sessionIds
+ * @returns {Promise<Map<string, object>>} Summary by session id, sessions
+ * without events get zero counts.
+ */
+const summarizeSessions = async (sessionIds) => {
+	const events = await getRepository().studyEvents.find(
+		{ session: { $in: sessionIds } },
+		{ select: "session type word" }
+	);
+
+	const counts = new Map(
+		sessionIds.map((id) => [
+			id.toString(),
+			{ ...EMPTY_SESSION_SUMMARY, words: new Set() },
+		])
+	);
+	for (const { session, type, word } of events) {
+		const summary = counts.get(session.toString());
+		summary.events++;
+		if (SESSION_EVENT_COUNTS[type]) summary[SESSION_EVENT_COUNTS[type]]++;
+		summary.words.add(word.toString());
+	}
+
+	const summaries = new Map();
+	for (const [id, summary] of counts) {
+		summaries.set(id, { ...summary, words: summary.words.size });
+	}
+	return summaries;
+};
+
+module.exports = {
+	SESSION_IDLE_MINUTES,
+	LOG_COUNTERS,
+	COUNTER_FLOOR,
+	COUNTER_CEILING,
+	COUNTER_ERRORS,
+	UNDOABLE_TYPES,
+	activeSession,
+	recordEvent,
+	recordReview,
+	recordCounterOperation,
+	undoEvents,
+	decreaseCounter,
+	deriveCounters,
+	summarizeSessions,
+};
@@ -0,0 +1,343 @@
+// Delta sync for offline clients.
+//
+// Pull: the client sends the sync token of its last sync and gets the words
+// created, updated and deleted since then, the progress of the user that
+// changed and a new token. Words moved to the trash are sent as tombstones
+// ({ _id, word, deleted_at }). The trash is purged after TRASH_RETENTION_DAYS,
+// so an older token can no longer tell about every deletion: the client gets
+// a full copy instead, flagged with `reset`.
+//
+// Push: the client sends the operations it made offline, each with its own
+// idempotency key (`id`). An operation is applied once; sending it again
+// returns the stored result.
+//   { id, type: "open", wordId, at?, count? }         count opens, default 1
+//   { id, type: "revision", wordId, at?, grade? }     a review, "good" by default
+//   { id, type: "edit", wordId, baseVersion, changes }
+// Opens and revisions are study events, so they add up with those made on
+// other devices. Edits are merged field by field with the version the client
+// edited (baseVersion, the `version` sent with every word): a field only the
+// client changed is written, a field that also changed on the server is a
+// conflict, resolved by the onConflict policy: "keep" the server value
+// (default), "overwrite" it, or "report" it and leave the word unchanged.
+
+const mongoose = require("mongoose");
+const Word = require("../model/Word");
+const scheduler = require("./scheduler");
+const { getRepository } = require("./wordRepository");
+const { recordCounterOperation } = require("./studyLog");
+const { validateWordUpdate } = require("./wordValidation");
+const { mergeEdit } = require("./wordMerge");
+const { keepEditedMnemonic } = require("./mnemonics");
+const { findSameWord, duplicateReason } = require("./wordIntake");
+const { wordKey } = require("./text");
+const {
+	VERSIONED_FIELDS,
+	snapshot,
+	latestVersions,
+	contentAt,
+	recordChange,
+} = require("./wordVersions");
+
+const OPERATION_TYPES = ["open", "revision", "edit"];
+// A pending operation claimed longer ago than this is applied again by a retry
+const CLAIM_LEASE_MS = 5 * 60 * 1000;
+const MAX_OPEN_COUNT = 100;
+const MAX_KEY_LENGTH = 100;
+
+// Writes can become visible a little after their timestamp, so every pull
+// also covers this much time before the previous one
+const SYNC_OVERLAP_MS = 5000;
+
+const encodeSyncToken = (since) =>
+	Buffer.from(JSON.stringify({ t: since.getTime() })).toString("base64url");
+
+/**
+ * @returns {Date|null} The time the token syncs from, null when invalid.
+ */
+const decodeSyncToken = (token) => {
+	try {
+		const parsed = JSON.parse(Buffer.from(token, "base64url").toString());
+		return Number.isFinite(parsed.t) ? new Date(parsed.t) : null;
+	} catch (error) {
+		return null;
+	}
+};
+
+const tombstone = ({ _id, word, deleted_at }) => ({ _id, word, deleted_at });
+
+/**
+ * Collects what changed for a user since a sync token was issued.
+ * @param {string} userId
+ * @param {Date|null} since The time of the token, null for a full sync.
+ * @returns {Promise<{token: string, reset: boolean, created: object[], updated: object[], deleted: object[], progress: object[]}>}
+ */
+const pullChanges = async (userId, since) => {
+	const now = new Date();
+	const retentionMs = Word.TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+	const from = since && now - since < retentionMs ? since : null;
+
+	const repository = getRepository();
+	const words = await repository.words.find(
+		from ? { updatedAt: { $gte: from } } : { deleted_at: null },
+		{ select: "-word_key -__v", sort: { updatedAt: 1, _id: 1 } }
+	);
+	const versions = await latestVersions(words.map((word) => word._id));
+
+	const changes = { created: [], updated: [], deleted: [] };
+	for (const word of words) {
+		if (word.deleted_at) {
+			changes.deleted.push(tombstone(word));
+			continue;
+		}
+		const list = from && word.createdAt < from ? "updated" : "created";
+		changes[list].push({ ...word, version: versions.get(word._id.toString()) });
+	}
+
+	const progress = await repository.progress.find(
+		{ user: userId, ...(from ? { updatedAt: { $gte: from } } : {}) },
+		{ select: "-user -__v" }
+	);
+
+	return {
+		token: encodeSyncToken(new Date(now.getTime() - SYNC_OVERLAP_MS)),
+		reset: !from,
+		...changes,
+		progress,
+	};
+};
+
+/**
+ * Checks one client operation.
+ * @returns {{operation?: object, error?: string}} The operation with its
+ * defaults filled in, or why it was rejected.
+ */
+const validateOperation = (input) => {
+	if (!input || typeof input !== "object" || Array.isArray(input)) {
+		return { error: "must be an object" };
+	}
+	const { id, type, wordId } = input;
+
+	if (typeof id !== "string" || !id || id.length > MAX_KEY_LENGTH) {
+		return {
+			error: `id must be a string of 1 to ${MAX_KEY_LENGTH} characters`,
+		};
+	}
+	if (!OPERATION_TYPES.includes(type)) {
+		return { error: "type must be one of " + OPERATION_TYPES.join(", ") };
+	}
+	if (!mongoose.Types.ObjectId.isValid(wordId)) {
+		return { error: "wordId is not a valid word ID" };
+	}
+
+	const at = input.at === undefined ? undefined : new Date(input.at);
+	if (at && isNaN(at)) return { error: "at must be a date" };
+	const operation = { id, type, wordId, at };
+
+	if (type === "open") {
+		const count = input.count === undefined ? 1 : input.count;
+		if (!Number.isInteger(count) || count < 1 || count > MAX_OPEN_COUNT) {
+			return { error: `count must be between 1 and ${MAX_OPEN_COUNT}` };
+		}
+		return { operation: { ...operation, count } };
+	}
+
+	if (type === "revision") {
+		const grade = input.grade === undefined ? "good" : input.grade;
+		if (!scheduler.isValidGrade(grade)) {
+			return { error: "grade must be one of " + scheduler.GRADES.join(", ") };
+		}
+		return { operation: { ...operation, grade } };
+	}
+
+	if (!Number.isInteger(input.baseVersion) || input.baseVersion < 0) {
+		return { error: "baseVersion must be a version number" };
+	}
+	const { changes, errors } = validateWordUpdate(input.changes);
+	for (const field of Object.keys(changes)) {
+		if (!VERSIONED_FIELDS.includes(field)) {
+			errors[field] = "cannot be changed through sync";
+		}
+	}
+	if (Object.keys(errors).length) {
+		return {
+			error: Object.entries(errors)
+				.map(([field, message]) => `${field} ${message}`)
+				.join("; "),
+		};
+	}
+	if (!Object.keys(changes).length) {
+		return { error: "changes must not be empty" };
+	}
+
+	return {
+		operation: { ...operation, baseVersion: input.baseVersion, changes },
+	};
+};
+
+const applyEdit = async (userId, word, operation, policy) => {
+	const fields = Object.keys(operation.changes);
+	const edited = snapshot({ ...word, ...operation.changes });
+	const { update, changes, conflicts } = mergeEdit(
+		snapshot(word),
+		await contentAt(word, operation.baseVersion),
+		edited,
+		fields,
+		policy
+	);
+
+	if (policy === "report" && conflicts.length) {
+		return { status: "conflict", changes: [], conflicts };
+	}
+	if (!changes.length) {
+		return {
+			status: conflicts.length ? "conflict" : "unchanged",
+			changes,
+			conflicts,
+		};
+	}
+
+	// Null clears a field
+	const set = {};
+	const unset = {};
+	for (const [field, value] of Object.entries(update)) {
+		if (value === null) unset[field] = 1;
+		else set[field] = value;
+	}
+
+	if (update.word && wordKey(update.word) !== wordKey(word.word)) {
+		const duplicate = await findSameWord(update.word, word._id);
+		if (duplicate) {
+			return {
+				status: "rejected",
+				reason: `The word "${update.word}" ${duplicateReason(duplicate)}`,
+			};
+		}
+	}
+
+	let updated;
+	try {
+		updated = await getRepository().words.updateOne(
+			{ _id: word._id, deleted_at: null },
+			{ $set: set, ...(Object.keys(unset).length ? { $unset: unset } : {}) }
+		);
+	} catch (error) {
+		if (error.code !== 11000) throw error;
+		return {
+			status: "rejected",
+			reason: `The word "${update.word}" already exists`,
+		};
+	}
+	if (!updated) return { status: "rejected", reason: "Word not found" };
+
+	const version = await recordChange(word._id, word, updated, {
+		source: "manual",
+		author: userId,
+	});
+	await keepEditedMnemonic(word, updated, {
+		source: "user",
+		author: userId,
+	});
+
+	return {
+		status: "applied",
+		changes,
+		conflicts,
+		version: version ? version.version : null,
+	};
+};
+
+const applyOperation = async (userId, operation, policy) => {
+	const word = await getRepository().words.findOne({
+		_id: operation.wordId,
+		deleted_at: null,
+	});
+	if (!word) return { status: "rejected", reason: "Word not found" };
+
+	const { id, type, wordId, at } = operation;
+	if (type === "open" || type === "revision") {
+		// Each event is keyed by the operation, so an operation retried after
+		// failing halfway only records the events that are still missing
+		await recordCounterOperation(userId, wordId, {
+			type,
+			count: type === "open" ? operation.count : 1,
+			grade: operation.grade,
+			key: id,
+			at,
+		});
+		return { status: "applied" };
+	}
+	return applyEdit(userId, word, operation, policy);
+};
+
+/**
+ * Applies a client operation unless an operation with the same key was
+ * applied before, in which case the stored result is returned with
+ * `replayed: true`. An operation that fails is forgotten so it can be retried,
+ * and one whose request died while applying it is taken over by a retry once
+ * its claim is older than CLAIM_LEASE_MS.
+ * @param {string} userId
+ * @param {object} operation A validated operation (see validateOperation).
+ * @param {"keep"|"overwrite"|"report"} policy Conflict policy of edits.
+ * @returns {Promise<object>} { id, type, wordId, status, ... } with status
+ * "applied", "unchanged", "conflict", "rejected", "failed" or "pending" (an
+ * earlier request is still applying it).
+ */
+const applyOnce = async (userId, operation, policy) => {
+	const { id: key, type, wordId } = operation;
+	const base = { id: key, type, wordId };
+	const claim = { user: userId, key };
+	const { syncOperations } = getRepository();
+	const claimedAt = new Date();
+	// Our claim: another request taking a stale claim over changes claimed_at
+	const ours = { ...claim, status: "pending", claimed_at: claimedAt };
+
+	try {
+		await syncOperations.insertOne({ ...claim, type, claimed_at: claimedAt });
+	} catch (error) {
+		if (error.code !== 11000) throw error;
+		const stored = await syncOperations.findOne(claim);
+		if (stored && stored.status === "done") {
+			return { ...stored.result, replayed: true };
+		}
+		const staleBefore = new Date(claimedAt.getTime() - CLAIM_LEASE_MS);
+		const takenOver =
+			stored &&
+			(await syncOperations.updateOne(
+				{
+					...claim,
+					status: "pending",
+					$or: [
+						{ claimed_at: { $lt: staleBefore } },
+						// Claimed before claims had a time
+						{ claimed_at: { $exists: false }, updatedAt: { $lt: staleBefore } },
+					],
+				},
+				{ $set: { claimed_at: claimedAt } }
+			));
+		if (!takenOver) return { ...base, status: "pending" };
+	}
+
+	try {
+		const result = {
+			...base,
+			...(await applyOperation(userId, operation, policy)),
+		};
+		await syncOperations.updateOne(ours, {
+			$set: { status: "done", result },
+		});
+		return result;
+	} catch (error) {
+		console.error("Error applying sync operation:", error);
+		await syncOperations.deleteMany(ours);
+		return { ...base, status: "failed", reason: "Failed to apply operation" };
+	}
+};
+
+module.exports = {
+	OPERATION_TYPES,
+	encodeSyncToken,
+	decodeSyncToken,
+	pullChanges,
+	validateOperation,
+	applyOnce,
+};
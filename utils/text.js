@@ -0,0 +1,21 @@
+// Escapes a user supplied string for use inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Trims and collapses runs of whitespace into single spaces
+const normalizeWhitespace = (value) =>
+	value.normalize("NFC").trim().replace(/\s+/g, " ");
+
+// Key two spellings of a word share when they only differ in case or spacing
+const wordKey = (word) => normalizeWhitespace(word).toLowerCase();
+
+// Matches the spellings with a key (see wordKey) in stored strings that were
+// never normalized: case-insensitively and with any whitespace between parts
+const spellingPattern = (key) =>
+	new RegExp(`^\\s*${key.split(" ").map(escapeRegex).join("\\s+")}\\s*$`, "i");
+
+module.exports = {
+	escapeRegex,
+	normalizeWhitespace,
+	wordKey,
+	spellingPattern,
+};
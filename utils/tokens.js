@@ -0,0 +1,140 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { getRepository } = require("./wordRepository");
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL = process.env.REFRESH_TOKEN_TTL || "30d";
+const ISSUER = "vocab-dictionary-server";
+
+// Scopes granted to a normal login: "write" covers the user's own study data
+// (progress, reviews, decks, quizzes)
+const DEFAULT_SCOPES = ["read", "write"];
+
+// Scopes of each account role (see model/User.js). "edit" covers the words
+// every user shares: adding, editing, deleting and importing them.
+const ROLE_SCOPES = {
+	learner: DEFAULT_SCOPES,
+	editor: [...DEFAULT_SCOPES, "edit"],
+};
+
+/**
+ * @param {string} [role]
+ * @returns {string[]} The scopes tokens of an account with the role get.
+ */
+const scopesFor = (role) => ROLE_SCOPES[role] || DEFAULT_SCOPES;
+
+const getSecret = () => {
+	const secret = process.env.JWT_SECRET;
+	if (!secret) {
+		throw new Error("JWT_SECRET is not defined in environment variables.");
+	}
+	return secret;
+};
+
+const sign = (payload, type, expiresIn) =>
+	jwt.sign({ ...payload, type }, getSecret(), {
+		expiresIn,
+		issuer: ISSUER,
+		jwtid: crypto.randomUUID(),
+	});
+
+/**
+ * Issues a fresh access/refresh token pair.
+ * @param {object} claims Claims to embed in both tokens (e.g. { sub, scope }).
+ * @returns {{accessToken: string, refreshToken: string, tokenType: string, expiresIn: number}}
+ */
+const issueTokens = (claims) => {
+	const payload = { scope: DEFAULT_SCOPES, ...claims };
+	const accessToken = sign(payload, "access", ACCESS_TOKEN_TTL);
+	const refreshToken = sign(payload, "refresh", REFRESH_TOKEN_TTL);
+	const { exp, iat } = jwt.decode(accessToken);
+
+	return {
+		accessToken,
+		refreshToken,
+		tokenType: "Bearer",
+		expiresIn: exp - iat,
+	};
+};
+
+/**
+ * Verifies a token's signature, expiry, type and revocation state.
+ * Throws an error with a `code` of TOKEN_EXPIRED, TOKEN_INVALID or TOKEN_REVOKED.
+ * @param {string} token The encoded JWT.
+ * @param {"access"|"refresh"} type The expected token type.
+ * @returns {Promise<object>} The decoded payload.
+ */
+const verifyToken = async (token, type) => {
+	let payload;
+	try {
+		payload = jwt.verify(token, getSecret(), { issuer: ISSUER });
+	} catch (error) {
+		throw tokenError(
+			error.name === "TokenExpiredError" ? "TOKEN_EXPIRED" : "TOKEN_INVALID",
+			error.name === "TokenExpiredError"
+				? "Token has expired"
+				: "Token is invalid"
+		);
+	}
+
+	if (payload.type !== type) {
+		throw tokenError("TOKEN_INVALID", `Expected an ${type} token`);
+	}
+
+	if (await getRepository().revokedTokens.count({ jti: payload.jti })) {
+		throw tokenError("TOKEN_REVOKED", "Token has been revoked");
+	}
+
+	return payload;
+};
+
+/**
+ * Adds a decoded token to the denylist until it expires.
+ * @param {object} payload A decoded token payload (needs jti, exp and type).
+ */
+const revokeToken = async (payload) => {
+	await getRepository().revokedTokens.updateOne(
+		{ jti: payload.jti },
+		{
+			$setOnInsert: {
+				jti: payload.jti,
+				type: payload.type,
+				expiresAt: new Date(payload.exp * 1000),
+			},
+		},
+		{ upsert: true }
+	);
+};
+
+/**
+ * Revokes a decoded token unless that already happened, so that only one of
+ * several concurrent uses of it goes through.
+ * Throws an error with a `code` of TOKEN_REVOKED when it was already revoked.
+ * @param {object} payload A decoded token payload (needs jti, exp and type).
+ */
+const claimToken = async (payload) => {
+	try {
+		await getRepository().revokedTokens.insertOne({
+			jti: payload.jti,
+			type: payload.type,
+			expiresAt: new Date(payload.exp * 1000),
+		});
+	} catch (error) {
+		if (error.code !== 11000) throw error;
+		throw tokenError("TOKEN_REVOKED", "Token has been revoked");
+	}
+};
+
+const tokenError = (code, message) => {
+	const error = new Error(message);
+	error.code = code;
+	return error;
+};
+
+module.exports = {
+	scopesFor,
+	issueTokens,
+	verifyToken,
+	revokeToken,
+	claimToken,
+};
@@ -0,0 +1,129 @@
+// Purging the trash.
+//
+// A word deleted through the API stays in the trash for TRASH_RETENTION_DAYS
+// (see model/Word.js), then it is purged together with everything kept about
+// it: the progress of every user, the study log, its versions and its
+// mnemonics; it also leaves the decks it was in. The long-running server
+// purges in the background (startTrashPurge); serverless deployments call
+// purgeTrash from the purge endpoint on a schedule. Quizzes and enrichment jobs keep the ids of the
+// words they were about, as a record of what happened.
+
+const Word = require("../model/Word");
+const { getRepository } = require("./wordRepository");
+
+const PURGE_INTERVAL_MS =
+	parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000;
+
+// Collections that hold documents about one word, in its `word` field
+const WORD_DEPENDENTS = [
+	"progress",
+	"studyEvents",
+	"wordVersions",
+	"mnemonics",
+];
+
+const removeDependents = async (wordIds) => {
+	const repository = getRepository();
+	const removed = {};
+	for (const name of WORD_DEPENDENTS) {
+		removed[name] = await repository[name].deleteMany(
+			{ word: { $in: wordIds } },
+			{ purge: true }
+		);
+	}
+	// Decks list their words instead of the words listing their decks
+	await repository.decks.updateMany(
+		{ words: { $in: wordIds } },
+		{ $pull: { words: { $in: wordIds } } }
+	);
+	return removed;
+};
+
+/**
+ * Purges the words that have been in the trash for TRASH_RETENTION_DAYS,
+ * with the documents about them.
+ * @param {{now?: Date}} [options]
+ * @returns {Promise<{words: number, progress: number, studyEvents: number, wordVersions: number, mnemonics: number}>}
+ * The number of documents purged from each collection.
+ */
+const purgeTrash = async ({ now = new Date() } = {}) => {
+	const { words } = getRepository();
+	const retentionMs = Word.TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+	const expired = await words.find(
+		{ deleted_at: { $lte: new Date(now.getTime() - retentionMs) } },
+		{ select: "_id" }
+	);
+	if (!expired.length) {
+		return {
+			words: 0,
+			...Object.fromEntries(WORD_DEPENDENTS.map((name) => [name, 0])),
+		};
+	}
+
+	const ids = expired.map((word) => word._id);
+	// Dependents go first: a purge that fails halfway is finished by the next
+	// one, as the words are still there to find
+	const removed = await removeDependents(ids);
+	// A word restored meanwhile is no longer in the trash and stays
+	const purged = await words.deleteMany({
+		_id: { $in: ids },
+		deleted_at: { $ne: null },
+	});
+	return { words: purged, ...removed };
+};
+
+/**
+ * Removes the documents about words that no longer exist, left behind when
+ * Mongo purged the trash by itself (see Word.dropTrashTtlIndex).
+ * @returns {Promise<{progress: number, studyEvents: number, wordVersions: number, mnemonics: number}>}
+ */
+const purgeOrphans = async () => {
+	const repository = getRepository();
+	const referenced = new Map();
+	for (const name of WORD_DEPENDENTS) {
+		for (const id of await repository[name].distinct("word", {})) {
+			referenced.set(id.toString(), id);
+		}
+	}
+
+	const existing = new Set(
+		(
+			await repository.words.distinct("_id", {
+				_id: { $in: [...referenced.values()] },
+			})
+		).map((id) => id.toString())
+	);
+	const missing = [...referenced.entries()]
+		.filter(([key]) => !existing.has(key))
+		.map(([, id]) => id);
+
+	return removeDependents(missing);
+};
+
+let purgeTimer;
+
+/**
+ * Purges the trash now and then every PURGE_INTERVAL_MS in the background.
+ * Only used by the long-running server.
+ */
+const startTrashPurge = () => {
+	if (purgeTimer) return;
+
+	const purge = () =>
+		purgeTrash()
+			.then(
+				({ words }) =>
+					words && console.log(`Purged ${words} words from the trash`)
+			)
+			.catch((error) => console.error("Error purging the trash:", error));
+
+	purge();
+	purgeTimer = setInterval(purge, PURGE_INTERVAL_MS);
+	purgeTimer.unref();
+};
+
+module.exports = {
+	purgeTrash,
+	purgeOrphans,
+	startTrashPurge,
+};
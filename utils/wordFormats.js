@@ -0,0 +1,304 @@
+// Conversion of words to and from the JSON, CSV and Anki (TSV) exchange formats.
+//
+// CSV has one row per word with a header. Meanings are spread over numbered
+// meaning_N / example_N columns and list fields are separated by "; ".
+//
+// The Anki format is a tab separated file Anki imports as Front/Back notes,
+// with the word tags in a third column (Anki tags cannot contain spaces).
+// The Back field is HTML with the meanings, mnemonic and breakdown; importing
+// reads that markup back, or takes the plain text as a meaning for notes that
+// were not created by this server.
+
+const { parseDelimited, stringifyDelimited } = require("./csv");
+const { CONTENT_FIELDS } = require("./wordValidation");
+
+const FORMATS = {
+	json: { contentType: "application/json", extension: "json" },
+	csv: { contentType: "text/csv", extension: "csv" },
+	anki: { contentType: "text/tab-separated-values", extension: "txt" },
+};
+
+const LIST_SEPARATOR = "; ";
+const SCALAR_COLUMNS = [
+	"word",
+	"pronunciation",
+	"origin",
+	"relate_with",
+	"mnemonic",
+	"breakdown",
+];
+
+const splitList = (value) =>
+	value
+		? value
+				.split(";")
+				.map((item) => item.trim())
+				.filter(Boolean)
+		: [];
+
+const escapeHtml = (text) =>
+	String(text)
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;");
+
+const unescapeHtml = (text) =>
+	text
+		.replace(/<br\s*\/?>/gi, "\n")
+		.replace(/<[^>]+>/g, "")
+		.replace(/&quot;/g, '"')
+		.replace(/&#39;/g, "'")
+		.replace(/&lt;/g, "<")
+		.replace(/&gt;/g, ">")
+		.replace(/&nbsp;/g, " ")
+		.replace(/&amp;/g, "&")
+		.trim();
+
+// Only the content fields are exchanged, never ids, counters or timestamps
+const toContent = (word) => {
+	const content = {};
+	for (const field of CONTENT_FIELDS) {
+		if (word[field] === undefined || word[field] === null) continue;
+		content[field] =
+			field === "meaning"
+				? word.meaning.map(({ meaning, example }) => ({ meaning, example }))
+				: word[field];
+	}
+	return content;
+};
+
+const toCsv = (words) => {
+	const meaningCount = Math.max(
+		1,
+		...words.map((w) => (w.meaning || []).length)
+	);
+	const meaningColumns = [];
+	for (let i = 1; i <= meaningCount; i++) {
+		meaningColumns.push(`meaning_${i}`, `example_${i}`);
+	}
+
+	const header = [
+		...SCALAR_COLUMNS,
+		"synonyms",
+		"antonyms",
+		"tags",
+		...meaningColumns,
+	];
+	const rows = words.map((word) => {
+		const meanings = [];
+		for (let i = 0; i < meaningCount; i++) {
+			const item = (word.meaning || [])[i] || {};
+			meanings.push(item.meaning || "", item.example || "");
+		}
+		return [
+			...SCALAR_COLUMNS.map((column) => word[column] || ""),
+			(word.synonyms || []).join(LIST_SEPARATOR),
+			(word.antonyms || []).join(LIST_SEPARATOR),
+			(word.tags || []).join(LIST_SEPARATOR),
+			...meanings,
+		];
+	});
+
+	return stringifyDelimited([header, ...rows]);
+};
+
+const ankiBack = (word) => {
+	const parts = [];
+
+	if (word.pronunciation) {
+		parts.push(
+			`<div class="pronunciation">${escapeHtml(word.pronunciation)}</div>`
+		);
+	}
+
+	const meanings = (word.meaning || []).filter((m) => m.meaning);
+	if (meanings.length) {
+		const items = meanings
+			.map(
+				(m) =>
+					`<li><span class="meaning">${escapeHtml(m.meaning)}</span>` +
+					(m.example
+						? `<br><i class="example">${escapeHtml(m.example)}</i>`
+						: "") +
+					"</li>"
+			)
+			.join("");
+		parts.push(`<ol class="meanings">${items}</ol>`);
+	}
+
+	for (const field of ["mnemonic", "breakdown", "origin"]) {
+		if (word[field]) {
+			parts.push(
+				`<div class="${field}"><b>${field}:</b> ${escapeHtml(
+					word[field]
+				)}</div>`
+			);
+		}
+	}
+
+	for (const field of ["synonyms", "antonyms"]) {
+		if ((word[field] || []).length) {
+			parts.push(
+				`<div class="${field}"><b>${field}:</b> ${escapeHtml(
+					word[field].join(LIST_SEPARATOR)
+				)}</div>`
+			);
+		}
+	}
+
+	return parts.join("");
+};
+
+const ankiTags = (word) =>
+	(word.tags || []).map((tag) => tag.replace(/\s+/g, "_")).join(" ");
+
+const toAnki = (words) =>
+	"#separator:tab\n#html:true\n#columns:Front\tBack\tTags\n#tags column:3\n" +
+	stringifyDelimited(
+		words.map((word) => [
+			escapeHtml(word.word),
+			ankiBack(word),
+			ankiTags(word),
+		]),
+		"\t"
+	);
+
+/**
+ * Serializes words in an exchange format.
+ * @param {object[]} words
+ * @param {"json"|"csv"|"anki"} format
+ * @returns {string}
+ */
+const exportWords = (words, format) => {
+	const contents = words.map(toContent);
+	if (format === "csv") return toCsv(contents);
+	if (format === "anki") return toAnki(contents);
+	return JSON.stringify(contents, null, 2);
+};
+
+const fromCsvRow = (header, row) => {
+	const value = (column) => {
+		const index = header.indexOf(column);
+		return index === -1 ? undefined : (row[index] || "").trim();
+	};
+
+	const word = {};
+	for (const column of SCALAR_COLUMNS) {
+		if (value(column)) word[column] = value(column);
+	}
+	for (const column of ["synonyms", "antonyms", "tags"]) {
+		if (value(column) !== undefined) word[column] = splitList(value(column));
+	}
+
+	const meaning = [];
+	for (let i = 1; header.includes(`meaning_${i}`); i++) {
+		const text = value(`meaning_${i}`);
+		const example = value(`example_${i}`);
+		if (text || example)
+			meaning.push({ meaning: text, example: example || undefined });
+	}
+	if (meaning.length) word.meaning = meaning;
+
+	return word;
+};
+
+const ankiSection = (back, className) => {
+	const match = back.match(
+		new RegExp(`<div class="${className}">(?:<b>[^<]*</b>)?([\\s\\S]*?)</div>`)
+	);
+	return match ? unescapeHtml(match[1]) : undefined;
+};
+
+const fromAnkiRow = ([front = "", back = "", tags = ""]) => {
+	const word = { word: unescapeHtml(front) };
+
+	if (tags.trim()) {
+		word.tags = tags
+			.trim()
+			.split(/\s+/)
+			.map((tag) => tag.replace(/_/g, " "));
+	}
+
+	const meaningList = back.match(/<ol class="meanings">([\s\S]*?)<\/ol>/);
+	if (!meaningList) {
+		// A note from another deck: the whole back is the meaning
+		const text = unescapeHtml(back);
+		if (text) word.meaning = [{ meaning: text }];
+		return word;
+	}
+
+	word.meaning = [...meaningList[1].matchAll(/<li>([\s\S]*?)<\/li>/g)].map(
+		([, item]) => {
+			const text = item.match(/<span class="meaning">([\s\S]*?)<\/span>/);
+			const example = item.match(/<i class="example">([\s\S]*?)<\/i>/);
+			return {
+				meaning: text ? unescapeHtml(text[1]) : unescapeHtml(item),
+				example: example ? unescapeHtml(example[1]) : undefined,
+			};
+		}
+	);
+
+	for (const field of ["pronunciation", "mnemonic", "breakdown", "origin"]) {
+		const value = ankiSection(back, field);
+		if (value) word[field] = value;
+	}
+	for (const field of ["synonyms", "antonyms"]) {
+		const value = ankiSection(back, field);
+		if (value) word[field] = splitList(value);
+	}
+
+	return word;
+};
+
+/**
+ * Parses an import file into raw word entries, one per row.
+ * @param {string|object[]} content File contents (JSON may already be parsed).
+ * @param {"json"|"csv"|"anki"} format
+ * @returns {{row: number, input: any}[]} row is the 1-based line (CSV/Anki) or
+ * array index + 1 (JSON).
+ * @throws {Error} When the content cannot be read at all.
+ */
+const parseImport = (content, format) => {
+	// Files saved by spreadsheet programs start with a byte order mark
+	if (typeof content === "string") content = content.replace(/^\uFEFF/, "");
+
+	if (format === "json") {
+		const parsed = typeof content === "string" ? JSON.parse(content) : content;
+		if (!Array.isArray(parsed))
+			throw new Error("JSON import must be an array of words");
+		return parsed.map((input, i) => ({ row: i + 1, input }));
+	}
+
+	if (typeof content !== "string") {
+		throw new Error(`A ${format} import must be sent as text`);
+	}
+
+	if (format === "csv") {
+		const [header, ...rows] = parseDelimited(content, ",");
+		if (!header || !header.map((h) => h.trim()).includes("word")) {
+			throw new Error('CSV import needs a header row with a "word" column');
+		}
+		const columns = header.map((h) => h.trim());
+		return rows.map((row, i) => ({
+			row: i + 2,
+			input: fromCsvRow(columns, row),
+		}));
+	}
+
+	// Anki: skip the "#key:value" file headers
+	const lines = content.split(/\r?\n/);
+	const headerLines = lines.findIndex((line) => !line.startsWith("#"));
+	const body = headerLines === -1 ? "" : lines.slice(headerLines).join("\n");
+
+	return parseDelimited(body, "\t").map((row, i) => ({
+		row: headerLines + i + 1,
+		input: fromAnkiRow(row),
+	}));
+};
+
+module.exports = {
+	FORMATS,
+	exportWords,
+	parseImport,
+};
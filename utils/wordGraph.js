@@ -0,0 +1,170 @@
+// Links between words through their synonyms and antonyms.
+//
+// Synonyms and antonyms are stored as plain strings. A string links to the
+// word of the collection with the same word_key, and every link goes both
+// ways: "pernicious" listing "insidious" links the two words even when
+// "insidious" does not list "pernicious" back. Strings without a matching
+// word stay unlinked.
+
+const { wordKey } = require("./text");
+
+const RELATIONS = ["synonyms", "antonyms"];
+
+// Following a link from a word reached through `path`: the synonym of an
+// antonym is an antonym, the antonym of an antonym a synonym
+const combine = (path, link) =>
+	path === link ? "synonyms" : path ? "antonyms" : link;
+
+/**
+ * Builds the graph of the given words.
+ * @param {object[]} words Words with _id, word, word_key, synonyms, antonyms.
+ * @returns {Map<string, {word: object, links: Map<string, "synonyms"|"antonyms">, unlinked: {synonyms: string[], antonyms: string[]}}>}
+ * Nodes by word id. A pair listed as both synonyms and antonyms keeps the
+ * relation seen first.
+ */
+const buildWordGraph = (words) => {
+	const nodes = new Map(
+		words.map((word) => [
+			word._id.toString(),
+			{ word, links: new Map(), unlinked: { synonyms: [], antonyms: [] } },
+		])
+	);
+	const byKey = new Map(
+		words.map((word) => [
+			word.word_key || wordKey(word.word),
+			word._id.toString(),
+		])
+	);
+
+	for (const [id, node] of nodes) {
+		for (const relation of RELATIONS) {
+			for (const value of node.word[relation] || []) {
+				const target = byKey.get(wordKey(value));
+				if (!target) {
+					node.unlinked[relation].push(value);
+					continue;
+				}
+				if (target === id) continue;
+				if (!node.links.has(target)) node.links.set(target, relation);
+				const back = nodes.get(target).links;
+				if (!back.has(id)) back.set(id, relation);
+			}
+		}
+	}
+
+	return nodes;
+};
+
+/**
+ * The words reachable from one word in up to `depth` links, nearest first.
+ * Every word is reported once, through the shortest path found.
+ * @param {Map} graph The output of buildWordGraph.
+ * @param {string} id
+ * @param {number} depth
+ * @returns {{word: object, relation: "synonyms"|"antonyms", hops: number, via: string|null}[]}
+ * `via` is the word the neighbour was reached through, null next to the start.
+ */
+const findRelated = (graph, id, depth) => {
+	const reached = new Map([[id, { relation: null, hops: 0 }]]);
+	const related = [];
+	let frontier = [id];
+
+	for (let hops = 1; hops <= depth && frontier.length; hops++) {
+		const next = [];
+		for (const from of frontier) {
+			const path = reached.get(from).relation;
+			for (const [to, link] of graph.get(from).links) {
+				if (reached.has(to)) continue;
+				const relation = combine(path, link);
+				reached.set(to, { relation, hops });
+				related.push({
+					word: graph.get(to).word,
+					relation,
+					hops,
+					via: from === id ? null : graph.get(from).word.word,
+				});
+				next.push(to);
+			}
+		}
+		frontier = next;
+	}
+
+	return related;
+};
+
+/**
+ * Groups of words held together by synonym links. Words with fewer than
+ * `minLinks` synonyms inside the group are dropped until every remaining word
+ * has enough (the k-core of the synonym graph), so a higher minLinks keeps
+ * only tightly knit groups.
+ * @param {Map} graph The output of buildWordGraph.
+ * @param {{minLinks?: number, minSize?: number}} [options]
+ * @returns {{words: object[], size: number, links: number, density: number}[]}
+ * Largest first. density is the share of the possible synonym pairs that are
+ * linked, 1 when every word is a synonym of every other.
+ */
+const findClusters = (graph, { minLinks = 1, minSize = 2 } = {}) => {
+	const synonyms = new Map();
+	for (const [id, node] of graph) {
+		synonyms.set(
+			id,
+			new Set(
+				[...node.links]
+					.filter(([, relation]) => relation === "synonyms")
+					.map(([to]) => to)
+			)
+		);
+	}
+
+	// Peel off words with too few links until every remaining word has enough
+	let pruned = true;
+	while (pruned) {
+		pruned = false;
+		for (const [id, links] of synonyms) {
+			if (links.size >= minLinks) continue;
+			for (const to of links) synonyms.get(to).delete(id);
+			synonyms.delete(id);
+			pruned = true;
+		}
+	}
+
+	const seen = new Set();
+	const clusters = [];
+	for (const start of synonyms.keys()) {
+		if (seen.has(start)) continue;
+		const members = [];
+		const stack = [start];
+		seen.add(start);
+		while (stack.length) {
+			const id = stack.pop();
+			members.push(id);
+			for (const to of synonyms.get(id)) {
+				if (seen.has(to)) continue;
+				seen.add(to);
+				stack.push(to);
+			}
+		}
+		if (members.length < minSize) continue;
+
+		const links =
+			members.reduce((sum, id) => sum + synonyms.get(id).size, 0) / 2;
+		const pairs = (members.length * (members.length - 1)) / 2;
+		clusters.push({
+			words: members
+				.map((id) => graph.get(id).word)
+				.sort((a, b) => a.word.localeCompare(b.word)),
+			size: members.length,
+			links,
+			density: Math.round((links / pairs) * 100) / 100,
+		});
+	}
+
+	return clusters.sort((a, b) => b.size - a.size || b.density - a.density);
+};
+
+module.exports = {
+	RELATIONS,
+	buildWordGraph,
+	findRelated,
+	findClusters,
+};
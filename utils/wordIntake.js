@@ -0,0 +1,271 @@
+const { spellingPattern, wordKey } = require("./text");
+const { validateWordShape } = require("./wordValidation");
+const { mergeIncoming } = require("./wordMerge");
+const { recordCreated, recordChange } = require("./wordVersions");
+const { keepEditedMnemonic } = require("./mnemonics");
+const { getRepository } = require("./wordRepository");
+
+/**
+ * Filter for the stored words, active or in the trash, with one of the keys.
+ * Words stored before word_key existed keep none until backfillWordKeys runs
+ * (see model/Word.js), they are matched by their spelling instead.
+ * @param {string[]} keys word_keys (see wordKey)
+ */
+const sameWordFilter = (keys) => ({
+	$or: [
+		{ word_key: { $in: keys } },
+		{
+			word_key: { $exists: false },
+			word: { $in: keys.map(spellingPattern) },
+		},
+	],
+});
+
+/**
+ * The stored word, active or in the trash, that has the spelling of `word`.
+ * @param {string} word
+ * @param {any} [exceptId] A word to leave out, e.g. the one being renamed.
+ * @returns {Promise<{_id: any, word: string, deleted_at: Date|null}|null>}
+ */
+const findSameWord = (word, exceptId) =>
+	getRepository().words.findOne(
+		{
+			...sameWordFilter([wordKey(word)]),
+			...(exceptId ? { _id: { $ne: exceptId } } : {}),
+		},
+		{ select: "_id word deleted_at" }
+	);
+
+/**
+ * Why a word cannot be added or renamed to the spelling of a stored word.
+ * @param {{deleted_at?: Date|null}} existing The stored word.
+ */
+const duplicateReason = (existing) =>
+	existing.deleted_at
+		? "already exists in the trash, restore it instead"
+		: "already exists";
+
+/**
+ * Validates and normalizes new word entries and sorts out the ones that
+ * repeat an earlier entry or a stored word (including words in the trash).
+ * @param {any[]} inputs Raw entries, e.g. the items of a request body.
+ * @returns {Promise<{word?: string, status: "new"|"duplicate"|"invalid", reasons: string[], value?: object, existing?: object}[]>}
+ * One result per input, in the same order. `value` holds the normalized entry
+ * of valid inputs, `existing` the stored word ({ _id, deleted_at }) a
+ * duplicate repeats, `repeats` the index of the earlier entry it repeats.
+ */
+const classifyNewWords = async (inputs) => {
+	const checked = inputs.map((input) => validateWordShape(input));
+	const keys = checked
+		.filter(({ errors }) => !errors.length)
+		.map(({ value }) => wordKey(value.word));
+
+	const existing = new Map(
+		(
+			await getRepository().words.find(sameWordFilter([...new Set(keys)]), {
+				select: "_id word word_key deleted_at",
+			})
+		).map((word) => [word.word_key || wordKey(word.word), word])
+	);
+	// Index of the first entry of each word_key
+	const seen = new Map();
+
+	return checked.map(({ value, errors }, i) => {
+		const input = inputs[i];
+		const word =
+			value.word ||
+			(input && typeof input.word === "string" ? input.word : undefined);
+
+		if (errors.length) return { word, status: "invalid", reasons: errors };
+
+		const key = wordKey(value.word);
+		if (seen.has(key)) {
+			return {
+				word,
+				status: "duplicate",
+				reasons: ["appears earlier in the same request"],
+				value,
+				repeats: seen.get(key),
+			};
+		}
+		seen.set(key, i);
+
+		if (existing.has(key)) {
+			return {
+				word,
+				status: "duplicate",
+				reasons: [duplicateReason(existing.get(key))],
+				value,
+				existing: existing.get(key),
+			};
+		}
+
+		return { word, status: "new", reasons: [], value };
+	});
+};
+
+/**
+ * Folds the entries that repeat an earlier entry of the same request into
+ * that entry with the merge policy (see mergeIncoming), so the first entry is
+ * added or merged with the content of all of them. Only entries that are
+ * written take repeats: new words and duplicates of active stored words.
+ * @param {object[]} results The output of classifyNewWords.
+ * @param {"keep"|"overwrite"|"report"} policy Conflict policy between the
+ * entries; with "report" a repeat that conflicts is left out.
+ * @returns {{results: object[], folds: Map<number, {into: number, status: "merged"|"unchanged"|"conflict", changes: object[], conflicts: object[]}>}}
+ * The results with the repeats folded into the first entries, and the outcome
+ * by index of each repeat.
+ */
+const foldRepeats = (results, policy) => {
+	const folded = results.map((result) => ({ ...result }));
+	const folds = new Map();
+
+	folded.forEach((result, index) => {
+		if (result.repeats === undefined) return;
+		const first = folded[result.repeats];
+		if (
+			first.status !== "new" &&
+			(!first.existing || first.existing.deleted_at)
+		) {
+			return;
+		}
+
+		const { update, changes, conflicts } = mergeIncoming(
+			first.value,
+			result.value,
+			policy
+		);
+		const outcome = { into: result.repeats, changes, conflicts };
+
+		if (policy === "report" && conflicts.length) {
+			folds.set(index, {
+				...outcome,
+				status: "conflict",
+				changes: [],
+				pendingChanges: changes,
+			});
+			return;
+		}
+
+		first.value = { ...first.value, ...update };
+		folds.set(index, {
+			...outcome,
+			status: changes.length ? "merged" : "unchanged",
+		});
+	});
+
+	return { results: folded, folds };
+};
+
+/**
+ * Inserts normalized words. The unique index on word_key has the last say:
+ * a word that was added by a concurrent request in the meantime is not
+ * inserted and reported back instead of failing the whole batch.
+ * Each inserted word gets its first version, and its mnemonic becomes the
+ * first of its mnemonics.
+ * @param {object[]} values
+ * @param {{source: "create"|"import", author: string}} meta Version source.
+ * @returns {Promise<{inserted: object[], raced: Set<string>}>} The inserted
+ * words and the word_keys that were already taken.
+ */
+const insertNewWords = async (values, meta) => {
+	const { inserted, duplicates } = await getRepository().words.insertMany(
+		values
+	);
+	if (inserted.length) await recordCreated(inserted, meta);
+
+	const withMnemonic = inserted.filter((word) => word.mnemonic);
+	if (withMnemonic.length) {
+		await getRepository().mnemonics.insertMany(
+			withMnemonic.map((word) => ({
+				word: word._id,
+				mnemonic: word.mnemonic,
+				breakdown: word.breakdown,
+				source: meta.source === "import" ? "import" : "user",
+				author: meta.author,
+			}))
+		);
+	}
+
+	return {
+		inserted,
+		raced: new Set(duplicates.map((value) => wordKey(value.word))),
+	};
+};
+
+/**
+ * Merges the entries classified as duplicates of active stored words into
+ * those words (see mergeIncoming). Duplicates of words in the trash or of an
+ * earlier entry are left alone.
+ * @param {object[]} results The output of classifyNewWords.
+ * @param {"keep"|"overwrite"|"report"} policy Conflict policy.
+ * @param {string} author Id of the user, for the version history.
+ * @returns {Promise<Map<number, {wordId: string, status: "merged"|"unchanged"|"conflict", changes: object[], conflicts: object[]}>>}
+ * The outcome by index of the result.
+ */
+const mergeIntoStored = async (results, policy, author) => {
+	const targets = results
+		.map((result, index) => ({ ...result, index }))
+		.filter((r) => r.existing && !r.existing.deleted_at);
+
+	const { words } = getRepository();
+	const stored = new Map(
+		(
+			await words.find({
+				_id: { $in: targets.map((t) => t.existing._id) },
+				deleted_at: null,
+			})
+		).map((word) => [word._id.toString(), word])
+	);
+	const outcomes = new Map();
+
+	for (const target of targets) {
+		const word = stored.get(target.existing._id.toString());
+		if (!word) continue;
+
+		const { update, changes, conflicts } = mergeIncoming(
+			word,
+			target.value,
+			policy
+		);
+		const outcome = { wordId: word._id, changes, conflicts };
+
+		if (policy === "report" && conflicts.length) {
+			outcomes.set(target.index, {
+				...outcome,
+				status: "conflict",
+				// Nothing was written, these changes would have been made
+				changes: [],
+				pendingChanges: changes,
+			});
+			continue;
+		}
+
+		if (changes.length) {
+			const merged = await words.updateOne(
+				{ _id: word._id, deleted_at: null },
+				{ $set: update }
+			);
+			// Moved to the trash in the meantime
+			if (!merged) continue;
+			await recordChange(word._id, word, merged, { source: "merge", author });
+			await keepEditedMnemonic(word, merged, { source: "user", author });
+		}
+		outcomes.set(target.index, {
+			...outcome,
+			status: changes.length ? "merged" : "unchanged",
+		});
+	}
+
+	return outcomes;
+};
+
+module.exports = {
+	sameWordFilter,
+	findSameWord,
+	duplicateReason,
+	classifyNewWords,
+	foldRepeats,
+	insertNewWords,
+	mergeIntoStored,
+};
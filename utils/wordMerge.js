@@ -0,0 +1,252 @@
+const { isEmptyValue, MAX_ITEMS } = require("./wordValidation");
+const { normalizeWhitespace } = require("./text");
+
+// Values models use when they have nothing to say
+const PLACEHOLDERS = [
+	"n/a",
+	"na",
+	"none",
+	"unknown",
+	"null",
+	"undefined",
+	"tbd",
+	"-",
+];
+
+const isPlaceholder = (value) =>
+	typeof value === "string" &&
+	PLACEHOLDERS.includes(value.trim().toLowerCase());
+
+// Number of meanings that actually carry a meaning, examples count half
+const meaningScore = (meanings) =>
+	(meanings || []).reduce(
+		(score, item) =>
+			score +
+			(isEmptyValue(item.meaning) ? 0 : 1) +
+			(isEmptyValue(item.example) ? 0 : 0.5),
+		0
+	);
+
+/**
+ * Decides which generated fields may replace a word's current content. A
+ * generated value never replaces a good value with an empty or placeholder
+ * one, nor with fewer meanings, synonyms or antonyms than the word has today.
+ * @param {object} existing The current word.
+ * @param {object} generated Validated generated fields.
+ * @param {string[]} fields The fields to consider.
+ * @returns {{update: object, kept: {field: string, reason: string}[]}} The
+ * fields to write, and the fields left untouched with the reason why.
+ */
+const mergeGenerated = (existing, generated, fields) => {
+	const update = {};
+	const kept = [];
+
+	for (const field of fields) {
+		const next = generated[field];
+		const current = existing[field];
+
+		if (next === undefined) continue;
+
+		const currentIsEmpty = isEmptyValue(current) || isPlaceholder(current);
+
+		if (isEmptyValue(next) || isPlaceholder(next)) {
+			if (!currentIsEmpty) {
+				kept.push({ field, reason: "generated value is empty" });
+			}
+			continue;
+		}
+
+		if (!currentIsEmpty) {
+			if (field === "meaning" && meaningScore(next) < meaningScore(current)) {
+				kept.push({ field, reason: "generated value has fewer meanings" });
+				continue;
+			}
+
+			if (
+				field !== "meaning" &&
+				Array.isArray(current) &&
+				next.length < current.length
+			) {
+				kept.push({ field, reason: "generated value has fewer items" });
+				continue;
+			}
+		}
+
+		update[field] = next;
+	}
+
+	return { update, kept };
+};
+
+// Conflict policies and what they do with the conflicting field
+const RESOLUTIONS = {
+	keep: "kept",
+	overwrite: "overwritten",
+	report: "reported",
+};
+const CONFLICT_POLICIES = Object.keys(RESOLUTIONS);
+
+const LIST_FIELDS = ["synonyms", "antonyms", "tags"];
+
+// Texts that only differ in case or spacing are the same
+const sameText = (a, b) =>
+	normalizeWhitespace(a).toLowerCase() === normalizeWhitespace(b).toLowerCase();
+
+const plainMeanings = (meanings) =>
+	(meanings || []).map(({ _id, meaning, example }) => ({
+		...(_id ? { _id } : {}),
+		meaning,
+		...(isEmptyValue(example) ? {} : { example }),
+	}));
+
+// New meanings are appended, a known meaning only gains a missing example
+const mergeMeanings = (current, incoming) => {
+	const merged = plainMeanings(current);
+	const added = [];
+	const examples = [];
+
+	for (const item of incoming) {
+		const match = merged.find((m) => sameText(m.meaning, item.meaning));
+
+		if (!match) {
+			if (merged.length >= MAX_ITEMS.meaning) break;
+			merged.push(item);
+			added.push(item);
+		} else if (isEmptyValue(match.example) && !isEmptyValue(item.example)) {
+			match.example = item.example;
+			examples.push({ meaning: match.meaning, example: item.example });
+		}
+	}
+
+	return { merged, added, examples };
+};
+
+const mergeList = (field, current, incoming) => {
+	const merged = [...(current || [])];
+	const added = [];
+
+	for (const item of incoming) {
+		if (merged.some((m) => sameText(m, item))) continue;
+		if (merged.length >= MAX_ITEMS[field]) break;
+		merged.push(item);
+		added.push(item);
+	}
+
+	return { merged, added };
+};
+
+/**
+ * Merges a posted entry into a stored word. Meanings are appended (deduped by
+ * their text), list fields are unioned and empty fields are filled. A scalar
+ * field that already holds a different value is a conflict, resolved by the
+ * policy: "keep" the stored value, "overwrite" it, or "report" it, in which
+ * case nothing of the entry should be written.
+ * @param {object} existing The stored word.
+ * @param {object} incoming A validated, normalized entry.
+ * @param {"keep"|"overwrite"|"report"} policy
+ * @returns {{update: object, changes: object[], conflicts: object[]}} The
+ * fields to write, a diff entry per changed field and the conflicts found.
+ */
+const mergeIncoming = (existing, incoming, policy = "keep") => {
+	const update = {};
+	const changes = [];
+	const conflicts = [];
+
+	for (const [field, next] of Object.entries(incoming)) {
+		if (field === "word" || isEmptyValue(next)) continue;
+		const current = existing[field];
+
+		if (field === "meaning") {
+			const { merged, added, examples } = mergeMeanings(current, next);
+			if (added.length || examples.length) {
+				update.meaning = merged;
+				changes.push({ field, added, examplesAdded: examples });
+			}
+			continue;
+		}
+
+		if (LIST_FIELDS.includes(field)) {
+			const { merged, added } = mergeList(field, current, next);
+			if (added.length) {
+				update[field] = merged;
+				changes.push({ field, added });
+			}
+			continue;
+		}
+
+		if (isEmptyValue(current) || isPlaceholder(current)) {
+			update[field] = next;
+			changes.push({ field, from: current || null, to: next });
+			continue;
+		}
+
+		if (sameText(current, next)) continue;
+
+		conflicts.push({
+			field,
+			current,
+			incoming: next,
+			resolution: RESOLUTIONS[policy],
+		});
+		if (policy === "overwrite") {
+			update[field] = next;
+			changes.push({ field, from: current, to: next });
+		}
+	}
+
+	return { update, changes, conflicts };
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Three-way merge of an edit made on an older copy of a word. A field the
+ * edit changes is applied when nobody else changed it since the copy was
+ * taken; when the stored value moved on too (and differs from the edit) it is
+ * a conflict, resolved by the policy as in mergeIncoming. Without the base
+ * copy every field that differs from the stored value is a conflict.
+ * All three arguments are content snapshots (see wordVersions.snapshot).
+ * @param {object} current The stored content.
+ * @param {object|null} base The content the edit was made on, if known.
+ * @param {object} edited The content after the edit.
+ * @param {string[]} fields The fields the edit touches.
+ * @param {"keep"|"overwrite"|"report"} policy
+ * @returns {{update: object, changes: object[], conflicts: object[]}}
+ */
+const mergeEdit = (current, base, edited, fields, policy = "keep") => {
+	const update = {};
+	const changes = [];
+	const conflicts = [];
+
+	for (const field of fields) {
+		if (sameValue(current[field], edited[field])) continue;
+
+		if (base && sameValue(current[field], base[field])) {
+			update[field] = edited[field];
+			changes.push({ field, from: current[field], to: edited[field] });
+			continue;
+		}
+
+		conflicts.push({
+			field,
+			base: base ? base[field] : null,
+			current: current[field],
+			incoming: edited[field],
+			resolution: RESOLUTIONS[policy],
+		});
+		if (policy === "overwrite") {
+			update[field] = edited[field];
+			changes.push({ field, from: current[field], to: edited[field] });
+		}
+	}
+
+	return { update, changes, conflicts };
+};
+
+module.exports = {
+	CONFLICT_POLICIES,
+	isPlaceholder,
+	mergeGenerated,
+	mergeIncoming,
+	mergeEdit,
+};
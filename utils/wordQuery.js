@@ -0,0 +1,329 @@
+// Parsing of the composable word list query (GET /words).
+//
+// Filters, sort keys and the projection are read from the query string and
+// turned into aggregation stages. Pagination uses an opaque cursor holding the
+// sort values of the last word of a page: the next page starts right after
+// that word in the sort order, so words added while a client scrolls never
+// shift a page and nothing is skipped or returned twice.
+
+const mongoose = require("mongoose");
+const { escapeRegex } = require("./text");
+const { CONTENT_FIELDS } = require("./wordValidation");
+const { PROGRESS_DEFAULTS } = require("./progress");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Fields matched by the free text filter (?q=)
+const TEXT_FIELDS = [
+	"word",
+	"meaning.meaning",
+	"meaning.example",
+	"synonyms",
+	"antonyms",
+	"mnemonic",
+	"breakdown",
+];
+
+// Fields that can be checked with ?has= and ?missing=
+const PRESENCE_FIELDS = [
+	"mnemonic",
+	"breakdown",
+	"origin",
+	"pronunciation",
+	"relate_with",
+	"meaning",
+	"synonyms",
+	"antonyms",
+	"tags",
+];
+
+const SORT_FIELDS = [
+	"word",
+	"createdAt",
+	"updatedAt",
+	"no_of_times_opened",
+	"no_of_times_revised",
+	"due_date",
+	"last_reviewed_at",
+	"ease",
+	"interval",
+	"lapses",
+];
+
+// Named sorts, the same orders as getWordsByType
+const SORT_PRESETS = {
+	normal: ["due_date", "no_of_times_revised"],
+	least_revised: ["no_of_times_revised"],
+	most_revised: ["-no_of_times_revised"],
+	most_difficult: ["-no_of_times_opened"],
+	least_opened: ["no_of_times_opened"],
+	newest_first: ["-createdAt"],
+	oldest_first: ["createdAt"],
+	alphabetical: ["word"],
+	reverse_alphabetical: ["-word"],
+};
+
+const PROJECTABLE_FIELDS = [
+	...CONTENT_FIELDS,
+	...Object.keys(PROGRESS_DEFAULTS),
+	"due_date",
+	"createdAt",
+	"updatedAt",
+];
+
+// Range filters: query parameter prefix -> field and value type
+const RANGE_FILTERS = {
+	opened: { field: "no_of_times_opened", type: "number" },
+	revised: { field: "no_of_times_revised", type: "number" },
+	created: { field: "createdAt", type: "date" },
+	updated: { field: "updatedAt", type: "date" },
+};
+
+// Progress fields only exist after withProgress, filters on them run later
+const isProgressField = (field) =>
+	field in PROGRESS_DEFAULTS || field === "due_date";
+
+const splitList = (value) =>
+	String(value)
+		.split(",")
+		.map((item) => item.trim())
+		.filter(Boolean);
+
+const readRange = (query, name, { type }, errors) => {
+	const [minKey, maxKey] =
+		type === "date"
+			? [`${name}From`, `${name}To`]
+			: [`${name}Min`, `${name}Max`];
+	const range = {};
+
+	for (const [key, operator] of [
+		[minKey, "$gte"],
+		[maxKey, "$lte"],
+	]) {
+		if (query[key] === undefined) continue;
+		const value = type === "date" ? new Date(query[key]) : Number(query[key]);
+		if (isNaN(value)) {
+			errors.push(`${key} must be a ${type}`);
+		} else {
+			range[operator] = value;
+		}
+	}
+
+	return Object.keys(range).length ? range : null;
+};
+
+const missingCondition = (field) =>
+	["meaning", "synonyms", "antonyms", "tags"].includes(field)
+		? { $or: [{ [field]: { $exists: false } }, { [field]: { $size: 0 } }] }
+		: { [field]: { $in: [null, ""] } };
+
+const hasCondition = (field) =>
+	["meaning", "synonyms", "antonyms", "tags"].includes(field)
+		? { [`${field}.0`]: { $exists: true } }
+		: { [field]: { $nin: [null, ""] } };
+
+const readSort = (value, errors) => {
+	const keys = [];
+
+	for (const item of splitList(value || "normal")) {
+		for (const key of SORT_PRESETS[item] || [item]) {
+			const field = key.replace(/^-/, "");
+			if (!SORT_FIELDS.includes(field)) {
+				errors.push(
+					`Unknown sort "${item}". Use a sort type (` +
+						Object.keys(SORT_PRESETS).join(", ") +
+						") or a field (" +
+						SORT_FIELDS.join(", ") +
+						'), prefixed with "-" for descending order'
+				);
+				return [];
+			}
+			// The first occurrence of a field decides its order
+			if (!keys.some((k) => k.field === field)) {
+				keys.push({ field, direction: key.startsWith("-") ? -1 : 1 });
+			}
+		}
+	}
+
+	return keys;
+};
+
+// Cursor values are JSON, dates and ids are tagged so they can be restored
+const encodeValue = (value) => {
+	if (value instanceof Date) return { $date: value.toISOString() };
+	if (value instanceof mongoose.Types.ObjectId)
+		return { $oid: value.toString() };
+	return value === undefined ? null : value;
+};
+
+const decodeValue = (value) => {
+	if (value && typeof value === "object") {
+		if (value.$date) return new Date(value.$date);
+		if (value.$oid) return new mongoose.Types.ObjectId(value.$oid);
+	}
+	return value;
+};
+
+const sortSignature = (sortKeys) =>
+	sortKeys.map((k) => (k.direction < 0 ? "-" : "") + k.field).join(",");
+
+/**
+ * Builds the cursor that continues a listing after the given word.
+ * @param {object} word The last word of a page, with its sort fields.
+ * @param {{field: string, direction: number}[]} sortKeys
+ * @returns {string}
+ */
+const encodeCursor = (word, sortKeys) =>
+	Buffer.from(
+		JSON.stringify({
+			s: sortSignature(sortKeys),
+			v: sortKeys.map((k) => encodeValue(word[k.field])),
+			id: word._id.toString(),
+		})
+	).toString("base64url");
+
+const decodeCursor = (cursor, sortKeys) => {
+	try {
+		const parsed = JSON.parse(Buffer.from(cursor, "base64url").toString());
+		if (
+			parsed.s !== sortSignature(sortKeys) ||
+			!Array.isArray(parsed.v) ||
+			parsed.v.length !== sortKeys.length ||
+			!mongoose.Types.ObjectId.isValid(parsed.id)
+		) {
+			return null;
+		}
+		return {
+			values: parsed.v.map(decodeValue),
+			id: new mongoose.Types.ObjectId(parsed.id),
+		};
+	} catch (error) {
+		return null;
+	}
+};
+
+// Condition for values that sort after `value` in the given direction. Mongo
+// sorts null before any other value.
+const after = (field, value, direction) => {
+	if (value === null) {
+		return direction > 0 ? { [field]: { $ne: null } } : null;
+	}
+	return direction > 0
+		? { [field]: { $gt: value } }
+		: { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+// Matches the words that come after the cursor position in the sort order
+const cursorCondition = ({ values, id }, sortKeys) => {
+	const branches = [];
+
+	for (let i = 0; i <= sortKeys.length; i++) {
+		const equal = {};
+		for (let j = 0; j < i; j++) equal[sortKeys[j].field] = values[j];
+
+		const next =
+			i < sortKeys.length
+				? after(sortKeys[i].field, values[i], sortKeys[i].direction)
+				: { _id: { $gt: id } };
+		if (next) branches.push({ $and: [equal, next] });
+	}
+
+	return { $or: branches };
+};
+
+/**
+ * Reads the list query into the parts of an aggregation.
+ * @param {object} query The request query.
+ * @returns {{value: {match: object, progressMatch: object, sortKeys: object[], sort: object, projection: object|null, limit: number, cursor: object|null}, errors: string[]}}
+ */
+const parseListQuery = (query) => {
+	const errors = [];
+	const match = {};
+	const progressMatch = {};
+	const and = [];
+
+	if (typeof query.q === "string" && query.q.trim()) {
+		const regex = { $regex: escapeRegex(query.q.trim()), $options: "i" };
+		and.push({ $or: TEXT_FIELDS.map((field) => ({ [field]: regex })) });
+	}
+
+	if (typeof query.origin === "string" && query.origin.trim()) {
+		match.origin = {
+			$regex: `\\b${escapeRegex(query.origin.trim())}\\b`,
+			$options: "i",
+		};
+	}
+
+	for (const [name, filter] of Object.entries(RANGE_FILTERS)) {
+		const range = readRange(query, name, filter, errors);
+		if (!range) continue;
+		if (isProgressField(filter.field)) progressMatch[filter.field] = range;
+		else match[filter.field] = range;
+	}
+
+	for (const [param, condition] of [
+		["has", hasCondition],
+		["missing", missingCondition],
+	]) {
+		if (query[param] === undefined) continue;
+		for (const field of splitList(query[param])) {
+			if (PRESENCE_FIELDS.includes(field)) and.push(condition(field));
+			else
+				errors.push(
+					`${param} supports: ${PRESENCE_FIELDS.join(", ")} (got "${field}")`
+				);
+		}
+	}
+
+	if (and.length) match.$and = and;
+
+	const sortKeys = readSort(query.sort, errors);
+	const sort = {};
+	for (const { field, direction } of sortKeys) sort[field] = direction;
+	sort._id = 1;
+
+	let projection = null;
+	if (query.fields !== undefined) {
+		const fields = splitList(query.fields);
+		const unknown = fields.filter(
+			(field) => !PROJECTABLE_FIELDS.includes(field)
+		);
+		if (unknown.length) {
+			errors.push(
+				"Unknown fields: " +
+					unknown.join(", ") +
+					". Supported fields: " +
+					PROJECTABLE_FIELDS.join(", ")
+			);
+		} else {
+			projection = { _id: 1 };
+			for (const field of fields) projection[field] = 1;
+		}
+	}
+
+	const limit =
+		query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit);
+	if (!(limit >= 1 && limit <= MAX_LIMIT)) {
+		errors.push(`limit must be between 1 and ${MAX_LIMIT}`);
+	}
+
+	let cursor = null;
+	if (query.cursor !== undefined && !errors.length) {
+		cursor = decodeCursor(String(query.cursor), sortKeys);
+		if (!cursor) errors.push("Invalid cursor for this sort");
+	}
+
+	return {
+		value: { match, progressMatch, sortKeys, sort, projection, limit, cursor },
+		errors,
+	};
+};
+
+module.exports = {
+	SORT_PRESETS,
+	SORT_FIELDS,
+	parseListQuery,
+	cursorCondition,
+	encodeCursor,
+};
@@ -0,0 +1,535 @@
+// Storage behind every collection the routes use: words, study progress, the
+// study log, word versions, mnemonics, revoked tokens, accounts, decks,
+// quizzes, sync operations, enrichment jobs and AI usage.
+//
+// WORD_REPOSITORY picks the repository: "mongo" (default) keeps everything in
+// MongoDB through the Mongoose models; "memory" keeps it in the process, so
+// the API runs without a database (e.g. locally or in integration tests). The
+// memory repository validates documents with the same schemas, enforces their
+// unique indexes and answers queries with utils/memoryQuery.js. Any object
+// with the same collections and methods can be plugged in with setRepository().
+//
+// Repository interface (every method returns a Promise):
+//   words, progress, studyEvents, studySessions, wordVersions, mnemonics,
+//   revokedTokens, users, decks, quizzes, syncOperations, enrichmentJobs,
+//   aiUsage
+//     find(filter, { sort, skip, limit, select })  -> plain documents
+//     findOne(filter, { sort, select })            -> document or null
+//     count(filter)
+//     distinct(field, filter)
+//     insertOne(values)                            -> document, a broken unique
+//                                                     index throws code 11000
+//     insertMany(values)                           -> { inserted, duplicates }
+//                                                     values that broke a unique
+//                                                     index are skipped
+//     updateOne(filter, update, { upsert, sort, arrayFilters })
+//                                                  -> updated document or null
+//     updateMany(filter, update)                   -> number of matched documents
+//     deleteMany(filter, { purge })                -> number of deleted documents,
+//                                                     study events can only be
+//                                                     deleted with purge: true
+//     aggregate(pipeline)                          -> plain documents, the
+//                                                     memory repository runs
+//                                                     the stages listed in
+//                                                     utils/memoryQuery.js
+//   findWithProgress(userId, { match, filter, sort, skip, limit, select })
+//     Words matching `match` with the progress of the user merged in (see
+//     withProgress), then filtered with `filter`, which may use the progress
+//     fields
+//   countWithProgress(userId, { match, filter })
+//   ensureProgress(userId, wordId)                 -> the progress, created
+//                                                     with defaults if needed
+//   updateProgress(userId, wordId, update, conditions) -> the progress, null
+//                                                     when the conditions did
+//                                                     not match
+
+const Word = require("../model/Word");
+const Progress = require("../model/Progress");
+const StudyEvent = require("../model/StudyEvent");
+const StudySession = require("../model/StudySession");
+const WordVersion = require("../model/WordVersion");
+const Mnemonic = require("../model/Mnemonic");
+const RevokedToken = require("../model/RevokedToken");
+const User = require("../model/User");
+const Deck = require("../model/Deck");
+const Quiz = require("../model/Quiz");
+const SyncOperation = require("../model/SyncOperation");
+const EnrichmentJob = require("../model/EnrichmentJob");
+const AiUsage = require("../model/AiUsage");
+const {
+	PROGRESS_DEFAULTS,
+	withProgress,
+	mergeProgress,
+} = require("./progress");
+const {
+	clone,
+	equals,
+	matches,
+	applyUpdate,
+	compareBy,
+	project,
+	aggregate,
+} = require("./memoryQuery");
+
+const MODELS = {
+	words: Word,
+	progress: Progress,
+	studyEvents: StudyEvent,
+	studySessions: StudySession,
+	wordVersions: WordVersion,
+	mnemonics: Mnemonic,
+	revokedTokens: RevokedToken,
+	users: User,
+	decks: Deck,
+	quizzes: Quiz,
+	syncOperations: SyncOperation,
+	enrichmentJobs: EnrichmentJob,
+	aiUsage: AiUsage,
+};
+
+// Fields findWithProgress adds to the words
+const PROGRESS_FIELDS = [...Object.keys(PROGRESS_DEFAULTS), "due_date"];
+
+const isEmpty = (filter) => !filter || !Object.keys(filter).length;
+
+const createMongoCollection = (Model) => ({
+	find(filter, { sort, skip, limit, select } = {}) {
+		const query = Model.find(filter);
+		if (select) query.select(select);
+		if (sort) query.sort(sort);
+		if (skip) query.skip(skip);
+		if (limit) query.limit(limit);
+		return query.lean();
+	},
+
+	findOne(filter, { sort, select } = {}) {
+		const query = Model.findOne(filter);
+		if (select) query.select(select);
+		if (sort) query.sort(sort);
+		return query.lean();
+	},
+
+	count(filter) {
+		return Model.countDocuments(filter);
+	},
+
+	distinct(field, filter) {
+		return Model.distinct(field, filter);
+	},
+
+	async insertOne(values) {
+		const doc = await Model.create(values);
+		return doc.toObject({ flattenMaps: true });
+	},
+
+	async insertMany(values) {
+		const docs = values.map((value) => new Model(value));
+
+		try {
+			await Model.insertMany(docs, { ordered: false });
+			return {
+				inserted: docs.map((doc) => doc.toObject({ flattenMaps: true })),
+				duplicates: [],
+			};
+		} catch (error) {
+			const writeErrors = error.writeErrors || [];
+			if (!writeErrors.length || writeErrors.some((e) => e.code !== 11000)) {
+				throw error;
+			}
+
+			const inserted = await Model.find({
+				_id: { $in: docs.map((doc) => doc._id) },
+			}).lean();
+			const insertedIds = new Set(inserted.map((doc) => doc._id.toString()));
+
+			return {
+				inserted,
+				duplicates: docs
+					.filter((doc) => !insertedIds.has(doc.id))
+					.map((doc) => doc.toObject({ flattenMaps: true })),
+			};
+		}
+	},
+
+	updateOne(filter, update, { upsert = false, sort, arrayFilters } = {}) {
+		return Model.findOneAndUpdate(filter, update, {
+			new: true,
+			upsert,
+			sort,
+			arrayFilters,
+			runValidators: true,
+			setDefaultsOnInsert: true,
+		}).lean();
+	},
+
+	async updateMany(filter, update) {
+		const result = await Model.updateMany(filter, update, {
+			runValidators: true,
+		});
+		return result.matchedCount;
+	},
+
+	async deleteMany(filter, { purge } = {}) {
+		return (await Model.deleteMany(filter, purge ? { purge } : {}))
+			.deletedCount;
+	},
+
+	aggregate(pipeline) {
+		return Model.aggregate(pipeline);
+	},
+});
+
+const duplicateKeyError = (Model, fields) => {
+	const error = new Error(
+		`E11000 duplicate key error collection: ${Model.collection.name} ` +
+			`index: ${fields.join("_")}`
+	);
+	error.code = 11000;
+	return error;
+};
+
+// The equality conditions of a filter, the start of a document an upsert
+// inserts
+const insertBase = (filter) => {
+	const base = {};
+	for (const [field, value] of Object.entries(filter)) {
+		const operators =
+			value !== null &&
+			typeof value === "object" &&
+			Object.keys(value).some((key) => key.startsWith("$"));
+		if (!field.startsWith("$") && !operators) base[field] = value;
+	}
+	return base;
+};
+
+// Whether two values take the same place in a unique index. A collation of
+// strength 1 or 2 ignores case, like the deck names.
+const sameIndexKey = (a, b, collation) => {
+	if (
+		collation &&
+		collation.strength <= 2 &&
+		typeof a === "string" &&
+		typeof b === "string"
+	) {
+		const sensitivity = collation.strength === 1 ? "base" : "accent";
+		return a.localeCompare(b, collation.locale, { sensitivity }) === 0;
+	}
+	return equals(a, b);
+};
+
+// `stores` maps the collection names to their documents, so $lookup stages
+// can join another collection of the repository
+const createMemoryCollection = (Model, stores) => {
+	const docs = new Map();
+	stores.set(Model.collection.name, docs);
+	const uniqueIndexes = Model.schema
+		.indexes()
+		.filter(([, options]) => options && options.unique)
+		.map(([fields, options]) => ({
+			fields: Object.keys(fields),
+			partial: options.partialFilterExpression,
+			collation: options.collation,
+		}));
+	const hasPath = (path) => Boolean(Model.schema.path(path));
+
+	// Casts, defaults and validates the values with the schema, which also
+	// runs its validate hooks (e.g. the word_key of words)
+	const build = async (values) => {
+		const doc = new Model(values);
+		await doc.validate();
+		return doc.toObject({ flattenMaps: true });
+	};
+
+	const checkUnique = (doc) => {
+		for (const { fields, partial, collation } of uniqueIndexes) {
+			if (partial && !matches(doc, partial)) continue;
+			const taken = [...docs.values()].some(
+				(other) =>
+					!equals(other._id, doc._id) &&
+					(!partial || matches(other, partial)) &&
+					fields.every((field) =>
+						sameIndexKey(other[field], doc[field], collation)
+					)
+			);
+			if (taken) throw duplicateKeyError(Model, fields);
+		}
+	};
+
+	const store = (doc) => {
+		checkUnique(doc);
+		docs.set(doc._id.toString(), doc);
+		return clone(doc);
+	};
+
+	const insert = async (values) => {
+		const now = new Date();
+		const doc = await build(values);
+		if (hasPath("createdAt") && !doc.createdAt) doc.createdAt = now;
+		if (hasPath("updatedAt") && !doc.updatedAt) doc.updatedAt = now;
+		return store(doc);
+	};
+
+	const select = (filter, { sort, skip = 0, limit } = {}) => {
+		let found = [...docs.values()].filter((doc) => matches(doc, filter));
+		if (sort) found.sort(compareBy(sort));
+		found = found.slice(skip, limit ? skip + limit : undefined);
+		return found;
+	};
+
+	const update = async (doc, changes, { arrayFilters } = {}) => {
+		const next = applyUpdate(clone(doc), changes, { arrayFilters });
+		if (hasPath("updatedAt")) next.updatedAt = new Date();
+		return store(await build(next));
+	};
+
+	return {
+		async find(filter, options = {}) {
+			return select(filter, options).map((doc) =>
+				project(clone(doc), options.select)
+			);
+		},
+
+		async findOne(filter, { sort, select: fields } = {}) {
+			const [doc] = select(filter, { sort, limit: 1 });
+			return doc ? project(clone(doc), fields) : null;
+		},
+
+		async count(filter) {
+			return select(filter).length;
+		},
+
+		async distinct(field, filter) {
+			const values = [];
+			for (const doc of select(filter)) {
+				const value = doc[field];
+				for (const item of Array.isArray(value) ? value : [value]) {
+					if (item === undefined) continue;
+					if (!values.some((known) => equals(known, item))) values.push(item);
+				}
+			}
+			return values;
+		},
+
+		insertOne: insert,
+
+		async insertMany(values) {
+			const outcome = { inserted: [], duplicates: [] };
+			for (const value of values) {
+				try {
+					outcome.inserted.push(await insert(value));
+				} catch (error) {
+					if (error.code !== 11000) throw error;
+					outcome.duplicates.push(value);
+				}
+			}
+			return outcome;
+		},
+
+		async updateOne(
+			filter,
+			changes,
+			{ upsert = false, sort, arrayFilters } = {}
+		) {
+			const [doc] = select(filter, { sort, limit: 1 });
+			if (doc) return update(doc, changes, { arrayFilters });
+			if (!upsert) return null;
+			return insert(
+				applyUpdate(insertBase(filter), changes, { inserting: true })
+			);
+		},
+
+		async updateMany(filter, changes) {
+			const found = select(filter);
+			for (const doc of found) await update(doc, changes);
+			return found.length;
+		},
+
+		async deleteMany(filter, { purge } = {}) {
+			// Same rule as the hook on the StudyEvent model
+			if (Model === StudyEvent && !purge) {
+				throw new Error("Study events are append-only");
+			}
+			const found = select(filter);
+			for (const doc of found) docs.delete(doc._id.toString());
+			return found.length;
+		},
+
+		async aggregate(pipeline) {
+			const all = (collection) => [...collection.values()].map(clone);
+			return aggregate(all(docs), pipeline, {
+				collection: (name) => {
+					if (!stores.has(name)) {
+						throw new Error(`Unknown collection ${name} in $lookup`);
+					}
+					return all(stores.get(name));
+				},
+			});
+		},
+	};
+};
+
+// Progress methods shared by both repositories
+const progressMethods = (progress) => {
+	const ensureProgress = (userId, wordId) =>
+		progress.updateOne(
+			{ user: userId, word: wordId },
+			{ $setOnInsert: { user: userId, word: wordId } },
+			{ upsert: true }
+		);
+
+	return {
+		ensureProgress,
+
+		async updateProgress(userId, wordId, update, conditions = {}) {
+			await ensureProgress(userId, wordId);
+			return progress.updateOne(
+				{ ...conditions, user: userId, word: wordId },
+				update
+			);
+		},
+	};
+};
+
+const createCollections = (createCollection) => {
+	const collections = {};
+	for (const [name, Model] of Object.entries(MODELS)) {
+		collections[name] = createCollection(Model);
+	}
+	return collections;
+};
+
+const createMongoRepository = () => {
+	const collections = createCollections(createMongoCollection);
+
+	// Filters and sorts that only use word fields run before the progress is
+	// looked up, so only the words of the page are joined with it
+	const onWordsOnly = (filter, sort) =>
+		isEmpty(filter) &&
+		Object.keys(sort || {}).every((field) => !PROGRESS_FIELDS.includes(field));
+
+	return {
+		name: "mongo",
+		...collections,
+		...progressMethods(collections.progress),
+
+		findWithProgress(
+			userId,
+			{ match = {}, filter = {}, sort, skip = 0, limit, select } = {}
+		) {
+			const paging = [
+				...(sort ? [{ $sort: sort }] : []),
+				...(skip ? [{ $skip: skip }] : []),
+				...(limit ? [{ $limit: limit }] : []),
+			];
+			const pipeline = onWordsOnly(filter, sort)
+				? [{ $match: match }, ...paging, ...withProgress(userId)]
+				: [
+						{ $match: match },
+						...withProgress(userId),
+						...(isEmpty(filter) ? [] : [{ $match: filter }]),
+						...paging,
+				  ];
+			if (select) pipeline.push({ $project: select });
+			return Word.aggregate(pipeline);
+		},
+
+		async countWithProgress(userId, { match = {}, filter = {} } = {}) {
+			if (isEmpty(filter)) return Word.countDocuments(match);
+			const [result] = await Word.aggregate([
+				{ $match: match },
+				...withProgress(userId),
+				{ $match: filter },
+				{ $count: "count" },
+			]);
+			return result ? result.count : 0;
+		},
+	};
+};
+
+const createMemoryRepository = () => {
+	const stores = new Map();
+	const collections = createCollections((Model) =>
+		createMemoryCollection(Model, stores)
+	);
+
+	const wordsWithProgress = async (userId, match, filter) => {
+		const progress = new Map(
+			userId
+				? (await collections.progress.find({ user: userId })).map((item) => [
+						item.word.toString(),
+						item,
+				  ])
+				: []
+		);
+		return (await collections.words.find(match))
+			.map((word) => mergeProgress(word, progress.get(word._id.toString())))
+			.filter((word) => matches(word, filter));
+	};
+
+	return {
+		name: "memory",
+		...collections,
+		...progressMethods(collections.progress),
+
+		async findWithProgress(
+			userId,
+			{ match = {}, filter = {}, sort, skip = 0, limit, select } = {}
+		) {
+			const words = await wordsWithProgress(userId, match, filter);
+			if (sort) words.sort(compareBy(sort));
+			return words
+				.slice(skip, limit ? skip + limit : undefined)
+				.map((word) => project(word, select));
+		},
+
+		async countWithProgress(userId, { match = {}, filter = {} } = {}) {
+			return (await wordsWithProgress(userId, match, filter)).length;
+		},
+	};
+};
+
+const REPOSITORIES = {
+	mongo: createMongoRepository,
+	memory: createMemoryRepository,
+};
+
+let repository = null;
+
+/**
+ * Creates a new, empty repository of a kind.
+ * @param {"mongo"|"memory"} name
+ */
+const createRepository = (name) => {
+	if (!REPOSITORIES[name]) {
+		throw new Error(
+			`Unknown WORD_REPOSITORY "${name}". Supported repositories: ` +
+				Object.keys(REPOSITORIES).join(", ")
+		);
+	}
+	return REPOSITORIES[name]();
+};
+
+/**
+ * The repository selected by WORD_REPOSITORY, created on first use.
+ */
+const getRepository = () => {
+	if (!repository) {
+		repository = createRepository(process.env.WORD_REPOSITORY || "mongo");
+	}
+	return repository;
+};
+
+/**
+ * Replaces the repository, e.g. with a fresh memory repository per test.
+ */
+const setRepository = (custom) => {
+	repository = custom;
+};
+
+module.exports = {
+	createMongoRepository,
+	createMemoryRepository,
+	createRepository,
+	getRepository,
+	setRepository,
+};
@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+const { normalizeTags } = require("./wordValidation");
+const { getRepository } = require("./wordRepository");
+
+/**
+ * Builds the Mongo filter that limits a word query to one deck and/or tags,
+ * from the ?deck=<id> and ?tag=a,b query parameters. Several tags must all
+ * be present on a word. Decks are private, so only the user's own decks can
+ * be used.
+ * @param {object} query The request query.
+ * @param {string|null} userId
+ * @returns {Promise<{filter: object, error?: {status: number, message: string}}>}
+ */
+const buildScopeFilter = async (query, userId) => {
+	const filter = {};
+
+	if (query.deck) {
+		if (!mongoose.Types.ObjectId.isValid(query.deck)) {
+			return {
+				filter,
+				error: { status: 400, message: "Invalid deck ID format" },
+			};
+		}
+
+		const deck = userId
+			? await getRepository().decks.findOne(
+					{ _id: query.deck, owner: userId },
+					{ select: "words" }
+			  )
+			: null;
+
+		if (!deck) {
+			return { filter, error: { status: 404, message: "Deck not found" } };
+		}
+
+		filter._id = { $in: deck.words };
+	}
+
+	if (query.tag) {
+		const tags = normalizeTags(String(query.tag).split(","));
+		if (tags.length) filter.tags = { $all: tags };
+	}
+
+	return { filter };
+};
+
+module.exports = {
+	buildScopeFilter,
+};
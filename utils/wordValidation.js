@@ -0,0 +1,228 @@
+const Word = require("../model/Word");
+const { normalizeWhitespace } = require("./text");
+
+// Fields managed by the server, which clients may never set directly. Decks
+// are no longer stored on words, old clients may still send them.
+const SYSTEM_FIELDS = [
+	"_id",
+	"__v",
+	"createdAt",
+	"updatedAt",
+	"deleted_at",
+	"decks",
+	"word_key",
+	"preferred_mnemonic",
+];
+
+const MAX_TAG_LENGTH = 40;
+const MAX_WORD_LENGTH = 100;
+
+// Most items a list field may hold
+const MAX_ITEMS = {
+	meaning: 20,
+	synonyms: 50,
+	antonyms: 50,
+	tags: 20,
+};
+
+// Editable content fields, taken from the top level paths of the WordSchema
+const CONTENT_FIELDS = Object.keys(Word.schema.paths).filter(
+	(path) => !SYSTEM_FIELDS.includes(path) && !path.includes(".")
+);
+
+const MEANING_FIELDS = ["meaning", "example"];
+
+const isString = (value) => typeof value === "string";
+
+// Tags are trimmed, lowercased and deduplicated
+const normalizeTags = (tags) => [
+	...new Set(tags.map((tag) => tag.trim().toLowerCase()).filter(Boolean)),
+];
+
+// Checks a single field value against the type declared in the WordSchema
+const validateField = (field, value) => {
+	const schemaType = Word.schema.path(field);
+
+	if (field === "word") {
+		if (!isString(value) || value.trim() === "") {
+			return "must be a non-empty string";
+		}
+		if (normalizeWhitespace(value).length > MAX_WORD_LENGTH) {
+			return `must be at most ${MAX_WORD_LENGTH} characters`;
+		}
+		return null;
+	}
+
+	if (MAX_ITEMS[field] && Array.isArray(value)) {
+		if (value.length > MAX_ITEMS[field]) {
+			return `must have at most ${MAX_ITEMS[field]} items`;
+		}
+	}
+
+	if (field === "meaning") {
+		if (!Array.isArray(value)) return "must be an array";
+		for (const [index, item] of value.entries()) {
+			if (!item || typeof item !== "object" || Array.isArray(item)) {
+				return `item ${index} must be an object`;
+			}
+			const unknown = Object.keys(item).filter(
+				(key) => !MEANING_FIELDS.includes(key) && key !== "_id"
+			);
+			if (unknown.length) {
+				return `item ${index} has unknown fields: ${unknown.join(", ")}`;
+			}
+			if (
+				!MEANING_FIELDS.every((key) => item[key] == null || isString(item[key]))
+			) {
+				return `item ${index} must only contain string meaning and example`;
+			}
+			if (!isString(item.meaning) || !item.meaning.trim()) {
+				return `item ${index} needs a meaning`;
+			}
+		}
+		return null;
+	}
+
+	if (schemaType.instance === "String") {
+		return value === null || isString(value) ? null : "must be a string";
+	}
+
+	if (schemaType.instance === "Array") {
+		if (!Array.isArray(value) || !value.every(isString)) {
+			return "must be an array of strings";
+		}
+		if (
+			field === "tags" &&
+			value.some((tag) => tag.trim().length > MAX_TAG_LENGTH)
+		) {
+			return `must be at most ${MAX_TAG_LENGTH} characters each`;
+		}
+		return null;
+	}
+
+	return null;
+};
+
+// Trims list items and drops empty ones and repeats (case-insensitive)
+const normalizeList = (items) => {
+	const seen = new Set();
+	return items
+		.map((item) => item.trim())
+		.filter((item) => {
+			const key = item.toLowerCase();
+			if (!item || seen.has(key)) return false;
+			seen.add(key);
+			return true;
+		});
+};
+
+const normalizeField = (field, value) => {
+	if (field === "word") return normalizeWhitespace(value);
+	if (field === "tags") return normalizeTags(value);
+	if (field === "synonyms" || field === "antonyms") return normalizeList(value);
+	if (field === "meaning") {
+		return value.map(({ _id, meaning, example }) => ({
+			...(_id ? { _id } : {}),
+			meaning: meaning.trim(),
+			...(isString(example) && example.trim()
+				? { example: example.trim() }
+				: {}),
+		}));
+	}
+	return isString(value) ? value.trim() : value;
+};
+
+/**
+ * Validates a partial update of a word's content.
+ * @param {object} input The request body.
+ * @returns {{changes: object, errors: object}} The accepted changes, and a map
+ * of field name to error message (empty when the update is valid).
+ */
+const validateWordUpdate = (input) => {
+	const changes = {};
+	const errors = {};
+
+	if (!input || typeof input !== "object" || Array.isArray(input)) {
+		return { changes, errors: { body: "must be an object" } };
+	}
+
+	for (const [field, value] of Object.entries(input)) {
+		if (!CONTENT_FIELDS.includes(field)) {
+			errors[field] = "is not an editable field";
+			continue;
+		}
+
+		const error = validateField(field, value);
+		if (error) {
+			errors[field] = error;
+			continue;
+		}
+
+		changes[field] = normalizeField(field, value);
+	}
+
+	return { changes, errors };
+};
+
+const isEmptyValue = (value) =>
+	value === undefined ||
+	value === null ||
+	(typeof value === "string" && value.trim() === "") ||
+	(Array.isArray(value) && value.length === 0);
+
+/**
+ * Checks a complete word entry (e.g. one generated by the AI) against the
+ * WordSchema. Unknown fields are dropped.
+ * @param {object} input
+ * @param {object} [options]
+ * @param {string[]} [options.required] Fields that must be present and non-empty.
+ * @returns {{value: object, errors: string[]}} The known, valid fields and a
+ * list of problems (empty when the entry is valid).
+ */
+const validateWordShape = (input, { required = ["word"] } = {}) => {
+	const value = {};
+	const errors = [];
+
+	if (!input || typeof input !== "object" || Array.isArray(input)) {
+		return { value, errors: ["entry must be an object"] };
+	}
+
+	for (const field of CONTENT_FIELDS) {
+		if (input[field] === undefined) continue;
+
+		const error = validateField(field, input[field]);
+		if (error) {
+			errors.push(`${field} ${error}`);
+			continue;
+		}
+
+		value[field] = normalizeField(field, input[field]);
+	}
+
+	for (const field of required) {
+		if (
+			isEmptyValue(value[field]) &&
+			!errors.some((e) => e.startsWith(field))
+		) {
+			errors.push(`${field} is required`);
+		}
+	}
+
+	return { value, errors };
+};
+
+// Turns a mongoose ValidationError into the same field -> message map
+const validationErrors = (error) =>
+	Object.fromEntries(
+		Object.entries(error.errors).map(([path, err]) => [path, err.message])
+	);
+
+module.exports = {
+	CONTENT_FIELDS,
+	MAX_ITEMS,
+	isEmptyValue,
+	normalizeTags,
+	validateWordShape,
+	validateWordUpdate,
+	validationErrors,
+};
@@ -0,0 +1,240 @@
+// Version history of word content.
+//
+// Every change to the content of a word is stored as a WordVersion holding a
+// snapshot of the versioned fields after the change. Tags are labels managed
+// on their own and are not versioned, so reverting content keeps them.
+
+const { CONTENT_FIELDS } = require("./wordValidation");
+const { getRepository } = require("./wordRepository");
+const { keepEditedMnemonic } = require("./mnemonics");
+
+const VERSIONED_FIELDS = CONTENT_FIELDS.filter((field) => field !== "tags");
+
+// Versions are numbered per word, a concurrent change may take the number
+const MAX_NUMBERING_ATTEMPTS = 3;
+
+const isListField = (field) => ["synonyms", "antonyms"].includes(field);
+
+/**
+ * The versioned content of a word as plain JSON. Missing values become null
+ * (or [] for lists), so snapshots compare field by field.
+ * @param {object} word A Word document or plain object.
+ * @returns {object}
+ */
+const snapshot = (word) => {
+	const content = {};
+	for (const field of VERSIONED_FIELDS) {
+		const value = word[field];
+		if (field === "meaning") {
+			content.meaning = (value || []).map(({ meaning, example }) => ({
+				meaning: meaning || "",
+				...(example ? { example } : {}),
+			}));
+		} else if (isListField(field)) {
+			content[field] = [...(value || [])];
+		} else {
+			content[field] = value === undefined || value === "" ? null : value;
+		}
+	}
+	return content;
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const changedFields = (before, after) =>
+	VERSIONED_FIELDS.filter((field) => !sameValue(before[field], after[field]));
+
+/**
+ * Field by field differences between two snapshots. Lists report the items
+ * added and removed, meanings are compared as whole { meaning, example } items.
+ * @returns {object[]} One entry per changed field.
+ */
+const diffContent = (from, to) =>
+	changedFields(from, to).map((field) => {
+		if (field === "meaning" || isListField(field)) {
+			const key = (item) => JSON.stringify(item);
+			const before = new Set(from[field].map(key));
+			const after = new Set(to[field].map(key));
+			return {
+				field,
+				added: to[field].filter((item) => !before.has(key(item))),
+				removed: from[field].filter((item) => !after.has(key(item))),
+			};
+		}
+		return { field, from: from[field], to: to[field] };
+	});
+
+const latestVersion = (wordId) =>
+	getRepository().wordVersions.findOne(
+		{ word: wordId },
+		{ sort: { version: -1 } }
+	);
+
+const insertVersion = async (wordId, fields) => {
+	for (let attempt = 1; ; attempt++) {
+		const latest = await latestVersion(wordId);
+		try {
+			return await getRepository().wordVersions.insertOne({
+				...fields,
+				word: wordId,
+				version: latest ? latest.version + 1 : 1,
+			});
+		} catch (error) {
+			if (error.code !== 11000 || attempt >= MAX_NUMBERING_ATTEMPTS) {
+				throw error;
+			}
+		}
+	}
+};
+
+/**
+ * The latest version number of each word, 0 for words without versions.
+ * @param {string[]} wordIds
+ * @returns {Promise<Map<string, number>>}
+ */
+const latestVersions = async (wordIds) => {
+	const rows = await getRepository().wordVersions.find(
+		{ word: { $in: wordIds } },
+		{ select: "word version" }
+	);
+	const versions = new Map(wordIds.map((id) => [id.toString(), 0]));
+	for (const { word, version } of rows) {
+		const id = word.toString();
+		versions.set(id, Math.max(versions.get(id), version));
+	}
+	return versions;
+};
+
+/**
+ * The content a word had at one of its versions. Version 0 is the content
+ * from before versioning: the current content while the word has no versions,
+ * or its "original" version.
+ * @param {object} word
+ * @param {number} version
+ * @returns {Promise<object|null>} A snapshot, null when it is not known.
+ */
+const contentAt = async (word, version) => {
+	const { wordVersions } = getRepository();
+
+	if (version === 0) {
+		const first = await wordVersions.findOne(
+			{ word: word._id },
+			{ sort: { version: 1 } }
+		);
+		if (!first) return snapshot(word);
+		return first.source === "original" ? first.content : null;
+	}
+
+	const found = await wordVersions.findOne({ word: word._id, version });
+	return found ? found.content : null;
+};
+
+/**
+ * Stores the first version of newly created words.
+ * @param {object[]} words The inserted words.
+ * @param {{source: "create"|"import", author?: string}} meta
+ */
+const recordCreated = (words, { source, author = null }) => {
+	const empty = snapshot({});
+	return getRepository().wordVersions.insertMany(
+		words.map((word) => {
+			const content = snapshot(word);
+			return {
+				word: word._id,
+				version: 1,
+				source,
+				author,
+				changed_fields: changedFields(empty, content),
+				content,
+			};
+		})
+	);
+};
+
+/**
+ * Stores a change of a word's content as a new version. A word without any
+ * version yet (stored before versioning existed) first gets its previous
+ * content saved as an "original" version, so the change can be reverted.
+ * @param {string} wordId
+ * @param {object} before The word before the change.
+ * @param {object} after The word after the change.
+ * @param {{source: string, author?: string, provider?: string, job?: string, revertedTo?: number}} meta
+ * @returns {Promise<object|null>} The new version, null when the content did
+ * not change.
+ */
+const recordChange = async (wordId, before, after, meta) => {
+	const previous = snapshot(before);
+	const content = snapshot(after);
+	const changed = changedFields(previous, content);
+	if (!changed.length) return null;
+
+	if (!(await latestVersion(wordId))) {
+		await insertVersion(wordId, {
+			source: "original",
+			changed_fields: [],
+			content: previous,
+		});
+	}
+
+	const { source, author = null, provider, job, revertedTo } = meta;
+	return insertVersion(wordId, {
+		source,
+		author,
+		provider,
+		job,
+		reverted_to: revertedTo,
+		changed_fields: changed,
+		content,
+	});
+};
+
+/**
+ * Restores the content of a word from one of its versions and records the
+ * revert as a new version.
+ * @param {object} word
+ * @param {object} version The WordVersion to restore.
+ * @param {string} author
+ * @returns {Promise<{word: object, version: object|null}|null>} The reverted
+ * word and the new version, null when the word already had that content.
+ * Null instead of both when the word was moved to the trash meanwhile.
+ */
+const revertWord = async (word, version, author) => {
+	const set = {};
+	const unset = {};
+	for (const field of VERSIONED_FIELDS) {
+		const value = version.content[field];
+		if (value === null) unset[field] = 1;
+		else set[field] = value;
+	}
+	const update = { $set: set };
+	if (Object.keys(unset).length) update.$unset = unset;
+	const reverted = await getRepository().words.updateOne(
+		{ _id: word._id, deleted_at: null },
+		update
+	);
+	if (!reverted) return null;
+	const recorded = await recordChange(word._id, word, reverted, {
+		source: "revert",
+		author,
+		revertedTo: version.version,
+	});
+
+	return {
+		// A restored mnemonic is kept with the others and shown
+		word:
+			(await keepEditedMnemonic(word, reverted, { source: "user", author })) ||
+			reverted,
+		version: recorded,
+	};
+};
+
+module.exports = {
+	VERSIONED_FIELDS,
+	snapshot,
+	diffContent,
+	latestVersions,
+	contentAt,
+	recordCreated,
+	recordChange,
+	revertWord,
+};